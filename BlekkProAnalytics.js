@@ -0,0 +1,255 @@
+// BlekkPro Analytics Module
+// Records what happens at the paywall: which upgrade prompts are shown, which
+// are dismissed, which lead to checkout and which end in a paid plan, along
+// with the feature or brush that raised them. Events go to pluggable sinks
+// (local storage, the console, the analytics API or your own), and
+// buildReport turns them into conversion per feature. Paid plans are recorded
+// by BlekkProAnalyticsStore when the payment provider confirms them.
+
+// Local storage key for stored events
+const ANALYTICS_STORAGE_KEY = 'blekkpro.analytics';
+
+// Events kept by the local storage sink
+const MAX_STORED_EVENTS = 500;
+
+class BlekkProAnalytics {
+  /**
+   * @param {Object} [options] - {sinks: sink names or objects, storage: Storage-like object,
+   *   baseUrl: API root for the api sink, context: function returning properties added to every event,
+   *   now: clock returning ms}
+   */
+  constructor(options = {}) {
+    this.storage = options.storage !== undefined
+      ? options.storage
+      : (typeof window !== 'undefined' && window.localStorage ? window.localStorage : null);
+    this.baseUrl = options.baseUrl || '/api';
+    this.context = options.context || null;
+    this.now = options.now || (() => Date.now());
+
+    // Event types and their report labels
+    this.eventTypes = {
+      upgrade_prompt_shown: 'Shown',
+      upgrade_prompt_dismissed: 'Maybe later',
+      upgrade_prompt_accepted: 'Upgrade clicked',
+      upgrade_converted: 'Upgraded'
+    };
+
+    // Sink factories by name; a sink is any object with send(events)
+    this.sinkFactories = {
+      console: () => ({
+        send: (events) => {
+          events.forEach(event => console.info('[BlekkPro analytics]', event.type, event));
+        }
+      }),
+      localStorage: () => ({
+        send: (events) => {
+          if (!this.storage) return;
+
+          try {
+            const stored = this.getStoredEvents().concat(events).slice(-MAX_STORED_EVENTS);
+            this.storage.setItem(ANALYTICS_STORAGE_KEY, JSON.stringify(stored));
+          } catch (error) {
+            console.error('Error storing analytics events:', error);
+          }
+        }
+      }),
+      api: () => ({
+        // keepalive lets the request finish when the page leaves for checkout
+        send: (events) => {
+          if (typeof fetch === 'undefined') return;
+
+          fetch(`${this.baseUrl}/analytics/events`, {
+            method: 'POST',
+            credentials: 'same-origin',
+            keepalive: true,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ events })
+          }).catch(error => console.error('Error sending analytics events:', error));
+        }
+      })
+    };
+
+    this.sinks = [];
+    (options.sinks || []).forEach(sink => this.addSink(sink));
+  }
+
+  /**
+   * Register a sink type that can be added by name
+   * @param {String} name - Sink name
+   * @param {Function} factory - Returns a sink with send(events)
+   */
+  registerSink(name, factory) {
+    this.sinkFactories[name] = factory;
+  }
+
+  /**
+   * Start sending events to a sink
+   * @param {String|Object} sink - Registered sink name, or an object with send(events)
+   * @returns {Object} - Result with success status or error
+   */
+  addSink(sink) {
+    const instance = typeof sink === 'string'
+      ? (this.sinkFactories[sink] ? this.sinkFactories[sink]() : null)
+      : sink;
+
+    if (!instance || typeof instance.send !== 'function') {
+      return {
+        success: false,
+        reason: 'invalid_sink',
+        message: `Unknown analytics sink: ${typeof sink === 'string' ? sink : 'object without send()'}`
+      };
+    }
+
+    this.sinks.push(instance);
+
+    return {
+      success: true
+    };
+  }
+
+  /**
+   * Record an event
+   * @param {String} type - Event type
+   * @param {Object} [properties] - {featureId, brushId, source, requiredTier, ...}
+   * @returns {Object|null} - The event, or null for unknown types
+   */
+  track(type, properties = {}) {
+    if (!Object.prototype.hasOwnProperty.call(this.eventTypes, type)) {
+      console.error('Unknown analytics event type:', type);
+      return null;
+    }
+
+    const event = {
+      id: `${this.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+      type,
+      time: new Date(this.now()).toISOString(),
+      ...(this.context ? this.context() : {}),
+      ...properties
+    };
+
+    this.sinks.forEach(sink => {
+      try {
+        sink.send([event]);
+      } catch (error) {
+        console.error('Error in analytics sink:', error);
+      }
+    });
+
+    return event;
+  }
+
+  /**
+   * Record an upgrade prompt being shown
+   * @param {Object} prompt - Upgrade prompt, with featureId and optional brushId
+   * @param {String} source - Where it was raised, e.g. 'brush_select'
+   * @returns {Object|null} - The event
+   */
+  trackPromptShown(prompt, source) {
+    return this.track('upgrade_prompt_shown', this._getPromptProperties(prompt, source));
+  }
+
+  /**
+   * Record "Maybe Later" on an upgrade prompt
+   * @param {Object} prompt - Upgrade prompt
+   * @param {String} source - Where it was raised
+   * @returns {Object|null} - The event
+   */
+  trackPromptDismissed(prompt, source) {
+    return this.track('upgrade_prompt_dismissed', this._getPromptProperties(prompt, source));
+  }
+
+  /**
+   * Record "Upgrade" being clicked
+   * The analytics API credits a paid plan that follows to this prompt.
+   * @param {Object|null} prompt - Upgrade prompt, or null for upgrades not from a prompt
+   * @param {String} source - Where it was raised
+   * @returns {Object|null} - The event
+   */
+  trackPromptAccepted(prompt, source) {
+    return this.track('upgrade_prompt_accepted', this._getPromptProperties(prompt, source));
+  }
+
+  /**
+   * Get the events kept by the local storage sink
+   * @returns {Array} - Events, oldest first
+   */
+  getStoredEvents() {
+    if (!this.storage) {
+      return [];
+    }
+
+    try {
+      const stored = JSON.parse(this.storage.getItem(ANALYTICS_STORAGE_KEY) || '[]');
+      return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+      console.error('Error reading analytics events:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Summarise paywall events per feature and brush
+   * @param {Array} events - Events to summarise
+   * @param {Object} [featureNames] - {featureId: display name}
+   * @returns {Object} - {rows: [{featureId, brushId, name, shown, dismissed, accepted, converted, conversionRate}], totals}
+   */
+  buildReport(events, featureNames = {}) {
+    const counts = {
+      upgrade_prompt_shown: 'shown',
+      upgrade_prompt_dismissed: 'dismissed',
+      upgrade_prompt_accepted: 'accepted',
+      upgrade_converted: 'converted'
+    };
+
+    const rows = {};
+    const totals = { shown: 0, dismissed: 0, accepted: 0, converted: 0 };
+
+    events.forEach(event => {
+      const field = counts[event.type];
+      if (!field) return;
+
+      const featureId = event.featureId || null;
+      const brushId = event.brushId || null;
+      const key = `${featureId}:${brushId}`;
+
+      if (!rows[key]) {
+        rows[key] = {
+          featureId,
+          brushId,
+          name: (featureId && featureNames[featureId]) || featureId || 'Upgrade button',
+          shown: 0,
+          dismissed: 0,
+          accepted: 0,
+          converted: 0
+        };
+      }
+
+      rows[key][field]++;
+      totals[field]++;
+    });
+
+    const rate = (converted, shown) => (shown > 0 ? converted / shown : null);
+
+    return {
+      rows: Object.values(rows)
+        .map(row => ({ ...row, conversionRate: rate(row.converted, row.shown) }))
+        .sort((a, b) => b.converted - a.converted || b.shown - a.shown),
+      totals: { ...totals, conversionRate: rate(totals.converted, totals.shown) }
+    };
+  }
+
+  /**
+   * Event properties for a prompt
+   * @private
+   */
+  _getPromptProperties(prompt, source) {
+    return {
+      featureId: (prompt && prompt.featureId) || null,
+      brushId: (prompt && prompt.brushId) || null,
+      requiredTier: (prompt && prompt.requiredTier) || null,
+      source: source || null
+    };
+  }
+}
+
+export default BlekkProAnalytics;
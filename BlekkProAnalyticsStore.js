@@ -0,0 +1,265 @@
+// BlekkPro Analytics Store
+// Server side of paywall analytics, used by the API routes in
+// pages/api/analytics. Keeps the events browsers send in a local file and
+// reports conversion per feature and brush from them. Node only.
+
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import BlekkProAnalytics from './BlekkProAnalytics';
+import BlekkProEntitlements from './BlekkProEntitlements';
+
+// Where events are kept unless BLEKKPRO_ANALYTICS_FILE says otherwise
+const DEFAULT_ANALYTICS_FILE = path.join(process.cwd(), '.blekkpro', 'analytics.json');
+
+// Newest events kept; older ones drop out of the report
+const MAX_EVENTS = 20000;
+
+// Events accepted in one request
+const MAX_BATCH = 50;
+
+// Events one customer, and one network address, may send each hour; beyond
+// that they are dropped, so no one client can push everyone else's out
+const RATE_WINDOW_MS = 60 * 60 * 1000;
+const MAX_EVENTS_PER_CUSTOMER = 200;
+const MAX_EVENTS_PER_ADDRESS = 1000;
+
+// Recorded here from verified webhooks, never taken from browsers
+const SERVER_EVENT_TYPES = ['upgrade_converted'];
+
+// An upgrade more than this long after its prompt isn't credited to it
+const CONVERSION_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+class BlekkProAnalyticsStore {
+  /**
+   * @param {Object} [options] - {dataFile, now: clock returning ms}
+   */
+  constructor(options = {}) {
+    this.dataFile = options.dataFile || process.env.BLEKKPRO_ANALYTICS_FILE || DEFAULT_ANALYTICS_FILE;
+    this.now = options.now || (() => Date.now());
+
+    this.analytics = new BlekkProAnalytics({ storage: null });
+    this.entitlements = new BlekkProEntitlements({ storage: null });
+    this.events = [];
+
+    // Events taken this hour, by 'customer:<id>' and 'address:<ip>'
+    this.rateWindowStart = this.now();
+    this.rateCounts = new Map();
+
+    this.saving = null;
+    this.saveQueued = false;
+    this._load();
+  }
+
+  /**
+   * Shared instance for the API routes, kept across hot reloads in development
+   * @returns {BlekkProAnalyticsStore}
+   */
+  static getInstance() {
+    if (!globalThis.blekkProAnalyticsStore) {
+      globalThis.blekkProAnalyticsStore = new BlekkProAnalyticsStore();
+    }
+    return globalThis.blekkProAnalyticsStore;
+  }
+
+  /**
+   * Keep events from a browser
+   * Unknown types and fields are dropped, as are conversions, which only
+   * recordConversion makes; the time is the server's. Each customer and
+   * address has an hourly allowance, and events past it are dropped.
+   * @param {Array} events - Events from BlekkProAnalytics
+   * @param {String} [customerId] - Customer the events came from
+   * @param {String} [address] - Network address the events came from
+   * @returns {Object} - Result with the number of events kept, or error
+   */
+  record(events, customerId, address) {
+    if (!Array.isArray(events) || events.length > MAX_BATCH) {
+      return {
+        success: false,
+        reason: 'invalid_events',
+        message: `Send an array of up to ${MAX_BATCH} events`
+      };
+    }
+
+    const accepted = events
+      .filter(event => event && Object.prototype.hasOwnProperty.call(this.analytics.eventTypes, event.type) &&
+        !SERVER_EVENT_TYPES.includes(event.type))
+      .map(event => ({
+        type: event.type,
+        time: new Date(this.now()).toISOString(),
+        featureId: this._cleanId(event.featureId),
+        brushId: this._cleanId(event.brushId),
+        source: this._cleanId(event.source),
+        requiredTier: this._cleanId(event.requiredTier),
+        tier: this._cleanId(event.tier),
+        customerId: customerId || null
+      }));
+
+    const allowed = this._takeAllowance(accepted.length, customerId, address);
+    if (accepted.length > 0 && allowed === 0) {
+      return {
+        success: false,
+        reason: 'rate_limited',
+        message: 'Too many events; try again later'
+      };
+    }
+
+    if (allowed > 0) {
+      this.events = this.events.concat(accepted.slice(0, allowed)).slice(-MAX_EVENTS);
+      this._save();
+    }
+
+    return {
+      success: true,
+      recorded: allowed
+    };
+  }
+
+  /**
+   * Record a customer's upgrade to a paid plan
+   * Called for verified subscription.created webhooks, and credited to the
+   * last upgrade prompt the customer accepted within a day.
+   * @param {String} customerId - Customer who subscribed
+   * @param {String} tier - Tier subscribed to
+   * @returns {Object} - Result with the recorded event
+   */
+  recordConversion(customerId, tier) {
+    const cutoff = new Date(this.now() - CONVERSION_WINDOW_MS).toISOString();
+    let accepted = null;
+
+    for (let i = this.events.length - 1; i >= 0 && this.events[i].time >= cutoff; i--) {
+      const event = this.events[i];
+      if (event.customerId === customerId && event.type === 'upgrade_prompt_accepted') {
+        accepted = event;
+        break;
+      }
+    }
+
+    const event = {
+      type: 'upgrade_converted',
+      time: new Date(this.now()).toISOString(),
+      featureId: accepted ? accepted.featureId : null,
+      brushId: accepted ? accepted.brushId : null,
+      source: accepted ? accepted.source : 'unknown',
+      requiredTier: accepted ? accepted.requiredTier : null,
+      tier: this._cleanId(tier),
+      customerId: customerId || null
+    };
+
+    this.events = this.events.concat([event]).slice(-MAX_EVENTS);
+    this._save();
+
+    return {
+      success: true,
+      event
+    };
+  }
+
+  /**
+   * Conversion per feature and brush
+   * @param {Object} [options] - {since: ISO date to start from}
+   * @returns {Object} - Result with report {rows, totals} and the period covered
+   */
+  getReport(options = {}) {
+    const sinceTime = options.since ? new Date(options.since).getTime() : NaN;
+    const since = isNaN(sinceTime) ? null : new Date(sinceTime).toISOString();
+    const events = since ? this.events.filter(event => event.time >= since) : this.events;
+
+    const featureNames = {};
+    Object.entries(this.entitlements.features).forEach(([featureId, feature]) => {
+      featureNames[featureId] = feature.name;
+    });
+
+    return {
+      success: true,
+      report: this.analytics.buildReport(events, featureNames),
+      from: events.length > 0 ? events[0].time : null,
+      to: events.length > 0 ? events[events.length - 1].time : null
+    };
+  }
+
+  /**
+   * Short identifier, or null
+   * @private
+   */
+  _cleanId(value) {
+    return typeof value === 'string' && /^[\w.-]{1,64}$/.test(value) ? value : null;
+  }
+
+  /**
+   * Take up to count events from a client's hourly allowance
+   * @private
+   */
+  _takeAllowance(count, customerId, address) {
+    if (this.now() - this.rateWindowStart >= RATE_WINDOW_MS) {
+      this.rateWindowStart = this.now();
+      this.rateCounts.clear();
+    }
+
+    const limits = [];
+    if (customerId) limits.push([`customer:${customerId}`, MAX_EVENTS_PER_CUSTOMER]);
+    if (address) limits.push([`address:${address}`, MAX_EVENTS_PER_ADDRESS]);
+
+    const allowed = limits.reduce((allowance, [key, limit]) =>
+      Math.min(allowance, Math.max(limit - (this.rateCounts.get(key) || 0), 0)), count);
+
+    limits.forEach(([key]) => this.rateCounts.set(key, (this.rateCounts.get(key) || 0) + allowed));
+    return allowed;
+  }
+
+  /**
+   * Read the events file
+   * @private
+   */
+  _load() {
+    try {
+      if (!fs.existsSync(this.dataFile)) return;
+
+      const data = JSON.parse(fs.readFileSync(this.dataFile, 'utf8'));
+      this.events = Array.isArray(data.events) ? data.events : [];
+    } catch (error) {
+      console.error('Error loading analytics events:', error);
+    }
+  }
+
+  /**
+   * Write the events file in the background
+   * Saves asked for while one is being written are made together once it finishes.
+   * @private
+   */
+  _save() {
+    if (this.saving) {
+      this.saveQueued = true;
+      return this.saving;
+    }
+
+    this.saving = (async () => {
+      try {
+        do {
+          this.saveQueued = false;
+          await this._writeFile(this.dataFile, JSON.stringify({ events: this.events }));
+        } while (this.saveQueued);
+      } catch (error) {
+        console.error('Error saving analytics events:', error);
+      } finally {
+        this.saving = null;
+      }
+    })();
+
+    return this.saving;
+  }
+
+  /**
+   * Write a file, replacing it in one step
+   * @private
+   */
+  async _writeFile(file, contents) {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+
+    const temporary = `${file}.${randomUUID()}.tmp`;
+    await fs.promises.writeFile(temporary, contents);
+    await fs.promises.rename(temporary, file);
+  }
+}
+
+export default BlekkProAnalyticsStore;
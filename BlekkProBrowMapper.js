@@ -0,0 +1,367 @@
+// BlekkPro Brow Mapper Module
+// Classic PMU brow mapping from the landmarks found by BlekkProFacialRecognition.
+// The nose line method places the brow start, arch and tail where lines from
+// the nose wing through the inner eye corner, the iris and the outer eye corner
+// cross the brow. The golden ratio method (as on a pro brow ruler) keeps the
+// start and tail and puts the arch where it splits the brow 1.618 : 1.
+// Heights follow the client's own brow: the head sits on its lower edge, the
+// arch peak on its upper edge (never below the head), and the tail never drops
+// below the head.
+
+const GOLDEN_RATIO = (1 + Math.sqrt(5)) / 2;
+
+// Construction lines run this far past the point they locate, as a fraction of their length
+const LINE_OVERSHOOT = 0.15;
+
+class BlekkProBrowMapper {
+  constructor() {
+    this.defaultOptions = {
+      method: 'nose_line',  // 'nose_line' or 'golden_ratio'
+      archThickness: 0.85,  // Brow thickness under the arch, as a fraction of head width
+      tolerance: 0.05       // Differences smaller than this fraction of brow length aren't reported
+    };
+
+    this.methods = {
+      nose_line: 'Nose line',
+      golden_ratio: 'Golden ratio'
+    };
+  }
+
+  /**
+   * Map both brows
+   * @param {Object} landmarks - Landmarks from BlekkProFacialRecognition.extractPMULandmarks
+   * @param {Object} [options] - Mapping options (see defaultOptions)
+   * @returns {Object} - Result with left and right maps (null for a side that can't be mapped), or error
+   */
+  map(landmarks, options = {}) {
+    const settings = { ...this.defaultOptions, ...options };
+
+    if (!this.methods[settings.method]) {
+      return {
+        success: false,
+        reason: 'invalid_method',
+        message: `Unknown brow mapping method: ${settings.method}`
+      };
+    }
+
+    if (!landmarks || !landmarks.mappingReferences) {
+      return {
+        success: false,
+        reason: 'missing_landmarks',
+        message: 'Detect a face before mapping brows'
+      };
+    }
+
+    const frame = this._getFaceFrame(landmarks);
+    const left = this._mapSide(landmarks, 'left', frame, settings);
+    const right = this._mapSide(landmarks, 'right', frame, settings);
+
+    if (!left && !right) {
+      return {
+        success: false,
+        reason: 'missing_landmarks',
+        message: 'Brow, eye and nose landmarks are needed to map brows'
+      };
+    }
+
+    return {
+      success: true,
+      method: settings.method,
+      methodName: this.methods[settings.method],
+      left,
+      right
+    };
+  }
+
+  /**
+   * Map one brow and compare it with the client's existing brow
+   * @private
+   */
+  _mapSide(landmarks, side, frame, settings) {
+    const refs = this._getSideReferences(landmarks, side);
+    const brow = this._getBrowOutline(landmarks, side);
+    if (!refs || !brow) {
+      return null;
+    }
+
+    const { up } = frame;
+    const outward = this._getOutward(refs, frame);
+    const down = this._scale(up, -1);
+    const centerLine = brow.upper.map((point, index) => this._midpoint(point, brow.lower[index]));
+
+    // Start: nose wing through the inner eye corner, on the lower edge of the brow
+    const startBottom = this._intersect(refs.noseWing, this._subtract(refs.eyeInner, refs.noseWing), brow.lower);
+
+    // Tail: nose wing through the outer eye corner; no lower than the brow head
+    let tail = this._intersect(refs.noseWing, this._subtract(refs.eyeOuter, refs.noseWing), centerLine);
+    const tailDrop = this._dot(this._subtract(startBottom, tail), up);
+    if (tailDrop > 0) {
+      tail = this._add(tail, this._scale(up, tailDrop));
+    }
+
+    // Head width: the eye width over φ², about 11 mm on an average eye
+    const eyeWidth = this._distance(refs.eyeInner, refs.eyeOuter);
+    const headWidth = eyeWidth / (GOLDEN_RATIO * GOLDEN_RATIO);
+    const startTop = this._add(startBottom, this._scale(up, headWidth));
+
+    // Arch: on the iris line, or 1 / φ of the way from start to tail
+    const lengthAlong = this._dot(this._subtract(tail, startBottom), outward);
+    const archGuide = settings.method === 'golden_ratio'
+      ? { origin: this._add(startBottom, this._scale(outward, lengthAlong / GOLDEN_RATIO)), direction: up }
+      : { origin: refs.noseWing, direction: this._subtract(refs.iris, refs.noseWing) };
+
+    let archTop = this._intersect(archGuide.origin, archGuide.direction, brow.upper);
+    const archDrop = this._dot(this._subtract(startTop, archTop), up);
+    if (archDrop > 0) {
+      archTop = this._add(archTop, this._scale(up, archDrop));
+    }
+    const archBottom = this._add(archTop, this._scale(down, headWidth * settings.archThickness));
+
+    const irisLabel = refs.irisEstimated ? 'eye centre' : 'iris';
+    const construction = {
+      start: this._constructionLine(refs.noseWing, startBottom, 'nose wing → inner eye corner'),
+      arch: settings.method === 'golden_ratio'
+        ? this._constructionLine(this._add(archTop, this._scale(down, headWidth * 2)), archTop, `start–tail split 1 : ${(1 / GOLDEN_RATIO).toFixed(3)}`)
+        : this._constructionLine(refs.noseWing, archTop, `nose wing → ${irisLabel}`),
+      tail: this._constructionLine(refs.noseWing, tail, 'nose wing → outer eye corner'),
+      length: { from: startBottom, to: this._add(startBottom, this._scale(outward, lengthAlong)), label: 'brow length' },
+      headBase: { from: startBottom, to: this._add(startBottom, this._scale(outward, lengthAlong)), label: 'lowest tail' },
+      headWidth: { from: startBottom, to: startTop, label: 'eye width ÷ φ²' }
+    };
+
+    const archConstruction = settings.method === 'golden_ratio'
+      ? [construction.length, construction.arch]
+      : [construction.arch];
+
+    const map = {
+      side,
+      start: { point: startBottom, top: startTop, construction: [construction.start] },
+      arch: { point: archTop, bottom: archBottom, construction: archConstruction },
+      tail: { point: tail, construction: [construction.tail] },
+      idealTop: {
+        points: [startTop, archTop, tail],
+        construction: [construction.headWidth, ...archConstruction, construction.tail]
+      },
+      idealBottom: {
+        points: [startBottom, archBottom, tail],
+        construction: [construction.start, construction.headBase, construction.tail]
+      },
+      headWidth: { value: headWidth, construction: [construction.headWidth] },
+      length: this._distance(startBottom, tail),
+      irisEstimated: refs.irisEstimated
+    };
+
+    map.comparison = this._compare(brow, map, outward, up, settings);
+    return map;
+  }
+
+  /**
+   * Compare the client's existing brow with its ideal map
+   * Offsets are in the face's own axes: dx is positive when the existing
+   * point lies further toward the temple, dy when it lies higher.
+   * @private
+   */
+  _compare(brow, map, outward, up, settings) {
+    const existing = {
+      start: brow.lower[0],
+      arch: brow.upper.reduce((best, point) => (this._dot(point, up) > this._dot(best, up) ? point : best)),
+      tail: this._midpoint(brow.upper[brow.upper.length - 1], brow.lower[brow.lower.length - 1]),
+      headWidth: this._distance(brow.upper[0], brow.lower[0])
+    };
+
+    const offset = (from, to) => {
+      const difference = this._subtract(from, to);
+      return {
+        dx: this._dot(difference, outward),
+        dy: this._dot(difference, up),
+        distance: this._distance(from, to)
+      };
+    };
+
+    const comparison = {
+      existing,
+      start: offset(existing.start, map.start.point),
+      arch: offset(existing.arch, map.arch.point),
+      tail: offset(existing.tail, map.tail.point),
+      headWidth: {
+        existing: existing.headWidth,
+        ideal: map.headWidth.value,
+        difference: existing.headWidth - map.headWidth.value
+      },
+      notes: []
+    };
+
+    const limit = map.length * settings.tolerance;
+    const note = (id, message) => comparison.notes.push({ id, message });
+
+    if (comparison.start.dx > limit) note('start_out', 'Brow starts too far out; extend the head toward the nose');
+    if (comparison.start.dx < -limit) note('start_in', 'Brow starts too close to the nose');
+    if (comparison.arch.dx > limit) note('arch_out', 'Arch sits too far toward the tail');
+    if (comparison.arch.dx < -limit) note('arch_in', 'Arch sits too close to the head');
+    if (comparison.arch.dy < -limit) note('arch_low', 'Arch is lower than ideal');
+    if (comparison.arch.dy > limit) note('arch_high', 'Arch is higher than ideal');
+    if (comparison.tail.dx < -limit) note('tail_short', 'Tail stops short of the tail line');
+    if (comparison.tail.dx > limit) note('tail_long', 'Tail runs past the tail line');
+    if (this._dot(this._subtract(existing.tail, existing.start), up) < -limit) {
+      note('tail_drop', 'Tail drops below the brow head');
+    }
+    if (comparison.headWidth.difference > limit) note('head_wide', 'Brow head is wider than ideal');
+    if (comparison.headWidth.difference < -limit) note('head_narrow', 'Brow head is narrower than ideal');
+
+    comparison.matches = comparison.notes.length === 0;
+    return comparison;
+  }
+
+  /**
+   * Nose wing, eye corners and iris for one side
+   * Without iris landmarks (detector run without refineLandmarks) the iris is
+   * taken as the centre of the eye opening.
+   * @private
+   */
+  _getSideReferences(landmarks, side) {
+    const refs = landmarks.mappingReferences;
+    const suffix = side === 'left' ? 'Left' : 'Right';
+    const get = name => refs[`${name}${suffix}`];
+
+    const noseWing = get('noseWing');
+    const eyeInner = get('eyeInner');
+    const eyeOuter = get('eyeOuter');
+    if (!noseWing || !eyeInner || !eyeOuter) {
+      return null;
+    }
+
+    let iris = get('iris');
+    const irisEstimated = !iris;
+    if (!iris) {
+      const eyePoints = [eyeInner, eyeOuter, get('eyeTop'), get('eyeBottom')].filter(Boolean);
+      iris = {
+        x: eyePoints.reduce((sum, point) => sum + point.x, 0) / eyePoints.length,
+        y: eyePoints.reduce((sum, point) => sum + point.y, 0) / eyePoints.length
+      };
+    }
+
+    return { noseWing, eyeInner, eyeOuter, iris, irisEstimated };
+  }
+
+  /**
+   * Split a 10-point brow landmark group into upper and lower edges, head to tail
+   * @private
+   */
+  _getBrowOutline(landmarks, side) {
+    const points = side === 'left' ? landmarks.browLeft : landmarks.browRight;
+    if (!points || points.length < 10) {
+      return null;
+    }
+
+    return {
+      upper: points.slice(0, 5),
+      lower: points.slice(5, 10).reverse()
+    };
+  }
+
+  /**
+   * Up and across for the face, so a tilted head maps the same as a level one
+   * @private
+   */
+  _getFaceFrame(landmarks) {
+    const refs = landmarks.symmetryReferences || {};
+    let up = { x: 0, y: -1 };
+
+    if (refs.midForehead && refs.midChin) {
+      const length = this._distance(refs.midForehead, refs.midChin);
+      if (length > 0) {
+        up = this._scale(this._subtract(refs.midForehead, refs.midChin), 1 / length);
+      }
+    }
+
+    return { up, across: { x: -up.y, y: up.x } };
+  }
+
+  /**
+   * Unit vector across the face toward this side's temple
+   * @private
+   */
+  _getOutward(refs, frame) {
+    const sign = this._dot(this._subtract(refs.eyeOuter, refs.eyeInner), frame.across) < 0 ? -1 : 1;
+    return this._scale(frame.across, sign);
+  }
+
+  /**
+   * Where a line crosses a polyline, extending its end segments if it misses
+   * @private
+   */
+  _intersect(origin, direction, polyline) {
+    const hits = [];
+
+    for (let i = 0; i < polyline.length - 1; i++) {
+      const a = polyline[i];
+      const edge = this._subtract(polyline[i + 1], a);
+      const denominator = this._cross(direction, edge);
+      if (Math.abs(denominator) < 1e-9) continue;
+
+      const t = this._cross(this._subtract(a, origin), direction) / denominator;
+      hits.push({ index: i, t, point: this._add(a, this._scale(edge, t)) });
+    }
+
+    if (hits.length === 0) {
+      return this._midpoint(polyline[0], polyline[polyline.length - 1]);
+    }
+
+    const inside = hits.find(hit => hit.t >= 0 && hit.t <= 1);
+    if (inside) {
+      return inside.point;
+    }
+
+    const first = hits[0];
+    return first.index === 0 && first.t < 0 ? first.point : hits[hits.length - 1].point;
+  }
+
+  /**
+   * Line from a landmark to the point it locates, running a little past it
+   * @private
+   */
+  _constructionLine(from, to, label) {
+    return {
+      from: { x: from.x, y: from.y },
+      to: this._add(to, this._scale(this._subtract(to, from), LINE_OVERSHOOT)),
+      label
+    };
+  }
+
+  /** @private */
+  _add(a, b) {
+    return { x: a.x + b.x, y: a.y + b.y };
+  }
+
+  /** @private */
+  _subtract(a, b) {
+    return { x: a.x - b.x, y: a.y - b.y };
+  }
+
+  /** @private */
+  _scale(a, factor) {
+    return { x: a.x * factor, y: a.y * factor };
+  }
+
+  /** @private */
+  _dot(a, b) {
+    return a.x * b.x + a.y * b.y;
+  }
+
+  /** @private */
+  _cross(a, b) {
+    return a.x * b.y - a.y * b.x;
+  }
+
+  /** @private */
+  _midpoint(a, b) {
+    return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+  }
+
+  /** @private */
+  _distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+  }
+}
+
+export default BlekkProBrowMapper;
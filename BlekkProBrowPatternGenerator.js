@@ -0,0 +1,365 @@
+// BlekkPro Brow Pattern Generator Module
+// Fills a brow with a natural microblading hair-stroke pattern from the
+// browLeft/browRight landmarks found by BlekkProFacialRecognition
+
+import createSeededRandom from './BlekkProSeededRandom';
+
+class BlekkProBrowPatternGenerator {
+  constructor() {
+    this.defaultOptions = {
+      density: 0.6,     // 0..1, how tightly strokes are packed along the brow
+      length: 0.7,      // Stroke length as a fraction of brow height
+      curvature: 0.25,  // 0..1, how much strokes bend toward the tail
+      layers: 2,        // Passes; later layers fill gaps with finer strokes
+      mirror: true,     // Mirror one brow across the face midline
+      sourceSide: 'left', // Brow used as the source when mirroring
+      seed: 1,          // Seed for natural variation
+      pointsPerStroke: 10
+    };
+  }
+
+  /**
+   * Generate hair strokes for both brows
+   * @param {Object} landmarks - Landmarks from BlekkProFacialRecognition.extractPMULandmarks
+   * @param {Object} [options] - Pattern options (see defaultOptions)
+   * @returns {Object} - Result with strokes [{side, layer, points, seed}] or error
+   */
+  generate(landmarks, options = {}) {
+    const settings = { ...this.defaultOptions, ...options };
+
+    if (!landmarks) {
+      return {
+        success: false,
+        reason: 'missing_landmarks',
+        message: 'Detect a face before generating a brow pattern'
+      };
+    }
+
+    const sides = ['left', 'right'];
+    const midline = this._getMidline(landmarks);
+
+    if (settings.mirror && !midline) {
+      return {
+        success: false,
+        reason: 'missing_landmarks',
+        message: 'Face midline landmarks are needed to mirror the pattern'
+      };
+    }
+
+    const strokes = [];
+
+    if (settings.mirror) {
+      const sourceSide = settings.sourceSide === 'right' ? 'right' : 'left';
+      const targetSide = sourceSide === 'left' ? 'right' : 'left';
+      const brow = this._getBrowOutline(landmarks, sourceSide);
+
+      if (!brow) {
+        return {
+          success: false,
+          reason: 'missing_landmarks',
+          message: `Brow landmarks missing for the ${sourceSide} side`
+        };
+      }
+
+      const sourceStrokes = this.generateBrow(brow, { ...settings, side: sourceSide });
+      strokes.push(...sourceStrokes);
+
+      sourceStrokes.forEach(stroke => {
+        strokes.push({
+          ...stroke,
+          side: targetSide,
+          points: stroke.points.map(point => this._reflectPoint(point, midline))
+        });
+      });
+    } else {
+      for (const side of sides) {
+        const brow = this._getBrowOutline(landmarks, side);
+
+        if (!brow) {
+          return {
+            success: false,
+            reason: 'missing_landmarks',
+            message: `Brow landmarks missing for the ${side} side`
+          };
+        }
+
+        strokes.push(...this.generateBrow(brow, { ...settings, side }));
+      }
+    }
+
+    return {
+      success: true,
+      strokes
+    };
+  }
+
+  /**
+   * Generate hair strokes for one brow outline
+   * @param {Object} brow - {upper, lower} point arrays, each ordered head to tail
+   * @param {Object} [options] - Pattern options
+   * @returns {Array} - Strokes [{side, layer, points, seed}]
+   */
+  generateBrow(brow, options = {}) {
+    const settings = { ...this.defaultOptions, ...options };
+    const random = createSeededRandom(settings.seed);
+    const browLength = this._polylineLength(this._centerline(brow, 20));
+    const browHeight = this._averageHeight(brow);
+
+    if (browLength === 0 || browHeight === 0) {
+      return [];
+    }
+
+    // Spacing between strokes along the brow, from sparse to dense
+    const density = Math.max(0, Math.min(1, settings.density));
+    const spacing = browHeight * (0.55 - 0.4 * density);
+    const strokesPerLayer = Math.max(3, Math.round(browLength / spacing));
+    const strokes = [];
+
+    for (let layer = 0; layer < settings.layers; layer++) {
+      // Later layers sit between earlier strokes and are finer and shorter
+      const layerOffset = layer / settings.layers;
+      const layerScale = 1 - layer * 0.2;
+
+      for (let i = 0; i < strokesPerLayer; i++) {
+        const u = Math.min(0.98, (i + layerOffset + (random() - 0.5) * 0.4) / strokesPerLayer);
+        if (u < 0.02) continue;
+
+        const points = this._buildHairStroke(brow, u, browHeight, settings, layerScale, random);
+
+        strokes.push({
+          side: settings.side,
+          layer,
+          seed: Math.floor(random() * 4294967296),
+          points
+        });
+      }
+    }
+
+    return strokes;
+  }
+
+  /**
+   * Get a brow's outline as a fill region
+   * @param {Object} landmarks - Landmarks from BlekkProFacialRecognition.extractPMULandmarks
+   * @param {String} side - 'left' or 'right'
+   * @returns {Object|null} - {polygon, head, tail} or null if the brow is missing
+   */
+  getBrowRegion(landmarks, side) {
+    const brow = landmarks ? this._getBrowOutline(landmarks, side) : null;
+    if (!brow) {
+      return null;
+    }
+
+    const last = brow.upper.length - 1;
+
+    return {
+      polygon: [...brow.upper, ...brow.lower.slice().reverse()].map(({ x, y }) => ({ x, y })),
+      head: this._pointAt([brow.upper[0], brow.lower[0]], 0.5),
+      tail: this._pointAt([brow.upper[last], brow.lower[last]], 0.5)
+    };
+  }
+
+  /**
+   * Build a single hair stroke at a position along the brow
+   * @private
+   */
+  _buildHairStroke(brow, u, browHeight, settings, layerScale, random) {
+    const upper = this._pointAt(brow.upper, u);
+    const lower = this._pointAt(brow.lower, u);
+
+    // Local brow frame: "up" across the brow, "axis" from head to tail
+    const up = this._normalize({ x: upper.x - lower.x, y: upper.y - lower.y });
+    const ahead = this._pointAt(brow.upper, Math.min(1, u + 0.05));
+    const behind = this._pointAt(brow.upper, Math.max(0, u - 0.05));
+    const axis = this._normalize({ x: ahead.x - behind.x, y: ahead.y - behind.y });
+
+    // Start in the lower part of the brow; upper layers start higher
+    const v = 0.05 + random() * 0.45;
+    const start = {
+      x: lower.x + (upper.x - lower.x) * v,
+      y: lower.y + (upper.y - lower.y) * v
+    };
+
+    // Growth direction: straight up at the head, fanning toward the tail
+    const fan = this._smoothstep(0.1, 0.85, u);
+    let direction = this._normalize({
+      x: up.x * (1 - fan) + axis.x * fan,
+      y: up.y * (1 - fan) + axis.y * fan
+    });
+
+    // Past the arch, hairs from the top of the brow lie down toward the tail
+    if (u > 0.6 && v > 0.3) {
+      direction = this._normalize({
+        x: direction.x - up.x * 0.25,
+        y: direction.y - up.y * 0.25
+      });
+    }
+
+    const length = browHeight * settings.length * layerScale * (0.8 + random() * 0.4) * (1 + 0.6 * fan);
+    const end = {
+      x: start.x + direction.x * length,
+      y: start.y + direction.y * length
+    };
+
+    // Bend toward the tail
+    let normal = { x: -direction.y, y: direction.x };
+    if (normal.x * axis.x + normal.y * axis.y < 0) {
+      normal = { x: -normal.x, y: -normal.y };
+    }
+
+    const bend = settings.curvature * length * 0.35 * (0.7 + random() * 0.6);
+    const control = {
+      x: (start.x + end.x) / 2 + normal.x * bend,
+      y: (start.y + end.y) / 2 + normal.y * bend
+    };
+
+    const pressure = layerScale * (0.85 + random() * 0.15);
+    const count = Math.max(3, settings.pointsPerStroke);
+    const points = [];
+
+    for (let i = 0; i < count; i++) {
+      const t = i / (count - 1);
+      const mt = 1 - t;
+      points.push({
+        x: mt * mt * start.x + 2 * mt * t * control.x + t * t * end.x,
+        y: mt * mt * start.y + 2 * mt * t * control.y + t * t * end.y,
+        pressure
+      });
+    }
+
+    return points;
+  }
+
+  /**
+   * Split a 10-point brow landmark group into upper and lower edges, head to tail
+   * The groups list the upper edge head to tail, then the lower edge tail to head.
+   * @private
+   */
+  _getBrowOutline(landmarks, side) {
+    const points = side === 'left' ? landmarks.browLeft : landmarks.browRight;
+    if (!points || points.length < 10) {
+      return null;
+    }
+
+    return {
+      upper: points.slice(0, 5),
+      lower: points.slice(5, 10).reverse()
+    };
+  }
+
+  /**
+   * Get the face midline from the symmetry references
+   * @private
+   */
+  _getMidline(landmarks) {
+    const refs = landmarks.symmetryReferences;
+    if (!refs || !refs.midForehead || !refs.midChin) {
+      return null;
+    }
+
+    return {
+      x1: refs.midForehead.x,
+      y1: refs.midForehead.y,
+      x2: refs.midChin.x,
+      y2: refs.midChin.y
+    };
+  }
+
+  /**
+   * Reflect a point across a line
+   * @private
+   */
+  _reflectPoint(point, line) {
+    const dx = line.x2 - line.x1;
+    const dy = line.y2 - line.y1;
+    const lenSq = dx * dx + dy * dy;
+    const t = ((point.x - line.x1) * dx + (point.y - line.y1) * dy) / lenSq;
+    const footX = line.x1 + t * dx;
+    const footY = line.y1 + t * dy;
+
+    return {
+      ...point,
+      x: 2 * footX - point.x,
+      y: 2 * footY - point.y
+    };
+  }
+
+  /**
+   * Point at fraction u along a polyline (by index, matching landmark spacing)
+   * @private
+   */
+  _pointAt(polyline, u) {
+    const position = Math.max(0, Math.min(1, u)) * (polyline.length - 1);
+    const index = Math.min(polyline.length - 2, Math.floor(position));
+    const t = position - index;
+    const a = polyline[index];
+    const b = polyline[index + 1];
+
+    return {
+      x: a.x + (b.x - a.x) * t,
+      y: a.y + (b.y - a.y) * t
+    };
+  }
+
+  /**
+   * Sample the brow centreline
+   * @private
+   */
+  _centerline(brow, samples) {
+    return Array.from({ length: samples + 1 }, (_, i) => {
+      const u = i / samples;
+      const upper = this._pointAt(brow.upper, u);
+      const lower = this._pointAt(brow.lower, u);
+      return { x: (upper.x + lower.x) / 2, y: (upper.y + lower.y) / 2 };
+    });
+  }
+
+  /**
+   * Average distance between the upper and lower edges
+   * @private
+   */
+  _averageHeight(brow) {
+    let total = 0;
+    const samples = 10;
+
+    for (let i = 0; i <= samples; i++) {
+      const upper = this._pointAt(brow.upper, i / samples);
+      const lower = this._pointAt(brow.lower, i / samples);
+      total += Math.sqrt(Math.pow(upper.x - lower.x, 2) + Math.pow(upper.y - lower.y, 2));
+    }
+
+    return total / (samples + 1);
+  }
+
+  /**
+   * Length of a polyline
+   * @private
+   */
+  _polylineLength(points) {
+    let length = 0;
+    for (let i = 1; i < points.length; i++) {
+      length += Math.sqrt(Math.pow(points[i].x - points[i - 1].x, 2) + Math.pow(points[i].y - points[i - 1].y, 2));
+    }
+    return length;
+  }
+
+  /**
+   * Normalize a vector
+   * @private
+   */
+  _normalize(vector) {
+    const length = Math.sqrt(vector.x * vector.x + vector.y * vector.y) || 1;
+    return { x: vector.x / length, y: vector.y / length };
+  }
+
+  /**
+   * Smooth 0..1 ramp between two edges
+   * @private
+   */
+  _smoothstep(edge0, edge1, value) {
+    const t = Math.max(0, Math.min(1, (value - edge0) / (edge1 - edge0)));
+    return t * t * (3 - 2 * t);
+  }
+}
+
+export default BlekkProBrowPatternGenerator;
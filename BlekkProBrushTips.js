@@ -0,0 +1,552 @@
+// BlekkPro Brush Tip Module
+// Tip shapes and grain textures for stamp brushes. Each is an alpha mask: a tip
+// is the footprint one dab leaves (a needle cluster or blade), a grain is a
+// tileable texture of how well skin takes pigment. Built-in masks are generated
+// on first use; studios can import their own from images.
+
+import createSeededRandom from './BlekkProSeededRandom';
+
+// Resolution of generated masks, in pixels
+const BUILT_IN_MASK_SIZE = 64;
+
+// Imported images are scaled down to fit this size
+const MAX_IMPORTED_MASK_SIZE = 128;
+
+// Tip used when a brush names a tip that isn't loaded
+const DEFAULT_TIP = 'needleCluster';
+
+class BlekkProBrushTips {
+  constructor() {
+    // Built-in tips and grains; masks are drawn by the generator on first use
+    this.masks = {
+      needleCluster: { name: 'Needle Cluster', kind: 'tip', builtIn: true, generator: '_generateNeedleCluster' },
+      needleRow: { name: 'Needle Row', kind: 'tip', builtIn: true, generator: '_generateNeedleRow' },
+      bladeFootprint: { name: 'Blade Footprint', kind: 'tip', builtIn: true, generator: '_generateBladeFootprint' },
+      pixelDot: { name: 'Pixel Dot', kind: 'tip', builtIn: true, generator: '_generatePixelDot' },
+      skinPore: { name: 'Skin Pore', kind: 'grain', builtIn: true, generator: '_generateSkinPore' },
+      powderGrain: { name: 'Powder Grain', kind: 'grain', builtIn: true, generator: '_generatePowderGrain' }
+    };
+
+    this.kinds = ['tip', 'grain'];
+
+    // Canvases built from masks, keyed by id and inversion
+    this.canvasCache = {};
+  }
+
+  /**
+   * Get the tips or grains available to stamp brushes
+   * @param {String} [kind] - 'tip' or 'grain' (defaults to both)
+   * @returns {Object} - {id: {name, kind, builtIn}}
+   */
+  getMasks(kind) {
+    const result = {};
+
+    Object.entries(this.masks).forEach(([id, mask]) => {
+      if (!kind || mask.kind === kind) {
+        result[id] = { name: mask.name, kind: mask.kind, builtIn: mask.builtIn };
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Check if a tip or grain is loaded
+   * @param {String} id - Mask identifier
+   * @param {String} [kind] - Kind it must be
+   * @returns {Boolean} - Whether it exists
+   */
+  hasMask(id, kind) {
+    const mask = this.masks[id];
+    return !!mask && (!kind || mask.kind === kind);
+  }
+
+  /**
+   * Check if an imported tip or grain holds exactly the given mask data
+   * @param {String} id - Mask identifier
+   * @param {Object} mask - {kind, width, height, alpha}, as for registerMask
+   * @returns {Boolean} - Whether they are the same
+   */
+  matchesMask(id, mask) {
+    const existing = this.masks[id];
+    if (!existing || existing.builtIn || !mask || mask.kind !== existing.kind ||
+        mask.width !== existing.width || mask.height !== existing.height) {
+      return false;
+    }
+
+    try {
+      const alpha = typeof mask.alpha === 'string' ? this._decodeAlpha(mask.alpha) : mask.alpha;
+      return alpha.length === existing.alpha.length && existing.alpha.every((value, i) => value === alpha[i]);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Get the tip a brush stamps with, falling back to the default tip
+   * @param {String} id - Tip identifier
+   * @returns {String} - Identifier of a loaded tip
+   */
+  resolveTip(id) {
+    return this.hasMask(id, 'tip') ? id : DEFAULT_TIP;
+  }
+
+  /**
+   * Add a tip or grain from mask data
+   * @param {String} id - Mask identifier
+   * @param {Object} mask - {name, kind, width, height, alpha}; alpha is an array of
+   *   0-255 values, row by row, or the same bytes as a base64 string
+   * @returns {Object} - Result with success status or error
+   */
+  registerMask(id, mask) {
+    const errors = this.validateMask(id, mask);
+    if (errors.length > 0) {
+      return {
+        success: false,
+        reason: 'invalid_mask',
+        message: errors.join('; ')
+      };
+    }
+
+    const alpha = typeof mask.alpha === 'string' ? this._decodeAlpha(mask.alpha) : Uint8ClampedArray.from(mask.alpha);
+
+    this.masks[id] = {
+      name: mask.name,
+      kind: mask.kind,
+      builtIn: false,
+      width: mask.width,
+      height: mask.height,
+      alpha
+    };
+    this._clearCache(id);
+
+    return {
+      success: true,
+      id
+    };
+  }
+
+  /**
+   * Add a tip or grain from an image
+   * Images with transparency use their alpha channel; opaque images such as
+   * scans of a needle footprint on paper use their darkness.
+   * @param {String} id - Mask identifier
+   * @param {CanvasImageSource} image - Decoded image, e.g. from createImageBitmap
+   * @param {Object} options - {name, kind}
+   * @returns {Object} - Result with success status or error
+   */
+  importImage(id, image, options = {}) {
+    const sourceWidth = image && (image.naturalWidth || image.width);
+    const sourceHeight = image && (image.naturalHeight || image.height);
+
+    if (!sourceWidth || !sourceHeight) {
+      return {
+        success: false,
+        reason: 'invalid_image',
+        message: 'Image could not be read'
+      };
+    }
+
+    const scale = Math.min(1, MAX_IMPORTED_MASK_SIZE / Math.max(sourceWidth, sourceHeight));
+    const width = Math.max(1, Math.round(sourceWidth * scale));
+    const height = Math.max(1, Math.round(sourceHeight * scale));
+    const canvas = this.createCanvas(width, height);
+
+    if (!canvas) {
+      return {
+        success: false,
+        reason: 'unsupported',
+        message: 'Images can only be imported in a browser'
+      };
+    }
+
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(image, 0, 0, width, height);
+    const pixels = ctx.getImageData(0, 0, width, height).data;
+
+    let transparent = false;
+    for (let i = 3; i < pixels.length; i += 4) {
+      if (pixels[i] < 255) {
+        transparent = true;
+        break;
+      }
+    }
+
+    const alpha = new Uint8ClampedArray(width * height);
+    for (let i = 0; i < alpha.length; i++) {
+      const r = pixels[i * 4];
+      const g = pixels[i * 4 + 1];
+      const b = pixels[i * 4 + 2];
+      alpha[i] = transparent ? pixels[i * 4 + 3] : 255 - Math.round(0.299 * r + 0.587 * g + 0.114 * b);
+    }
+
+    return this.registerMask(id, {
+      name: options.name || id,
+      kind: options.kind || 'tip',
+      width,
+      height,
+      alpha
+    });
+  }
+
+  /**
+   * Remove an imported tip or grain
+   * @param {String} id - Mask identifier
+   * @returns {Boolean} - Success status
+   */
+  deleteMask(id) {
+    const mask = this.masks[id];
+    if (!mask || mask.builtIn) {
+      return false;
+    }
+
+    delete this.masks[id];
+    this._clearCache(id);
+    return true;
+  }
+
+  /**
+   * Export imported tips and grains for a brush pack
+   * Built-in masks are skipped; every install generates its own.
+   * @param {Array} [ids] - Mask identifiers (defaults to all imported masks)
+   * @returns {Object} - {id: {name, kind, width, height, alpha}} with base64 alpha
+   */
+  exportMasks(ids) {
+    const result = {};
+
+    (ids || Object.keys(this.masks)).forEach(id => {
+      const mask = this.masks[id];
+      if (!mask || mask.builtIn) return;
+
+      result[id] = {
+        name: mask.name,
+        kind: mask.kind,
+        width: mask.width,
+        height: mask.height,
+        alpha: this._encodeAlpha(mask.alpha)
+      };
+    });
+
+    return result;
+  }
+
+  /**
+   * Validate mask data
+   * @param {String} id - Mask identifier
+   * @param {Object} mask - Mask data
+   * @returns {Array} - Error messages
+   */
+  validateMask(id, mask) {
+    const errors = [];
+    const isSize = (value) => Number.isInteger(value) && value >= 1 && value <= MAX_IMPORTED_MASK_SIZE;
+
+    if (!id || typeof id !== 'string') {
+      return ['mask id must be a non-empty string'];
+    }
+
+    if (!mask || typeof mask !== 'object') {
+      return [`${id}: mask must be an object`];
+    }
+
+    if (this.masks[id] && this.masks[id].builtIn) {
+      errors.push(`${id}: built-in masks can't be replaced`);
+    }
+
+    if (typeof mask.name !== 'string' || mask.name.trim() === '' || mask.name.length > 64) {
+      errors.push(`${id}: name must be a non-empty string of at most 64 characters`);
+    }
+
+    if (!this.kinds.includes(mask.kind)) {
+      errors.push(`${id}: kind must be one of ${this.kinds.join(', ')}`);
+    }
+
+    if (!isSize(mask.width) || !isSize(mask.height)) {
+      errors.push(`${id}: width and height must be whole numbers between 1 and ${MAX_IMPORTED_MASK_SIZE}`);
+      return errors;
+    }
+
+    let length = -1;
+    if (typeof mask.alpha === 'string') {
+      try {
+        length = this._decodeAlpha(mask.alpha).length;
+      } catch (error) {
+        length = -1;
+      }
+    } else if (mask.alpha && typeof mask.alpha.length === 'number') {
+      length = mask.alpha.length;
+    }
+
+    if (length !== mask.width * mask.height) {
+      errors.push(`${id}: alpha must hold width × height values`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Get a mask as a white canvas with the mask as its alpha
+   * @param {String} id - Mask identifier
+   * @param {Boolean} [invert] - Use 255 - alpha, e.g. to cut away where a grain is empty
+   * @returns {HTMLCanvasElement|OffscreenCanvas|null} - Cached canvas, or null without canvas support
+   */
+  getCanvas(id, invert = false) {
+    const key = `${id}:${invert ? 'inverted' : 'normal'}`;
+    if (this.canvasCache[key]) {
+      return this.canvasCache[key];
+    }
+
+    const mask = this._getMaskData(id);
+    const canvas = mask && this.createCanvas(mask.width, mask.height);
+    if (!canvas) {
+      return null;
+    }
+
+    const ctx = canvas.getContext('2d');
+    const image = ctx.createImageData(mask.width, mask.height);
+
+    for (let i = 0; i < mask.alpha.length; i++) {
+      image.data[i * 4] = 255;
+      image.data[i * 4 + 1] = 255;
+      image.data[i * 4 + 2] = 255;
+      image.data[i * 4 + 3] = invert ? 255 - mask.alpha[i] : mask.alpha[i];
+    }
+
+    ctx.putImageData(image, 0, 0);
+    this.canvasCache[key] = canvas;
+    return canvas;
+  }
+
+  /**
+   * Create a canvas on the main thread or in a worker
+   * @param {Number} width - Width in pixels
+   * @param {Number} height - Height in pixels
+   * @returns {HTMLCanvasElement|OffscreenCanvas|null} - Canvas, or null without canvas support
+   */
+  createCanvas(width, height) {
+    // Prefer DOM canvases where there is a document; only they can be serialized with toDataURL
+    if (typeof document !== 'undefined') {
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      return canvas;
+    }
+
+    if (typeof OffscreenCanvas !== 'undefined') {
+      return new OffscreenCanvas(width, height);
+    }
+
+    return null;
+  }
+
+  /**
+   * Get a mask's data, generating built-in masks on first use
+   * @private
+   */
+  _getMaskData(id) {
+    const mask = this.masks[id];
+    if (!mask) {
+      return null;
+    }
+
+    if (!mask.alpha && mask.generator) {
+      mask.width = BUILT_IN_MASK_SIZE;
+      mask.height = BUILT_IN_MASK_SIZE;
+      mask.alpha = this[mask.generator](BUILT_IN_MASK_SIZE);
+    }
+
+    return mask;
+  }
+
+  /**
+   * Drop cached canvases for a mask
+   * @private
+   */
+  _clearCache(id) {
+    delete this.canvasCache[`${id}:normal`];
+    delete this.canvasCache[`${id}:inverted`];
+  }
+
+  /**
+   * Seven needles packed in a round grouping, like a 7RS cartridge
+   * @private
+   */
+  _generateNeedleCluster(size) {
+    const pitch = size * 0.26;
+    const needles = [{ x: 0, y: 0 }];
+
+    for (let i = 0; i < 6; i++) {
+      const angle = (i * Math.PI) / 3;
+      needles.push({ x: Math.cos(angle) * pitch, y: Math.sin(angle) * pitch });
+    }
+
+    return this._drawNeedles(size, needles, size * 0.13, 0.5);
+  }
+
+  /**
+   * Needles in a straight row, like a flat or magnum cartridge
+   * @private
+   */
+  _generateNeedleRow(size) {
+    const count = 7;
+    const pitch = size / (count + 1);
+    const needles = Array.from({ length: count }, (_, i) => ({ x: 0, y: (i - (count - 1) / 2) * pitch }));
+
+    return this._drawNeedles(size, needles, pitch * 0.55, 0.4);
+  }
+
+  /**
+   * Fine needles along a slanted line, the cut a slope blade leaves
+   * @private
+   */
+  _generateBladeFootprint(size) {
+    const count = 14;
+    const slope = Math.PI / 6;
+    const length = size * 0.85;
+    const needles = Array.from({ length: count }, (_, i) => {
+      const along = (i / (count - 1) - 0.5) * length;
+      return { x: Math.sin(slope) * along, y: Math.cos(slope) * along };
+    });
+
+    return this._drawNeedles(size, needles, size * 0.04, 0.3);
+  }
+
+  /**
+   * One crisp dot, a single needle touch for pixel shading
+   * @private
+   */
+  _generatePixelDot(size) {
+    return this._drawNeedles(size, [{ x: 0, y: 0 }], size * 0.4, 0.15);
+  }
+
+  /**
+   * Mostly even skin with scattered pores that take less pigment
+   * @private
+   */
+  _generateSkinPore(size) {
+    const random = createSeededRandom(7);
+    const alpha = this._generateNoise(size, 8, random, 0.75, 1);
+
+    for (let pore = 0; pore < 24; pore++) {
+      const cx = random() * size;
+      const cy = random() * size;
+      const radius = 1 + random() * 2.5;
+
+      this._forEachWrapped(size, cx, cy, radius, (index, distance) => {
+        const depth = 1 - distance / radius;
+        alpha[index] = Math.round(alpha[index] * (1 - depth * 0.8));
+      });
+    }
+
+    return alpha;
+  }
+
+  /**
+   * Fine speckle, for powder work that builds up dot by dot
+   * @private
+   */
+  _generatePowderGrain(size) {
+    const random = createSeededRandom(11);
+    const coarse = this._generateNoise(size, 16, random, 0.55, 1);
+
+    return coarse.map(value => Math.round(value * (0.6 + random() * 0.4)));
+  }
+
+  /**
+   * Draw soft-edged needle dots centred in a square mask
+   * @private
+   */
+  _drawNeedles(size, needles, radius, softness) {
+    const alpha = new Uint8ClampedArray(size * size);
+    const center = size / 2;
+    const inner = radius * (1 - softness);
+
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        let value = 0;
+
+        needles.forEach(needle => {
+          const distance = Math.sqrt(Math.pow(x + 0.5 - center - needle.x, 2) + Math.pow(y + 0.5 - center - needle.y, 2));
+          const coverage = distance <= inner ? 1 : Math.max(0, 1 - (distance - inner) / (radius - inner || 1));
+          value = Math.max(value, coverage);
+        });
+
+        alpha[y * size + x] = Math.round(value * 255);
+      }
+    }
+
+    return alpha;
+  }
+
+  /**
+   * Tileable value noise between two levels
+   * @private
+   */
+  _generateNoise(size, cells, random, min, max) {
+    const lattice = Array.from({ length: cells * cells }, () => random());
+    const at = (cx, cy) => lattice[((cy + cells) % cells) * cells + ((cx + cells) % cells)];
+    const smooth = (t) => t * t * (3 - 2 * t);
+    const alpha = new Uint8ClampedArray(size * size);
+
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        const gx = (x / size) * cells;
+        const gy = (y / size) * cells;
+        const x0 = Math.floor(gx);
+        const y0 = Math.floor(gy);
+        const tx = smooth(gx - x0);
+        const ty = smooth(gy - y0);
+        const top = at(x0, y0) + (at(x0 + 1, y0) - at(x0, y0)) * tx;
+        const bottom = at(x0, y0 + 1) + (at(x0 + 1, y0 + 1) - at(x0, y0 + 1)) * tx;
+        const value = top + (bottom - top) * ty;
+
+        alpha[y * size + x] = Math.round((min + (max - min) * value) * 255);
+      }
+    }
+
+    return alpha;
+  }
+
+  /**
+   * Visit pixels within a radius, wrapping at the edges so textures tile
+   * @private
+   */
+  _forEachWrapped(size, cx, cy, radius, callback) {
+    for (let y = Math.floor(cy - radius); y <= Math.ceil(cy + radius); y++) {
+      for (let x = Math.floor(cx - radius); x <= Math.ceil(cx + radius); x++) {
+        const distance = Math.sqrt(Math.pow(x + 0.5 - cx, 2) + Math.pow(y + 0.5 - cy, 2));
+        if (distance > radius) continue;
+
+        const wrappedX = ((x % size) + size) % size;
+        const wrappedY = ((y % size) + size) % size;
+        callback(wrappedY * size + wrappedX, distance);
+      }
+    }
+  }
+
+  /**
+   * Encode alpha bytes as base64
+   * @private
+   */
+  _encodeAlpha(alpha) {
+    let binary = '';
+    for (let i = 0; i < alpha.length; i++) {
+      binary += String.fromCharCode(alpha[i]);
+    }
+    return btoa(binary);
+  }
+
+  /**
+   * Decode base64 alpha bytes
+   * @private
+   */
+  _decodeAlpha(encoded) {
+    const binary = atob(encoded);
+    const alpha = new Uint8ClampedArray(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      alpha[i] = binary.charCodeAt(i);
+    }
+    return alpha;
+  }
+}
+
+export default BlekkProBrushTips;
@@ -0,0 +1,467 @@
+// BlekkPro Checkout Module
+// Takes a user from "Upgrade" to a paid plan. The payment provider is
+// pluggable: anything with createCheckoutSession, getSession,
+// cancelSubscription and verifyWebhook (plus onWebhook when it can deliver
+// events in the browser, as the mock does) can be dropped in. Only signed
+// webhook events change the plan; returning from checkout just reports on it.
+
+import BlekkProMockPaymentProvider from './BlekkProMockPaymentProvider';
+
+// Local storage key for the subscription, the checkout in progress and handled events
+const CHECKOUT_STORAGE_KEY = 'blekkpro.checkout';
+
+// Event ids remembered so redelivered webhooks are only applied once
+const MAX_PROCESSED_EVENTS = 100;
+
+class BlekkProCheckout {
+  /**
+   * @param {BlekkProEntitlements} entitlements - Entitlements the subscription unlocks
+   * @param {Object} [options] - {provider: payment provider (default mock), storage: Storage-like object,
+   *   receiveWebhooks: take events from the provider's onWebhook (default true)}
+   */
+  constructor(entitlements, options = {}) {
+    this.entitlements = entitlements;
+    this.provider = options.provider || new BlekkProMockPaymentProvider();
+    this.storage = options.storage !== undefined
+      ? options.storage
+      : (typeof window !== 'undefined' && window.localStorage ? window.localStorage : null);
+
+    // Subscription statuses and their display names
+    this.statuses = {
+      active: 'Active',
+      past_due: 'Payment past due',
+      cancelled: 'Cancelled'
+    };
+
+    this.subscription = null;
+    this.pendingSession = null;
+    this.processedEvents = [];
+
+    this.listeners = [];
+
+    this._load();
+
+    this.stopWebhooks = options.receiveWebhooks !== false && typeof this.provider.onWebhook === 'function'
+      ? this.provider.onWebhook((payload, signature) => this.handleWebhook(payload, signature))
+      : null;
+  }
+
+  /**
+   * Start checkout for a paid tier
+   * @param {String} tier - Tier id
+   * @param {Object} [options] - {successUrl, cancelUrl, customerId}; return URLs default to this page
+   * @returns {Promise<Object>} - Result with sessionId and the url to send the user to, or error
+   */
+  async startCheckout(tier, options = {}) {
+    const tiers = this.entitlements.getTiers();
+
+    if (!tiers[tier] || tier === 'free') {
+      return {
+        success: false,
+        reason: 'invalid_tier',
+        message: `Cannot check out for tier: ${tier}`
+      };
+    }
+
+    if (this.subscription && this.subscription.status !== 'cancelled') {
+      return {
+        success: false,
+        reason: 'subscription_active',
+        message: `You already have a ${tiers[this.subscription.tier].name} subscription`
+      };
+    }
+
+    const successUrl = options.successUrl || this._getReturnUrl('success');
+    const cancelUrl = options.cancelUrl || this._getReturnUrl('cancel');
+
+    if (!successUrl || !cancelUrl) {
+      return {
+        success: false,
+        reason: 'missing_return_url',
+        message: 'Checkout needs success and cancel URLs'
+      };
+    }
+
+    try {
+      const session = await this.provider.createCheckoutSession({
+        tier,
+        customerId: options.customerId || null,
+        successUrl,
+        cancelUrl
+      });
+
+      this.pendingSession = { id: session.id, tier };
+      this._changed();
+
+      return {
+        success: true,
+        sessionId: session.id,
+        url: session.url
+      };
+    } catch (error) {
+      console.error('Error creating checkout session:', error);
+      return {
+        success: false,
+        reason: 'provider_error',
+        message: 'Could not start checkout. Please try again.'
+      };
+    }
+  }
+
+  /**
+   * Handle the user coming back from checkout
+   * Call on page load with the query string. The plan changes when the
+   * provider's webhook arrives, so a successful return may still be pending.
+   * @param {String|URLSearchParams|Object} query - Query string, params or {checkout, session_id}
+   * @returns {Promise<Object|null>} - {success, status: 'active'|'pending', tier} or error; null if not a checkout return
+   */
+  async handleReturn(query) {
+    const params = this._parseQuery(query);
+    const outcome = params.checkout;
+
+    if (outcome !== 'success' && outcome !== 'cancel') {
+      return null;
+    }
+
+    const sessionId = params.session_id;
+
+    if (outcome === 'cancel') {
+      if (!sessionId || (this.pendingSession && this.pendingSession.id === sessionId)) {
+        this.pendingSession = null;
+        this._changed();
+      }
+
+      return {
+        success: false,
+        reason: 'checkout_cancelled',
+        message: 'Checkout was cancelled. You have not been charged.'
+      };
+    }
+
+    // Providers that deliver in the browser (the mock) catch up before we report
+    if (this.stopWebhooks && typeof this.provider.deliverWebhooks === 'function') {
+      try {
+        await this.provider.deliverWebhooks();
+      } catch (error) {
+        console.error('Error delivering webhooks:', error);
+        return {
+          success: false,
+          reason: 'provider_error',
+          message: 'Your payment could not be confirmed yet. Please reload in a moment.'
+        };
+      }
+    }
+
+    let session = null;
+    try {
+      session = sessionId ? await this.provider.getSession(sessionId) : null;
+    } catch (error) {
+      console.error('Error fetching checkout session:', error);
+    }
+
+    if (!session || session.status !== 'complete') {
+      return {
+        success: false,
+        reason: 'checkout_incomplete',
+        message: 'Checkout was not completed'
+      };
+    }
+
+    const active = !!this.subscription &&
+      this.subscription.id === session.subscriptionId &&
+      this.subscription.status !== 'cancelled';
+
+    return {
+      success: true,
+      status: active ? 'active' : 'pending',
+      tier: session.tier
+    };
+  }
+
+  /**
+   * Apply a signed webhook event from the payment provider
+   * Handles subscription.created, .renewed, .past_due and .cancelled. Events
+   * already seen, for an older subscription or older than the last applied
+   * are acknowledged but change nothing.
+   * @param {String} payload - Raw event body
+   * @param {String} signature - Provider's signature for the body
+   * @returns {Promise<Object>} - Result with success status, or error if the event was rejected
+   */
+  async handleWebhook(payload, signature) {
+    let event = null;
+    try {
+      event = await this.provider.verifyWebhook(payload, signature);
+    } catch (error) {
+      console.error('Error verifying webhook:', error);
+    }
+
+    if (!event) {
+      return {
+        success: false,
+        reason: 'invalid_signature',
+        message: 'Webhook signature did not match'
+      };
+    }
+
+    if (this.processedEvents.includes(event.id)) {
+      return { success: true, ignored: true };
+    }
+
+    const subscription = event.data && event.data.subscription;
+    const tiers = this.entitlements.getTiers();
+
+    if (!subscription || !subscription.id || !tiers[subscription.tier]) {
+      return {
+        success: false,
+        reason: 'invalid_event',
+        message: `Webhook event ${event.id} has no valid subscription`
+      };
+    }
+
+    const current = this.subscription;
+    const isCurrent = !!current && current.id === subscription.id;
+    const stale = (current && !isCurrent && event.type !== 'subscription.created') ||
+      (isCurrent && event.created < current.updatedAt);
+
+    let status = null;
+    switch (event.type) {
+      case 'subscription.created':
+      case 'subscription.renewed':
+        status = 'active';
+        break;
+      case 'subscription.past_due':
+        status = 'past_due';
+        break;
+      case 'subscription.cancelled':
+        status = 'cancelled';
+        break;
+      default:
+        break;
+    }
+
+    this._rememberEvent(event.id);
+
+    if (!status || stale) {
+      this._save();
+      return { success: true, ignored: true };
+    }
+
+    this.subscription = {
+      id: subscription.id,
+      tier: subscription.tier,
+      status,
+      currentPeriodEnd: subscription.currentPeriodEnd || null,
+      updatedAt: event.created
+    };
+
+    if (this.pendingSession && event.data.sessionId === this.pendingSession.id) {
+      this.pendingSession = null;
+    }
+
+    // Past due keeps the plan while the provider retries the payment; it
+    // sends subscription.cancelled if it gives up
+    this.entitlements.setTier(status === 'cancelled' ? 'free' : subscription.tier);
+    this._changed();
+
+    return {
+      success: true,
+      subscription: this.getSubscription()
+    };
+  }
+
+  /**
+   * Cancel the subscription at the provider
+   * The plan drops to Free when the provider's cancellation webhook arrives.
+   * @returns {Promise<Object>} - Result with success status or error
+   */
+  async cancelSubscription() {
+    if (!this.subscription || this.subscription.status === 'cancelled') {
+      return {
+        success: false,
+        reason: 'no_subscription',
+        message: 'There is no subscription to cancel'
+      };
+    }
+
+    try {
+      return await this.provider.cancelSubscription(this.subscription.id);
+    } catch (error) {
+      console.error('Error cancelling subscription:', error);
+      return {
+        success: false,
+        reason: 'provider_error',
+        message: 'Could not cancel the subscription. Please try again.'
+      };
+    }
+  }
+
+  /**
+   * Get the current subscription
+   * @returns {Object|null} - {id, tier, status, statusName, currentPeriodEnd (ISO date)} or null
+   */
+  getSubscription() {
+    if (!this.subscription) {
+      return null;
+    }
+
+    return {
+      id: this.subscription.id,
+      tier: this.subscription.tier,
+      status: this.subscription.status,
+      statusName: this.statuses[this.subscription.status],
+      currentPeriodEnd: this.subscription.currentPeriodEnd
+        ? new Date(this.subscription.currentPeriodEnd).toISOString()
+        : null
+    };
+  }
+
+  /**
+   * Get the checkout the user has started but that hasn't been confirmed
+   * @returns {Object|null} - {id, tier} or null
+   */
+  getPendingSession() {
+    return this.pendingSession ? { ...this.pendingSession } : null;
+  }
+
+  /**
+   * Be told whenever the subscription or pending checkout changes
+   * @param {Function} listener - Called with {subscription, pendingSession}
+   * @returns {Function} - Call to unsubscribe
+   */
+  subscribe(listener) {
+    if (typeof listener !== 'function') {
+      return () => {};
+    }
+
+    this.listeners.push(listener);
+
+    return () => {
+      this.listeners = this.listeners.filter(item => item !== listener);
+    };
+  }
+
+  /**
+   * Stop receiving webhooks and drop subscribers
+   */
+  dispose() {
+    if (this.stopWebhooks) {
+      this.stopWebhooks();
+      this.stopWebhooks = null;
+    }
+
+    this.listeners = [];
+  }
+
+  /**
+   * URL of this page with the checkout outcome in the query
+   * @private
+   */
+  _getReturnUrl(outcome) {
+    if (typeof window === 'undefined' || !window.location) {
+      return null;
+    }
+
+    return `${window.location.origin}${window.location.pathname}?checkout=${outcome}`;
+  }
+
+  /**
+   * Read checkout and session_id from a query string, URLSearchParams or object
+   * @private
+   */
+  _parseQuery(query) {
+    if (!query) {
+      return {};
+    }
+
+    if (typeof query === 'string' || query instanceof URLSearchParams) {
+      const params = new URLSearchParams(query);
+      return {
+        checkout: params.get('checkout'),
+        session_id: params.get('session_id')
+      };
+    }
+
+    return query;
+  }
+
+  /**
+   * Remember a handled event id, keeping the most recent
+   * @private
+   */
+  _rememberEvent(eventId) {
+    this.processedEvents.push(eventId);
+    if (this.processedEvents.length > MAX_PROCESSED_EVENTS) {
+      this.processedEvents = this.processedEvents.slice(-MAX_PROCESSED_EVENTS);
+    }
+  }
+
+  /**
+   * Save and tell subscribers
+   * @private
+   */
+  _changed() {
+    this._save();
+
+    const state = {
+      subscription: this.getSubscription(),
+      pendingSession: this.getPendingSession()
+    };
+
+    this.listeners.slice().forEach(listener => {
+      try {
+        listener(state);
+      } catch (error) {
+        console.error('Error in checkout listener:', error);
+      }
+    });
+  }
+
+  /**
+   * Restore the subscription, pending checkout and handled events
+   * @private
+   */
+  _load() {
+    if (!this.storage) return;
+
+    try {
+      const stored = this.storage.getItem(CHECKOUT_STORAGE_KEY);
+      if (!stored) return;
+
+      const data = JSON.parse(stored);
+
+      if (data.subscription && data.subscription.id && this.statuses[data.subscription.status]) {
+        this.subscription = { ...data.subscription };
+      }
+
+      if (data.pendingSession && data.pendingSession.id) {
+        this.pendingSession = { ...data.pendingSession };
+      }
+
+      if (Array.isArray(data.processedEvents)) {
+        this.processedEvents = data.processedEvents.slice(-MAX_PROCESSED_EVENTS);
+      }
+    } catch (error) {
+      console.error('Error loading checkout state:', error);
+    }
+  }
+
+  /**
+   * Write the subscription, pending checkout and handled events
+   * @private
+   */
+  _save() {
+    if (!this.storage) return;
+
+    try {
+      this.storage.setItem(CHECKOUT_STORAGE_KEY, JSON.stringify({
+        subscription: this.subscription,
+        pendingSession: this.pendingSession,
+        processedEvents: this.processedEvents
+      }));
+    } catch (error) {
+      console.error('Error saving checkout state:', error);
+    }
+  }
+}
+
+export default BlekkProCheckout;
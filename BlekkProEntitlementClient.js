@@ -0,0 +1,323 @@
+// BlekkPro Entitlement Client
+// Browser side of server-enforced plans. Fetches signed entitlement tokens
+// from the API and keeps them fresh, and sends everything that changes a plan
+// or costs money (checkout, trials, quota use, cloud projects) to the server
+// rather than deciding it here.
+
+import BlekkProEntitlements from './BlekkProEntitlements';
+import BlekkProEntitlementTokens from './BlekkProEntitlementTokens';
+
+// Refresh tokens this long before they expire
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+// Wait before trying again after a failed refresh
+const RETRY_DELAY_MS = 30 * 1000;
+
+class BlekkProEntitlementClient {
+  /**
+   * @param {Object} [options] - {baseUrl: API root (default '/api'), fetch, publicKey: token JWK (fetched if omitted)}
+   */
+  constructor(options = {}) {
+    this.baseUrl = options.baseUrl || '/api';
+    this.fetch = options.fetch || (typeof fetch !== 'undefined' ? fetch.bind(globalThis) : null);
+
+    this.tokens = new BlekkProEntitlementTokens({
+      publicKey: options.publicKey || (() => this._fetchPublicKey())
+    });
+
+    // Entitlements that only take their plan from verified tokens, and
+    // send quota use here
+    this.entitlements = new BlekkProEntitlements({
+      verifier: this.tokens,
+      authority: this
+    });
+
+    this.subscription = null;
+    this.publicKeyRequest = null;
+    this.refreshTimer = null;
+    this.listeners = [];
+  }
+
+  /**
+   * Fetch and apply a fresh entitlement token
+   * Repeats on its own before each token expires.
+   * @returns {Promise<Object>} - Result with success status or error
+   */
+  async refresh() {
+    const result = await this._request('POST', '/entitlements/token');
+    return result.success ? this._applyToken(result.token) : this._refreshFailed(result);
+  }
+
+  /**
+   * Record a use of a metered feature on the server
+   * @param {String} featureId - Feature identifier
+   * @param {Number} [amount] - Uses to record
+   * @returns {Promise<Object>} - Result with remaining uses, or error with upgradePrompt
+   */
+  async consume(featureId, amount = 1) {
+    const result = await this._request('POST', '/entitlements/consume', { featureId, amount });
+
+    if (result.token) {
+      await this._applyToken(result.token);
+    }
+
+    return result;
+  }
+
+  /**
+   * Get the server's grant to use a feature whose work is done here
+   * @param {String} featureId - Feature identifier
+   * @returns {Promise<Object>} - Result with the verified grant token, or error with upgradePrompt
+   */
+  async requestGrant(featureId) {
+    const result = await this._request('POST', '/entitlements/grant', { featureId });
+    if (!result.success) {
+      return result;
+    }
+
+    const claims = await this.tokens.verify(result.grant);
+    if (!claims || claims.grant !== featureId) {
+      return {
+        success: false,
+        reason: 'invalid_grant',
+        message: 'The server\'s permission for this could not be verified. Try again.'
+      };
+    }
+
+    return {
+      success: true,
+      grant: result.grant
+    };
+  }
+
+  /**
+   * Start a trial of a tier
+   * @param {String} tier - Tier id
+   * @returns {Promise<Object>} - Result with trial or error
+   */
+  async startTrial(tier) {
+    const result = await this._request('POST', '/entitlements/trial', { tier });
+
+    if (result.token) {
+      await this._applyToken(result.token);
+    }
+
+    return result;
+  }
+
+  /**
+   * Start checkout for a tier
+   * @param {String} tier - Tier id
+   * @returns {Promise<Object>} - Result with the url to send the user to, or error
+   */
+  async startCheckout(tier) {
+    const returnPath = typeof window !== 'undefined' ? window.location.pathname : '/';
+    return this._request('POST', '/checkout/session', { tier, returnPath });
+  }
+
+  /**
+   * Handle the user coming back from checkout
+   * @param {String} search - Page query string
+   * @returns {Promise<Object|null>} - {success, status: 'active'|'pending', tier} or error; null if not a checkout return
+   */
+  async handleReturn(search) {
+    const params = new URLSearchParams(search);
+    const checkout = params.get('checkout');
+
+    if (checkout !== 'success' && checkout !== 'cancel') {
+      return null;
+    }
+
+    const query = new URLSearchParams({ checkout, session_id: params.get('session_id') || '' });
+    const result = await this._request('GET', `/checkout/session?${query}`);
+
+    await this.refresh();
+    return result;
+  }
+
+  /**
+   * Cancel the subscription
+   * @returns {Promise<Object>} - Result with success status or error
+   */
+  async cancelSubscription() {
+    const result = await this._request('POST', '/checkout/cancel');
+    await this.refresh();
+    return result;
+  }
+
+  /**
+   * List the cloud projects
+   * @returns {Promise<Object>} - Result with projects [{id, name, updatedAt}] or error
+   */
+  async listProjects() {
+    return this._request('GET', '/projects');
+  }
+
+  /**
+   * Save a cloud project
+   * @param {String} name - Project name
+   * @param {String} data - Recording JSON
+   * @param {String} [id] - Project to overwrite
+   * @returns {Promise<Object>} - Result with project summary or error with upgradePrompt
+   */
+  async saveProject(name, data, id) {
+    return this._request('POST', '/projects', { id, name, data });
+  }
+
+  /**
+   * Open a cloud project
+   * @param {String} id - Project id
+   * @returns {Promise<Object>} - Result with project {id, name, updatedAt, data} or error
+   */
+  async loadProject(id) {
+    return this._request('GET', `/projects/${encodeURIComponent(id)}`);
+  }
+
+  /**
+   * Get the subscription from the latest token
+   * @returns {Object|null} - {id, tier, status, statusName, currentPeriodEnd} or null
+   */
+  getSubscription() {
+    return this.subscription ? { ...this.subscription } : null;
+  }
+
+  /**
+   * Be told whenever a new token arrives
+   * @param {Function} listener - Called with {subscription}
+   * @returns {Function} - Call to unsubscribe
+   */
+  subscribe(listener) {
+    if (typeof listener !== 'function') {
+      return () => {};
+    }
+
+    this.listeners.push(listener);
+
+    return () => {
+      this.listeners = this.listeners.filter(item => item !== listener);
+    };
+  }
+
+  /**
+   * Stop refreshing tokens and drop subscribers
+   */
+  dispose() {
+    if (this.refreshTimer) {
+      clearTimeout(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+
+    this.entitlements.dispose();
+    this.listeners = [];
+  }
+
+  /**
+   * Verify and apply a token, then schedule the next refresh
+   * @private
+   */
+  async _applyToken(token) {
+    const result = await this.entitlements.applyToken(token);
+    if (!result.success) {
+      return this._refreshFailed(result);
+    }
+
+    this.subscription = result.claims.subscription || null;
+    // The token's lifetime, not its exp, so the local clock's offset from the server's doesn't matter
+    const { exp, iat } = result.claims;
+    this._scheduleRefresh(typeof iat === 'number'
+      ? (exp - iat) * 1000 - REFRESH_MARGIN_MS
+      : exp * 1000 - REFRESH_MARGIN_MS - Date.now());
+
+    const state = { subscription: this.getSubscription() };
+    this.listeners.slice().forEach(listener => {
+      try {
+        listener(state);
+      } catch (error) {
+        console.error('Error in entitlement client listener:', error);
+      }
+    });
+
+    return { success: true };
+  }
+
+  /**
+   * Try again shortly after a failed refresh
+   * @private
+   */
+  _refreshFailed(result) {
+    console.error('Error refreshing entitlements:', result.message);
+    this._scheduleRefresh(RETRY_DELAY_MS);
+    return result;
+  }
+
+  /**
+   * Run refresh() after a delay
+   * @private
+   */
+  _scheduleRefresh(delay) {
+    if (this.refreshTimer) {
+      clearTimeout(this.refreshTimer);
+    }
+
+    this.refreshTimer = setTimeout(() => {
+      this.refreshTimer = null;
+      this.refresh();
+    }, Math.max(delay, 0));
+  }
+
+  /**
+   * Fetch the token public key from the server, once
+   * @private
+   */
+  async _fetchPublicKey() {
+    if (!this.publicKeyRequest) {
+      this.publicKeyRequest = this._request('GET', '/entitlements/public-key').then(result => {
+        if (!result.success) {
+          this.publicKeyRequest = null;
+          throw new Error(result.message);
+        }
+        return result.key;
+      });
+    }
+
+    return this.publicKeyRequest;
+  }
+
+  /**
+   * Call the API and parse its JSON result
+   * @private
+   */
+  async _request(method, path, body) {
+    if (!this.fetch) {
+      return this._networkError();
+    }
+
+    try {
+      const response = await this.fetch(`${this.baseUrl}${path}`, {
+        method,
+        credentials: 'same-origin',
+        headers: body ? { 'Content-Type': 'application/json' } : undefined,
+        body: body ? JSON.stringify(body) : undefined
+      });
+
+      return await response.json();
+    } catch (error) {
+      console.error(`Error calling ${path}:`, error);
+      return this._networkError();
+    }
+  }
+
+  /**
+   * Error for when the server can't be reached
+   * @private
+   */
+  _networkError() {
+    return {
+      success: false,
+      reason: 'network_error',
+      message: 'Could not reach the BlekkPro server. Check your connection.'
+    };
+  }
+}
+
+export default BlekkProEntitlementClient;
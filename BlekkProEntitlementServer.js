@@ -0,0 +1,657 @@
+// BlekkPro Entitlement Server
+// Server side of plans and paid operations, used by the API routes in
+// pages/api. Each customer's tier, trial, usage, subscription and cloud
+// projects live here. They change only through checkout webhooks and server
+// calls, and reach the browser as signed entitlement tokens. Accounts are kept
+// in one data file and each project's recording in a file of its own, all
+// written in the background. Node only.
+//
+// Until there are logins, a customer is the id in an anonymous cookie.
+// Once they pay, their account is tied to the payment provider's billing
+// customer: paying again as that billing customer after clearing cookies leads
+// back to the same account, with its plan, trials used, usage and projects.
+// Visitors who have never paid can still clear their cookies to get a fresh
+// trial and fresh monthly quotas.
+
+import fs from 'fs';
+import path from 'path';
+import { randomUUID, webcrypto } from 'crypto';
+import BlekkProEntitlements from './BlekkProEntitlements';
+import BlekkProEntitlementTokens from './BlekkProEntitlementTokens';
+import BlekkProCheckout from './BlekkProCheckout';
+import BlekkProMockPaymentProvider from './BlekkProMockPaymentProvider';
+import BlekkProAnalyticsStore from './BlekkProAnalyticsStore';
+
+// Where accounts are kept unless BLEKKPRO_DATA_FILE says otherwise
+const DEFAULT_DATA_FILE = path.join(process.cwd(), '.blekkpro', 'data.json');
+
+// Directory beside the data file that project recordings are kept in, one file each
+const PROJECTS_DIRECTORY = 'projects';
+
+// Cookie naming the customer; stands in for a login until accounts exist
+const CUSTOMER_COOKIE = 'blekkpro_customer';
+
+const MAX_PROJECTS = 50;
+
+// HTTP status for each error reason; anything else is a bad request
+const STATUS_BY_REASON = {
+  subscription_required: 403,
+  quota_exceeded: 403,
+  server_managed: 403,
+  invalid_signature: 401,
+  no_subscription: 404,
+  project_not_found: 404,
+  rate_limited: 429,
+  provider_error: 502,
+  server_error: 500
+};
+
+class BlekkProEntitlementServer {
+  /**
+   * @param {Object} [options] - {dataFile, projectsDir: where recordings are kept, provider: payment provider (the mock outside production),
+   *   privateKey and publicKey: token signing JWKs (default from the environment), now: clock returning ms,
+   *   analytics: BlekkProAnalyticsStore that upgrades are recorded in (default the shared one)}
+   */
+  constructor(options = {}) {
+    this.dataFile = options.dataFile || process.env.BLEKKPRO_DATA_FILE || DEFAULT_DATA_FILE;
+    this.now = options.now || (() => Date.now());
+    this.projectsDir = options.projectsDir || path.join(path.dirname(this.dataFile), PROJECTS_DIRECTORY);
+    this.analytics = options.analytics || BlekkProAnalyticsStore.getInstance();
+
+    // Accounts and project summaries; recordings are only read when a project is opened
+    this.data = { accounts: {}, projects: {}, provider: {}, billingCustomers: {}, aliases: {}, keys: null };
+    this.saving = null;
+    this.saveQueued = false;
+    this._load();
+
+    this.tokens = new BlekkProEntitlementTokens({
+      privateKey: options.privateKey || this._readKey('BLEKKPRO_TOKEN_PRIVATE_KEY'),
+      publicKey: options.publicKey || this._readKey('BLEKKPRO_TOKEN_PUBLIC_KEY'),
+      subtle: webcrypto.subtle,
+      now: this.now
+    });
+    this.keysReady = null;
+
+    // The mock grants plans without payment, so production must be given a real provider
+    if (!options.provider && process.env.NODE_ENV === 'production') {
+      throw new Error('A payment provider must be configured in production; the mock provider is for development only');
+    }
+
+    this.provider = options.provider || new BlekkProMockPaymentProvider({
+      storage: this._createStorage(this.data.provider),
+      subtle: webcrypto.subtle,
+      now: this.now
+    });
+
+    // Providers that deliver in-process (the mock) skip the webhook route
+    if (typeof this.provider.onWebhook === 'function') {
+      this.provider.onWebhook((payload, signature) => this.handleWebhook(payload, signature));
+    }
+
+    // Live entitlements and checkout per customer
+    this.accounts = new Map();
+  }
+
+  /**
+   * Shared instance for the API routes, kept across hot reloads in development
+   * @returns {BlekkProEntitlementServer}
+   */
+  static getInstance() {
+    if (!globalThis.blekkProEntitlementServer) {
+      globalThis.blekkProEntitlementServer = new BlekkProEntitlementServer();
+    }
+    return globalThis.blekkProEntitlementServer;
+  }
+
+  /**
+   * Get the customer a request is from, setting the cookie for new ones
+   * @param {IncomingMessage} req - API request
+   * @param {ServerResponse} res - API response
+   * @returns {String} - Customer id
+   */
+  identify(req, res) {
+    const cookies = {};
+    String(req.headers.cookie || '').split(';').forEach(cookie => {
+      const index = cookie.indexOf('=');
+      if (index > 0) {
+        // A malformed value is treated as missing, so the caller starts afresh
+        try {
+          cookies[cookie.slice(0, index).trim()] = decodeURIComponent(cookie.slice(index + 1).trim());
+        } catch (error) {
+          cookies[cookie.slice(0, index).trim()] = null;
+        }
+      }
+    });
+
+    const existing = cookies[CUSTOMER_COOKIE];
+    if (existing && /^[0-9a-f-]{36}$/.test(existing)) {
+      // Cookies that turned out to belong to a returning billing customer move to their account
+      const account = this.data.aliases[existing];
+      if (account) {
+        this._setCustomerCookie(res, account);
+        return account;
+      }
+      return existing;
+    }
+
+    const customerId = randomUUID();
+    this._setCustomerCookie(res, customerId);
+
+    return customerId;
+  }
+
+  /**
+   * Send a result as JSON, with an HTTP status from its error reason
+   * @param {ServerResponse} res - API response
+   * @param {Object} result - Result with success status
+   */
+  respond(res, result) {
+    const status = result.success === false ? (STATUS_BY_REASON[result.reason] || 400) : 200;
+    res.status(status).json(result);
+  }
+
+  /**
+   * Get the public key entitlement tokens are signed with
+   * @returns {Promise<Object>} - Public JWK
+   */
+  async getPublicKey() {
+    await this._ensureKeys();
+    return this.tokens.getPublicKey();
+  }
+
+  /**
+   * Sign a fresh entitlement token for a customer
+   * @param {String} customerId - Customer id
+   * @returns {Promise<Object>} - {success, token, expiresAt}
+   */
+  async issueToken(customerId) {
+    await this._ensureKeys();
+
+    const account = this._getAccount(customerId);
+    const { token, expiresAt } = await this.tokens.issue({
+      sub: customerId,
+      ...account.entitlements.getTokenClaims(),
+      subscription: account.checkout.getSubscription()
+    });
+
+    return {
+      success: true,
+      token,
+      expiresAt
+    };
+  }
+
+  /**
+   * Start a customer's 14-day trial of a tier
+   * @param {String} customerId - Customer id
+   * @param {String} tier - Tier id
+   * @returns {Promise<Object>} - Result with trial and new token, or error
+   */
+  async startTrial(customerId, tier) {
+    const result = this._getAccount(customerId).entitlements.startTrial(tier, { days: 14 });
+    return result.success ? { ...result, ...(await this.issueToken(customerId)) } : result;
+  }
+
+  /**
+   * Check a customer may use a feature
+   * Paid operations call this before doing any work.
+   * @param {String} customerId - Customer id
+   * @param {String} featureId - Feature identifier
+   * @returns {Object} - Result with success status, or the reason it is locked
+   */
+  authorize(customerId, featureId) {
+    const access = this._getAccount(customerId).entitlements.check(featureId);
+
+    if (!access.allowed) {
+      const { allowed, ...denied } = access;
+      return { success: false, ...denied };
+    }
+
+    return {
+      success: true,
+      remaining: access.remaining
+    };
+  }
+
+  /**
+   * Record a use of a metered feature against a customer's quota
+   * @param {String} customerId - Customer id
+   * @param {String} featureId - Feature identifier
+   * @param {Number} [amount] - Uses to record
+   * @returns {Promise<Object>} - Result with remaining uses and new token, or error
+   */
+  async consume(customerId, featureId, amount = 1) {
+    if (!Number.isInteger(amount) || amount < 1) {
+      return {
+        success: false,
+        reason: 'invalid_amount',
+        message: 'Amount must be a positive whole number'
+      };
+    }
+
+    const result = this._getAccount(customerId).entitlements.consume(featureId, amount);
+    if (!result.success) {
+      const { allowed, ...denied } = result;
+      return denied;
+    }
+
+    return { ...result, ...(await this.issueToken(customerId)) };
+  }
+
+  /**
+   * Sign a short-lived grant to use a feature whose work is done in the browser
+   * The browser must hold a grant before it builds something a plan pays for,
+   * such as a vector export, so the plan is decided here rather than there.
+   * @param {String} customerId - Customer id
+   * @param {String} featureId - Feature identifier
+   * @returns {Promise<Object>} - Result with grant token and expiresAt, or the reason it is locked
+   */
+  async grant(customerId, featureId) {
+    const access = this.authorize(customerId, featureId);
+    if (!access.success) {
+      return access;
+    }
+
+    await this._ensureKeys();
+    const { token, expiresAt } = await this.tokens.issue({ sub: customerId, grant: featureId });
+
+    return {
+      success: true,
+      grant: token,
+      expiresAt
+    };
+  }
+
+  /**
+   * Start checkout for a customer
+   * @param {String} customerId - Customer id
+   * @param {String} tier - Tier id
+   * @param {Object} urls - {successUrl, cancelUrl}
+   * @returns {Promise<Object>} - Result with sessionId and url, or error
+   */
+  async startCheckout(customerId, tier, urls) {
+    return this._getAccount(customerId).checkout.startCheckout(tier, { ...urls, customerId });
+  }
+
+  /**
+   * Report on a customer's return from checkout
+   * @param {String} customerId - Customer id
+   * @param {Object} query - {checkout, session_id}
+   * @returns {Promise<Object|null>} - Checkout return result, or null if not a return
+   */
+  async handleCheckoutReturn(customerId, query) {
+    // Anything the mock provider has queued arrives before we answer
+    if (typeof this.provider.deliverWebhooks === 'function') {
+      try {
+        await this.provider.deliverWebhooks();
+      } catch (error) {
+        console.error('Error delivering webhooks:', error);
+        return {
+          success: false,
+          reason: 'provider_error',
+          message: 'Your payment could not be confirmed yet. Please reload in a moment.'
+        };
+      }
+    }
+
+    // The checkout may have shown this to be a returning billing customer
+    return this._getAccount(this.data.aliases[customerId] || customerId).checkout.handleReturn(query);
+  }
+
+  /**
+   * Cancel a customer's subscription at the provider
+   * @param {String} customerId - Customer id
+   * @returns {Promise<Object>} - Result with success status or error
+   */
+  async cancelSubscription(customerId) {
+    return this._getAccount(customerId).checkout.cancelSubscription();
+  }
+
+  /**
+   * Apply a signed webhook event to the customer it is for
+   * @param {String} payload - Raw request body
+   * @param {String} signature - Provider's signature header
+   * @returns {Promise<Object>} - Result with success status or error
+   */
+  async handleWebhook(payload, signature) {
+    let event = null;
+    try {
+      event = await this.provider.verifyWebhook(payload, signature);
+    } catch (error) {
+      console.error('Error verifying webhook:', error);
+    }
+
+    if (!event) {
+      return {
+        success: false,
+        reason: 'invalid_signature',
+        message: 'Webhook signature did not match'
+      };
+    }
+
+    const subscription = event.data && event.data.subscription;
+    const customerId = subscription && subscription.customerId;
+
+    // Acknowledge events for customers we never sent to checkout, so they aren't retried forever
+    if (!customerId || !this.data.accounts[customerId]) {
+      return { success: true, ignored: true };
+    }
+
+    // A returning billing customer's events go to the account they already have
+    const accountId = this._linkBillingCustomer(customerId, subscription.billingCustomerId);
+    const result = await this._getAccount(accountId).checkout.handleWebhook(payload, signature);
+
+    // Only the provider's confirmation counts as an upgrade, once per event
+    if (result.success && !result.ignored && event.type === 'subscription.created') {
+      this.analytics.recordConversion(customerId, subscription.tier);
+    }
+
+    return result;
+  }
+
+  /**
+   * List a customer's cloud projects
+   * Saved projects stay readable after a plan lapses.
+   * @param {String} customerId - Customer id
+   * @returns {Object} - {success, projects: [{id, name, updatedAt}]}
+   */
+  listProjects(customerId) {
+    const projects = this.data.projects[customerId] || [];
+
+    return {
+      success: true,
+      projects: projects
+        .map(({ id, name, updatedAt }) => ({ id, name, updatedAt }))
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+    };
+  }
+
+  /**
+   * Get a customer's cloud project
+   * @param {String} customerId - Customer id
+   * @param {String} projectId - Project id
+   * @returns {Promise<Object>} - Result with project {id, name, updatedAt, data} or error
+   */
+  async getProject(customerId, projectId) {
+    // Only ids from the customer's own list ever become file names
+    const project = (this.data.projects[customerId] || []).find(item => item.id === projectId);
+
+    if (!project) {
+      return {
+        success: false,
+        reason: 'project_not_found',
+        message: `Project not found: ${projectId}`
+      };
+    }
+
+    try {
+      const data = await fs.promises.readFile(this._getProjectFile(customerId, project.id), 'utf8');
+      return {
+        success: true,
+        project: { ...project, data }
+      };
+    } catch (error) {
+      console.error('Error reading project:', error);
+      return {
+        success: false,
+        reason: 'server_error',
+        message: 'Could not open the project'
+      };
+    }
+  }
+
+  /**
+   * Save a cloud project, replacing the one with the same id
+   * @param {String} customerId - Customer id
+   * @param {Object} project - {id (to overwrite), name, data: recording JSON}
+   * @returns {Promise<Object>} - Result with project summary or error
+   */
+  async saveProject(customerId, project) {
+    const access = this.authorize(customerId, 'cloud_projects');
+    if (!access.success) {
+      return access;
+    }
+
+    if (!project || typeof project.name !== 'string' || !project.name.trim() || typeof project.data !== 'string') {
+      return {
+        success: false,
+        reason: 'invalid_project',
+        message: 'A project needs a name and data'
+      };
+    }
+
+    const projects = this.data.projects[customerId] || [];
+    const existing = project.id ? projects.find(item => item.id === project.id) : null;
+
+    if (!existing && projects.length >= MAX_PROJECTS) {
+      return {
+        success: false,
+        reason: 'project_limit',
+        message: `You can keep up to ${MAX_PROJECTS} cloud projects`
+      };
+    }
+
+    const saved = {
+      id: existing ? existing.id : randomUUID(),
+      name: project.name.trim().slice(0, 100),
+      updatedAt: new Date(this.now()).toISOString()
+    };
+
+    try {
+      await this._writeFile(this._getProjectFile(customerId, saved.id), project.data);
+    } catch (error) {
+      console.error('Error saving project:', error);
+      return {
+        success: false,
+        reason: 'server_error',
+        message: 'Could not save the project'
+      };
+    }
+
+    // The list may have changed while the recording was written
+    const current = this.data.projects[customerId] || [];
+    this.data.projects[customerId] = current.some(item => item.id === saved.id)
+      ? current.map(item => (item.id === saved.id ? saved : item))
+      : [...current, saved];
+    await this._save();
+
+    return {
+      success: true,
+      project: { ...saved }
+    };
+  }
+
+  /**
+   * Tie a customer to their billing customer, or to the account that billing
+   * customer already has if they come back with a new cookie; returns the
+   * customer id of the account to use
+   * @private
+   */
+  _linkBillingCustomer(customerId, billingCustomerId) {
+    if (!billingCustomerId || typeof billingCustomerId !== 'string') {
+      return customerId;
+    }
+
+    const linked = this.data.billingCustomers[billingCustomerId];
+    if (linked === customerId) {
+      return customerId;
+    }
+
+    if (linked) {
+      this.data.aliases[customerId] = linked;
+    } else {
+      this.data.billingCustomers[billingCustomerId] = customerId;
+    }
+    this._save();
+
+    return linked || customerId;
+  }
+
+  /**
+   * Set the cookie naming the customer
+   * @private
+   */
+  _setCustomerCookie(res, customerId) {
+    const secure = process.env.NODE_ENV === 'production' ? '; Secure' : '';
+    res.setHeader(
+      'Set-Cookie',
+      `${CUSTOMER_COOKIE}=${customerId}; Path=/; HttpOnly; SameSite=Lax; Max-Age=31536000${secure}`
+    );
+  }
+
+  /**
+   * Live entitlements and checkout for a customer, stored in their account record
+   * @private
+   */
+  _getAccount(customerId) {
+    if (!this.accounts.has(customerId)) {
+      if (!this.data.accounts[customerId]) {
+        this.data.accounts[customerId] = {};
+      }
+
+      const storage = this._createStorage(this.data.accounts[customerId]);
+      const entitlements = new BlekkProEntitlements({ storage, now: this.now });
+      const checkout = new BlekkProCheckout(entitlements, {
+        provider: this.provider,
+        storage,
+        receiveWebhooks: false
+      });
+
+      this.accounts.set(customerId, { entitlements, checkout });
+    }
+
+    return this.accounts.get(customerId);
+  }
+
+  /**
+   * Storage-like view of one record in the data file
+   * @private
+   */
+  _createStorage(record) {
+    return {
+      getItem: key => (Object.prototype.hasOwnProperty.call(record, key) ? record[key] : null),
+      setItem: (key, value) => {
+        record[key] = value;
+        this._save();
+      }
+    };
+  }
+
+  /**
+   * Load the signing keys, or in development make and keep a pair
+   * @private
+   */
+  async _ensureKeys() {
+    if (this.tokens.privateKey && this.tokens.publicKey) {
+      return;
+    }
+
+    if (!this.keysReady) {
+      this.keysReady = (async () => {
+        if (process.env.NODE_ENV === 'production') {
+          throw new Error('BLEKKPRO_TOKEN_PRIVATE_KEY and BLEKKPRO_TOKEN_PUBLIC_KEY must be set in production');
+        }
+
+        if (this.data.keys) {
+          this.tokens.privateKey = this.data.keys.privateKey;
+          this.tokens.publicKey = this.data.keys.publicKey;
+          return;
+        }
+
+        console.warn('No entitlement token keys configured; generating a development key pair');
+        this.data.keys = await this.tokens.generateKeyPair();
+        this._save();
+      })();
+    }
+
+    return this.keysReady;
+  }
+
+  /**
+   * Parse a JWK from an environment variable
+   * @private
+   */
+  _readKey(name) {
+    if (!process.env[name]) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(process.env[name]);
+    } catch (error) {
+      console.error(`${name} is not a valid JWK:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Read the data file
+   * @private
+   */
+  _load() {
+    try {
+      if (!fs.existsSync(this.dataFile)) return;
+
+      const data = JSON.parse(fs.readFileSync(this.dataFile, 'utf8'));
+      this.data = {
+        accounts: data.accounts || {},
+        projects: data.projects || {},
+        provider: data.provider || {},
+        billingCustomers: data.billingCustomers || {},
+        aliases: data.aliases || {},
+        keys: data.keys || null
+      };
+    } catch (error) {
+      console.error('Error loading entitlement data:', error);
+    }
+  }
+
+  /**
+   * Write the data file in the background
+   * Changes made while a write is under way go out in one more write after it.
+   * @private
+   */
+  _save() {
+    if (this.saving) {
+      this.saveQueued = true;
+      return this.saving;
+    }
+
+    this.saving = (async () => {
+      try {
+        do {
+          this.saveQueued = false;
+          await this._writeFile(this.dataFile, JSON.stringify(this.data));
+        } while (this.saveQueued);
+      } catch (error) {
+        console.error('Error saving entitlement data:', error);
+      } finally {
+        this.saving = null;
+      }
+    })();
+
+    return this.saving;
+  }
+
+  /**
+   * Path of a project's recording
+   * @private
+   */
+  _getProjectFile(customerId, projectId) {
+    return path.join(this.projectsDir, customerId, `${projectId}.json`);
+  }
+
+  /**
+   * Write a file, replacing it in one step
+   * @private
+   */
+  async _writeFile(file, contents) {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+
+    const temporary = `${file}.${randomUUID()}.tmp`;
+    await fs.promises.writeFile(temporary, contents);
+    await fs.promises.rename(temporary, file);
+  }
+}
+
+export default BlekkProEntitlementServer;
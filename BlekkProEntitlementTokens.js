@@ -0,0 +1,205 @@
+// BlekkPro Entitlement Tokens Module
+// Short-lived, signed statements of what a customer's plan allows. The server
+// signs them with its private key (ES256); the browser checks them with the
+// public key, so a plan edited in devtools or local storage is never trusted.
+// Uses Web Crypto, so the same code runs in the browser and in Node.
+
+// How long a token is good for, in seconds
+const TOKEN_TTL_SECONDS = 300;
+
+// How far the verifier's clock may be ahead of the server's, in seconds
+const CLOCK_LEEWAY_SECONDS = 120;
+
+const KEY_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+const SIGN_ALGORITHM = { name: 'ECDSA', hash: 'SHA-256' };
+
+class BlekkProEntitlementTokens {
+  /**
+   * @param {Object} [options] - {privateKey: JWK (server only), publicKey: JWK or async function returning one,
+   *   ttl: seconds, leeway: seconds of clock skew allowed when checking expiry, subtle: SubtleCrypto, now: clock returning ms}
+   */
+  constructor(options = {}) {
+    this.privateKey = options.privateKey || null;
+    this.publicKey = options.publicKey || null;
+    this.ttl = options.ttl || TOKEN_TTL_SECONDS;
+    this.leeway = options.leeway !== undefined ? options.leeway : CLOCK_LEEWAY_SECONDS;
+    this.subtle = options.subtle || (typeof crypto !== 'undefined' && crypto.subtle ? crypto.subtle : null);
+    this.now = options.now || (() => Date.now());
+
+    // Imported CryptoKeys by use
+    this.keys = {};
+  }
+
+  /**
+   * Generate a new signing key pair and use it
+   * @returns {Promise<Object>} - {privateKey, publicKey} as JWKs
+   */
+  async generateKeyPair() {
+    const pair = await this._getSubtle().generateKey(KEY_ALGORITHM, true, ['sign', 'verify']);
+
+    this.privateKey = await this._getSubtle().exportKey('jwk', pair.privateKey);
+    this.publicKey = await this._getSubtle().exportKey('jwk', pair.publicKey);
+    this.keys = {};
+
+    return {
+      privateKey: this.privateKey,
+      publicKey: this.publicKey
+    };
+  }
+
+  /**
+   * Get the public key tokens are checked with
+   * @returns {Promise<Object>} - Public JWK
+   */
+  async getPublicKey() {
+    const key = typeof this.publicKey === 'function' ? await this.publicKey() : this.publicKey;
+    if (!key) {
+      throw new Error('No entitlement token public key');
+    }
+
+    const { kty, crv, x, y } = key;
+    return { kty, crv, x, y };
+  }
+
+  /**
+   * Sign claims into a token that expires after the TTL
+   * @param {Object} claims - JSON-serialisable claims
+   * @returns {Promise<Object>} - {token, expiresAt (ISO date)}
+   */
+  async issue(claims) {
+    const issuedAt = Math.floor(this.now() / 1000);
+    const payload = { ...claims, iat: issuedAt, exp: issuedAt + this.ttl };
+
+    const header = this._encodeJSON({ alg: 'ES256', typ: 'JWT' });
+    const body = this._encodeJSON(payload);
+    const signature = await this._getSubtle().sign(
+      SIGN_ALGORITHM,
+      await this._getKey('private'),
+      new TextEncoder().encode(`${header}.${body}`)
+    );
+
+    return {
+      token: `${header}.${body}.${this._encodeBytes(new Uint8Array(signature))}`,
+      expiresAt: new Date(payload.exp * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Check a token's signature and expiry
+   * @param {String} token - Token from issue()
+   * @returns {Promise<Object|null>} - Claims, or null if the token is forged, malformed or expired
+   */
+  async verify(token) {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 3) {
+      return null;
+    }
+
+    try {
+      const header = this._decodeJSON(parts[0]);
+      if (!header || header.alg !== 'ES256') {
+        return null;
+      }
+
+      const valid = await this._getSubtle().verify(
+        SIGN_ALGORITHM,
+        await this._getKey('public'),
+        this._decodeBytes(parts[2]),
+        new TextEncoder().encode(`${parts[0]}.${parts[1]}`)
+      );
+      if (!valid) {
+        return null;
+      }
+
+      const claims = this._decodeJSON(parts[1]);
+      if (!claims || typeof claims.exp !== 'number' || (claims.exp + this.leeway) * 1000 <= this.now()) {
+        return null;
+      }
+
+      return claims;
+    } catch (error) {
+      console.error('Error verifying entitlement token:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Web Crypto, or an error explaining it's missing
+   * @private
+   */
+  _getSubtle() {
+    if (!this.subtle) {
+      throw new Error('Web Crypto is not available for entitlement tokens');
+    }
+    return this.subtle;
+  }
+
+  /**
+   * Import the private or public key, once
+   * @private
+   */
+  async _getKey(kind) {
+    if (!this.keys[kind]) {
+      const jwk = kind === 'private' ? this.privateKey : await this.getPublicKey();
+      if (!jwk) {
+        throw new Error('No entitlement token private key');
+      }
+
+      this.keys[kind] = await this._getSubtle().importKey(
+        'jwk',
+        jwk,
+        KEY_ALGORITHM,
+        false,
+        [kind === 'private' ? 'sign' : 'verify']
+      );
+    }
+
+    return this.keys[kind];
+  }
+
+  /**
+   * Base64url-encode a JSON value
+   * @private
+   */
+  _encodeJSON(value) {
+    return this._encodeBytes(new TextEncoder().encode(JSON.stringify(value)));
+  }
+
+  /**
+   * Parse a base64url-encoded JSON value
+   * @private
+   */
+  _decodeJSON(text) {
+    return JSON.parse(new TextDecoder().decode(this._decodeBytes(text)));
+  }
+
+  /**
+   * Base64url-encode bytes
+   * @private
+   */
+  _encodeBytes(bytes) {
+    let binary = '';
+    bytes.forEach(byte => {
+      binary += String.fromCharCode(byte);
+    });
+
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  /**
+   * Decode base64url to bytes
+   * @private
+   */
+  _decodeBytes(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+}
+
+export default BlekkProEntitlementTokens;
@@ -0,0 +1,847 @@
+// BlekkPro Entitlements Module
+// The single place that decides what a user may do: subscription tiers, trials,
+// monthly quotas and the upgrade prompts shown when something is locked.
+// Brushes, facial analysis, export and the dashboard all ask this module, and
+// anything that shows plan state can subscribe to be told when it changes.
+// The server runs the same rules; given a verifier, the browser takes its plan
+// only from the server's signed entitlement tokens.
+
+// Local storage key for the tier, trial and usage
+const ENTITLEMENTS_STORAGE_KEY = 'blekkpro.entitlements';
+
+// Longest timer browsers allow; later trial expiries are checked again when it fires
+const MAX_TIMER_DELAY = 2147483647;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class BlekkProEntitlements {
+  /**
+   * @param {Object} [options] - {storage: Storage-like object, now: clock returning ms,
+   *   verifier: BlekkProEntitlementTokens to trust only signed plans,
+   *   authority: object whose async consume(featureId, amount) records usage on the server}
+   */
+  constructor(options = {}) {
+    // Tiers and the tiers whose features they include
+    this.tiers = {
+      free: { name: 'Free', includes: [] },
+      pro: { name: 'Pro', includes: ['free'] },
+      studio: { name: 'Studio', includes: ['pro'] },
+      academy: { name: 'Academy', includes: ['pro'] }
+    };
+
+    // Every gated feature: the lowest tier that has it, optional monthly quotas
+    // per tier (tiers not listed are unlimited) and its upgrade prompt
+    this.features = {
+      basic_brushes: { name: 'Basic brushes', tier: 'free' },
+      shader_brushes: { name: 'Shader brushes', tier: 'free' },
+      liner_brushes: { name: 'Liner brushes', tier: 'free' },
+      powder_brow: { name: 'Powder brows', tier: 'free' },
+      specialized_brushes: { name: 'Specialized brushes', tier: 'pro' },
+      ombre_lip: { name: 'Ombre lips', tier: 'pro' },
+      microblade: { name: 'Microblading', tier: 'pro' },
+      shader3RS: {
+        name: '3RS Shader',
+        tier: 'pro',
+        prompt: {
+          title: 'Unlock 3RS Shader Brush',
+          message: 'Upgrade to BlekkPro Pro to access professional 3RS shader brushes for perfect brow shading.',
+          benefits: [
+            'Realistic 3-needle round shader simulation',
+            'Precise pigment distribution control',
+            'Professional-grade results'
+          ]
+        }
+      },
+      ombreLipOutline: {
+        name: 'Ombre Lip Outline',
+        tier: 'pro',
+        prompt: {
+          title: 'Unlock Ombre Lip Outline Tool',
+          message: 'Upgrade to BlekkPro Pro to access specialized ombre lip outline tools for perfect lip treatments.',
+          benefits: [
+            'Specialized lip outline brushes',
+            'Gradient and feathering controls',
+            'Realistic lip blush simulation'
+          ]
+        }
+      },
+      microbladeNatural: {
+        name: 'Microblade Natural',
+        tier: 'pro',
+        prompt: {
+          title: 'Unlock Natural Microblade Tool',
+          message: 'Upgrade to BlekkPro Pro to access natural microblade tools for realistic hair strokes.',
+          benefits: [
+            'Realistic hair stroke simulation',
+            'Natural-looking results',
+            'Advanced pressure sensitivity'
+          ]
+        }
+      },
+      lift: {
+        name: 'Lift tool',
+        tier: 'pro',
+        prompt: {
+          title: 'Unlock the Lift Tool',
+          message: 'Upgrade to BlekkPro Pro to preview corrections and removals on existing work.',
+          benefits: [
+            'Fade existing pigment the way saline and laser lifting do',
+            'Plan corrections before touching the client',
+            'Works on any design layer'
+          ]
+        }
+      },
+      pixelShading: {
+        name: 'Pixel Shading',
+        tier: 'pro',
+        prompt: {
+          title: 'Unlock Pixel Shading',
+          message: 'Upgrade to BlekkPro Pro to shade with single needle touches, dot by dot.',
+          benefits: [
+            'Textured stamp brush with skin grain',
+            'Spacing and size jitter like hand-placed dots',
+            'Soft, airy powder effects'
+          ]
+        }
+      },
+      whipShading: {
+        name: 'Whip Shading',
+        tier: 'pro',
+        prompt: {
+          title: 'Unlock Whip Shading',
+          message: 'Upgrade to BlekkPro Pro to preview pendulum whip shading.',
+          benefits: [
+            'Needle-row stamp that fades out at the flick',
+            'Builds gradients pass by pass',
+            'Tilt-aware for angled passes'
+          ]
+        }
+      },
+      needle_configuration: {
+        name: 'Needle configuration',
+        tier: 'pro',
+        prompt: {
+          title: 'Unlock Needle Configurations',
+          message: 'Upgrade to BlekkPro Pro to simulate real cartridges and microblading blades.',
+          benefits: [
+            'Round liner, shader, flat and magnum groupings',
+            'Nano needles and microblading blades',
+            'Compare configurations on the same design'
+          ]
+        }
+      },
+      custom_brush_tips: {
+        name: 'Custom brush tips',
+        tier: 'pro',
+        prompt: {
+          title: 'Unlock Custom Brush Tips',
+          message: 'Upgrade to BlekkPro Pro to import your own needle and blade footprints.',
+          benefits: [
+            'Stamp with a scan of your own cartridge or blade',
+            'Import grain textures for your clients\' skin types',
+            'Share tips with your team in brush packs'
+          ]
+        }
+      },
+      ai_analysis: {
+        name: 'AI face analysis',
+        tier: 'free',
+        quota: { free: 5, pro: 100 },
+        prompt: {
+          title: 'Unlock More AI Analyses',
+          message: 'You have used this month\'s AI face analyses. Upgrade for more.',
+          benefits: [
+            '100 analyses a month on Pro',
+            'Unlimited analyses on Studio and Academy',
+            'Symmetry guides for every client'
+          ]
+        }
+      },
+      cloud_projects: {
+        name: 'Cloud projects',
+        tier: 'pro',
+        prompt: {
+          title: 'Unlock Cloud Projects',
+          message: 'Upgrade to BlekkPro Pro to save designs to the cloud and open them on any device.',
+          benefits: [
+            'Save every stroke of a design, not just the picture',
+            'Pick up a design on your tablet or studio computer',
+            'Replay the time-lapse from a saved project'
+          ]
+        }
+      },
+      export_high_res: {
+        name: 'High-resolution export',
+        tier: 'pro',
+        prompt: {
+          title: 'Unlock High-Resolution Export',
+          message: 'Upgrade to BlekkPro Pro to export your designs in high resolution.',
+          benefits: [
+            'Professional-quality exports',
+            'Print-ready resolution',
+            'Lossless image quality'
+          ]
+        }
+      }
+    };
+
+    this.defaultPrompt = {
+      title: 'Unlock Pro Features',
+      message: 'Upgrade to BlekkPro Pro to access all professional features.',
+      benefits: [
+        'All specialized PMU brushes',
+        'Advanced customization options',
+        'High-resolution exports',
+        'Priority support'
+      ]
+    };
+
+    this.storage = options.storage !== undefined
+      ? options.storage
+      : (typeof window !== 'undefined' && window.localStorage ? window.localStorage : null);
+    this.now = options.now || (() => Date.now());
+    this.verifier = options.verifier || null;
+    this.authority = options.authority || null;
+
+    this.tier = 'free';
+    this.trial = null;
+    this.trialsUsed = [];
+    this.usage = { period: this._currentPeriod(), counts: {} };
+    this.tokenExpiresAt = null;
+
+    this.listeners = [];
+    this.expiryTimer = null;
+
+    this._load();
+    this._scheduleExpiry();
+  }
+
+  /**
+   * Get the subscription tiers
+   * @returns {Object} - {id: {name, includes}}
+   */
+  getTiers() {
+    const result = {};
+    Object.entries(this.tiers).forEach(([id, tier]) => {
+      result[id] = { name: tier.name, includes: tier.includes.slice() };
+    });
+    return result;
+  }
+
+  /**
+   * Get the tier the user is on right now, counting an active trial
+   * @returns {String} - Tier id
+   */
+  getTier() {
+    const trial = this.getTrial();
+    return trial ? trial.tier : this._getPaidTier();
+  }
+
+  /**
+   * Set the paid subscription tier
+   * @param {String} tier - Tier id
+   * @returns {Object} - Result with success status or error
+   */
+  setTier(tier) {
+    if (this.verifier) {
+      return this._serverManaged();
+    }
+
+    if (!this.tiers[tier]) {
+      return {
+        success: false,
+        reason: 'invalid_tier',
+        message: `Unknown subscription tier: ${tier}`
+      };
+    }
+
+    this.tier = tier;
+
+    // A trial of something the new tier already covers is over
+    if (this.trial && this._tierIncludes(tier, this.trial.tier)) {
+      this.trial = null;
+    }
+
+    this._changed();
+
+    return {
+      success: true,
+      tier: this.getTier()
+    };
+  }
+
+  /**
+   * Start a time-limited trial of a higher tier
+   * Each tier can be trialled once.
+   * @param {String} tier - Tier id
+   * @param {Object} [options] - {days: trial length (default 14), expiresAt: end date instead of days}
+   * @returns {Object} - Result with success status and trial or error
+   */
+  startTrial(tier, options = {}) {
+    if (this.verifier) {
+      return this._serverManaged();
+    }
+
+    if (!this.tiers[tier]) {
+      return {
+        success: false,
+        reason: 'invalid_tier',
+        message: `Unknown subscription tier: ${tier}`
+      };
+    }
+
+    if (this._tierIncludes(this.tier, tier)) {
+      return {
+        success: false,
+        reason: 'already_subscribed',
+        message: `Your plan already includes ${this.tiers[tier].name}`
+      };
+    }
+
+    if (this.trialsUsed.includes(tier)) {
+      return {
+        success: false,
+        reason: 'trial_used',
+        message: `The ${this.tiers[tier].name} trial has already been used`
+      };
+    }
+
+    const expiresAt = options.expiresAt !== undefined
+      ? new Date(options.expiresAt).getTime()
+      : this.now() + (options.days || 14) * DAY_MS;
+
+    if (isNaN(expiresAt) || expiresAt <= this.now()) {
+      return {
+        success: false,
+        reason: 'invalid_expiry',
+        message: 'Trial must end in the future'
+      };
+    }
+
+    this.trial = { tier, expiresAt };
+    this.trialsUsed.push(tier);
+    this._changed();
+
+    return {
+      success: true,
+      trial: this.getTrial()
+    };
+  }
+
+  /**
+   * End the current trial early
+   * @returns {Boolean} - Whether a trial was running
+   */
+  endTrial() {
+    if (!this.trial || this.verifier) {
+      return false;
+    }
+
+    this.trial = null;
+    this._changed();
+    return true;
+  }
+
+  /**
+   * Get the active trial
+   * @returns {Object|null} - {tier, expiresAt (ISO date), daysLeft} or null
+   */
+  getTrial() {
+    if (!this.trial || this.trial.expiresAt <= this.now() || this._isTokenExpired()) {
+      return null;
+    }
+
+    return {
+      tier: this.trial.tier,
+      expiresAt: new Date(this.trial.expiresAt).toISOString(),
+      daysLeft: Math.ceil((this.trial.expiresAt - this.now()) / DAY_MS)
+    };
+  }
+
+  /**
+   * Declare a gated feature
+   * @param {String} featureId - Feature identifier
+   * @param {Object} feature - {name, tier, quota: {tier: monthly limit}, prompt: {title, message, benefits}}
+   * @returns {Object} - Result with success status or error
+   */
+  registerFeature(featureId, feature) {
+    if (!featureId || !feature || !this.tiers[feature.tier]) {
+      return {
+        success: false,
+        reason: 'invalid_feature',
+        message: `Invalid feature: ${featureId}`
+      };
+    }
+
+    this.features[featureId] = { name: featureId, ...feature };
+    this._changed();
+
+    return {
+      success: true
+    };
+  }
+
+  /**
+   * Check whether the user may use a feature, including any quota left
+   * @param {String} featureId - Feature identifier
+   * @returns {Object} - {allowed, reason, message, requiredTier, remaining, upgradePrompt}
+   */
+  check(featureId) {
+    const feature = this.features[featureId];
+
+    if (!feature) {
+      return {
+        allowed: false,
+        reason: 'unknown_feature',
+        message: `Unknown feature: ${featureId}`
+      };
+    }
+
+    if (!this._activeTiers().some(tier => this._tierIncludes(tier, feature.tier))) {
+      const tierName = this.tiers[feature.tier].name;
+      return {
+        allowed: false,
+        reason: 'subscription_required',
+        message: `${feature.name} requires a ${tierName} subscription`,
+        requiredTier: feature.tier,
+        upgradePrompt: this.getUpgradePrompt(featureId)
+      };
+    }
+
+    const usage = this.getUsage(featureId);
+
+    if (usage.remaining !== null && usage.remaining <= 0) {
+      const requiredTier = this._findQuotaUpgrade(feature, usage.limit);
+      return {
+        allowed: false,
+        reason: 'quota_exceeded',
+        message: `${feature.name} limit reached (${usage.limit} a month)`,
+        requiredTier,
+        remaining: 0,
+        resetsAt: usage.resetsAt,
+        upgradePrompt: { ...this.getUpgradePrompt(featureId), requiredTier }
+      };
+    }
+
+    return {
+      allowed: true,
+      remaining: usage.remaining
+    };
+  }
+
+  /**
+   * Check whether the user may use a feature
+   * @param {String} featureId - Feature identifier
+   * @returns {Boolean} - Availability
+   */
+  can(featureId) {
+    return this.check(featureId).allowed;
+  }
+
+  /**
+   * Record a use of a metered feature
+   * Call this before the work, so a use the server refuses is never carried out.
+   * With an authority the server keeps the count, and a promise is returned.
+   * @param {String} featureId - Feature identifier
+   * @param {Number} [amount] - Uses to record
+   * @returns {Object|Promise<Object>} - Result with remaining uses (null if unlimited) or error
+   */
+  consume(featureId, amount = 1) {
+    if (this.authority) {
+      return this.authority.consume(featureId, amount);
+    }
+
+    const access = this.check(featureId);
+    if (!access.allowed) {
+      return { success: false, ...access };
+    }
+
+    this._rollUsagePeriod();
+    this.usage.counts[featureId] = (this.usage.counts[featureId] || 0) + amount;
+    this._changed();
+
+    return {
+      success: true,
+      remaining: this.getUsage(featureId).remaining
+    };
+  }
+
+  /**
+   * Get this month's use of a feature
+   * @param {String} featureId - Feature identifier
+   * @returns {Object} - {used, limit, remaining, resetsAt}; limit and remaining are null when unlimited
+   */
+  getUsage(featureId) {
+    this._rollUsagePeriod();
+
+    const used = this.usage.counts[featureId] || 0;
+    const limit = this._getQuotaLimit(this.features[featureId]);
+
+    return {
+      used,
+      limit,
+      remaining: limit === null ? null : Math.max(0, limit - used),
+      resetsAt: this._nextPeriodStart().toISOString()
+    };
+  }
+
+  /**
+   * Get the upgrade prompt for a feature
+   * @param {String} featureId - Feature identifier
+   * @returns {Object} - {title, message, benefits, requiredTier, featureId}
+   */
+  getUpgradePrompt(featureId) {
+    const feature = this.features[featureId];
+    const prompt = (feature && feature.prompt) || this.defaultPrompt;
+
+    return {
+      ...prompt,
+      benefits: prompt.benefits.slice(),
+      requiredTier: feature ? feature.tier : 'pro',
+      featureId: feature ? featureId : null
+    };
+  }
+
+  /**
+   * Get a snapshot of the user's entitlements
+   * @returns {Object} - {tier, tierName, paidTier, trial, features: {id: {allowed, remaining, limit}}}
+   */
+  getState() {
+    const features = {};
+
+    Object.keys(this.features).forEach(featureId => {
+      const access = this.check(featureId);
+      const usage = this.getUsage(featureId);
+      features[featureId] = {
+        allowed: access.allowed,
+        reason: access.reason,
+        used: usage.used,
+        limit: usage.limit,
+        remaining: usage.remaining
+      };
+    });
+
+    const tier = this.getTier();
+
+    return {
+      tier,
+      tierName: this.tiers[tier].name,
+      paidTier: this._getPaidTier(),
+      trial: this.getTrial(),
+      features
+    };
+  }
+
+  /**
+   * Get the plan state to sign into an entitlement token
+   * @returns {Object} - {tier, trial, trialsUsed, usage}
+   */
+  getTokenClaims() {
+    this._rollUsagePeriod();
+
+    return {
+      tier: this.tier,
+      trial: this.trial ? { ...this.trial } : null,
+      trialsUsed: this.trialsUsed.slice(),
+      usage: { period: this.usage.period, counts: { ...this.usage.counts } }
+    };
+  }
+
+  /**
+   * Take the plan from a signed entitlement token
+   * The plan falls back to Free when the token expires, so keep it fresh.
+   * @param {String} token - Token issued by the server
+   * @returns {Promise<Object>} - Result with the token's claims or error
+   */
+  async applyToken(token) {
+    if (!this.verifier) {
+      return {
+        success: false,
+        reason: 'no_verifier',
+        message: 'Entitlement tokens need a verifier'
+      };
+    }
+
+    const claims = await this.verifier.verify(token);
+
+    if (!claims || !this.tiers[claims.tier]) {
+      return {
+        success: false,
+        reason: 'invalid_token',
+        message: 'Entitlement token could not be verified'
+      };
+    }
+
+    this.tier = claims.tier;
+    this.trial = claims.trial && this.tiers[claims.trial.tier] && typeof claims.trial.expiresAt === 'number'
+      ? { tier: claims.trial.tier, expiresAt: claims.trial.expiresAt }
+      : null;
+    this.trialsUsed = Array.isArray(claims.trialsUsed) ? claims.trialsUsed.filter(tier => this.tiers[tier]) : [];
+    this.usage = claims.usage && typeof claims.usage.period === 'string' && claims.usage.counts
+      ? { period: claims.usage.period, counts: { ...claims.usage.counts } }
+      : { period: this._currentPeriod(), counts: {} };
+    // Timed from its lifetime rather than exp, so a skewed local clock doesn't cut it short
+    this.tokenExpiresAt = typeof claims.iat === 'number' && claims.exp > claims.iat
+      ? this.now() + (claims.exp - claims.iat) * 1000
+      : claims.exp * 1000;
+    this._changed();
+
+    return {
+      success: true,
+      claims
+    };
+  }
+
+  /**
+   * Be told whenever entitlements change: tier, trial start or expiry, or usage
+   * @param {Function} listener - Called with getState()
+   * @returns {Function} - Call to unsubscribe
+   */
+  subscribe(listener) {
+    if (typeof listener !== 'function') {
+      return () => {};
+    }
+
+    this.listeners.push(listener);
+
+    return () => {
+      this.listeners = this.listeners.filter(item => item !== listener);
+    };
+  }
+
+  /**
+   * Stop the expiry timer and drop subscribers
+   */
+  dispose() {
+    if (this.expiryTimer) {
+      clearTimeout(this.expiryTimer);
+      this.expiryTimer = null;
+    }
+
+    this.listeners = [];
+  }
+
+  /**
+   * Tiers in effect: the paid tier and any active trial
+   * @private
+   */
+  _activeTiers() {
+    const trial = this.getTrial();
+    return trial ? [this._getPaidTier(), trial.tier] : [this._getPaidTier()];
+  }
+
+  /**
+   * Paid tier in effect; Free once a signed plan has expired
+   * @private
+   */
+  _getPaidTier() {
+    return this._isTokenExpired() ? 'free' : this.tier;
+  }
+
+  /**
+   * Check if the plan comes from a token that is missing or out of date
+   * @private
+   */
+  _isTokenExpired() {
+    return !!this.verifier && !(this.tokenExpiresAt > this.now());
+  }
+
+  /**
+   * Error for plan changes that only the server may make
+   * @private
+   */
+  _serverManaged() {
+    return {
+      success: false,
+      reason: 'server_managed',
+      message: 'Your plan is managed by the BlekkPro server'
+    };
+  }
+
+  /**
+   * Check if a tier is, or includes, another tier
+   * @private
+   */
+  _tierIncludes(tier, other) {
+    if (tier === other) {
+      return true;
+    }
+
+    const definition = this.tiers[tier];
+    return !!definition && definition.includes.some(included => this._tierIncludes(included, other));
+  }
+
+  /**
+   * Monthly limit for a feature across the active tiers; null when unlimited
+   * @private
+   */
+  _getQuotaLimit(feature) {
+    if (!feature || !feature.quota) {
+      return null;
+    }
+
+    let limit = 0;
+
+    for (const tier of this._activeTiers()) {
+      const tierLimit = feature.quota[tier];
+      if (tierLimit === undefined) {
+        return null;
+      }
+      limit = Math.max(limit, tierLimit);
+    }
+
+    return limit;
+  }
+
+  /**
+   * First tier, in the order declared, with a higher monthly limit
+   * @private
+   */
+  _findQuotaUpgrade(feature, limit) {
+    return Object.keys(this.tiers).find(tier => {
+      const tierLimit = feature.quota[tier];
+      return tierLimit === undefined || tierLimit > limit;
+    }) || null;
+  }
+
+  /**
+   * Usage period key for the current month in UTC, e.g. '2026-03'
+   * UTC so the browser and server agree on the month wherever they are.
+   * @private
+   */
+  _currentPeriod() {
+    const date = new Date(this.now());
+    return `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+  }
+
+  /**
+   * Start of next month in UTC, when quotas reset
+   * @private
+   */
+  _nextPeriodStart() {
+    const date = new Date(this.now());
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+  }
+
+  /**
+   * Reset usage counts when a new month starts
+   * @private
+   */
+  _rollUsagePeriod() {
+    const period = this._currentPeriod();
+    if (this.usage.period !== period) {
+      this.usage = { period, counts: {} };
+    }
+  }
+
+  /**
+   * Save, reschedule the expiry timer and tell subscribers
+   * @private
+   */
+  _changed() {
+    this._save();
+    this._scheduleExpiry();
+
+    const state = this.getState();
+    this.listeners.slice().forEach(listener => {
+      try {
+        listener(state);
+      } catch (error) {
+        console.error('Error in entitlements listener:', error);
+      }
+    });
+  }
+
+  /**
+   * Tell subscribers when the trial or the signed plan runs out
+   * @private
+   */
+  _scheduleExpiry() {
+    if (this.expiryTimer) {
+      clearTimeout(this.expiryTimer);
+      this.expiryTimer = null;
+    }
+
+    const deadlines = [
+      this.trial ? this.trial.expiresAt : null,
+      this.verifier ? this.tokenExpiresAt : null
+    ].filter(deadline => deadline !== null && deadline > this.now());
+
+    if (deadlines.length === 0) return;
+
+    const deadline = Math.min(...deadlines);
+
+    this.expiryTimer = setTimeout(() => {
+      this.expiryTimer = null;
+
+      if (deadline <= this.now()) {
+        if (this.trial && this.trial.expiresAt <= this.now()) {
+          this.trial = null;
+        }
+        this._changed();
+      } else {
+        this._scheduleExpiry();
+      }
+    }, Math.min(deadline - this.now(), MAX_TIMER_DELAY));
+
+    // Don't keep a server process alive just to expire a trial
+    if (this.expiryTimer && typeof this.expiryTimer.unref === 'function') {
+      this.expiryTimer.unref();
+    }
+  }
+
+  /**
+   * Restore the tier, trial and usage from local storage
+   * A signed plan is never stored, so it can't be edited there.
+   * @private
+   */
+  _load() {
+    if (!this.storage || this.verifier) return;
+
+    try {
+      const stored = this.storage.getItem(ENTITLEMENTS_STORAGE_KEY);
+      if (!stored) return;
+
+      const data = JSON.parse(stored);
+
+      if (this.tiers[data.tier]) {
+        this.tier = data.tier;
+      }
+
+      if (data.trial && this.tiers[data.trial.tier] && typeof data.trial.expiresAt === 'number') {
+        this.trial = { tier: data.trial.tier, expiresAt: data.trial.expiresAt };
+      }
+
+      if (Array.isArray(data.trialsUsed)) {
+        this.trialsUsed = data.trialsUsed.filter(tier => this.tiers[tier]);
+      }
+
+      if (data.usage && typeof data.usage.period === 'string' && data.usage.counts && typeof data.usage.counts === 'object') {
+        this.usage = { period: data.usage.period, counts: { ...data.usage.counts } };
+      }
+    } catch (error) {
+      console.error('Error loading entitlements:', error);
+    }
+  }
+
+  /**
+   * Write the tier, trial and usage to local storage
+   * @private
+   */
+  _save() {
+    if (!this.storage || this.verifier) return;
+
+    try {
+      this.storage.setItem(ENTITLEMENTS_STORAGE_KEY, JSON.stringify({
+        tier: this.tier,
+        trial: this.trial,
+        trialsUsed: this.trialsUsed,
+        usage: this.usage
+      }));
+    } catch (error) {
+      console.error('Error saving entitlements:', error);
+    }
+  }
+}
+
+export default BlekkProEntitlements;
@@ -1,22 +1,65 @@
 // BlekkPro Optimized Facial Recognition Module for Next.js
 // This module uses TensorFlow.js with the lightweight MediaPipe FaceMesh model
 // Optimized for performance and minimal resource usage
+// Model files are served by the app itself (see scripts/fetch-model-assets.mjs)
+// and kept in the Cache API, so analysis works without internet access.
 
 import * as faceLandmarksDetection from '@tensorflow-models/face-landmarks-detection';
 import '@tensorflow/tfjs-backend-webgl';
 import '@tensorflow/tfjs-backend-cpu';
+import BlekkProEntitlements from './BlekkProEntitlements';
+import BlekkProLandmarkSmoother from './BlekkProLandmarkSmoother';
+import BlekkProBrowMapper from './BlekkProBrowMapper';
+import BlekkProLipMapper from './BlekkProLipMapper';
+import BlekkProSymmetryAnalyzer from './BlekkProSymmetryAnalyzer';
+import BlekkProModelFiles from './BlekkProModelFiles.json';
+
+// Default live tracking rate; detection is the expensive part, drawing is cheap
+const LIVE_TRACKING_FPS = 15;
+
+// Where the app serves model files unless told otherwise
+const DEFAULT_MODEL_BASE_PATH = process.env.NEXT_PUBLIC_BLEKKPRO_MODEL_PATH || '/models';
+
+// Cache API store for model files; bump when the files change
+const MODEL_CACHE_NAME = 'blekkpro-models-v1';
+
+// Files the MediaPipe solution loads from its solution path, shared with
+// scripts/fetch-model-assets.mjs
+const MEDIAPIPE_FACE_MESH_FILES = BlekkProModelFiles.mediapipeFaceMesh.files;
 
 class BlekkProFacialRecognition {
-  constructor() {
+  /**
+   * @param {BlekkProEntitlements} [entitlements] - Shared entitlements; a local one is created if omitted
+   * @param {Object} [options] - {modelBasePath: where model files are served (default '/models'),
+   *   runtimes: runtimes to try in order (default ['mediapipe', 'tfjs']), serviceWorker: path of the
+   *   model cache worker, or false to not register it}
+   */
+  constructor(entitlements, options = {}) {
     this.model = null;
     this.isModelLoaded = false;
-    this.isInitializing = false;
+    this.initializing = null;
+    this.runtime = null;
+    this.backend = null;
+
+    this.modelBasePath = (options.modelBasePath || DEFAULT_MODEL_BASE_PATH).replace(/\/+$/, '');
+    this.runtimes = options.runtimes || ['mediapipe', 'tfjs'];
+    this.serviceWorkerPath = options.serviceWorker !== undefined ? options.serviceWorker : '/blekkpro-model-sw.js';
+
     this.detectorConfig = {
-      runtime: 'mediapipe',
-      solutionPath: 'https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh',
       refineLandmarks: false, // Set to true only when needed for detailed lip/eye analysis
       maxFaces: 1 // Optimize for single face detection
     };
+
+    // Self-hosted model files for each runtime
+    this.modelPaths = {
+      mediapipe: `${this.modelBasePath}/face_mesh`,
+      tfjsDetector: `${this.modelBasePath}/tfjs/face_detection_short/model.json`,
+      tfjsLandmarks: `${this.modelBasePath}/tfjs/face_mesh/model.json`,
+      tfjsRefinedLandmarks: `${this.modelBasePath}/tfjs/attention_mesh/model.json`
+    };
+    
+    // AI analyses count against the user's monthly quota
+    this.entitlements = entitlements || new BlekkProEntitlements();
     
     // Key facial landmarks for PMU applications
     this.keyLandmarks = {
@@ -27,72 +70,257 @@ class BlekkProFacialRecognition {
       faceContour: [10, 338, 297, 332, 284, 251, 389, 356, 454, 323, 361, 288, 397, 365, 379, 378, 400, 377, 152, 148, 176, 149, 150, 136, 172, 58, 132, 93, 234, 127, 162, 21, 54, 103, 67, 109]
     };
     
-    // Symmetry reference points
+    // Symmetry reference points; eye centres come from the eye corners in mappingPoints
     this.symmetryPoints = {
       midForehead: 151,
       noseTip: 1,
       midChin: 199,
-      leftEyeCenter: 468,
-      rightEyeCenter: 473
+      faceEdgeLeft: 454,
+      faceEdgeRight: 234
+    };
+
+    // Brow and lip mapping reference points; left and right are the client's own
+    // Iris centres (468, 473) are only found with refineLandmarks.
+    this.mappingPoints = {
+      subnasale: 2,
+      noseWingLeft: 358,
+      noseWingRight: 129,
+      eyeInnerLeft: 362,
+      eyeInnerRight: 133,
+      eyeOuterLeft: 263,
+      eyeOuterRight: 33,
+      eyeTopLeft: 386,
+      eyeTopRight: 159,
+      eyeBottomLeft: 374,
+      eyeBottomRight: 145,
+      irisLeft: 473,
+      irisRight: 468
     };
+
+    this.browMapper = new BlekkProBrowMapper();
+    this.lipMapper = new BlekkProLipMapper();
+    this.symmetryAnalyzer = new BlekkProSymmetryAnalyzer();
+
+    // Live camera tracking, and the start still waiting on the camera or model
+    this.live = null;
+    this.liveStart = null;
+    this.listeners = [];
   }
 
   /**
    * Initialize the facial recognition model
-   * Uses progressive loading to minimize initial load time
+   * Model files are fetched cache-first from the app, then each runtime is
+   * tried in turn until one loads.
+   * @param {Object} [options] - {onProgress: called with {runtime, file, loaded, total, fromCache}}
+   * @returns {Promise<Object>} - {success, runtime, backend} or {success: false, error}
    */
-  async initialize() {
-    if (this.isModelLoaded || this.isInitializing) {
-      return this.isModelLoaded;
+  async initialize(options = {}) {
+    if (this.isModelLoaded) {
+      return { success: true, runtime: this.runtime, backend: this.backend };
     }
-    
-    this.isInitializing = true;
-    
-    try {
-      // Dynamically load TensorFlow.js backend based on device capability
-      const tf = await import('@tensorflow/tfjs');
-      
-      // Check if WebGL is available for acceleration
-      const webGLAvailable = await tf.backend().getGPGPUContext ? true : false;
-      
-      if (webGLAvailable) {
-        await tf.setBackend('webgl');
-        // Optimize WebGL for lower precision but faster computation
-        await tf.env().set('WEBGL_FORCE_F16_TEXTURES', true);
-        await tf.env().set('WEBGL_PACK', true);
-        console.log('Using WebGL backend for acceleration');
-      } else {
-        await tf.setBackend('cpu');
-        console.log('Using CPU backend');
+
+    if (!this.initializing) {
+      this.initializing = this._loadModel(options.onProgress).finally(() => {
+        this.initializing = null;
+      });
+    }
+
+    return this.initializing;
+  }
+
+  /**
+   * Try each runtime until one loads
+   * @private
+   */
+  async _loadModel(onProgress) {
+    this._registerModelServiceWorker();
+
+    const errors = [];
+
+    for (const runtime of this.runtimes) {
+      try {
+        const { model, backend } = runtime === 'tfjs'
+          ? await this._createTfjsDetector(onProgress)
+          : await this._createMediaPipeDetector(onProgress);
+
+        this.model = model;
+        this.runtime = runtime;
+        this.backend = backend;
+        this.isModelLoaded = true;
+
+        console.log(`Facial recognition running on ${runtime} (${backend})`);
+        return { success: true, runtime, backend };
+      } catch (error) {
+        console.warn(`Could not load the ${runtime} face mesh runtime:`, error);
+        errors.push(`${runtime}: ${error.message}`);
       }
-      
-      // Load the lightweight model
-      this.model = await faceLandmarksDetection.createDetector(
-        faceLandmarksDetection.SupportedModels.MediaPipeFaceMesh,
-        this.detectorConfig
-      );
-      
-      this.isModelLoaded = true;
-      this.isInitializing = false;
-      
-      return true;
-    } catch (error) {
-      console.error('Error initializing facial recognition:', error);
-      this.isInitializing = false;
-      return false;
     }
+
+    return {
+      success: false,
+      error: `No face mesh runtime could be loaded (${errors.join('; ')})`
+    };
+  }
+
+  /**
+   * MediaPipe runtime; its own WebAssembly build loads files from the solution path,
+   * which the model service worker answers from the cache
+   * @private
+   */
+  async _createMediaPipeDetector(onProgress) {
+    await this._cacheFiles(
+      'mediapipe',
+      MEDIAPIPE_FACE_MESH_FILES.map(file => `${this.modelPaths.mediapipe}/${file}`),
+      onProgress
+    );
+
+    const model = await faceLandmarksDetection.createDetector(
+      faceLandmarksDetection.SupportedModels.MediaPipeFaceMesh,
+      { ...this.detectorConfig, runtime: 'mediapipe', solutionPath: this.modelPaths.mediapipe }
+    );
+
+    return { model, backend: 'wasm' };
+  }
+
+  /**
+   * TensorFlow.js runtime on the fastest backend available, reading model files cache-first
+   * @private
+   */
+  async _createTfjsDetector(onProgress) {
+    const tf = await import('@tensorflow/tfjs');
+
+    if (await tf.setBackend('webgl')) {
+      // Optimize WebGL for lower precision but faster computation
+      tf.env().set('WEBGL_FORCE_F16_TEXTURES', true);
+      tf.env().set('WEBGL_PACK', true);
+    } else {
+      await tf.setBackend('cpu');
+    }
+    await tf.ready();
+
+    const landmarkPath = this.detectorConfig.refineLandmarks
+      ? this.modelPaths.tfjsRefinedLandmarks
+      : this.modelPaths.tfjsLandmarks;
+
+    await this._cacheFiles('tfjs', await this._listGraphModelFiles([this.modelPaths.tfjsDetector, landmarkPath]), onProgress);
+
+    const fetchFunc = (url, init) => this._cacheFirstFetch(url, init);
+    const model = await faceLandmarksDetection.createDetector(
+      faceLandmarksDetection.SupportedModels.MediaPipeFaceMesh,
+      {
+        ...this.detectorConfig,
+        runtime: 'tfjs',
+        detectorModelUrl: tf.io.http(this.modelPaths.tfjsDetector, { fetchFunc }),
+        landmarkModelUrl: tf.io.http(landmarkPath, { fetchFunc })
+      }
+    );
+
+    return { model, backend: tf.getBackend() };
+  }
+
+  /**
+   * A graph model's model.json and the weight shards it lists
+   * @private
+   */
+  async _listGraphModelFiles(modelUrls) {
+    const files = [];
+
+    for (const modelUrl of modelUrls) {
+      const response = await this._cacheFirstFetch(modelUrl);
+      if (!response.ok) {
+        throw new Error(`Model file missing: ${modelUrl} (${response.status})`);
+      }
+
+      const manifest = await response.json();
+      const directory = modelUrl.slice(0, modelUrl.lastIndexOf('/') + 1);
+
+      files.push(modelUrl);
+      (manifest.weightsManifest || []).forEach(group => {
+        group.paths.forEach(path => files.push(`${directory}${path}`));
+      });
+    }
+
+    return files;
+  }
+
+  /**
+   * Make sure every file is in the model cache, reporting progress
+   * @private
+   */
+  async _cacheFiles(runtime, urls, onProgress) {
+    for (let i = 0; i < urls.length; i++) {
+      const { response, fromCache } = await this._cacheFirstFetch(urls[i], undefined, true);
+      if (!response.ok) {
+        throw new Error(`Model file missing: ${urls[i]} (${response.status})`);
+      }
+
+      if (onProgress) {
+        onProgress({ runtime, file: urls[i], loaded: i + 1, total: urls.length, fromCache });
+      }
+    }
+  }
+
+  /**
+   * Answer from the model cache, fetching and storing on a miss
+   * Without the Cache API (e.g. plain http) files come straight from the network.
+   * @private
+   */
+  async _cacheFirstFetch(url, init, withSource = false) {
+    const request = typeof url === 'string' ? url : url.url;
+    let cache = null;
+
+    if (typeof caches !== 'undefined') {
+      try {
+        cache = await caches.open(MODEL_CACHE_NAME);
+        const cached = await cache.match(request);
+        if (cached) {
+          return withSource ? { response: cached, fromCache: true } : cached;
+        }
+      } catch (error) {
+        console.warn('Model cache unavailable:', error);
+        cache = null;
+      }
+    }
+
+    const response = await fetch(request, init);
+
+    if (cache && response.ok) {
+      try {
+        await cache.put(request, response.clone());
+      } catch (error) {
+        console.warn('Could not cache model file:', request, error);
+      }
+    }
+
+    return withSource ? { response, fromCache: false } : response;
+  }
+
+  /**
+   * Let the model service worker answer MediaPipe's own requests from the cache
+   * @private
+   */
+  _registerModelServiceWorker() {
+    if (!this.serviceWorkerPath || typeof navigator === 'undefined' || !navigator.serviceWorker) {
+      return;
+    }
+
+    const params = new URLSearchParams({ base: this.modelBasePath, cache: MODEL_CACHE_NAME });
+    navigator.serviceWorker.register(`${this.serviceWorkerPath}?${params}`).catch(error => {
+      console.warn('Could not register the model service worker:', error);
+    });
   }
 
   /**
    * Detect facial landmarks in an image
    * @param {HTMLImageElement|HTMLVideoElement|HTMLCanvasElement} input - Input image or video
+   * @param {Object} [options] - {staticImageMode: false for video frames, so tracking carries over (default true)}
    * @returns {Promise<Object>} - Detected facial landmarks and analysis
    */
-  async detectFace(input) {
+  async detectFace(input, options = {}) {
     if (!this.isModelLoaded) {
       const initialized = await this.initialize();
-      if (!initialized) {
-        return { success: false, error: 'Model initialization failed' };
+      if (!initialized.success) {
+        return { success: false, error: initialized.error };
       }
     }
     
@@ -100,7 +328,7 @@ class BlekkProFacialRecognition {
       // Perform detection with optimized settings
       const faces = await this.model.estimateFaces(input, {
         flipHorizontal: false,
-        staticImageMode: true // Set to false for video for better performance
+        staticImageMode: options.staticImageMode !== false
       });
       
       if (faces && faces.length > 0) {
@@ -109,13 +337,14 @@ class BlekkProFacialRecognition {
         // Extract and organize landmarks for PMU applications
         const landmarks = this.extractPMULandmarks(face);
         
-        // Calculate symmetry score
-        const symmetryScore = this.calculateSymmetryScore(landmarks);
+        // Measure symmetry feature by feature
+        const symmetry = this.analyzeSymmetry(landmarks);
         
         return {
           success: true,
           landmarks,
-          symmetryScore,
+          symmetry,
+          symmetryScore: symmetry.success ? symmetry.score : null,
           boundingBox: face.boundingBox,
           faceDetected: true
         };
@@ -134,6 +363,42 @@ class BlekkProFacialRecognition {
     }
   }
 
+  /**
+   * Analyse a client photo, counting it against the AI analysis quota
+   * The analysis is reserved (on the server, when the entitlements have one)
+   * before any detection runs, and nothing is analysed if it can't be. Use
+   * detectFace directly for work that isn't a client analysis, such as
+   * redrawing guides.
+   * @param {HTMLImageElement|HTMLVideoElement|HTMLCanvasElement} input - Input image or video
+   * @returns {Promise<Object>} - detectFace result, plus remaining analyses; or a quota error
+   */
+  async analyzeFace(input) {
+    const access = this.entitlements.check('ai_analysis');
+    if (!access.allowed) {
+      return {
+        success: false,
+        reason: access.reason,
+        error: access.message,
+        upgradePrompt: access.upgradePrompt
+      };
+    }
+    
+    const usage = await this.entitlements.consume('ai_analysis');
+    if (!usage.success) {
+      return {
+        success: false,
+        reason: usage.reason,
+        error: usage.message,
+        upgradePrompt: usage.upgradePrompt
+      };
+    }
+    
+    const result = await this.detectFace(input);
+    result.analysesRemaining = usage.remaining;
+    
+    return result;
+  }
+
   /**
    * Extract relevant landmarks for PMU applications
    * @param {Object} face - Face detection result
@@ -159,71 +424,39 @@ class BlekkProFacialRecognition {
         landmarks.symmetryReferences[name] = { x: point.x, y: point.y, z: point.z || 0 };
       }
     }
+
+    // Extract brow mapping reference points
+    landmarks.mappingReferences = {};
+    for (const [name, index] of Object.entries(this.mappingPoints)) {
+      const point = keypoints[index];
+      if (point) {
+        landmarks.mappingReferences[name] = { x: point.x, y: point.y, z: point.z || 0 };
+      }
+    }
     
     return landmarks;
   }
 
+  /**
+   * Measure facial symmetry feature by feature
+   * Reports brow height and length, eye-level tilt, lip-corner tilt and nose
+   * deviation, each with a confidence, and lists what couldn't be measured.
+   * @param {Object} landmarks - Extracted landmarks
+   * @param {Object} [options] - BlekkProSymmetryAnalyzer options
+   * @returns {Object} - Report {score, confidence, metrics, unavailable, pose, scale}, or error
+   */
+  analyzeSymmetry(landmarks, options = {}) {
+    return this.symmetryAnalyzer.analyze(landmarks, options);
+  }
+
   /**
    * Calculate symmetry score based on facial landmarks
    * @param {Object} landmarks - Extracted landmarks
-   * @returns {Number} - Symmetry score (0-100)
+   * @returns {Number|null} - Symmetry score (0-100), or null when nothing could be measured
    */
   calculateSymmetryScore(landmarks) {
-    try {
-      // Simple implementation for performance
-      // Calculate midline based on symmetry reference points
-      const refs = landmarks.symmetryReferences;
-      if (!refs.midForehead || !refs.noseTip || !refs.midChin) {
-        return 80; // Default fallback value
-      }
-      
-      // Calculate midline
-      const midline = {
-        x1: refs.midForehead.x,
-        y1: refs.midForehead.y,
-        x2: refs.midChin.x,
-        y2: refs.midChin.y
-      };
-      
-      // Calculate symmetry score based on distance of paired landmarks from midline
-      let totalDeviation = 0;
-      let pointCount = 0;
-      
-      // Compare left and right brow positions
-      if (landmarks.browLeft.length > 0 && landmarks.browRight.length > 0) {
-        const leftBrowCenter = this.calculateCentroid(landmarks.browLeft);
-        const rightBrowCenter = this.calculateCentroid(landmarks.browRight);
-        
-        const leftDist = this.distanceToLine(leftBrowCenter, midline);
-        const rightDist = this.distanceToLine(rightBrowCenter, midline);
-        
-        totalDeviation += Math.abs(leftDist - rightDist);
-        pointCount++;
-      }
-      
-      // Calculate lip symmetry
-      if (landmarks.lipOuter.length > 0) {
-        const lipCenter = this.calculateCentroid(landmarks.lipOuter);
-        const lipDeviation = this.distanceToLine(lipCenter, midline);
-        
-        totalDeviation += lipDeviation;
-        pointCount++;
-      }
-      
-      if (pointCount === 0) return 80; // Default fallback
-      
-      // Calculate average deviation and convert to score
-      const avgDeviation = totalDeviation / pointCount;
-      const maxDeviation = 20; // Maximum expected deviation in pixels
-      
-      // Convert deviation to score (0-100)
-      const score = Math.max(0, Math.min(100, 100 - (avgDeviation / maxDeviation * 100)));
-      
-      return Math.round(score);
-    } catch (error) {
-      console.error('Error calculating symmetry score:', error);
-      return 80; // Default fallback value
-    }
+    const report = this.analyzeSymmetry(landmarks);
+    return report.success ? report.score : null;
   }
 
   /**
@@ -359,14 +592,647 @@ class BlekkProFacialRecognition {
     }
   }
 
+  /**
+   * Draw symmetry guides into their own group of an SVG context
+   * @param {Object} landmarks - PMU landmarks
+   * @param {BlekkProSVGContext} svg - SVG context
+   * @returns {Boolean} - Success status
+   */
+  drawSymmetryGuideSVG(landmarks, svg) {
+    if (!svg) return false;
+    
+    svg.beginGroup({ id: 'guides' });
+    const success = this.drawSymmetryGuide(landmarks, svg.canvas);
+    svg.endGroup();
+    
+    return success;
+  }
+
+  /**
+   * Map the ideal brows from facial landmarks
+   * Finds the brow start, arch peak and tail end on each side, the ideal top
+   * and bottom lines and the brow head width, each with the construction
+   * lines that locate it, and compares the client's existing brow with the map.
+   * @param {Object} landmarks - PMU landmarks
+   * @param {Object} [options] - {method: 'nose_line' or 'golden_ratio', archThickness, tolerance}
+   * @returns {Object} - Result with left and right brow maps, or error
+   */
+  computeBrowMap(landmarks, options = {}) {
+    return this.browMapper.map(landmarks, options);
+  }
+
+  /**
+   * Draw the brow map over whatever the canvas already shows (e.g. the symmetry guide)
+   * @param {Object} landmarks - PMU landmarks
+   * @param {HTMLCanvasElement} canvas - Target canvas
+   * @param {Object} [options] - computeBrowMap options, plus construction: false to hide construction lines
+   * @returns {Boolean} - Success status
+   */
+  drawBrowMap(landmarks, canvas, options = {}) {
+    if (!landmarks || !canvas) return false;
+    
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return false;
+    
+    const result = this.computeBrowMap(landmarks, options);
+    if (!result.success) return false;
+    
+    try {
+      const drawLine = (from, to) => {
+        ctx.beginPath();
+        ctx.moveTo(from.x, from.y);
+        ctx.lineTo(to.x, to.y);
+        ctx.stroke();
+      };
+      
+      const drawPoint = (point, color) => {
+        ctx.beginPath();
+        ctx.arc(point.x, point.y, 3, 0, 2 * Math.PI);
+        ctx.fillStyle = color;
+        ctx.fill();
+      };
+      
+      ctx.save();
+      
+      [result.left, result.right].filter(Boolean).forEach(map => {
+        // Construction lines, each drawn once
+        if (options.construction !== false) {
+          const lines = new Set([
+            ...map.start.construction,
+            ...map.arch.construction,
+            ...map.tail.construction,
+            ...map.idealBottom.construction
+          ]);
+          
+          ctx.strokeStyle = 'rgba(0, 120, 255, 0.5)';
+          ctx.lineWidth = 1;
+          ctx.setLineDash([3, 3]);
+          lines.forEach(line => drawLine(line.from, line.to));
+          ctx.setLineDash([]);
+        }
+        
+        // Ideal brow shape
+        const outline = [...map.idealTop.points, ...map.idealBottom.points.slice(0, -1).reverse()];
+        ctx.beginPath();
+        ctx.moveTo(outline[0].x, outline[0].y);
+        outline.slice(1).forEach(point => ctx.lineTo(point.x, point.y));
+        ctx.closePath();
+        ctx.strokeStyle = 'rgba(255, 140, 0, 0.9)';
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
+        
+        // Start, arch peak and tail end
+        drawPoint(map.start.point, 'rgba(255, 140, 0, 0.9)');
+        drawPoint(map.arch.point, 'rgba(255, 140, 0, 0.9)');
+        drawPoint(map.tail.point, 'rgba(255, 140, 0, 0.9)');
+      });
+      
+      ctx.restore();
+      return true;
+    } catch (error) {
+      console.error('Error drawing brow map:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Draw the brow map into its own group of an SVG context
+   * @param {Object} landmarks - PMU landmarks
+   * @param {BlekkProSVGContext} svg - SVG context
+   * @param {Object} [options] - drawBrowMap options
+   * @returns {Boolean} - Success status
+   */
+  drawBrowMapSVG(landmarks, svg, options = {}) {
+    if (!svg) return false;
+    
+    svg.beginGroup({ id: 'brow-map' });
+    const success = this.drawBrowMap(landmarks, svg.canvas, options);
+    svg.endGroup();
+    
+    return success;
+  }
+
+  /**
+   * Measure the lips for a lip-blush consultation
+   * Compares the cupid's bow peaks, philtrum alignment, upper to lower lip
+   * volume and mouth corners, and suggests a corrected lip line that evens
+   * the lips out by overlining within options.maxOverlineMm of the natural border.
+   * @param {Object} landmarks - PMU landmarks
+   * @param {Object} [options] - BlekkProLipMapper options
+   * @returns {Object} - Lip map with measurements in mm, correctedLine and notes, or error
+   */
+  computeLipMap(landmarks, options = {}) {
+    return this.lipMapper.map(landmarks, options);
+  }
+
+  /**
+   * Move a point of the corrected lip line, e.g. while the artist drags it
+   * @param {Object} lipMap - Lip map from computeLipMap
+   * @param {Number} index - Point index
+   * @param {Object} point - New position {x, y}; kept within the overline limit
+   * @returns {Object} - Result with the updated lip map, or error
+   */
+  moveLipLinePoint(lipMap, index, point) {
+    return this.lipMapper.movePoint(lipMap, index, point);
+  }
+
+  /**
+   * Find the corrected lip line point under a position
+   * @param {Object} lipMap - Lip map from computeLipMap
+   * @param {Object} position - {x, y}
+   * @param {Number} [radius] - Hit radius in pixels
+   * @returns {Number} - Point index, or -1
+   */
+  findLipLinePoint(lipMap, position, radius) {
+    return this.lipMapper.findPoint(lipMap, position, radius);
+  }
+
+  /**
+   * Draw a lip map over whatever the canvas already shows
+   * Shows the natural border, the corrected line with drag handles, the
+   * philtrum, the bow peak heights and the mouth-corner line.
+   * @param {Object} lipMap - Lip map from computeLipMap
+   * @param {HTMLCanvasElement} canvas - Target canvas
+   * @param {Object} [options] - {handles: false to hide drag handles}
+   * @returns {Boolean} - Success status
+   */
+  drawLipMap(lipMap, canvas, options = {}) {
+    if (!lipMap || !lipMap.success || !canvas) return false;
+    
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return false;
+    
+    try {
+      const drawPath = (points, closed) => {
+        ctx.beginPath();
+        ctx.moveTo(points[0].x, points[0].y);
+        points.slice(1).forEach(point => ctx.lineTo(point.x, point.y));
+        if (closed) ctx.closePath();
+        ctx.stroke();
+      };
+      
+      ctx.save();
+      ctx.lineWidth = 1;
+      
+      // Philtrum and mouth-corner line
+      ctx.strokeStyle = 'rgba(0, 120, 255, 0.6)';
+      ctx.setLineDash([3, 3]);
+      if (lipMap.philtrum.top) {
+        drawPath([lipMap.philtrum.top, lipMap.philtrum.bottom]);
+      }
+      drawPath([lipMap.corners.right, lipMap.corners.left]);
+      
+      // Bow peak heights, level with each other when the bow is even
+      const { left, right } = lipMap.cupidsBow;
+      const { from, to } = lipMap.midline;
+      const midlineLength = Math.hypot(to.x - from.x, to.y - from.y) || 1;
+      const reach = Math.hypot(left.point.x - right.point.x, left.point.y - right.point.y) * 0.3 / midlineLength;
+      const across = { x: (to.y - from.y) * reach, y: (from.x - to.x) * reach };
+      [left, right].forEach(({ point }) => {
+        drawPath([
+          { x: point.x - across.x, y: point.y - across.y },
+          { x: point.x + across.x, y: point.y + across.y }
+        ]);
+      });
+      ctx.setLineDash([]);
+      
+      // Natural vermilion border
+      ctx.strokeStyle = 'rgba(255, 0, 128, 0.6)';
+      drawPath(lipMap.border, true);
+      
+      // Corrected lip line
+      ctx.strokeStyle = 'rgba(255, 140, 0, 0.9)';
+      ctx.lineWidth = 1.5;
+      ctx.setLineDash([5, 3]);
+      drawPath(lipMap.correctedLine.points, true);
+      ctx.setLineDash([]);
+      
+      if (options.handles !== false) {
+        lipMap.correctedLine.points.forEach(point => {
+          ctx.beginPath();
+          ctx.arc(point.x, point.y, 3, 0, 2 * Math.PI);
+          ctx.fillStyle = 'rgba(255, 140, 0, 0.9)';
+          ctx.fill();
+        });
+      }
+      
+      ctx.restore();
+      return true;
+    } catch (error) {
+      console.error('Error drawing lip map:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Draw a lip map into its own group of an SVG context
+   * @param {Object} lipMap - Lip map from computeLipMap
+   * @param {BlekkProSVGContext} svg - SVG context
+   * @returns {Boolean} - Success status
+   */
+  drawLipMapSVG(lipMap, svg) {
+    if (!svg) return false;
+    
+    svg.beginGroup({ id: 'lip-map' });
+    const success = this.drawLipMap(lipMap, svg.canvas, { handles: false });
+    svg.endGroup();
+    
+    return success;
+  }
+
+  /**
+   * Build mirrored-half composites of a photo for showing clients
+   * Each composite keeps one side of the face and mirrors it across the
+   * forehead-chin midline in place of the other: leftLeft is the client's
+   * left side twice, rightRight their right side twice.
+   * @param {HTMLImageElement|HTMLCanvasElement} image - Photo the landmarks were found in
+   * @param {Object} landmarks - PMU landmarks
+   * @param {Object} [options] - {createCanvas: function(width, height) for non-DOM environments}
+   * @returns {Object} - Result with leftLeft and rightRight canvases, or error
+   */
+  createMirroredHalves(image, landmarks, options = {}) {
+    const refs = landmarks && landmarks.symmetryReferences;
+    if (!image || !refs || !refs.midForehead || !refs.midChin) {
+      return {
+        success: false,
+        reason: 'missing_landmarks',
+        message: 'Forehead and chin landmarks are needed to mirror the face'
+      };
+    }
+    
+    const width = image.naturalWidth || image.width;
+    const height = image.naturalHeight || image.height;
+    const createCanvas = options.createCanvas || ((w, h) => {
+      const canvas = document.createElement('canvas');
+      canvas.width = w;
+      canvas.height = h;
+      return canvas;
+    });
+    
+    // Midline direction and the way across it to the client's left
+    const length = Math.hypot(refs.midChin.x - refs.midForehead.x, refs.midChin.y - refs.midForehead.y);
+    if (length === 0) {
+      return {
+        success: false,
+        reason: 'missing_landmarks',
+        message: 'Forehead and chin landmarks are needed to mirror the face'
+      };
+    }
+    
+    const ux = (refs.midChin.x - refs.midForehead.x) / length;
+    const uy = (refs.midChin.y - refs.midForehead.y) / length;
+    const origin = refs.midForehead;
+    
+    let acrossX = -uy;
+    let acrossY = ux;
+    const leftEye = landmarks.mappingReferences && landmarks.mappingReferences.eyeOuterLeft;
+    const leftBrow = landmarks.browLeft && landmarks.browLeft.length > 0 ? this.calculateCentroid(landmarks.browLeft) : null;
+    const leftPoint = leftEye || leftBrow;
+    if (leftPoint && (leftPoint.x - origin.x) * acrossX + (leftPoint.y - origin.y) * acrossY < 0) {
+      acrossX = -acrossX;
+      acrossY = -acrossY;
+    }
+    
+    // Reflection across the midline as a canvas transform
+    const a = 2 * ux * ux - 1;
+    const b = 2 * ux * uy;
+    const d = 2 * uy * uy - 1;
+    const reflection = [a, b, b, d, origin.x - (a * origin.x + b * origin.y), origin.y - (b * origin.x + d * origin.y)];
+    
+    const reach = 2 * (width + height);
+    const compose = (keepSign) => {
+      const canvas = createCanvas(width, height);
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(image, 0, 0, width, height);
+      
+      // Cover the other half with the kept half's reflection
+      const nx = -keepSign * acrossX;
+      const ny = -keepSign * acrossY;
+      ctx.save();
+      ctx.beginPath();
+      ctx.moveTo(origin.x - ux * reach, origin.y - uy * reach);
+      ctx.lineTo(origin.x + ux * reach, origin.y + uy * reach);
+      ctx.lineTo(origin.x + ux * reach + nx * reach, origin.y + uy * reach + ny * reach);
+      ctx.lineTo(origin.x - ux * reach + nx * reach, origin.y - uy * reach + ny * reach);
+      ctx.closePath();
+      ctx.clip();
+      ctx.setTransform(...reflection);
+      ctx.drawImage(image, 0, 0, width, height);
+      ctx.restore();
+      
+      return canvas;
+    };
+    
+    try {
+      return {
+        success: true,
+        leftLeft: compose(1),
+        rightRight: compose(-1)
+      };
+    } catch (error) {
+      console.error('Error mirroring face halves:', error);
+      return {
+        success: false,
+        reason: 'render_failed',
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * Track the face live from a camera, redrawing the symmetry guide as it moves
+   * Opens the front camera unless the video already has a stream. Detection
+   * runs at most options.fps times a second and landmarks are smoothed with a
+   * One-Euro filter. Live frames are not client analyses, so they don't count
+   * against the AI analysis quota. A start still opening the camera or loading
+   * the model is cancelled by stopLiveTracking or a newer start.
+   * @param {HTMLVideoElement} video - Video element to show the camera in
+   * @param {Object} [options] - {canvas: overlay for the guide, fps, smoothing: BlekkProLandmarkSmoother settings,
+   *   constraints: getUserMedia video constraints, browMap: drawBrowMap options to draw the brow map too}
+   * @returns {Promise<Object>} - Result with success status or error
+   */
+  async startLiveTracking(video, options = {}) {
+    if (!video) {
+      return {
+        success: false,
+        reason: 'no_video',
+        message: 'Live tracking needs a video element'
+      };
+    }
+
+    this.stopLiveTracking();
+
+    const start = {};
+    this.liveStart = start;
+    let ownStream = null;
+
+    // Stopped or restarted while waiting: give back the camera this start opened
+    const cancelled = () => {
+      if (this.liveStart === start) {
+        return null;
+      }
+
+      if (ownStream) {
+        ownStream.getTracks().forEach(track => track.stop());
+        if (video.srcObject === ownStream) {
+          video.srcObject = null;
+        }
+      }
+
+      return {
+        success: false,
+        reason: 'cancelled',
+        message: 'Live tracking was stopped before it started'
+      };
+    };
+
+    if (!video.srcObject) {
+      if (typeof navigator === 'undefined' || !navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+        this.liveStart = null;
+        return {
+          success: false,
+          reason: 'camera_unavailable',
+          message: 'This browser cannot use the camera'
+        };
+      }
+
+      try {
+        ownStream = await navigator.mediaDevices.getUserMedia({
+          video: options.constraints || { facingMode: 'user', width: { ideal: 1280 }, height: { ideal: 720 } },
+          audio: false
+        });
+      } catch (error) {
+        if (this.liveStart !== start) {
+          return cancelled();
+        }
+
+        this.liveStart = null;
+        return {
+          success: false,
+          reason: error.name === 'NotAllowedError' ? 'camera_denied' : 'camera_unavailable',
+          message: error.name === 'NotAllowedError'
+            ? 'Camera access was denied'
+            : `Could not open the camera: ${error.message}`
+        };
+      }
+
+      if (this.liveStart !== start) {
+        return cancelled();
+      }
+
+      video.srcObject = ownStream;
+    }
+
+    const loaded = this.isModelLoaded || (await this.initialize()).success;
+
+    if (this.liveStart !== start) {
+      return cancelled();
+    }
+
+    if (!loaded) {
+      this.liveStart = null;
+      if (ownStream) {
+        ownStream.getTracks().forEach(track => track.stop());
+        video.srcObject = null;
+      }
+      return {
+        success: false,
+        reason: 'model_unavailable',
+        message: 'Model initialization failed'
+      };
+    }
+
+    video.muted = true;
+    video.playsInline = true;
+
+    try {
+      await video.play();
+    } catch (error) {
+      console.error('Error starting camera video:', error);
+    }
+
+    if (this.liveStart !== start) {
+      return cancelled();
+    }
+
+    this.liveStart = null;
+    this.live = {
+      video,
+      canvas: options.canvas || null,
+      browMap: options.browMap || null,
+      ownStream,
+      interval: 1000 / (options.fps || LIVE_TRACKING_FPS),
+      smoother: new BlekkProLandmarkSmoother(options.smoothing),
+      lastDetection: -Infinity,
+      busy: false,
+      frame: null
+    };
+
+    this._scheduleLiveFrame();
+
+    return {
+      success: true
+    };
+  }
+
+  /**
+   * Stop live tracking, closing the camera if startLiveTracking opened it
+   * @returns {Boolean} - Whether tracking was running or starting
+   */
+  stopLiveTracking() {
+    const starting = this.liveStart !== null;
+    this.liveStart = null;
+
+    if (!this.live) {
+      return starting;
+    }
+
+    const { video, canvas, ownStream, frame } = this.live;
+    this.live = null;
+
+    if (frame !== null) {
+      cancelAnimationFrame(frame);
+    }
+
+    if (ownStream) {
+      ownStream.getTracks().forEach(track => track.stop());
+      if (video.srcObject === ownStream) {
+        video.srcObject = null;
+      }
+    }
+
+    if (canvas) {
+      canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+    }
+
+    return true;
+  }
+
+  /**
+   * Check if live tracking is running
+   * @returns {Boolean}
+   */
+  isLiveTracking() {
+    return this.live !== null;
+  }
+
+  /**
+   * Be told about every live tracking frame
+   * @param {Function} listener - Called with {faceDetected, landmarks, symmetry, symmetryScore, time}
+   * @returns {Function} - Call to unsubscribe
+   */
+  subscribe(listener) {
+    if (typeof listener !== 'function') {
+      return () => {};
+    }
+
+    this.listeners.push(listener);
+
+    return () => {
+      this.listeners = this.listeners.filter(item => item !== listener);
+    };
+  }
+
+  /**
+   * Request the next animation frame for live tracking
+   * @private
+   */
+  _scheduleLiveFrame() {
+    const live = this.live;
+    if (!live) return;
+
+    live.frame = requestAnimationFrame((time) => {
+      live.frame = null;
+      this._runLiveFrame(live, time).catch((error) => {
+        console.error('Error in live tracking frame:', error);
+      });
+      if (this.live === live) {
+        this._scheduleLiveFrame();
+      }
+    });
+  }
+
+  /**
+   * Detect, smooth, draw and tell subscribers, unless throttled or still busy
+   * @private
+   */
+  async _runLiveFrame(live, time) {
+    const { video } = live;
+
+    // Skip frames while the last detection runs, and when the camera has no frame yet
+    if (live.busy || time - live.lastDetection < live.interval || video.readyState < 2 || !video.videoWidth) {
+      return;
+    }
+
+    live.busy = true;
+    live.lastDetection = time;
+
+    try {
+      const result = await this.detectFace(video, { staticImageMode: false });
+
+      // Tracking may have been stopped or restarted while detection ran
+      if (this.live !== live || !result.success) return;
+
+      const { canvas } = live;
+      if (canvas && (canvas.width !== video.videoWidth || canvas.height !== video.videoHeight)) {
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
+      }
+
+      let event;
+
+      if (result.faceDetected) {
+        const landmarks = live.smoother.filter(result.landmarks, time);
+        const symmetry = this.analyzeSymmetry(landmarks);
+        event = {
+          faceDetected: true,
+          landmarks,
+          symmetry,
+          symmetryScore: symmetry.success ? symmetry.score : null,
+          time
+        };
+
+        if (canvas) {
+          this.drawSymmetryGuide(landmarks, canvas);
+          if (live.browMap) {
+            this.drawBrowMap(landmarks, canvas, live.browMap);
+          }
+        }
+      } else {
+        // Don't blend the next face found with where this one was
+        live.smoother.reset();
+        event = { faceDetected: false, landmarks: null, symmetry: null, symmetryScore: null, time };
+
+        if (canvas) {
+          canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+        }
+      }
+
+      this.listeners.slice().forEach(listener => {
+        try {
+          listener(event);
+        } catch (error) {
+          console.error('Error in live tracking listener:', error);
+        }
+      });
+    } finally {
+      live.busy = false;
+    }
+  }
+
   /**
    * Release resources when component unmounts
    */
   dispose() {
+    this.stopLiveTracking();
+    this.listeners = [];
+
     if (this.model && this.model.dispose) {
       this.model.dispose();
     }
     this.isModelLoaded = false;
+    this.runtime = null;
+    this.backend = null;
   }
 }
 
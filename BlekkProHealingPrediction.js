@@ -0,0 +1,341 @@
+// BlekkPro Healing Prediction Module
+// Predicts how a rendered PMU design will look as it heals, from the brush layer,
+// the pigment and the client's skin. The model is a visual heuristic for
+// consultations, not a clinical prediction.
+
+import BlekkProPigments from './BlekkProPigments';
+
+class BlekkProHealingPrediction {
+  /**
+   * @param {BlekkProPigments} [pigments] - Pigment library used to resolve pigments and mixes
+   */
+  constructor(pigments = new BlekkProPigments()) {
+    this.pigments = pigments;
+
+    // Healing stages: blur in mm, lightening as lost opacity, undertone shift progress 0..1
+    this.stages = [
+      { id: 'day0', label: 'Day 0', day: 0, blurMm: 0, lightening: -0.1, shift: 0 },
+      { id: 'week1', label: 'Week 1', day: 7, blurMm: 0.03, lightening: -0.15, shift: 0.15 },
+      { id: 'week4', label: 'Week 4', day: 28, blurMm: 0.08, lightening: 0.3, shift: 0.6 },
+      { id: 'week8', label: 'Week 8+', day: 56, blurMm: 0.12, lightening: 0.35, shift: 1 }
+    ];
+
+    // Skin type changes how much strokes soften and fade
+    this.skinTypes = {
+      dry: { blur: 0.8, lightening: 0.85 },
+      normal: { blur: 1, lightening: 1 },
+      combination: { blur: 1.3, lightening: 1.1 },
+      oily: { blur: 1.8, lightening: 1.3 }
+    };
+
+    this.defaultSkin = {
+      fitzpatrick: 3,
+      undertone: 'neutral',
+      skinType: 'normal'
+    };
+  }
+
+  /**
+   * Get the healing stages
+   * @returns {Array} - Stages {id, label, day}
+   */
+  getStages() {
+    return this.stages.map(({ id, label, day }) => ({ id, label, day }));
+  }
+
+  /**
+   * Predict the healed appearance of a brush layer at every stage
+   * @param {HTMLCanvasElement} layerCanvas - Canvas containing only the brush strokes
+   * @param {Array|String|Object} pigment - Pigment id, pigment, mix, or RGB used for the work
+   * @param {Object} skin - Client skin {fitzpatrick: 1-6, undertone: 'warm'|'cool'|'neutral', skinType}
+   * @param {Object} [options] - {pixelsPerMm}
+   * @returns {Object} - Result with stage canvases or error
+   */
+  predictHealing(layerCanvas, pigment, skin, options = {}) {
+    const validation = this._validateInputs(layerCanvas, pigment, skin);
+    if (!validation.success) {
+      return validation;
+    }
+
+    try {
+      const stages = this.stages.map(stage => ({
+        id: stage.id,
+        label: stage.label,
+        day: stage.day,
+        canvas: this._renderStage(layerCanvas, validation.rgb, validation.skin, stage, options)
+      }));
+
+      return {
+        success: true,
+        stages
+      };
+    } catch (error) {
+      console.error('Error predicting healing:', error);
+      return {
+        success: false,
+        reason: 'render_failed',
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * Predict a single healing stage
+   * @param {HTMLCanvasElement} layerCanvas - Canvas containing only the brush strokes
+   * @param {Array|String|Object} pigment - Pigment id, pigment, mix, or RGB used for the work
+   * @param {Object} skin - Client skin characteristics
+   * @param {String} stageId - Stage identifier ('day0', 'week1', 'week4', 'week8')
+   * @param {Object} [options] - {pixelsPerMm}
+   * @returns {Object} - Result with stage canvas or error
+   */
+  predictStage(layerCanvas, pigment, skin, stageId, options = {}) {
+    const stage = this.stages.find(item => item.id === stageId);
+    if (!stage) {
+      return {
+        success: false,
+        reason: 'invalid_stage',
+        message: `Invalid healing stage: ${stageId}`
+      };
+    }
+
+    const validation = this._validateInputs(layerCanvas, pigment, skin);
+    if (!validation.success) {
+      return validation;
+    }
+
+    return {
+      success: true,
+      stage: {
+        id: stage.id,
+        label: stage.label,
+        day: stage.day,
+        canvas: this._renderStage(layerCanvas, validation.rgb, validation.skin, stage, options)
+      }
+    };
+  }
+
+  /**
+   * Work out the blur, opacity and colour adjustments for a stage
+   * @param {Object} stage - Healing stage
+   * @param {Array} rgb - Pigment RGB
+   * @param {Object} skin - Client skin characteristics
+   * @returns {Object} - {blurMm, opacity, channels: [r, g, b] multipliers, desaturate}
+   */
+  getStageAdjustments(stage, rgb, skin) {
+    const skinType = this.skinTypes[skin.skinType] || this.skinTypes.normal;
+
+    // Fading only applies once healing is under way; early stages look darker
+    const lightening = stage.lightening > 0 ? stage.lightening * skinType.lightening : stage.lightening;
+    const channels = [1, 1, 1];
+    let desaturate = 0;
+
+    // Pigment warmth: positive for red/yellow browns, negative for ash tones
+    const warmth = (rgb[0] - rgb[2]) / Math.max(1, rgb[0]);
+    const s = stage.shift;
+
+    if (skin.undertone === 'cool' && warmth > 0.2) {
+      // Warm browns on cool skin lose their yellow and heal pinkish
+      channels[1] -= 0.12 * s;
+      channels[2] += 0.04 * s;
+    } else if (skin.undertone === 'warm' && warmth < 0.15) {
+      // Ash tones on warm skin lose red and can heal greyish-green
+      channels[0] -= 0.08 * s;
+    }
+
+    if (skin.fitzpatrick >= 4) {
+      // Deeper skin shows pigment cooler and more ashy through the epidermis
+      desaturate += 0.25 * s * ((skin.fitzpatrick - 3) / 3);
+      channels[2] += 0.03 * s;
+    }
+
+    return {
+      blurMm: stage.blurMm * skinType.blur,
+      opacity: Math.max(0, Math.min(1.2, 1 - lightening)),
+      channels,
+      desaturate
+    };
+  }
+
+  /**
+   * Check and normalize inputs
+   * @private
+   */
+  _validateInputs(layerCanvas, pigment, skin) {
+    if (!layerCanvas || !layerCanvas.width || !layerCanvas.height) {
+      return {
+        success: false,
+        reason: 'invalid_layer',
+        message: 'A brush layer canvas is required'
+      };
+    }
+
+    const rgb = this.pigments.resolveColor(pigment);
+    if (!rgb) {
+      return {
+        success: false,
+        reason: 'invalid_pigment',
+        message: 'Pigment could not be resolved'
+      };
+    }
+
+    const normalizedSkin = { ...this.defaultSkin, ...skin };
+    if (!Number.isInteger(normalizedSkin.fitzpatrick) || normalizedSkin.fitzpatrick < 1 || normalizedSkin.fitzpatrick > 6) {
+      return {
+        success: false,
+        reason: 'invalid_skin',
+        message: 'Fitzpatrick skin type must be 1-6'
+      };
+    }
+
+    return {
+      success: true,
+      rgb,
+      skin: normalizedSkin
+    };
+  }
+
+  /**
+   * Render one healing stage from the brush layer
+   * @private
+   */
+  _renderStage(layerCanvas, rgb, skin, stage, options) {
+    const pixelsPerMm = options.pixelsPerMm || 10;
+    const { width, height } = layerCanvas;
+    const adjustments = this.getStageAdjustments(stage, rgb, skin);
+
+    const canvas = this._createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(layerCanvas, 0, 0);
+
+    const imageData = ctx.getImageData(0, 0, width, height);
+    const radius = Math.round(adjustments.blurMm * pixelsPerMm);
+
+    if (radius > 0) {
+      this._blurImageData(imageData, radius);
+    }
+
+    this._adjustColors(imageData, adjustments);
+    ctx.putImageData(imageData, 0, 0);
+
+    return canvas;
+  }
+
+  /**
+   * Create a canvas in the browser or a worker
+   * @private
+   */
+  _createCanvas(width, height) {
+    if (typeof document !== 'undefined') {
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      return canvas;
+    }
+
+    return new OffscreenCanvas(width, height);
+  }
+
+  /**
+   * Apply opacity and undertone changes to every pixel
+   * @private
+   */
+  _adjustColors(imageData, adjustments) {
+    const { data } = imageData;
+    const { opacity, channels, desaturate } = adjustments;
+
+    for (let i = 0; i < data.length; i += 4) {
+      if (data[i + 3] === 0) continue;
+
+      let r = data[i] * channels[0];
+      let g = data[i + 1] * channels[1];
+      let b = data[i + 2] * channels[2];
+
+      if (desaturate > 0) {
+        const luminance = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+        r += (luminance - r) * desaturate;
+        g += (luminance - g) * desaturate;
+        b += (luminance - b) * desaturate;
+      }
+
+      data[i] = Math.min(255, Math.max(0, r));
+      data[i + 1] = Math.min(255, Math.max(0, g));
+      data[i + 2] = Math.min(255, Math.max(0, b));
+      data[i + 3] = Math.min(255, data[i + 3] * opacity);
+    }
+  }
+
+  /**
+   * Approximate a Gaussian blur with three separable box blurs
+   * Colours are premultiplied by alpha so strokes don't pick up dark fringes.
+   * @private
+   */
+  _blurImageData(imageData, radius) {
+    const { data, width, height } = imageData;
+    const size = width * height;
+    const channels = [0, 1, 2, 3].map(() => new Float32Array(size));
+
+    for (let p = 0; p < size; p++) {
+      const alpha = data[p * 4 + 3] / 255;
+      channels[0][p] = data[p * 4] * alpha;
+      channels[1][p] = data[p * 4 + 1] * alpha;
+      channels[2][p] = data[p * 4 + 2] * alpha;
+      channels[3][p] = data[p * 4 + 3];
+    }
+
+    const buffer = new Float32Array(size);
+    const boxRadius = Math.max(1, Math.round(radius / Math.sqrt(3)));
+
+    channels.forEach(channel => {
+      for (let pass = 0; pass < 3; pass++) {
+        this._boxBlur(channel, buffer, width, height, boxRadius, true);
+        this._boxBlur(buffer, channel, width, height, boxRadius, false);
+      }
+    });
+
+    for (let p = 0; p < size; p++) {
+      const alpha = channels[3][p];
+      const scale = alpha > 0 ? 255 / alpha : 0;
+      data[p * 4] = Math.min(255, channels[0][p] * scale);
+      data[p * 4 + 1] = Math.min(255, channels[1][p] * scale);
+      data[p * 4 + 2] = Math.min(255, channels[2][p] * scale);
+      data[p * 4 + 3] = Math.min(255, alpha);
+    }
+  }
+
+  /**
+   * One box blur pass along rows or columns with a running sum
+   * @private
+   */
+  _boxBlur(source, target, width, height, radius, horizontal) {
+    const length = horizontal ? width : height;
+    const lines = horizontal ? height : width;
+    const stride = horizontal ? 1 : width;
+    const diameter = radius * 2 + 1;
+
+    for (let line = 0; line < lines; line++) {
+      const start = horizontal ? line * width : line;
+      let sum = 0;
+
+      // Edges are treated as transparent
+      for (let i = 0; i <= radius && i < length; i++) {
+        sum += source[start + i * stride];
+      }
+
+      for (let i = 0; i < length; i++) {
+        target[start + i * stride] = sum / diameter;
+
+        const addIndex = i + radius + 1;
+        const removeIndex = i - radius;
+
+        if (addIndex < length) {
+          sum += source[start + addIndex * stride];
+        }
+        if (removeIndex >= 0) {
+          sum -= source[start + removeIndex * stride];
+        }
+      }
+    }
+  }
+}
+
+export default BlekkProHealingPrediction;
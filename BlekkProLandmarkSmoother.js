@@ -0,0 +1,135 @@
+// BlekkPro Landmark Smoother Module
+// One-Euro filtering for landmarks tracked from video: heavy smoothing while
+// the face holds still, so guides don't jitter, and little while it moves,
+// so they don't lag behind. See Casiez et al., "1€ Filter" (CHI 2012).
+
+class BlekkProLandmarkSmoother {
+  /**
+   * @param {Object} [settings] - Filter settings (see configure)
+   */
+  constructor(settings = {}) {
+    this.settings = {
+      minCutoff: 1.0,       // Hz; lower smooths more when still
+      beta: 0.02,           // How quickly smoothing relaxes as the face speeds up
+      derivativeCutoff: 1.0 // Hz; smoothing of the speed estimate
+    };
+
+    this.configure(settings);
+    this.reset();
+  }
+
+  /**
+   * Update filter settings
+   * @param {Object} settings - Settings to change
+   * @returns {Object} - Current settings
+   */
+  configure(settings) {
+    Object.entries(settings || {}).forEach(([key, value]) => {
+      if (key in this.settings && value !== undefined) {
+        this.settings[key] = value;
+      }
+    });
+
+    return { ...this.settings };
+  }
+
+  /**
+   * Forget the previous frames, e.g. when the face is lost
+   */
+  reset() {
+    // Filter state per coordinate, keyed by landmark path
+    this.states = {};
+    this.lastTime = null;
+  }
+
+  /**
+   * Smooth one frame of PMU landmarks
+   * @param {Object} landmarks - Landmarks from extractPMULandmarks
+   * @param {Number} time - Frame time in ms
+   * @returns {Object} - Smoothed landmarks, same shape
+   */
+  filter(landmarks, time) {
+    const elapsed = this.lastTime === null ? null : (time - this.lastTime) / 1000;
+    this.lastTime = time;
+
+    // Frames out of order or at the same instant can't be filtered; start again
+    if (elapsed !== null && elapsed <= 0) {
+      this.reset();
+      this.lastTime = time;
+    }
+
+    const rate = elapsed > 0 ? 1 / elapsed : null;
+    const smoothed = {};
+
+    Object.entries(landmarks).forEach(([group, value]) => {
+      if (Array.isArray(value)) {
+        smoothed[group] = value.map((point, index) => this._filterPoint(`${group}.${index}`, point, rate));
+      } else if (value && typeof value === 'object') {
+        smoothed[group] = {};
+        Object.entries(value).forEach(([name, point]) => {
+          smoothed[group][name] = this._filterPoint(`${group}.${name}`, point, rate);
+        });
+      } else {
+        smoothed[group] = value;
+      }
+    });
+
+    return smoothed;
+  }
+
+  /**
+   * Filter x, y and z of one point
+   * @private
+   */
+  _filterPoint(key, point, rate) {
+    return {
+      ...point,
+      x: this._filterValue(`${key}.x`, point.x, rate),
+      y: this._filterValue(`${key}.y`, point.y, rate),
+      z: this._filterValue(`${key}.z`, point.z || 0, rate)
+    };
+  }
+
+  /**
+   * One-Euro filter step for a single value
+   * @private
+   */
+  _filterValue(key, value, rate) {
+    const state = this.states[key];
+
+    if (!state || rate === null) {
+      this.states[key] = { value, derivative: 0 };
+      return value;
+    }
+
+    const { minCutoff, beta, derivativeCutoff } = this.settings;
+
+    const derivative = (value - state.value) * rate;
+    const smoothedDerivative = this._lowPass(state.derivative, derivative, this._alpha(derivativeCutoff, rate));
+
+    const cutoff = minCutoff + beta * Math.abs(smoothedDerivative);
+    const smoothedValue = this._lowPass(state.value, value, this._alpha(cutoff, rate));
+
+    this.states[key] = { value: smoothedValue, derivative: smoothedDerivative };
+    return smoothedValue;
+  }
+
+  /**
+   * Smoothing factor for a cutoff frequency at a sample rate
+   * @private
+   */
+  _alpha(cutoff, rate) {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau * rate);
+  }
+
+  /**
+   * Exponential low-pass step
+   * @private
+   */
+  _lowPass(previous, value, alpha) {
+    return previous + alpha * (value - previous);
+  }
+}
+
+export default BlekkProLandmarkSmoother;
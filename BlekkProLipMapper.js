@@ -0,0 +1,425 @@
+// BlekkPro Lip Mapper Module
+// Lip-blush consultation measurements from the lipOuter/lipInner landmarks
+// found by BlekkProFacialRecognition: cupid's bow peak heights, philtrum
+// alignment, upper to lower lip volume, mouth-corner heights and how each
+// lip splits across the midline. Suggests a corrected lip line that evens
+// out the lips by overlining the smaller side, never more than a safe
+// distance outside the natural vermilion border. Measurements are in
+// millimetres, estimated from the client's eye width.
+
+// Mirror partner of each lipOuter point across the face midline; the bow dip
+// and lower lip centre (5 and 15) sit on the midline itself
+const OUTER_MIRROR = [10, 9, 8, 7, 6, 5, 4, 3, 2, 1, 0, 19, 18, 17, 16, 15, 14, 13, 12, 11];
+
+// lipOuter positions of landmarks the measurements use
+const OUTER = {
+  rightCorner: 0,
+  rightPeak: 4,
+  dip: 5,
+  leftPeak: 6,
+  leftCorner: 10,
+  lowerCenter: 15
+};
+
+class BlekkProLipMapper {
+  constructor() {
+    this.defaultOptions = {
+      eyeWidthMm: 30,            // Average eye width, which sets the millimetre scale
+      mouthWidthMm: 50,          // Average mouth width, the scale when eyes aren't found
+      maxOverlineMm: 1.5,        // Furthest the corrected line may sit outside the natural border
+      idealVolumeRatio: 1 / 1.6, // Upper to lower lip volume
+      toleranceMm: 0.5,          // Height and alignment differences smaller than this aren't reported
+      volumeTolerance: 0.1       // Side-to-side volume differences smaller than this fraction aren't reported
+    };
+  }
+
+  /**
+   * Measure the lips and suggest a corrected lip line
+   * @param {Object} landmarks - Landmarks from BlekkProFacialRecognition.extractPMULandmarks
+   * @param {Object} [options] - Mapping options (see defaultOptions)
+   * @returns {Object} - Result with the lip map, or error
+   */
+  map(landmarks, options = {}) {
+    const settings = { ...this.defaultOptions, ...options };
+    const outer = landmarks && landmarks.lipOuter;
+    const inner = landmarks && landmarks.lipInner;
+
+    if (!outer || outer.length < 20 || !inner || inner.length < 20) {
+      return {
+        success: false,
+        reason: 'missing_landmarks',
+        message: 'Detect a face before mapping lips'
+      };
+    }
+
+    const frame = this._getFaceFrame(landmarks, outer);
+    const mmPerPixel = this._getScale(landmarks, outer, settings);
+    const mm = value => value * mmPerPixel;
+
+    // Mouth-corner line, which peak heights are measured from
+    const rightCorner = outer[OUTER.rightCorner];
+    const leftCorner = outer[OUTER.leftCorner];
+    const mouthHeight = (frame.height(rightCorner) + frame.height(leftCorner)) / 2;
+
+    const peak = point => ({
+      point: { x: point.x, y: point.y },
+      heightMm: mm(frame.height(point) - mouthHeight),
+      fromMidlineMm: mm(Math.abs(frame.offset(point)))
+    });
+
+    const dip = outer[OUTER.dip];
+    const cupidsBow = {
+      left: peak(outer[OUTER.leftPeak]),
+      right: peak(outer[OUTER.rightPeak]),
+      dip: { x: dip.x, y: dip.y },
+      dipHeightMm: mm(frame.height(dip) - mouthHeight)
+    };
+    cupidsBow.differenceMm = cupidsBow.left.heightMm - cupidsBow.right.heightMm;
+
+    // Philtrum from the base of the nose to the bow dip
+    const refs = landmarks.mappingReferences || {};
+    const symmetryRefs = landmarks.symmetryReferences || {};
+    const philtrumTop = refs.subnasale || symmetryRefs.noseTip || null;
+    const philtrum = {
+      top: philtrumTop ? { x: philtrumTop.x, y: philtrumTop.y } : null,
+      bottom: { x: dip.x, y: dip.y },
+      offsetMm: mm(frame.side(frame.offset(dip))),
+      angle: philtrumTop ? this._angleFromUp(frame, philtrumTop, dip) : null
+    };
+
+    // Areas of each lip, whole and either side of the midline
+    const upperLip = [...outer.slice(0, 11), ...inner.slice(0, 11).reverse()];
+    const lowerLip = [...outer.slice(10), outer[0], inner[0], ...inner.slice(10).reverse()];
+    const area = polygon => mm(mm(this._area(polygon)));
+    const sideArea = (polygon, side) => area(this._clipToSide(polygon, frame, side));
+
+    const volume = {
+      upperMm2: area(upperLip),
+      lowerMm2: area(lowerLip),
+      upperLeftMm2: sideArea(upperLip, 'left'),
+      upperRightMm2: sideArea(upperLip, 'right'),
+      lowerLeftMm2: sideArea(lowerLip, 'left'),
+      lowerRightMm2: sideArea(lowerLip, 'right'),
+      idealRatio: settings.idealVolumeRatio
+    };
+    volume.ratio = volume.lowerMm2 > 0 ? volume.upperMm2 / volume.lowerMm2 : null;
+
+    const corners = {
+      left: { x: leftCorner.x, y: leftCorner.y },
+      right: { x: rightCorner.x, y: rightCorner.y },
+      differenceMm: mm(frame.height(leftCorner) - frame.height(rightCorner))
+    };
+
+    const lipMap = {
+      success: true,
+      mmPerPixel,
+      scaleFrom: this._hasEyes(landmarks) ? 'eye_width' : 'mouth_width',
+      midline: frame.midline,
+      border: outer.map(point => ({ x: point.x, y: point.y })),
+      cupidsBow,
+      philtrum,
+      volume,
+      corners,
+      maxOverlineMm: settings.maxOverlineMm,
+      correctedLine: {
+        points: this._suggestLine(outer, frame, settings.maxOverlineMm / mmPerPixel),
+        edited: false
+      }
+    };
+
+    lipMap.notes = this._getNotes(lipMap, settings);
+    return lipMap;
+  }
+
+  /**
+   * Move one point of the corrected lip line, keeping it within the overline limit
+   * @param {Object} lipMap - Lip map from map()
+   * @param {Number} index - Point index (matches lipOuter)
+   * @param {Object} point - Where the point was dragged to {x, y}
+   * @returns {Object} - Result with the updated lip map, or error
+   */
+  movePoint(lipMap, index, point) {
+    if (!lipMap || !lipMap.border || !lipMap.border[index] || !point) {
+      return {
+        success: false,
+        reason: 'invalid_point',
+        message: 'No such point on the lip line'
+      };
+    }
+
+    const natural = lipMap.border[index];
+    const limit = lipMap.maxOverlineMm / lipMap.mmPerPixel;
+    const offset = { x: point.x - natural.x, y: point.y - natural.y };
+    const distance = Math.hypot(offset.x, offset.y);
+    const factor = distance > limit ? limit / distance : 1;
+
+    const points = lipMap.correctedLine.points.slice();
+    points[index] = { x: natural.x + offset.x * factor, y: natural.y + offset.y * factor };
+
+    return {
+      success: true,
+      clamped: factor < 1,
+      lipMap: {
+        ...lipMap,
+        correctedLine: { points, edited: true }
+      }
+    };
+  }
+
+  /**
+   * Find the corrected line point nearest a position, e.g. to start a drag
+   * @param {Object} lipMap - Lip map from map()
+   * @param {Object} position - {x, y}
+   * @param {Number} [radius] - Furthest away a point may be, in pixels
+   * @returns {Number} - Point index, or -1 if none is close enough
+   */
+  findPoint(lipMap, position, radius = 10) {
+    if (!lipMap || !lipMap.correctedLine) {
+      return -1;
+    }
+
+    let nearest = -1;
+    let nearestDistance = radius;
+
+    lipMap.correctedLine.points.forEach((point, index) => {
+      const distance = Math.hypot(point.x - position.x, point.y - position.y);
+      if (distance <= nearestDistance) {
+        nearest = index;
+        nearestDistance = distance;
+      }
+    });
+
+    return nearest;
+  }
+
+  /**
+   * Corrected lip line: each point moves out toward its mirror image on the
+   * other side (the bow dip and lower centre toward the midline), but only
+   * outward and never further than the overline limit
+   * @private
+   */
+  _suggestLine(outer, frame, limit) {
+    const center = this._centroid(outer);
+
+    return outer.map((point, index) => {
+      const partner = outer[OUTER_MIRROR[index]];
+      const target = partner === point
+        ? frame.toMidline(point)
+        : frame.mirror(partner);
+
+      const move = { x: target.x - point.x, y: target.y - point.y };
+      const outward = { x: point.x - center.x, y: point.y - center.y };
+      const outwardLength = Math.hypot(outward.x, outward.y);
+
+      // Overlining can only add to a lip, so points never move inward
+      const along = outwardLength > 0 ? (move.x * outward.x + move.y * outward.y) / outwardLength : 0;
+      if (along <= 0) {
+        return { x: point.x, y: point.y };
+      }
+
+      const distance = Math.hypot(move.x, move.y);
+      const factor = distance > limit ? limit / distance : 1;
+
+      return { x: point.x + move.x * factor, y: point.y + move.y * factor };
+    });
+  }
+
+  /**
+   * Consultation notes for differences beyond the tolerances
+   * @private
+   */
+  _getNotes(lipMap, settings) {
+    const notes = [];
+    const note = (id, message) => notes.push({ id, message });
+    const { cupidsBow, philtrum, volume, corners } = lipMap;
+    const tolerance = settings.toleranceMm;
+    const format = value => `${Math.abs(value).toFixed(1)} mm`;
+
+    if (Math.abs(cupidsBow.differenceMm) > tolerance) {
+      note('bow_uneven', `Cupid's bow peak on the ${cupidsBow.differenceMm > 0 ? 'left' : 'right'} is ${format(cupidsBow.differenceMm)} higher`);
+    }
+
+    if (Math.abs(philtrum.offsetMm) > tolerance) {
+      note('philtrum_offset', `Bow dip sits ${format(philtrum.offsetMm)} ${philtrum.offsetMm > 0 ? 'left' : 'right'} of the midline`);
+    }
+
+    if (volume.ratio !== null) {
+      if (volume.ratio < volume.idealRatio * 0.8) {
+        note('upper_thin', 'Upper lip is thin for the lower lip; overlining the upper lip will balance them');
+      } else if (volume.ratio > volume.idealRatio * 1.25) {
+        note('upper_full', 'Upper lip is full for the lower lip');
+      }
+    }
+
+    [['upper', 'Upper'], ['lower', 'Lower']].forEach(([lip, label]) => {
+      const left = volume[`${lip}LeftMm2`];
+      const right = volume[`${lip}RightMm2`];
+      const larger = Math.max(left, right);
+
+      if (larger > 0 && Math.abs(left - right) / larger > settings.volumeTolerance) {
+        note(`${lip}_uneven`, `${label} lip is fuller on the ${left > right ? 'left' : 'right'}`);
+      }
+    });
+
+    if (Math.abs(corners.differenceMm) > tolerance) {
+      note('corners_uneven', `${corners.differenceMm > 0 ? 'Left' : 'Right'} mouth corner sits ${format(corners.differenceMm)} higher`);
+    }
+
+    return notes;
+  }
+
+  /**
+   * Face axes and midline, so a tilted head measures the same as a level one
+   * offset() is positive toward the image's right, side() turns that into
+   * positive toward the client's left.
+   * @private
+   */
+  _getFaceFrame(landmarks, outer) {
+    const refs = landmarks.symmetryReferences || {};
+    let up = { x: 0, y: -1 };
+    let origin = this._centroid(outer);
+
+    if (refs.midForehead && refs.midChin) {
+      const dx = refs.midForehead.x - refs.midChin.x;
+      const dy = refs.midForehead.y - refs.midChin.y;
+      const length = Math.hypot(dx, dy);
+      if (length > 0) {
+        up = { x: dx / length, y: dy / length };
+        origin = refs.midForehead;
+      }
+    }
+
+    const across = { x: -up.y, y: up.x };
+    const offset = point => (point.x - origin.x) * across.x + (point.y - origin.y) * across.y;
+    const height = point => (point.x - origin.x) * up.x + (point.y - origin.y) * up.y;
+
+    // The client's left corner is the last point of the upper lip
+    const leftSign = offset(outer[OUTER.leftCorner]) >= offset(outer[OUTER.rightCorner]) ? 1 : -1;
+
+    const lipTop = height(outer[OUTER.dip]);
+    const lipBottom = height(outer[OUTER.lowerCenter]);
+    const alongMidline = h => ({ x: origin.x + up.x * h, y: origin.y + up.y * h });
+
+    return {
+      up,
+      across,
+      offset,
+      height,
+      side: value => value * leftSign,
+      mirror: point => {
+        const distance = offset(point);
+        return { x: point.x - 2 * distance * across.x, y: point.y - 2 * distance * across.y };
+      },
+      toMidline: point => {
+        const distance = offset(point);
+        return { x: point.x - distance * across.x, y: point.y - distance * across.y };
+      },
+      midline: {
+        from: alongMidline(lipTop + (lipTop - lipBottom) * 0.5),
+        to: alongMidline(lipBottom - (lipTop - lipBottom) * 0.5)
+      },
+      leftSign
+    };
+  }
+
+  /**
+   * Millimetres per pixel, from the eye width or failing that the mouth width
+   * @private
+   */
+  _getScale(landmarks, outer, settings) {
+    if (this._hasEyes(landmarks)) {
+      const refs = landmarks.mappingReferences;
+      const eyeWidth = (
+        Math.hypot(refs.eyeInnerLeft.x - refs.eyeOuterLeft.x, refs.eyeInnerLeft.y - refs.eyeOuterLeft.y) +
+        Math.hypot(refs.eyeInnerRight.x - refs.eyeOuterRight.x, refs.eyeInnerRight.y - refs.eyeOuterRight.y)
+      ) / 2;
+
+      if (eyeWidth > 0) {
+        return settings.eyeWidthMm / eyeWidth;
+      }
+    }
+
+    const corners = [outer[OUTER.leftCorner], outer[OUTER.rightCorner]];
+    const mouthWidth = Math.hypot(corners[0].x - corners[1].x, corners[0].y - corners[1].y);
+    return mouthWidth > 0 ? settings.mouthWidthMm / mouthWidth : 1;
+  }
+
+  /**
+   * Whether both eyes' corners were found
+   * @private
+   */
+  _hasEyes(landmarks) {
+    const refs = landmarks.mappingReferences;
+    return Boolean(refs && refs.eyeInnerLeft && refs.eyeOuterLeft && refs.eyeInnerRight && refs.eyeOuterRight);
+  }
+
+  /**
+   * Signed angle in degrees between a line and the face's up direction
+   * @private
+   */
+  _angleFromUp(frame, top, bottom) {
+    const dx = top.x - bottom.x;
+    const dy = top.y - bottom.y;
+    const across = dx * frame.across.x + dy * frame.across.y;
+    const along = dx * frame.up.x + dy * frame.up.y;
+
+    return frame.side(Math.atan2(across, along)) * 180 / Math.PI;
+  }
+
+  /**
+   * Part of a polygon on one side of the midline (Sutherland–Hodgman)
+   * @private
+   */
+  _clipToSide(polygon, frame, side) {
+    const sign = side === 'left' ? frame.leftSign : -frame.leftSign;
+    const inside = point => frame.offset(point) * sign >= 0;
+    const clipped = [];
+
+    polygon.forEach((current, index) => {
+      const previous = polygon[(index + polygon.length - 1) % polygon.length];
+      const currentInside = inside(current);
+
+      if (currentInside !== inside(previous)) {
+        const a = frame.offset(previous);
+        const b = frame.offset(current);
+        const t = a / (a - b);
+        clipped.push({ x: previous.x + (current.x - previous.x) * t, y: previous.y + (current.y - previous.y) * t });
+      }
+
+      if (currentInside) {
+        clipped.push(current);
+      }
+    });
+
+    return clipped;
+  }
+
+  /**
+   * Polygon area (shoelace formula)
+   * @private
+   */
+  _area(polygon) {
+    let sum = 0;
+
+    for (let i = 0; i < polygon.length; i++) {
+      const a = polygon[i];
+      const b = polygon[(i + 1) % polygon.length];
+      sum += a.x * b.y - b.x * a.y;
+    }
+
+    return Math.abs(sum) / 2;
+  }
+
+  /**
+   * Average of a set of points
+   * @private
+   */
+  _centroid(points) {
+    return {
+      x: points.reduce((sum, point) => sum + point.x, 0) / points.length,
+      y: points.reduce((sum, point) => sum + point.y, 0) / points.length
+    };
+  }
+}
+
+export default BlekkProLipMapper;
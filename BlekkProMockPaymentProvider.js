@@ -0,0 +1,449 @@
+// BlekkPro Mock Payment Provider
+// A stand-in for a real payment provider so checkout can be tried end to end
+// offline. It keeps its sessions and subscriptions in local storage, sends
+// back to the success or cancel URL as a hosted checkout page would, and
+// delivers the same signed webhook events a real provider does.
+
+// Local storage key for the mock's sessions, subscriptions, customers and undelivered webhooks
+const MOCK_PROVIDER_STORAGE_KEY = 'blekkpro.mockPaymentProvider';
+
+// How far a webhook's signed timestamp may be from now before it is refused as a replay
+const WEBHOOK_TOLERANCE_MS = 5 * 60 * 1000;
+
+const MOCK_PERIOD_MS = 30 * 24 * 60 * 60 * 1000;
+
+class BlekkProMockPaymentProvider {
+  /**
+   * @param {Object} [options] - {storage: Storage-like object, now: clock returning ms,
+   *   secret: webhook secret (default BLEKKPRO_MOCK_WEBHOOK_SECRET, else a random one per instance),
+   *   tolerance: ms a webhook timestamp may be off by, subtle: SubtleCrypto to sign with (defaults to the global one)}
+   */
+  constructor(options = {}) {
+    this.id = 'mock';
+    this.secret = options.secret || this._getDefaultSecret();
+    this.tolerance = options.tolerance || WEBHOOK_TOLERANCE_MS;
+    this.storage = options.storage !== undefined
+      ? options.storage
+      : (typeof window !== 'undefined' && window.localStorage ? window.localStorage : null);
+    this.now = options.now || (() => Date.now());
+    this.subtle = options.subtle || (typeof crypto !== 'undefined' && crypto.subtle ? crypto.subtle : null);
+
+    this.sessions = {};
+    this.subscriptions = {};
+    this.outbox = [];
+    this.nextOutcome = 'success';
+
+    // Billing customer per app customer; a real provider recognises returning payers by email or card
+    this.customers = {};
+    this.nextBillingCustomerId = null;
+
+    this.webhookHandlers = [];
+    this.delivering = false;
+
+    this._load();
+  }
+
+  /**
+   * Create a checkout session for a tier
+   * The mock has no payment page, so the returned URL goes straight back to
+   * the success URL (or the cancel URL after simulateNextCheckout('cancel')).
+   * @param {Object} params - {tier, customerId, successUrl, cancelUrl}
+   * @returns {Promise<Object>} - {id, url}
+   */
+  async createCheckoutSession(params) {
+    // Fail before "charging" if the webhooks for it could never be signed
+    this._getSubtle();
+
+    const id = this._createId('cs_mock');
+    const outcome = this.nextOutcome;
+    this.nextOutcome = 'success';
+
+    const customerKey = params.customerId || '';
+    const billingCustomerId = this.nextBillingCustomerId || this.customers[customerKey] || this._createId('cus_mock');
+    this.customers[customerKey] = billingCustomerId;
+    this.nextBillingCustomerId = null;
+
+    this.sessions[id] = {
+      id,
+      tier: params.tier,
+      customerId: params.customerId || null,
+      status: outcome === 'success' ? 'complete' : 'expired',
+      subscriptionId: null,
+      created: this.now()
+    };
+
+    if (outcome === 'success') {
+      const subscription = {
+        id: this._createId('sub_mock'),
+        tier: params.tier,
+        customerId: params.customerId || null,
+        billingCustomerId,
+        status: 'active',
+        currentPeriodEnd: this.now() + MOCK_PERIOD_MS
+      };
+
+      this.subscriptions[subscription.id] = subscription;
+      this.sessions[id].subscriptionId = subscription.id;
+      this._queueEvent('subscription.created', subscription, id);
+    }
+
+    this._save();
+
+    const returnUrl = outcome === 'success' ? params.successUrl : params.cancelUrl;
+    return {
+      id,
+      url: this._appendParam(returnUrl, 'session_id', id)
+    };
+  }
+
+  /**
+   * Look up a checkout session
+   * @param {String} sessionId - Session id
+   * @returns {Promise<Object|null>} - {id, tier, status: 'complete'|'expired', subscriptionId}
+   */
+  async getSession(sessionId) {
+    const session = this.sessions[sessionId];
+    return session ? { ...session } : null;
+  }
+
+  /**
+   * Cancel a subscription at the provider; the cancellation arrives as a webhook
+   * @param {String} subscriptionId - Subscription id
+   * @returns {Promise<Object>} - Result with success status or error
+   */
+  async cancelSubscription(subscriptionId) {
+    return this._updateSubscription(subscriptionId, 'subscription.cancelled', { status: 'cancelled' });
+  }
+
+  /**
+   * Check a webhook's signature and parse it
+   * @param {String} payload - Raw request body
+   * @param {String} signature - Signature header, 't=<ms>,v1=<hex HMAC-SHA256 of "t.payload">'
+   * @returns {Promise<Object|null>} - Event, or null if the signature doesn't match or is too old
+   */
+  async verifyWebhook(payload, signature) {
+    const parts = {};
+    String(signature || '').split(',').forEach(part => {
+      const [key, value] = part.split('=');
+      parts[key] = value;
+    });
+
+    if (!parts.t || !parts.v1) {
+      return null;
+    }
+
+    // A captured webhook can't be replayed later
+    const timestamp = Number(parts.t);
+    if (!Number.isFinite(timestamp) || Math.abs(this.now() - timestamp) > this.tolerance) {
+      return null;
+    }
+
+    const expected = await this._sign(`${parts.t}.${payload}`);
+    if (!this._safeEqual(expected, parts.v1)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(payload);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Receive webhooks, as a server endpoint would
+   * Events queued while nobody was listening (e.g. across the checkout
+   * redirect) are delivered straight away.
+   * @param {Function} handler - Called with (payload, signature); may return a promise
+   * @returns {Function} - Call to stop receiving
+   */
+  onWebhook(handler) {
+    if (typeof handler !== 'function') {
+      return () => {};
+    }
+
+    this.webhookHandlers.push(handler);
+    this.deliverWebhooks().catch(error => {
+      console.error('Error delivering mock webhooks:', error);
+    });
+
+    return () => {
+      this.webhookHandlers = this.webhookHandlers.filter(item => item !== handler);
+    };
+  }
+
+  /**
+   * Send queued webhooks to the handlers
+   * Events stay queued until a handler accepts them, like a provider retrying.
+   * @returns {Promise<Number>} - Events delivered
+   */
+  async deliverWebhooks() {
+    if (this.webhookHandlers.length === 0 || this.delivering) {
+      return 0;
+    }
+
+    this.delivering = true;
+    let delivered = 0;
+
+    try {
+      while (this.outbox.length > 0 && this.webhookHandlers.length > 0) {
+        const event = this.outbox[0];
+        const payload = JSON.stringify(event);
+        const timestamp = this.now();
+        const signature = `t=${timestamp},v1=${await this._sign(`${timestamp}.${payload}`)}`;
+
+        let accepted = false;
+        for (const handler of this.webhookHandlers.slice()) {
+          try {
+            const result = await handler(payload, signature);
+            accepted = accepted || !result || result.success !== false;
+          } catch (error) {
+            console.error('Error delivering mock webhook:', error);
+          }
+        }
+
+        if (!accepted) break;
+
+        this.outbox.shift();
+        this._save();
+        delivered++;
+      }
+    } finally {
+      this.delivering = false;
+    }
+
+    return delivered;
+  }
+
+  /**
+   * Make the next checkout succeed or be cancelled by the customer
+   * @param {String} outcome - 'success' or 'cancel'
+   */
+  simulateNextCheckout(outcome) {
+    this.nextOutcome = outcome === 'cancel' ? 'cancel' : 'success';
+  }
+
+  /**
+   * Make the next checkout come from a billing customer who has paid before,
+   * as when someone who cleared their cookies pays with the same email or card
+   * @param {String} billingCustomerId - Billing customer id from an earlier subscription
+   */
+  simulateReturningCustomer(billingCustomerId) {
+    this.nextBillingCustomerId = billingCustomerId || null;
+  }
+
+  /**
+   * Bill the next period of a subscription
+   * @param {String} subscriptionId - Subscription id
+   * @returns {Promise<Object>} - Result with success status or error
+   */
+  async simulateRenewal(subscriptionId) {
+    const subscription = this.subscriptions[subscriptionId];
+    const periodEnd = subscription ? Math.max(subscription.currentPeriodEnd, this.now()) : 0;
+
+    return this._updateSubscription(subscriptionId, 'subscription.renewed', {
+      status: 'active',
+      currentPeriodEnd: periodEnd + MOCK_PERIOD_MS
+    });
+  }
+
+  /**
+   * Fail a renewal payment
+   * @param {String} subscriptionId - Subscription id
+   * @returns {Promise<Object>} - Result with success status or error
+   */
+  async simulatePaymentFailure(subscriptionId) {
+    return this._updateSubscription(subscriptionId, 'subscription.past_due', { status: 'past_due' });
+  }
+
+  /**
+   * Change a subscription and send the webhook for it
+   * @private
+   */
+  async _updateSubscription(subscriptionId, type, changes) {
+    const subscription = this.subscriptions[subscriptionId];
+
+    if (!subscription) {
+      return {
+        success: false,
+        reason: 'unknown_subscription',
+        message: `Unknown subscription: ${subscriptionId}`
+      };
+    }
+
+    if (subscription.status === 'cancelled') {
+      return {
+        success: false,
+        reason: 'subscription_cancelled',
+        message: 'Subscription has already been cancelled'
+      };
+    }
+
+    Object.assign(subscription, changes);
+    this._queueEvent(type, subscription, null);
+    this._save();
+
+    // The event stays queued, so it still arrives once delivery works again
+    try {
+      await this.deliverWebhooks();
+    } catch (error) {
+      console.error('Error delivering mock webhooks:', error);
+      return {
+        success: false,
+        reason: 'provider_error',
+        message: 'The change was made but its webhook could not be sent'
+      };
+    }
+
+    return {
+      success: true
+    };
+  }
+
+  /**
+   * Add an event to the outbox
+   * @private
+   */
+  _queueEvent(type, subscription, sessionId) {
+    this.outbox.push({
+      id: this._createId('evt_mock'),
+      type,
+      created: this.now(),
+      data: {
+        sessionId,
+        subscription: { ...subscription }
+      }
+    });
+  }
+
+  /**
+   * HMAC-SHA256 of a message with the webhook secret, as hex
+   * @private
+   */
+  async _sign(message) {
+    const subtle = this._getSubtle();
+
+    const encoder = new TextEncoder();
+    const key = await subtle.importKey(
+      'raw',
+      encoder.encode(this.secret),
+      { name: 'HMAC', hash: 'SHA-256' },
+      false,
+      ['sign']
+    );
+    const signature = await subtle.sign('HMAC', key, encoder.encode(message));
+
+    return Array.from(new Uint8Array(signature))
+      .map(byte => byte.toString(16).padStart(2, '0'))
+      .join('');
+  }
+
+  /**
+   * Web Crypto, or an error explaining it's missing
+   * @private
+   */
+  _getSubtle() {
+    if (!this.subtle) {
+      throw new Error('Web Crypto is not available to sign webhooks');
+    }
+    return this.subtle;
+  }
+
+  /**
+   * Webhook secret from the environment, or a random one only this instance knows
+   * @private
+   */
+  _getDefaultSecret() {
+    const configured = typeof process !== 'undefined' && process.env ? process.env.BLEKKPRO_MOCK_WEBHOOK_SECRET : null;
+    if (configured) {
+      return configured;
+    }
+
+    const bytes = new Uint8Array(32);
+    if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+      crypto.getRandomValues(bytes);
+    } else {
+      for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = Math.floor(Math.random() * 256);
+      }
+    }
+
+    return `whsec_${Array.from(bytes).map(byte => byte.toString(16).padStart(2, '0')).join('')}`;
+  }
+
+  /**
+   * Compare signatures without stopping at the first difference
+   * @private
+   */
+  _safeEqual(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+      return false;
+    }
+
+    let difference = 0;
+    for (let i = 0; i < a.length; i++) {
+      difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return difference === 0;
+  }
+
+  /**
+   * Random id with a prefix
+   * @private
+   */
+  _createId(prefix) {
+    return `${prefix}_${this.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+  }
+
+  /**
+   * Add a query parameter to a URL, keeping any hash
+   * @private
+   */
+  _appendParam(url, key, value) {
+    const [base, hash] = String(url).split('#');
+    const separator = base.includes('?') ? '&' : '?';
+    return `${base}${separator}${key}=${encodeURIComponent(value)}${hash !== undefined ? `#${hash}` : ''}`;
+  }
+
+  /**
+   * Restore sessions, subscriptions and undelivered webhooks
+   * @private
+   */
+  _load() {
+    if (!this.storage) return;
+
+    try {
+      const stored = this.storage.getItem(MOCK_PROVIDER_STORAGE_KEY);
+      if (!stored) return;
+
+      const data = JSON.parse(stored);
+      this.sessions = data.sessions || {};
+      this.subscriptions = data.subscriptions || {};
+      this.customers = data.customers || {};
+      this.outbox = Array.isArray(data.outbox) ? data.outbox : [];
+    } catch (error) {
+      console.error('Error loading mock payment provider:', error);
+    }
+  }
+
+  /**
+   * Save sessions, subscriptions and undelivered webhooks
+   * @private
+   */
+  _save() {
+    if (!this.storage) return;
+
+    try {
+      this.storage.setItem(MOCK_PROVIDER_STORAGE_KEY, JSON.stringify({
+        sessions: this.sessions,
+        subscriptions: this.subscriptions,
+        customers: this.customers,
+        outbox: this.outbox
+      }));
+    } catch (error) {
+      console.error('Error saving mock payment provider:', error);
+    }
+  }
+}
+
+export default BlekkProMockPaymentProvider;
@@ -0,0 +1,306 @@
+// BlekkPro Needle Configuration Module
+// Models PMU machine cartridges and microblading hand tools, and generates
+// the pigment deposit pattern each configuration leaves in the skin
+
+class BlekkProNeedles {
+  constructor() {
+    // Needle groupings and how their needles are arranged
+    this.groupings = {
+      RL: { name: 'Round Liner', layout: 'round', pitch: 1.0 },
+      RS: { name: 'Round Shader', layout: 'round', pitch: 1.4 },
+      F: { name: 'Flat', layout: 'row', pitch: 1.0 },
+      M: { name: 'Magnum', layout: 'stacked', pitch: 1.0 },
+      CM: { name: 'Curved Magnum', layout: 'curved', pitch: 1.0 },
+      nano: { name: 'Nano', layout: 'round', pitch: 1.0 },
+      uBlade: { name: 'U-Blade', layout: 'uBlade', pitch: 1.0 },
+      slopeBlade: { name: 'Slope Blade', layout: 'blade', pitch: 1.0 },
+      flatBlade: { name: 'Flat Blade', layout: 'blade', pitch: 1.0 }
+    };
+
+    // Common configurations (diameter and taper in mm, slope in degrees)
+    this.presets = {
+      '1RL': { grouping: 'RL', count: 1, diameter: 0.30, taper: 5.5 },
+      '3RL': { grouping: 'RL', count: 3, diameter: 0.30, taper: 5.5 },
+      '5RL': { grouping: 'RL', count: 5, diameter: 0.30, taper: 5.5 },
+      '3RS': { grouping: 'RS', count: 3, diameter: 0.30, taper: 3.5 },
+      '5RS': { grouping: 'RS', count: 5, diameter: 0.30, taper: 3.5 },
+      '5F': { grouping: 'F', count: 5, diameter: 0.30, taper: 3.5 },
+      '7M': { grouping: 'M', count: 7, diameter: 0.30, taper: 3.5 },
+      '7CM': { grouping: 'CM', count: 7, diameter: 0.30, taper: 3.5 },
+      'nano018': { grouping: 'nano', count: 1, diameter: 0.18, taper: 7 },
+      'uBlade018': { grouping: 'uBlade', count: 18, diameter: 0.18, taper: 7 },
+      'slopeBlade14': { grouping: 'slopeBlade', count: 14, diameter: 0.20, taper: 7, bladeSlope: 30 },
+      'flatBlade12': { grouping: 'flatBlade', count: 12, diameter: 0.25, taper: 7 }
+    };
+
+    // Defaults for configurations built from partial settings
+    this.defaults = {
+      count: 1,
+      diameter: 0.30,
+      taper: 3.5,
+      bladeSlope: 0
+    };
+  }
+
+  /**
+   * Get the available needle presets
+   * @returns {Object} - Needle presets keyed by code
+   */
+  getPresets() {
+    return { ...this.presets };
+  }
+
+  /**
+   * Parse a cartridge code such as '1RL', '3RS', '5F', '7M' or '9CM'
+   * @param {String} code - Needle code or preset name
+   * @returns {Object|null} - Needle configuration or null if not recognised
+   */
+  parseNeedleCode(code) {
+    if (typeof code !== 'string') {
+      return null;
+    }
+
+    if (this.presets[code]) {
+      return this.createNeedleConfiguration({ ...this.presets[code], code });
+    }
+
+    const match = code.trim().match(/^(\d+)\s*(RL|RS|F|M|CM)$/i);
+    if (!match) {
+      return null;
+    }
+
+    const grouping = Object.keys(this.groupings).find(key => key.toLowerCase() === match[2].toLowerCase());
+
+    return this.createNeedleConfiguration({
+      grouping,
+      count: parseInt(match[1], 10),
+      code: `${match[1]}${grouping}`
+    });
+  }
+
+  /**
+   * Build a normalized needle configuration
+   * @param {Object|String} settings - Needle code, or {grouping, count, diameter, taper, bladeSlope}
+   * @returns {Object|null} - Needle configuration or null if invalid
+   */
+  createNeedleConfiguration(settings) {
+    if (typeof settings === 'string') {
+      return this.parseNeedleCode(settings);
+    }
+
+    if (!settings || !this.groupings[settings.grouping]) {
+      return null;
+    }
+
+    const config = {
+      ...this.defaults,
+      ...settings
+    };
+
+    if (this.validateNeedleConfiguration(config).length > 0) {
+      return null;
+    }
+
+    if (!config.code) {
+      config.code = `${config.count}${config.grouping}`;
+    }
+
+    return config;
+  }
+
+  /**
+   * Validate a needle configuration
+   * @param {Object} config - Needle configuration
+   * @returns {Array} - Validation error messages (empty when valid)
+   */
+  validateNeedleConfiguration(config) {
+    const errors = [];
+
+    if (!config || typeof config !== 'object') {
+      return ['needle must be an object'];
+    }
+
+    if (!this.groupings[config.grouping]) {
+      errors.push(`unknown needle grouping: ${config.grouping}`);
+    }
+
+    if (!Number.isInteger(config.count) || config.count < 1 || config.count > 50) {
+      errors.push('needle count must be a whole number between 1 and 50');
+    }
+
+    if (typeof config.diameter !== 'number' || config.diameter < 0.1 || config.diameter > 0.5) {
+      errors.push('needle diameter must be between 0.1 and 0.5 mm');
+    }
+
+    if (typeof config.taper !== 'number' || config.taper < 1 || config.taper > 10) {
+      errors.push('needle taper must be between 1 and 10 mm');
+    }
+
+    if (config.bladeSlope !== undefined && (typeof config.bladeSlope !== 'number' || Math.abs(config.bladeSlope) > 90)) {
+      errors.push('blade slope must be between -90 and 90 degrees');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Generate the deposit pattern for a needle configuration
+   * Offsets are in pixels relative to the needle centre, with the x axis
+   * pointing along the stroke direction.
+   * @param {Object} config - Needle configuration
+   * @param {Number} pixelsPerMm - Canvas scale
+   * @returns {Array} - Array of deposits {x, y, radius}
+   */
+  getDepositPattern(config, pixelsPerMm) {
+    const grouping = this.groupings[config.grouping];
+    if (!grouping) {
+      return [];
+    }
+
+    const diameter = config.diameter * pixelsPerMm;
+    const pitch = diameter * grouping.pitch;
+
+    // Long tapers leave a finer point, short tapers a fuller dot
+    const taperScale = Math.max(0.6, Math.min(1.4, Math.sqrt(3.5 / config.taper)));
+    const radius = Math.max(0.5, (diameter / 2) * taperScale);
+
+    let offsets;
+
+    switch (grouping.layout) {
+      case 'round':
+        offsets = this._packRound(config.count, pitch);
+        break;
+
+      case 'row':
+        offsets = this._packRow(config.count, pitch);
+        break;
+
+      case 'stacked':
+        offsets = this._packStacked(config.count, pitch, 0);
+        break;
+
+      case 'curved':
+        offsets = this._packStacked(config.count, pitch, pitch * 0.5);
+        break;
+
+      case 'uBlade':
+        offsets = this._packUBlade(config.count, pitch);
+        break;
+
+      case 'blade':
+        offsets = this._packBlade(config.count, pitch, config.bladeSlope || 0);
+        break;
+
+      default:
+        offsets = [{ x: 0, y: 0 }];
+        break;
+    }
+
+    return offsets.map(offset => ({ ...offset, radius }));
+  }
+
+  /**
+   * Get the width of the mark a configuration leaves, in pixels
+   * @param {Object} config - Needle configuration
+   * @param {Number} pixelsPerMm - Canvas scale
+   * @returns {Number} - Footprint width across the stroke
+   */
+  getFootprintWidth(config, pixelsPerMm) {
+    const pattern = this.getDepositPattern(config, pixelsPerMm);
+    if (pattern.length === 0) {
+      return 0;
+    }
+
+    const ys = pattern.map(point => point.y);
+    return Math.max(...ys) - Math.min(...ys) + pattern[0].radius * 2;
+  }
+
+  /**
+   * Tightly packed round grouping: the closest points of a hexagonal lattice
+   * @private
+   */
+  _packRound(count, pitch) {
+    if (count === 1) {
+      return [{ x: 0, y: 0 }];
+    }
+
+    // Small groupings sit on a ring, as they are soldered in practice
+    if (count <= 6) {
+      const ringRadius = pitch / (2 * Math.sin(Math.PI / count));
+      return Array.from({ length: count }, (_, i) => {
+        const angle = (i / count) * Math.PI * 2 - Math.PI / 2;
+        return { x: Math.cos(angle) * ringRadius, y: Math.sin(angle) * ringRadius };
+      });
+    }
+
+    const lattice = [];
+    const rings = Math.ceil(Math.sqrt(count));
+    for (let row = -rings; row <= rings; row++) {
+      for (let col = -rings; col <= rings; col++) {
+        lattice.push({
+          x: (col + (row % 2) * 0.5) * pitch,
+          y: row * pitch * Math.sqrt(3) / 2
+        });
+      }
+    }
+
+    return lattice
+      .sort((a, b) => (a.x * a.x + a.y * a.y) - (b.x * b.x + b.y * b.y))
+      .slice(0, count);
+  }
+
+  /**
+   * Single row across the stroke (flat)
+   * @private
+   */
+  _packRow(count, pitch) {
+    return Array.from({ length: count }, (_, i) => ({
+      x: 0,
+      y: (i - (count - 1) / 2) * pitch
+    }));
+  }
+
+  /**
+   * Two staggered rows across the stroke (magnum), optionally bowed (curved magnum)
+   * @private
+   */
+  _packStacked(count, pitch, curve) {
+    const halfWidth = ((count - 1) / 2) * (pitch / 2) || 1;
+
+    return Array.from({ length: count }, (_, i) => {
+      const y = (i - (count - 1) / 2) * (pitch / 2);
+      const row = i % 2 === 0 ? -0.5 : 0.5;
+      const bow = curve * (1 - Math.pow(y / halfWidth, 2));
+      return { x: row * pitch * 0.87 + bow, y };
+    });
+  }
+
+  /**
+   * U-shaped microblading blade, pins along a shallow arc
+   * @private
+   */
+  _packUBlade(count, pitch) {
+    const halfLength = ((count - 1) / 2) * pitch || 1;
+
+    return Array.from({ length: count }, (_, i) => {
+      const x = (i - (count - 1) / 2) * pitch;
+      const depth = pitch * 1.5 * Math.pow(x / halfLength, 2);
+      return { x, y: depth };
+    });
+  }
+
+  /**
+   * Straight microblading blade along the stroke, tilted by its slope
+   * @private
+   */
+  _packBlade(count, pitch, slope) {
+    const angle = slope * Math.PI / 180;
+
+    return Array.from({ length: count }, (_, i) => {
+      const t = (i - (count - 1) / 2) * pitch;
+      return { x: Math.cos(angle) * t, y: Math.sin(angle) * t };
+    });
+  }
+}
+
+export default BlekkProNeedles;
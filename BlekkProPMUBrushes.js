@@ -1,8 +1,42 @@
 // BlekkPro Optimized PMU Brush Simulation Module for Next.js
 // Lightweight implementation for optimal performance in resource-constrained environments
 
+import BlekkProNeedles from './BlekkProNeedles';
+import BlekkProStrokeStabilizer from './BlekkProStrokeStabilizer';
+import BlekkProPigments from './BlekkProPigments';
+import BlekkProBrushTips from './BlekkProBrushTips';
+import BlekkProEntitlements from './BlekkProEntitlements';
+import createSeededRandom from './BlekkProSeededRandom';
+
+// Brush pack file format (.blekkbrush)
+const BRUSH_PACK_FORMAT = 'blekkbrush';
+const BRUSH_PACK_VERSION = 1;
+
+// Local storage key for user-defined presets
+const CUSTOM_PRESETS_STORAGE_KEY = 'blekkpro.customBrushes';
+
+// Settings copied into custom presets and brush packs
+const BRUSH_SETTING_KEYS = [
+  'name', 'type', 'size', 'opacity', 'spacing', 'scatter', 'pressureSensitivity',
+  'stabilization', 'velocityThinning', 'tiltSensitivity', 'blendMode', 'tapered', 'needle',
+  'tip', 'grain', 'grainStrength', 'flow', 'sizeJitter', 'rotationJitter'
+];
+
+// How pigment brushes composite onto the design layer; multiply reads as pigment in skin
+const BRUSH_BLEND_MODES = ['multiply', 'soft-light', 'source-over'];
+const DEFAULT_BLEND_MODE = 'multiply';
+
+// Brush types that take pigment away instead of adding it
+const ERASING_BRUSH_TYPES = ['eraser', 'softEraser', 'lift'];
+
+// Steepest pen tilt used, in degrees; tan() is unbounded at 90
+const MAX_PEN_TILT = 85;
+
 class BlekkProPMUBrushes {
-  constructor() {
+  /**
+   * @param {BlekkProEntitlements} [entitlements] - Shared entitlements; a local one is created if omitted
+   */
+  constructor(entitlements) {
     this.currentBrush = null;
     this.brushPresets = {
       // Basic brushes (available in free tier)
@@ -15,7 +49,11 @@ class BlekkProPMUBrushes {
           spacing: 0.1,
           scatter: 0,
           pressureSensitivity: 0.7,
-          subscription: "free"
+          stabilization: 0.3,
+          velocityThinning: 0.2,
+          tiltSensitivity: 0,
+          blendMode: "multiply",
+          feature: "liner_brushes"
         },
         standardShader: {
           name: "Standard Shader",
@@ -25,7 +63,11 @@ class BlekkProPMUBrushes {
           spacing: 0.15,
           scatter: 0.1,
           pressureSensitivity: 0.8,
-          subscription: "free"
+          stabilization: 0.2,
+          velocityThinning: 0,
+          tiltSensitivity: 0.6,
+          blendMode: "multiply",
+          feature: "shader_brushes"
         },
         powderBrow: {
           name: "Powder Brow",
@@ -35,7 +77,57 @@ class BlekkProPMUBrushes {
           spacing: 0.2,
           scatter: 0.3,
           pressureSensitivity: 0.5,
-          subscription: "free"
+          stabilization: 0.1,
+          velocityThinning: 0,
+          tiltSensitivity: 0.8,
+          blendMode: "multiply",
+          feature: "powder_brow"
+        },
+        realisticPowder: {
+          name: "Realistic Powder",
+          type: "stamp",
+          tip: "needleCluster",
+          grain: "skinPore",
+          grainStrength: 0.6,
+          size: 8,
+          opacity: 0.7,
+          flow: 0.2,
+          spacing: 0.15,
+          scatter: 0.25,
+          sizeJitter: 0.3,
+          rotationJitter: 1,
+          pressureSensitivity: 0.5,
+          stabilization: 0.1,
+          velocityThinning: 0,
+          tiltSensitivity: 0.8,
+          blendMode: "multiply",
+          feature: "powder_brow"
+        },
+        eraser: {
+          name: "Eraser",
+          type: "eraser",
+          size: 8,
+          opacity: 1,
+          spacing: 0.1,
+          scatter: 0,
+          pressureSensitivity: 0.5,
+          stabilization: 0.1,
+          velocityThinning: 0,
+          tiltSensitivity: 0,
+          feature: "basic_brushes"
+        },
+        softEraser: {
+          name: "Soft Eraser",
+          type: "softEraser",
+          size: 16,
+          opacity: 0.5,
+          spacing: 0.15,
+          scatter: 0,
+          pressureSensitivity: 0.6,
+          stabilization: 0.1,
+          velocityThinning: 0,
+          tiltSensitivity: 0,
+          feature: "basic_brushes"
         }
       },
       // Advanced brushes (available in pro tier)
@@ -48,7 +140,11 @@ class BlekkProPMUBrushes {
           spacing: 0.12,
           scatter: 0.08,
           pressureSensitivity: 0.9,
-          subscription: "pro"
+          stabilization: 0.2,
+          velocityThinning: 0,
+          tiltSensitivity: 0.7,
+          blendMode: "multiply",
+          feature: "shader3RS"
         },
         ombreLipOutline: {
           name: "Ombre Lip Outline",
@@ -58,7 +154,11 @@ class BlekkProPMUBrushes {
           spacing: 0.05,
           scatter: 0.02,
           pressureSensitivity: 0.8,
-          subscription: "pro"
+          stabilization: 0.4,
+          velocityThinning: 0.1,
+          tiltSensitivity: 0,
+          blendMode: "multiply",
+          feature: "ombreLipOutline"
         },
         microbladeNatural: {
           name: "Microblade Natural",
@@ -68,58 +168,276 @@ class BlekkProPMUBrushes {
           spacing: 0.02,
           scatter: 0.01,
           pressureSensitivity: 0.9,
-          subscription: "pro"
+          stabilization: 0.6,
+          velocityThinning: 0.4,
+          tiltSensitivity: 0,
+          blendMode: "multiply",
+          tapered: true,
+          feature: "microbladeNatural"
+        },
+        pixelShading: {
+          name: "Pixel Shading",
+          type: "stamp",
+          tip: "pixelDot",
+          grain: "powderGrain",
+          grainStrength: 0.3,
+          size: 2,
+          opacity: 0.9,
+          flow: 0.7,
+          spacing: 1.2,
+          scatter: 0.6,
+          sizeJitter: 0.4,
+          rotationJitter: 0,
+          pressureSensitivity: 0.6,
+          stabilization: 0.1,
+          velocityThinning: 0,
+          tiltSensitivity: 0,
+          blendMode: "multiply",
+          feature: "pixelShading"
+        },
+        whipShading: {
+          name: "Whip Shading",
+          type: "stamp",
+          tip: "needleRow",
+          grain: "skinPore",
+          grainStrength: 0.4,
+          size: 6,
+          opacity: 0.8,
+          flow: 0.35,
+          spacing: 0.1,
+          scatter: 0.1,
+          sizeJitter: 0.15,
+          rotationJitter: 0.05,
+          pressureSensitivity: 0.7,
+          stabilization: 0.3,
+          velocityThinning: 0,
+          tiltSensitivity: 0.5,
+          blendMode: "multiply",
+          tapered: true,
+          feature: "whipShading"
+        },
+        lift: {
+          name: "Lift",
+          type: "lift",
+          size: 10,
+          opacity: 0.25,
+          spacing: 0.2,
+          scatter: 0.4,
+          pressureSensitivity: 0.7,
+          stabilization: 0.1,
+          velocityThinning: 0,
+          tiltSensitivity: 0,
+          feature: "lift"
         }
       }
     };
     
-    this.userSubscription = 'free';
+    // Brushes and features are gated by the user's entitlements
+    this.entitlements = entitlements || new BlekkProEntitlements();
+    
+    // Pigment library used to resolve stroke colours
+    this.pigments = new BlekkProPigments();
+    
+    // Needle configurations and canvas scale used to size deposits
+    this.needles = new BlekkProNeedles();
+    this.pixelsPerMm = 10;
+    
+    // Tip shapes and grain textures for stamp brushes
+    this.tips = new BlekkProBrushTips();
+    
+    // Default ombré gradient for region fills: soft, sparse head to a saturated tail
+    this.ombreGradientStops = [
+      { position: 0, density: 0.1 },
+      { position: 0.3, density: 0.35 },
+      { position: 0.7, density: 0.85 },
+      { position: 1, density: 1 }
+    ];
+    
+    // Brush renderers keyed by brush id or brush type, and those that fill a stroke as one shape
+    this.brushRenderers = {};
+    this.outlineRenderers = new Set();
+    this._registerDefaultRenderers();
+    
+    // Restore user-defined presets from local storage
+    this.storage = typeof window !== 'undefined' && window.localStorage ? window.localStorage : null;
+    this.loadCustomPresets();
   }
 
   /**
-   * Set user subscription level
-   * @param {String} level - Subscription level ('free' or 'pro')
+   * Register the built-in renderers
+   * @private
    */
-  setUserSubscription(level) {
-    if (level !== 'free' && level !== 'pro') {
+  _registerDefaultRenderers() {
+    this.registerBrushRenderer('liner', (ctx, points, colorStr, brush) => {
+      this._applyLinerBrush(ctx, points, colorStr, brush.size, brush.opacity, brush.spacing, brush.scatter, brush.pressureSensitivity);
+    }, { outline: true });
+    
+    this.registerBrushRenderer('shader', (ctx, points, colorStr, brush, random) => {
+      this._applyShaderBrush(ctx, points, colorStr, brush.size, brush.opacity, brush.spacing, brush.scatter, brush.pressureSensitivity, random, brush.tiltSensitivity);
+    });
+    
+    // Specialized brushes without their own renderer fall back to the shader
+    this.registerBrushRenderer('specialized', (ctx, points, colorStr, brush, random) => {
+      this._applyShaderBrush(ctx, points, colorStr, brush.size, brush.opacity, brush.spacing, brush.scatter, brush.pressureSensitivity, random, brush.tiltSensitivity);
+    });
+    
+    this.registerBrushRenderer('shader3RS', (ctx, points, colorStr, brush, random) => {
+      this._apply3RSShader(ctx, points, colorStr, brush.size, brush.opacity, brush.spacing, brush.scatter, brush.pressureSensitivity, random, brush.tiltSensitivity);
+    });
+    
+    this.registerBrushRenderer('ombreLipOutline', (ctx, points, colorStr, brush) => {
+      this._applyOmbreLipOutline(ctx, points, colorStr, brush.size, brush.opacity, brush.spacing, brush.pressureSensitivity);
+    });
+    
+    this.registerBrushRenderer('microbladeNatural', (ctx, points, colorStr, brush) => {
+      this._applyMicrobladeNatural(ctx, points, colorStr, brush.size, brush.opacity, brush.spacing, brush.pressureSensitivity);
+    }, { outline: true });
+    
+    // Erasing brushes draw their footprint; the composite operation removes pigment
+    this.registerBrushRenderer('eraser', (ctx, points, colorStr, brush) => {
+      this._applyLinerBrush(ctx, points, colorStr, brush.size, brush.opacity, brush.spacing, brush.scatter, brush.pressureSensitivity);
+    }, { outline: true });
+    
+    this.registerBrushRenderer('softEraser', (ctx, points, colorStr, brush) => {
+      this._applySoftEraser(ctx, points, colorStr, brush.size, brush.opacity, brush.spacing, brush.pressureSensitivity);
+    });
+    
+    this.registerBrushRenderer('lift', (ctx, points, colorStr, brush, random) => {
+      this._applyLiftBrush(ctx, points, colorStr, brush, random);
+    });
+    
+    this.registerBrushRenderer('stamp', (ctx, points, colorStr, brush, random) => {
+      this._applyStampBrush(ctx, points, colorStr, brush, random);
+    });
+    
+    // Region fills stamp one needle touch per point
+    this.registerBrushRenderer('stipple', (ctx, points, colorStr, brush, random) => {
+      this._applyStippleBrush(ctx, points, colorStr, brush, random);
+    });
+    
+    // Any brush with a needle configuration deposits pigment through it
+    this.registerBrushRenderer('needle', (ctx, points, colorStr, brush, random) => {
+      this._applyNeedleBrush(ctx, points, colorStr, brush, random);
+    });
+  }
+
+  /**
+   * Register a renderer for a brush type or brush id
+   * Renderers registered for a brush id take precedence over its type.
+   * @param {String} typeOrId - Brush type (e.g. 'liner') or brush id (e.g. 'shader3RS')
+   * @param {Function} renderer - Function (ctx, points, colorStr, brush, random) that draws the stroke;
+   *   renderers must take randomness from `random` so seeded strokes replay identically
+   * @param {Object} [options] - {outline: the renderer fills the points as one shape, so a stroke
+   *   drawn in pieces overlaps itself at every join and must be redrawn whole instead}
+   * @returns {Boolean} - Success status
+   */
+  registerBrushRenderer(typeOrId, renderer, options = {}) {
+    if (!typeOrId || typeof renderer !== 'function') {
       return false;
     }
     
-    this.userSubscription = level;
+    this.brushRenderers[typeOrId] = renderer;
+    if (options.outline) {
+      this.outlineRenderers.add(renderer);
+    }
     return true;
   }
 
   /**
-   * Get available brushes based on subscription
-   * @returns {Object} - Available brushes
+   * Add a brush preset, creating the category if it does not exist yet
+   * @param {String} category - Brush category
+   * @param {String} brushId - Brush identifier
+   * @param {Object} preset - Brush settings (name, type, size, opacity, ...)
+   * @returns {Object} - Result with success status and brush or error
+   */
+  registerBrushPreset(category, brushId, preset) {
+    // 'locked' is reserved for the preview list in getAvailableBrushes
+    if (!category || category === 'locked') {
+      return {
+        success: false,
+        reason: 'invalid_category',
+        message: `Invalid brush category: ${category}`
+      };
+    }
+    
+    if (!brushId || !preset || !preset.name || !preset.type) {
+      return {
+        success: false,
+        reason: 'invalid_brush',
+        message: `Invalid brush preset: ${brushId}`
+      };
+    }
+    
+    if (!this.brushPresets[category]) {
+      this.brushPresets[category] = {};
+    }
+    
+    this.brushPresets[category][brushId] = {
+      size: 1,
+      opacity: 1,
+      spacing: 0.1,
+      scatter: 0,
+      pressureSensitivity: 0.5,
+      stabilization: 0,
+      velocityThinning: 0,
+      tiltSensitivity: 0,
+      blendMode: DEFAULT_BLEND_MODE,
+      // Older presets name a subscription tier instead of the feature that gates them
+      feature: preset.subscription === 'pro' ? 'specialized_brushes' : 'basic_brushes',
+      ...preset
+    };
+    
+    return {
+      success: true,
+      brush: this.brushPresets[category][brushId]
+    };
+  }
+
+  /**
+   * Set user subscription level
+   * @param {String} level - Subscription tier ('free', 'pro', 'studio' or 'academy')
+   * @returns {Boolean} - Success status
+   */
+  setUserSubscription(level) {
+    return this.entitlements.setTier(level).success;
+  }
+
+  /**
+   * Get available brushes based on entitlements
+   * Brushes the user can't use yet are listed under `locked` as a preview.
+   * @returns {Object} - Available brushes by category, plus locked brushes
    */
   getAvailableBrushes() {
     const result = {
-      basic: { ...this.brushPresets.basic }
+      basic: {}
     };
+    const locked = {};
     
-    if (this.userSubscription === 'pro') {
-      result.advanced = { ...this.brushPresets.advanced };
-    } else {
-      // For free users, show locked brushes
-      result.locked = {};
-      
-      // Add preview of locked brushes
-      Object.entries(this.brushPresets.advanced).forEach(([id, brush]) => {
-        result.locked[id] = { ...brush };
+    Object.entries(this.brushPresets).forEach(([category, brushes]) => {
+      Object.entries(brushes).forEach(([id, brush]) => {
+        if (this.entitlements.can(brush.feature)) {
+          result[category] = result[category] || {};
+          result[category][id] = { ...brush };
+        } else {
+          locked[id] = { ...brush, category };
+        }
       });
+    });
+    
+    if (Object.keys(locked).length > 0) {
+      result.locked = locked;
     }
     
     return result;
   }
 
   /**
-   * Select a brush
+   * Get a copy of a brush the user is allowed to use, without selecting it
    * @param {String} category - Brush category
    * @param {String} brushId - Brush identifier
    * @returns {Object} - Result with success status and brush or error
    */
-  selectBrush(category, brushId) {
+  getBrush(category, brushId) {
     // Check if category exists
     if (!this.brushPresets[category]) {
       return {
@@ -140,22 +458,36 @@ class BlekkProPMUBrushes {
     
     const brush = this.brushPresets[category][brushId];
     
-    // Check subscription
-    if (brush.subscription === 'pro' && this.userSubscription !== 'pro') {
-      return {
-        success: false,
-        reason: 'subscription_required',
-        message: 'This brush requires a Pro subscription',
-        upgradePrompt: this.getUpgradePrompt(brushId)
-      };
+    // Check entitlements
+    const denied = this._requireFeature(brush.feature);
+    if (denied) {
+      return denied;
     }
     
-    // Set current brush
-    this.currentBrush = {
-      ...brush,
-      id: brushId,
-      category
+    return {
+      success: true,
+      brush: {
+        ...brush,
+        id: brushId,
+        category
+      }
     };
+  }
+
+  /**
+   * Select a brush
+   * @param {String} category - Brush category
+   * @param {String} brushId - Brush identifier
+   * @returns {Object} - Result with success status and brush or error
+   */
+  selectBrush(category, brushId) {
+    const result = this.getBrush(category, brushId);
+    if (!result.success) {
+      return result;
+    }
+    
+    // Set current brush
+    this.currentBrush = result.brush;
     
     return {
       success: true,
@@ -192,197 +524,997 @@ class BlekkProPMUBrushes {
   }
 
   /**
-   * Check if feature is available with current subscription
-   * @param {String} featureId - Feature identifier
-   * @returns {Boolean} - Availability status
+   * Get stroke stabilizer settings for a brush
+   * Stabilization strength 0..1 sets the lazy-brush rope length; points are
+   * resampled to the brush spacing so every brush type gets even dabs.
+   * @param {Object} [brush] - Brush settings (defaults to the current brush)
+   * @returns {Object|null} - Stabilizer settings or null without a brush
    */
-  isFeatureAvailable(featureId) {
-    // Define features and their required subscription levels
-    const features = {
-      'basic_brushes': 'free',
-      'shader_brushes': 'free',
-      'liner_brushes': 'free',
-      'specialized_brushes': 'pro',
-      'ombre_lip': 'pro',
-      'microblade': 'pro',
-      'powder_brow': 'free',
-      'needle_configuration': 'pro',
-      'export_high_res': 'pro'
+  getStabilizerSettings(brush = this.currentBrush) {
+    if (!brush) {
+      return null;
+    }
+    
+    const stabilization = brush.stabilization || 0;
+    
+    return {
+      lazyRadius: stabilization * 24,
+      velocityThinning: brush.velocityThinning || 0,
+      interpolation: stabilization > 0 ? 'catmullRom' : 'none',
+      resampleSpacing: Math.max(0.5, brush.size * brush.spacing)
     };
+  }
+
+  /**
+   * Create a stroke stabilizer configured for the current brush
+   * @param {Object} [overrides] - Settings that replace the brush defaults
+   * @returns {BlekkProStrokeStabilizer} - Stabilizer instance
+   */
+  createStabilizer(overrides = {}) {
+    return new BlekkProStrokeStabilizer({
+      ...this.getStabilizerSettings(),
+      ...overrides
+    });
+  }
+
+  /**
+   * Set the needle configuration of the current brush
+   * @param {String|Object} needle - Needle code (e.g. '3RS', 'uBlade018') or configuration object
+   * @returns {Object} - Result with success status and needle or error
+   */
+  setNeedleConfiguration(needle) {
+    if (!this.currentBrush) {
+      return {
+        success: false,
+        reason: 'no_brush_selected',
+        message: 'Select a brush before choosing a needle'
+      };
+    }
     
-    // Check if feature exists
-    if (!features[featureId]) {
-      return false;
+    const denied = this._requireFeature('needle_configuration');
+    if (denied) {
+      return denied;
+    }
+    
+    const config = this.needles.createNeedleConfiguration(needle);
+    if (!config) {
+      return {
+        success: false,
+        reason: 'invalid_needle',
+        message: `Invalid needle configuration: ${typeof needle === 'string' ? needle : JSON.stringify(needle)}`
+      };
     }
     
-    // Check subscription
-    const requiredSubscription = features[featureId];
+    this.currentBrush.needle = config;
     
-    if (requiredSubscription === 'free') {
-      return true;
+    return {
+      success: true,
+      needle: config
+    };
+  }
+
+  /**
+   * Remove the needle configuration from the current brush
+   * @returns {Boolean} - Success status
+   */
+  clearNeedleConfiguration() {
+    if (!this.currentBrush) {
+      return false;
     }
     
-    return this.userSubscription === 'pro';
+    delete this.currentBrush.needle;
+    return true;
   }
 
   /**
-   * Get upgrade prompt for a feature
-   * @param {String} featureId - Feature identifier
-   * @returns {Object} - Upgrade prompt
+   * Get needle presets
+   * @returns {Object} - Needle presets keyed by code
    */
-  getUpgradePrompt(featureId) {
-    // Define feature-specific upgrade prompts
-    const prompts = {
-      'shader3RS': {
-        title: 'Unlock 3RS Shader Brush',
-        message: 'Upgrade to BlekkPro Pro to access professional 3RS shader brushes for perfect brow shading.',
-        benefits: [
-          'Realistic 3-needle round shader simulation',
-          'Precise pigment distribution control',
-          'Professional-grade results'
-        ]
-      },
-      'ombreLipOutline': {
-        title: 'Unlock Ombre Lip Outline Tool',
-        message: 'Upgrade to BlekkPro Pro to access specialized ombre lip outline tools for perfect lip treatments.',
-        benefits: [
-          'Specialized lip outline brushes',
-          'Gradient and feathering controls',
-          'Realistic lip blush simulation'
-        ]
-      },
-      'microbladeNatural': {
-        title: 'Unlock Natural Microblade Tool',
-        message: 'Upgrade to BlekkPro Pro to access natural microblade tools for realistic hair strokes.',
-        benefits: [
-          'Realistic hair stroke simulation',
-          'Natural-looking results',
-          'Advanced pressure sensitivity'
-        ]
-      },
-      'export_high_res': {
-        title: 'Unlock High-Resolution Export',
-        message: 'Upgrade to BlekkPro Pro to export your designs in high resolution.',
-        benefits: [
-          'Professional-quality exports',
-          'Print-ready resolution',
-          'Lossless image quality'
-        ]
-      },
-      'default': {
-        title: 'Unlock Pro Features',
-        message: 'Upgrade to BlekkPro Pro to access all professional features.',
-        benefits: [
-          'All specialized PMU brushes',
-          'Advanced customization options',
-          'High-resolution exports',
-          'Priority support'
-        ]
-      }
+  getNeedlePresets() {
+    return this.needles.getPresets();
+  }
+
+  /**
+   * Get the tips or grains stamp brushes can use
+   * @param {String} [kind] - 'tip' or 'grain' (defaults to both)
+   * @returns {Object} - {id: {name, kind, builtIn}}
+   */
+  getBrushTips(kind) {
+    return this.tips.getMasks(kind);
+  }
+
+  /**
+   * Import a custom tip or grain for stamp brushes from an image
+   * Imported tips are saved with the custom presets and travel with brush packs.
+   * @param {String} name - Display name
+   * @param {CanvasImageSource} image - Decoded image, e.g. from createImageBitmap
+   * @param {String} [kind] - 'tip' or 'grain'
+   * @returns {Object} - Result with success status and tip id or error
+   */
+  importBrushTip(name, image, kind = 'tip') {
+    const denied = this._requireFeature('custom_brush_tips');
+    if (denied) {
+      return denied;
+    }
+    
+    const tipName = (name || '').trim().slice(0, 64) || 'Custom Tip';
+    const tipId = this._createCustomTipId(tipName);
+    const result = this.tips.importImage(tipId, image, { name: tipName, kind });
+    
+    if (!result.success) {
+      return result;
+    }
+    
+    this._persistCustomPresets();
+    
+    return {
+      success: true,
+      tipId
     };
+  }
+
+  /**
+   * Set the canvas scale used to size needle deposits
+   * @param {Number} pixelsPerMm - Pixels per millimetre on the client photo
+   * @returns {Boolean} - Success status
+   */
+  setPixelsPerMm(pixelsPerMm) {
+    if (typeof pixelsPerMm !== 'number' || pixelsPerMm <= 0) {
+      return false;
+    }
     
-    // Return feature-specific prompt or default
-    return prompts[featureId] || prompts.default;
+    this.pixelsPerMm = pixelsPerMm;
+    return true;
   }
 
   /**
-   * Apply brush stroke to canvas context
+   * Render a stroke with the current brush and a different needle
+   * Lets artists compare configurations on the same design without changing the brush.
    * @param {CanvasRenderingContext2D} ctx - Canvas context
    * @param {Array} points - Array of points {x, y, pressure}
-   * @param {Array} color - RGB color array [r, g, b]
+   * @param {Array|String|Object} color - RGB color array [r, g, b], pigment id, or pigment mix
+   * @param {String|Object} needle - Needle code or configuration
+   * @param {Object} [options] - Stroke options passed to applyBrushStroke
    * @returns {Boolean} - Success status
    */
-  applyBrushStroke(ctx, points, color) {
-    if (!ctx || !points || points.length === 0 || !this.currentBrush) {
+  previewNeedleStroke(ctx, points, color, needle, options = {}) {
+    if (!this.currentBrush || !this.isFeatureAvailable('needle_configuration')) {
       return false;
     }
     
-    try {
-      // Save context state
-      ctx.save();
-      
-      // Set composite operation
-      ctx.globalCompositeOperation = 'source-over';
-      
-      // Convert color to string
-      const colorStr = `rgba(${color[0]}, ${color[1]}, ${color[2]}, 1)`;
-      
-      // Get brush settings
-      const { size, opacity, spacing, scatter, pressureSensitivity, type } = this.currentBrush;
-      
-      // Optimize for performance by using simplified brush rendering
-      // This is a key optimization for Replit and resource-constrained environments
-      switch (type) {
-        case 'liner':
-          this._applyLinerBrush(ctx, points, colorStr, size, opacity, spacing, scatter, pressureSensitivity);
-          break;
-          
-        case 'shader':
-          this._applyShaderBrush(ctx, points, colorStr, size, opacity, spacing, scatter, pressureSensitivity);
-          break;
-          
-        case 'specialized':
-          this._applySpecializedBrush(ctx, points, colorStr, size, opacity, spacing, scatter, pressureSensitivity);
-          break;
-          
-        default:
-          this._applyDefaultBrush(ctx, points, colorStr, size, opacity);
-          break;
-      }
-      
-      // Restore context state
-      ctx.restore();
-      
-      return true;
-    } catch (error) {
-      console.error('Error applying brush stroke:', error);
+    const config = this.needles.createNeedleConfiguration(needle);
+    if (!config) {
       return false;
     }
+    
+    return this.applyBrushStrokeWith({ ...this.currentBrush, needle: config }, ctx, points, color, options);
   }
 
   /**
-   * Apply liner brush stroke (optimized)
-   * @private
+   * Check the user may draw with a brush snapshot, such as one in a recording
+   * Snapshots are gated like imported presets, by the renderer that will draw
+   * them, so the same brushes are locked as when selecting them live.
+   * @param {Object} brush - Brush settings snapshot with its id and category
+   * @returns {Object} - Result with success status, or the reason it is locked
    */
-  _applyLinerBrush(ctx, points, colorStr, size, opacity, spacing, scatter, pressureSensitivity) {
-    // For performance, use a simple path for liner brushes
-    ctx.beginPath();
-    ctx.strokeStyle = colorStr;
-    ctx.lineWidth = size;
-    ctx.lineCap = 'round';
-    ctx.lineJoin = 'round';
-    ctx.globalAlpha = opacity;
+  checkBrush(brush) {
+    if (!brush || typeof brush !== 'object') {
+      return {
+        success: false,
+        reason: 'invalid_brush',
+        message: 'Invalid brush'
+      };
+    }
     
-    // Draw path
-    ctx.moveTo(points[0].x, points[0].y);
+    const source = brush.basedOn || (brush.category && brush.id ? { category: brush.category, id: brush.id } : undefined);
+    const denied = this._requireFeature(this._getPresetFeature({ ...brush, basedOn: source }, brush.id));
     
-    for (let i = 1; i < points.length; i++) {
-      const point = points[i];
-      const pressure = point.pressure || 1;
-      
-      // Apply pressure sensitivity
-      const adjustedSize = size * (1 + (pressure - 0.5) * pressureSensitivity);
-      ctx.lineWidth = adjustedSize;
-      
-      // Draw line segment
-      ctx.lineTo(point.x, point.y);
+    return denied || { success: true };
+  }
+
+  /**
+   * Render a stroke with a given brush instead of the current one
+   * Used to replay recorded strokes with the brush settings they were drawn with.
+   * @param {Object} brush - Brush settings snapshot
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {Array} points - Array of points {x, y, pressure}
+   * @param {Array|String|Object} color - RGB color array [r, g, b], pigment id, or pigment mix
+   * @param {Object} [options] - Stroke options passed to applyBrushStroke
+   * @returns {Boolean} - Success status
+   */
+  applyBrushStrokeWith(brush, ctx, points, color, options = {}) {
+    if (!brush) {
+      return false;
     }
     
-    ctx.stroke();
+    const currentBrush = this.currentBrush;
+    this.currentBrush = brush;
+    
+    try {
+      return this.applyBrushStroke(ctx, points, color, options);
+    } finally {
+      this.currentBrush = currentBrush;
+    }
+  }
+
+  /**
+   * Generate an ombré stipple fill for a closed region such as a brow
+   * Dot density follows the gradient stops from head to tail. The upper edge is
+   * always feathered; the lower edge is as crisp as requested. The fill is a
+   * stroke whose points are single needle touches, so it renders and records
+   * like any other stroke.
+   * @param {Array} polygon - Region outline points {x, y}
+   * @param {Object} [options] - Fill options
+   * @param {Array} [options.stops] - Gradient stops [{position: 0 (head) to 1 (tail), density: 0-1}]
+   * @param {Number} [options.lowerEdgeCrispness] - 0 (soft) to 1 (crisp), default 0.7
+   * @param {Object} [options.head] - Head end {x, y}; defaults to the end nearest the first outline point
+   * @param {Object} [options.tail] - Tail end {x, y}
+   * @param {Number} [options.passes] - Stippling passes, default 2
+   * @param {Object} [options.brush] - Brush to stipple with; defaults to the current brush
+   * @param {Number} [options.seed] - Seed for dot placement
+   * @returns {Object} - Result with fill brush, points and seed, or error
+   */
+  createRegionFill(polygon, options = {}) {
+    const denied = this._requireFeature('powder_brow');
+    if (denied) {
+      return denied;
+    }
+    
+    if (!Array.isArray(polygon) || polygon.length < 3) {
+      return {
+        success: false,
+        reason: 'invalid_region',
+        message: 'A region needs at least three outline points'
+      };
+    }
+    
+    const stops = this._normalizeGradientStops(options.stops || this.ombreGradientStops);
+    if (!stops) {
+      return {
+        success: false,
+        reason: 'invalid_gradient',
+        message: 'Gradient stops need a position and density between 0 and 1'
+      };
+    }
+    
+    const baseBrush = options.brush || this.currentBrush || this.getBrush('basic', 'powderBrow').brush;
+    const axis = options.head && options.tail
+      ? { head: options.head, tail: options.tail }
+      : this._findRegionAxis(polygon);
+    
+    const ax = axis.tail.x - axis.head.x;
+    const ay = axis.tail.y - axis.head.y;
+    const axisLengthSq = ax * ax + ay * ay;
+    if (axisLengthSq === 0) {
+      return {
+        success: false,
+        reason: 'invalid_region',
+        message: 'Region head and tail must be different points'
+      };
+    }
+    
+    // "Up" is the side of the axis facing the top of the image
+    const axisLength = Math.sqrt(axisLengthSq);
+    let up = { x: -ay / axisLength, y: ax / axisLength };
+    if (up.y > 0) {
+      up = { x: -up.x, y: -up.y };
+    }
+    
+    // Feather widths scale with the region's average height
+    const height = Math.abs(this._polygonArea(polygon)) / axisLength;
+    const crispness = Math.max(0, Math.min(1, options.lowerEdgeCrispness !== undefined ? options.lowerEdgeCrispness : 0.7));
+    const upperFeather = height * 0.35;
+    const lowerFeather = height * 0.35 * (1 - crispness);
+    
+    const seed = options.seed !== undefined ? options.seed : this.createStrokeSeed();
+    const random = createSeededRandom(seed);
+    const passes = Math.max(1, Math.round(options.passes || 2));
+    
+    // Jittered grid about one dot apart, so full density reads as solid shading
+    const cellSize = Math.max(1, this._getStippleDotSize(baseBrush) * 1.1);
+    const xs = polygon.map(point => point.x);
+    const ys = polygon.map(point => point.y);
+    const minX = Math.min(...xs);
+    const minY = Math.min(...ys);
+    const maxX = Math.max(...xs);
+    const maxY = Math.max(...ys);
+    const points = [];
+    
+    for (let pass = 0; pass < passes; pass++) {
+      const offsetX = random() * cellSize;
+      const offsetY = random() * cellSize;
+      const passPoints = [];
+      
+      for (let y = minY - offsetY; y < maxY; y += cellSize) {
+        for (let x = minX - offsetX; x < maxX; x += cellSize) {
+          const point = { x: x + random() * cellSize, y: y + random() * cellSize };
+          const chance = random();
+          
+          if (!this._isPointInPolygon(point, polygon)) continue;
+          
+          const u = Math.max(0, Math.min(1, ((point.x - axis.head.x) * ax + (point.y - axis.head.y) * ay) / axisLengthSq));
+          const density = this._interpolateGradient(stops, u);
+          
+          // Fade in from whichever edge is nearest
+          const edge = this._closestPointOnPolygon(point, polygon);
+          const isUpperEdge = (edge.x - point.x) * up.x + (edge.y - point.y) * up.y > 0;
+          const feather = isUpperEdge ? upperFeather : lowerFeather;
+          const edgeFactor = feather > 0 ? this._smoothstep(0, feather, edge.distance) : 1;
+          
+          if (chance < density * edgeFactor) {
+            passPoints.push({ x: point.x, y: point.y, pressure: density, u });
+          }
+        }
+      }
+      
+      // Each pass works from head to tail, as the artist would
+      passPoints.sort((a, b) => a.u - b.u);
+      passPoints.forEach(({ x, y, pressure }) => points.push({ x, y, pressure, time: points.length * 4 }));
+    }
+    
+    return {
+      success: true,
+      brush: {
+        ...this._pickBrushSettings(baseBrush),
+        id: 'regionFill',
+        name: `${baseBrush.name} Fill`,
+        type: 'stipple'
+      },
+      points,
+      seed
+    };
+  }
+
+  /**
+   * Save the current brush settings as a custom preset
+   * @param {String} name - Preset name
+   * @returns {Object} - Result with success status and brush id or error
+   */
+  saveCurrentBrushAsPreset(name) {
+    if (!this.currentBrush) {
+      return {
+        success: false,
+        reason: 'no_brush_selected',
+        message: 'Select a brush before saving a preset'
+      };
+    }
+    
+    const preset = this._pickBrushSettings(this.currentBrush);
+    preset.name = name || `${this.currentBrush.name} (Custom)`;
+    
+    // Keep track of the source brush so its renderer and gating carry over
+    const source = this.currentBrush.basedOn || { category: this.currentBrush.category, id: this.currentBrush.id };
+    preset.basedOn = { ...source };
+    
+    const errors = this._validateBrushPreset(preset);
+    if (errors.length > 0) {
+      return {
+        success: false,
+        reason: 'invalid_brush',
+        message: errors.join('; ')
+      };
+    }
+    
+    const brushId = this._createCustomPresetId(preset.name);
+    preset.feature = this._getPresetFeature(preset, brushId);
+    const result = this.registerBrushPreset('custom', brushId, preset);
+    
+    if (!result.success) {
+      return result;
+    }
+    
+    this._persistCustomPresets();
+    
+    return {
+      success: true,
+      brushId,
+      brush: result.brush
+    };
+  }
+
+  /**
+   * Delete a custom preset
+   * @param {String} brushId - Custom brush identifier
+   * @returns {Boolean} - Success status
+   */
+  deleteCustomPreset(brushId) {
+    if (!this.brushPresets.custom || !this.brushPresets.custom[brushId]) {
+      return false;
+    }
+    
+    delete this.brushPresets.custom[brushId];
+    this._persistCustomPresets();
+    return true;
+  }
+
+  /**
+   * Export custom presets as a .blekkbrush brush pack
+   * @param {Array} [brushIds] - Custom brush identifiers (defaults to all)
+   * @returns {String} - Brush pack JSON
+   */
+  exportBrushPack(brushIds) {
+    const customPresets = this.brushPresets.custom || {};
+    const ids = brushIds || Object.keys(customPresets);
+    const brushes = {};
+    
+    ids.forEach(id => {
+      if (customPresets[id]) {
+        brushes[id] = {
+          ...this._pickBrushSettings(customPresets[id]),
+          basedOn: customPresets[id].basedOn
+        };
+      }
+    });
+    
+    // Imported tips go with the brushes that use them; a full export carries them all
+    const tipIds = brushIds
+      ? Object.values(brushes).reduce((ids, brush) => ids.concat([brush.tip, brush.grain].filter(Boolean)), [])
+      : undefined;
+    
+    return JSON.stringify({
+      format: BRUSH_PACK_FORMAT,
+      version: BRUSH_PACK_VERSION,
+      exportedAt: new Date().toISOString(),
+      brushes,
+      tips: this.tips.exportMasks(tipIds)
+    }, null, 2);
+  }
+
+  /**
+   * Import a .blekkbrush brush pack into the custom category
+   * Nothing is imported if any preset in the pack is invalid or has the id
+   * of a brush that already exists. Packs carrying tips need custom brush
+   * tips; a tip whose id is taken by a different tip is imported under a new id.
+   * @param {String|Object} pack - Brush pack JSON or parsed object
+   * @returns {Object} - Result with imported brush ids and renamed tips {old id: new id}, or error details
+   */
+  importBrushPack(pack) {
+    return this._importBrushPack(pack, { restoring: false });
+  }
+
+  /**
+   * Import a brush pack; restoring the saved custom presets skips the tip
+   * entitlement, since those tips were checked when first imported, and
+   * doesn't write them back to storage
+   * @private
+   */
+  _importBrushPack(pack, { restoring }) {
+    let data = pack;
+    
+    if (typeof pack === 'string') {
+      try {
+        data = JSON.parse(pack);
+      } catch (error) {
+        return {
+          success: false,
+          reason: 'invalid_json',
+          message: `Brush pack is not valid JSON: ${error.message}`
+        };
+      }
+    }
+    
+    if (!data || data.format !== BRUSH_PACK_FORMAT || typeof data.brushes !== 'object' || data.brushes === null) {
+      return {
+        success: false,
+        reason: 'invalid_format',
+        message: 'File is not a BlekkPro brush pack'
+      };
+    }
+    
+    if (typeof data.version !== 'number' || data.version > BRUSH_PACK_VERSION) {
+      return {
+        success: false,
+        reason: 'unsupported_version',
+        message: `Unsupported brush pack version: ${data.version}`
+      };
+    }
+    
+    const tips = data.tips && typeof data.tips === 'object' ? data.tips : {};
+    
+    if (!restoring && Object.keys(tips).length > 0) {
+      const denied = this._requireFeature('custom_brush_tips');
+      if (denied) {
+        return denied;
+      }
+    }
+    
+    // Tips keep their ids unless a different tip (or a built-in) already has it
+    const tipIds = {};
+    Object.entries(tips).forEach(([id, mask]) => {
+      const taken = Object.values(tipIds);
+      if ((!this.tips.hasMask(id) || this.tips.matchesMask(id, mask)) && !taken.includes(id)) {
+        tipIds[id] = id;
+      } else {
+        tipIds[id] = this._createCustomTipId(mask && typeof mask.name === 'string' ? mask.name : id, taken);
+      }
+    });
+    
+    // Validate every preset and tip before importing any of them
+    const errors = [];
+    Object.entries(data.brushes).forEach(([id, preset]) => {
+      // Renderers are looked up by brush id first, so ids can't be reused
+      if (this._isBrushIdTaken(id)) {
+        errors.push(`${id}: a brush with this id already exists`);
+      }
+      
+      this._validateBrushPreset(preset).forEach(error => {
+        errors.push(`${id}: ${error}`);
+      });
+    });
+    Object.entries(tips).forEach(([id, mask]) => {
+      errors.push(...this.tips.validateMask(tipIds[id], mask));
+    });
+    
+    if (errors.length > 0) {
+      return {
+        success: false,
+        reason: 'invalid_brush',
+        message: `Brush pack contains invalid presets: ${errors.join('; ')}`,
+        errors
+      };
+    }
+    
+    const renamedTips = {};
+    Object.entries(tips).forEach(([id, mask]) => {
+      this.tips.registerMask(tipIds[id], mask);
+      if (tipIds[id] !== id) {
+        renamedTips[id] = tipIds[id];
+      }
+    });
+    
+    const imported = [];
+    Object.entries(data.brushes).forEach(([id, preset]) => {
+      const brush = this._pickBrushSettings(preset);
+      
+      // Point at the pack's tips under the ids they were imported as
+      ['tip', 'grain'].forEach(key => {
+        if (brush[key] && Object.prototype.hasOwnProperty.call(tipIds, brush[key])) {
+          brush[key] = tipIds[brush[key]];
+        }
+      });
+      
+      // Only keep links to brushes that exist here, since they pick the renderer
+      if (preset.basedOn && this._findBrushPreset(preset.basedOn)) {
+        brush.basedOn = { category: preset.basedOn.category, id: preset.basedOn.id };
+      }
+      
+      // Never trust gating stored in the file
+      brush.feature = this._getPresetFeature(brush, id);
+      
+      this.registerBrushPreset('custom', id, brush);
+      imported.push(id);
+    });
+    
+    if (!restoring) {
+      this._persistCustomPresets();
+    }
+    
+    return {
+      success: true,
+      imported,
+      renamedTips
+    };
+  }
+
+  /**
+   * Load custom presets from local storage
+   * @returns {Boolean} - Success status
+   */
+  loadCustomPresets() {
+    if (!this.storage) {
+      return false;
+    }
+    
+    try {
+      const stored = this.storage.getItem(CUSTOM_PRESETS_STORAGE_KEY);
+      if (!stored) {
+        return true;
+      }
+      
+      // The stored pack replaces the custom presets rather than adding to them
+      const custom = this.brushPresets.custom;
+      delete this.brushPresets.custom;
+      
+      const result = this._importBrushPack(stored, { restoring: true });
+      if (!result.success && custom) {
+        this.brushPresets.custom = custom;
+      }
+      
+      return result.success;
+    } catch (error) {
+      console.error('Error loading custom brush presets:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Write custom presets to local storage
+   * @private
+   */
+  _persistCustomPresets() {
+    if (!this.storage) return;
+    
+    try {
+      this.storage.setItem(CUSTOM_PRESETS_STORAGE_KEY, this.exportBrushPack());
+    } catch (error) {
+      console.error('Error saving custom brush presets:', error);
+    }
+  }
+
+  /**
+   * Copy the shareable settings of a brush
+   * @private
+   */
+  _pickBrushSettings(brush) {
+    const settings = {};
+    
+    BRUSH_SETTING_KEYS.forEach(key => {
+      if (brush[key] !== undefined) {
+        settings[key] = brush[key];
+      }
+    });
+    
+    return settings;
+  }
+
+  /**
+   * Validate a brush preset against the brush pack schema
+   * @private
+   */
+  _validateBrushPreset(preset) {
+    const errors = [];
+    const isNumberInRange = (value, min, max) => typeof value === 'number' && !isNaN(value) && value >= min && value <= max;
+    
+    if (!preset || typeof preset !== 'object') {
+      return ['preset must be an object'];
+    }
+    
+    if (typeof preset.name !== 'string' || preset.name.trim() === '' || preset.name.length > 64) {
+      errors.push('name must be a non-empty string of at most 64 characters');
+    }
+    
+    if (typeof preset.type !== 'string' || preset.type === '') {
+      errors.push('type must be a non-empty string');
+    }
+    
+    if (!isNumberInRange(preset.size, 0.1, 100)) {
+      errors.push('size must be a number between 0.1 and 100');
+    }
+    
+    if (!isNumberInRange(preset.opacity, 0, 1)) {
+      errors.push('opacity must be a number between 0 and 1');
+    }
+    
+    if (!isNumberInRange(preset.spacing, 0, 10)) {
+      errors.push('spacing must be a number between 0 and 10');
+    }
+    
+    if (!isNumberInRange(preset.scatter, 0, 10)) {
+      errors.push('scatter must be a number between 0 and 10');
+    }
+    
+    if (!isNumberInRange(preset.pressureSensitivity, 0, 1)) {
+      errors.push('pressureSensitivity must be a number between 0 and 1');
+    }
+    
+    if (preset.stabilization !== undefined && !isNumberInRange(preset.stabilization, 0, 1)) {
+      errors.push('stabilization must be a number between 0 and 1');
+    }
+    
+    if (preset.velocityThinning !== undefined && !isNumberInRange(preset.velocityThinning, 0, 1)) {
+      errors.push('velocityThinning must be a number between 0 and 1');
+    }
+    
+    if (preset.tiltSensitivity !== undefined && !isNumberInRange(preset.tiltSensitivity, 0, 1)) {
+      errors.push('tiltSensitivity must be a number between 0 and 1');
+    }
+    
+    if (preset.blendMode !== undefined && !BRUSH_BLEND_MODES.includes(preset.blendMode)) {
+      errors.push(`blendMode must be one of ${BRUSH_BLEND_MODES.join(', ')}`);
+    }
+    
+    if (preset.tapered !== undefined && typeof preset.tapered !== 'boolean') {
+      errors.push('tapered must be true or false');
+    }
+    
+    // Unknown tips fall back to the default tip, so only the shape of the id is checked
+    if (preset.tip !== undefined && (typeof preset.tip !== 'string' || preset.tip === '')) {
+      errors.push('tip must be a tip id');
+    }
+    
+    if (preset.grain !== undefined && preset.grain !== null && (typeof preset.grain !== 'string' || preset.grain === '')) {
+      errors.push('grain must be a grain id or null');
+    }
+    
+    ['grainStrength', 'flow', 'sizeJitter', 'rotationJitter'].forEach(key => {
+      if (preset[key] !== undefined && !isNumberInRange(preset[key], 0, 1)) {
+        errors.push(`${key} must be a number between 0 and 1`);
+      }
+    });
+    
+    if (preset.needle !== undefined) {
+      this.needles.validateNeedleConfiguration(preset.needle).forEach(error => {
+        errors.push(error);
+      });
+    }
+    
+    if (preset.basedOn !== undefined && (typeof preset.basedOn !== 'object' || preset.basedOn === null || typeof preset.basedOn.id !== 'string')) {
+      errors.push('basedOn must be an object with a brush id');
+    }
+    
+    return errors;
+  }
+
+  /**
+   * Work out the feature that gates a custom preset
+   * The gate follows the renderer that will actually draw the preset, so a
+   * preset can't reach a gated renderer through its id or type while
+   * claiming to be based on a free brush.
+   * @private
+   */
+  _getPresetFeature(preset, brushId) {
+    if (preset.needle) {
+      return 'needle_configuration';
+    }
+    
+    const renderer = this._resolveBrushRenderer({ ...preset, id: brushId });
+    if (!renderer) {
+      return 'basic_brushes';
+    }
+    
+    // Stipple strokes come from region fills, which powder brows include
+    if (renderer === this.brushRenderers.stipple) {
+      return 'powder_brow';
+    }
+    
+    // Built-in brushes drawn by the same renderer
+    const builtIns = [];
+    Object.entries(this.brushPresets).forEach(([category, brushes]) => {
+      if (category === 'custom') return;
+      
+      Object.entries(brushes).forEach(([id, brush]) => {
+        if (this._resolveBrushRenderer({ ...brush, id }) === renderer) {
+          builtIns.push(brush);
+        }
+      });
+    });
+    
+    // Presets derived from a brush keep its gate while they draw the same way
+    const source = preset.basedOn && this._findBrushPreset(preset.basedOn);
+    if (source && builtIns.includes(source)) {
+      return source.feature;
+    }
+    
+    // Otherwise the strictest gate among brushes sharing the renderer
+    const gated = builtIns.find(brush => this.getUpgradePrompt(brush.feature).requiredTier !== 'free');
+    if (gated || builtIns.length > 0) {
+      return (gated || builtIns[0]).feature;
+    }
+    
+    // Renderers no built-in brush uses (specialized, needle) are a Pro feature
+    return 'specialized_brushes';
+  }
+
+  /**
+   * Check whether a brush id is used by a preset or names a renderer
+   * @private
+   */
+  _isBrushIdTaken(brushId) {
+    return Boolean(this.brushRenderers[brushId]) ||
+      Object.values(this.brushPresets).some(brushes => Object.prototype.hasOwnProperty.call(brushes, brushId));
+  }
+
+  /**
+   * Look up a preset by category and id
+   * @private
+   */
+  _findBrushPreset({ category, id }) {
+    return (this.brushPresets[category] && this.brushPresets[category][id]) || null;
+  }
+
+  /**
+   * Create a unique identifier for a custom preset
+   * @private
+   */
+  _createCustomPresetId(name) {
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'brush';
+    let brushId = `custom_${slug}`;
+    let suffix = 2;
+    
+    while (this._isBrushIdTaken(brushId)) {
+      brushId = `custom_${slug}_${suffix}`;
+      suffix++;
+    }
+    
+    return brushId;
+  }
+
+  /**
+   * Create a unique identifier for an imported tip
+   * @private
+   */
+  _createCustomTipId(name, reserved = []) {
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'tip';
+    let tipId = `custom_tip_${slug}`;
+    let suffix = 2;
+    
+    while (this.tips.hasMask(tipId) || reserved.includes(tipId)) {
+      tipId = `custom_tip_${slug}_${suffix}`;
+      suffix++;
+    }
+    
+    return tipId;
+  }
+
+  /**
+   * Check if feature is available with current entitlements
+   * @param {String} featureId - Feature identifier
+   * @returns {Boolean} - Availability status
+   */
+  isFeatureAvailable(featureId) {
+    return this.entitlements.can(featureId);
+  }
+
+  /**
+   * Get upgrade prompt for a feature
+   * @param {String} featureId - Feature identifier
+   * @returns {Object} - Upgrade prompt
+   */
+  getUpgradePrompt(featureId) {
+    return this.entitlements.getUpgradePrompt(featureId);
+  }
+
+  /**
+   * Build the error result for a feature the user can't use, or null if they can
+   * @private
+   */
+  _requireFeature(featureId) {
+    const access = this.entitlements.check(featureId);
+    if (access.allowed) {
+      return null;
+    }
+    
+    return {
+      success: false,
+      reason: access.reason,
+      message: access.message,
+      upgradePrompt: access.upgradePrompt
+    };
+  }
+
+  /**
+   * Get the blend modes pigment brushes can use
+   * @returns {Array} - Canvas composite operations
+   */
+  getBlendModes() {
+    return BRUSH_BLEND_MODES.slice();
+  }
+
+  /**
+   * Check if a brush removes pigment instead of adding it
+   * @param {Object} brush - Brush settings
+   * @returns {Boolean} - Whether the brush erases or lifts
+   */
+  isErasingBrush(brush) {
+    return !!brush && ERASING_BRUSH_TYPES.includes(brush.type);
+  }
+
+  /**
+   * Check if a stroke must be drawn from all its points at once
+   * Tapered widths depend on the whole stroke length, and outline renderers
+   * darken every join when a stroke is drawn piece by piece.
+   * @param {Object} brush - Brush settings
+   * @returns {Boolean} - Whether the stroke is drawn whole
+   */
+  isWholeStrokeBrush(brush) {
+    if (!brush) {
+      return false;
+    }
+
+    return !!brush.tapered || this.outlineRenderers.has(this._resolveBrushRenderer(brush));
+  }
+
+  /**
+   * Get the canvas composite operation a brush draws with
+   * @param {Object} brush - Brush settings
+   * @returns {String} - Composite operation
+   */
+  getCompositeOperation(brush) {
+    if (this.isErasingBrush(brush)) {
+      return 'destination-out';
+    }
+    
+    return BRUSH_BLEND_MODES.includes(brush.blendMode) ? brush.blendMode : DEFAULT_BLEND_MODE;
+  }
+
+  /**
+   * Create a new stroke seed
+   * Store it with the stroke points to re-render the stroke identically.
+   * @returns {Number} - 32-bit integer seed
+   */
+  createStrokeSeed() {
+    return Math.floor(Math.random() * 4294967296);
+  }
+
+  /**
+   * Apply brush stroke to canvas context
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {Array} points - Array of points {x, y, pressure}
+   * @param {Array|String|Object} color - RGB color array [r, g, b], pigment id, or pigment mix
+   * @param {Object} [options] - Stroke options
+   * @param {Number} [options.seed] - Stroke seed; the same seed and points always render the same marks
+   * @returns {Boolean} - Success status
+   */
+  applyBrushStroke(ctx, points, color, options = {}) {
+    if (!ctx || !points || points.length === 0 || !this.currentBrush) {
+      return false;
+    }
+    
+    // Resolve pigments and mixes to RGB
+    const rgb = this.pigments.resolveColor(color);
+    if (!rgb) {
+      return false;
+    }
+    
+    try {
+      // Save context state
+      ctx.save();
+      
+      // Pigment blends into the layer; erasing brushes cut it away
+      ctx.globalCompositeOperation = this.getCompositeOperation(this.currentBrush);
+      
+      // Convert color to string
+      const colorStr = `rgba(${rgb[0]}, ${rgb[1]}, ${rgb[2]}, 1)`;
+      
+      // Look up renderer by brush id, then by brush type
+      const renderer = this._resolveBrushRenderer(this.currentBrush);
+      
+      // Seeded randomness for scatter and needle placement
+      const seed = options.seed !== undefined ? options.seed : this.createStrokeSeed();
+      const random = createSeededRandom(seed);
+      
+      if (renderer) {
+        renderer(ctx, points, colorStr, this.currentBrush, random);
+      } else {
+        this._applyDefaultBrush(ctx, points, colorStr, this.currentBrush.size, this.currentBrush.opacity);
+      }
+      
+      // Restore context state
+      ctx.restore();
+      
+      return true;
+    } catch (error) {
+      console.error('Error applying brush stroke:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Apply liner brush stroke (optimized)
+   * @private
+   */
+  _applyLinerBrush(ctx, points, colorStr, size, opacity, spacing, scatter, pressureSensitivity) {
+    // Per-point widths from pressure, filled as one outline so width changes show
+    const widths = points.map(point => {
+      const pressure = point.pressure || 1;
+      return size * (1 + (pressure - 0.5) * pressureSensitivity);
+    });
+    
+    this._fillVariableWidthStroke(ctx, points, widths, colorStr, opacity);
   }
 
   /**
    * Apply shader brush stroke (optimized)
    * @private
    */
-  _applyShaderBrush(ctx, points, colorStr, size, opacity, spacing, scatter, pressureSensitivity) {
+  _applyShaderBrush(ctx, points, colorStr, size, opacity, spacing, scatter, pressureSensitivity, random, tiltSensitivity = 0) {
     // For performance, use dots with varying opacity for shader brushes
     const minDistance = size * spacing;
     let lastX = points[0].x;
     let lastY = points[0].y;
     
     // Draw initial dot
-    this._drawDot(ctx, lastX, lastY, size, colorStr, opacity);
+    this._drawDot(ctx, lastX, lastY, size, colorStr, opacity, this._getTiltShape(points[0], tiltSensitivity));
     
     for (let i = 1; i < points.length; i++) {
       const point = points[i];
@@ -399,11 +1531,12 @@ class BlekkProPMUBrushes {
         const adjustedSize = size * (1 + (pressure - 0.5) * pressureSensitivity);
         
         // Apply scatter
-        const scatterX = (Math.random() - 0.5) * scatter * size * 2;
-        const scatterY = (Math.random() - 0.5) * scatter * size * 2;
+        const scatterX = (random() - 0.5) * scatter * size * 2;
+        const scatterY = (random() - 0.5) * scatter * size * 2;
         
-        // Draw dot
-        this._drawDot(ctx, point.x + scatterX, point.y + scatterY, adjustedSize, colorStr, opacity * pressure);
+        // Draw dot, stretched by pen tilt
+        const tilt = this._getTiltShape(point, tiltSensitivity);
+        this._drawDot(ctx, point.x + scatterX, point.y + scatterY, adjustedSize, colorStr, opacity * pressure, tilt);
         
         // Update last position
         lastX = point.x;
@@ -413,48 +1546,39 @@ class BlekkProPMUBrushes {
   }
 
   /**
-   * Apply specialized brush stroke (optimized)
+   * Find the renderer for a brush
    * @private
    */
-  _applySpecializedBrush(ctx, points, colorStr, size, opacity, spacing, scatter, pressureSensitivity) {
-    // For specialized brushes, use a combination of techniques based on brush ID
-    const brushId = this.currentBrush.id;
+  _resolveBrushRenderer(brush) {
+    const sourceId = brush.basedOn && brush.basedOn.id;
     
-    switch (brushId) {
-      case 'shader3RS':
-        // 3RS shader - use multiple offset dots for each point
-        this._apply3RSShader(ctx, points, colorStr, size, opacity, spacing, scatter, pressureSensitivity);
-        break;
-        
-      case 'ombreLipOutline':
-        // Ombre lip outline - use gradient-filled path
-        this._applyOmbreLipOutline(ctx, points, colorStr, size, opacity, spacing, pressureSensitivity);
-        break;
-        
-      case 'microbladeNatural':
-        // Microblade natural - use tapered strokes
-        this._applyMicrobladeNatural(ctx, points, colorStr, size, opacity, spacing, pressureSensitivity);
-        break;
-        
-      default:
-        // Fallback to shader brush
-        this._applyShaderBrush(ctx, points, colorStr, size, opacity, spacing, scatter, pressureSensitivity);
-        break;
+    // Stipple fills stamp the needle themselves, one touch per point
+    if (brush.type === 'stipple' && this.brushRenderers.stipple) {
+      return this.brushRenderers.stipple;
     }
+    
+    if (brush.needle && this.brushRenderers.needle) {
+      return this.brushRenderers.needle;
+    }
+    
+    return this.brushRenderers[brush.id] ||
+      (sourceId && this.brushRenderers[sourceId]) ||
+      this.brushRenderers[brush.type] ||
+      null;
   }
 
   /**
    * Apply 3RS shader brush stroke (optimized)
    * @private
    */
-  _apply3RSShader(ctx, points, colorStr, size, opacity, spacing, scatter, pressureSensitivity) {
+  _apply3RSShader(ctx, points, colorStr, size, opacity, spacing, scatter, pressureSensitivity, random, tiltSensitivity = 0) {
     // For performance, simulate 3 needle configuration with 3 offset dots
     const minDistance = size * spacing;
     let lastX = points[0].x;
     let lastY = points[0].y;
     
     // Draw initial dots
-    this._drawTripleDot(ctx, lastX, lastY, size, colorStr, opacity);
+    this._drawTripleDot(ctx, lastX, lastY, size, colorStr, opacity, random, this._getTiltShape(points[0], tiltSensitivity));
     
     for (let i = 1; i < points.length; i++) {
       const point = points[i];
@@ -471,11 +1595,12 @@ class BlekkProPMUBrushes {
         const adjustedSize = size * (1 + (pressure - 0.5) * pressureSensitivity);
         
         // Apply scatter
-        const scatterX = (Math.random() - 0.5) * scatter * size;
-        const scatterY = (Math.random() - 0.5) * scatter * size;
+        const scatterX = (random() - 0.5) * scatter * size;
+        const scatterY = (random() - 0.5) * scatter * size;
         
         // Draw triple dot
-        this._drawTripleDot(ctx, point.x + scatterX, point.y + scatterY, adjustedSize, colorStr, opacity * pressure);
+        const tilt = this._getTiltShape(point, tiltSensitivity);
+        this._drawTripleDot(ctx, point.x + scatterX, point.y + scatterY, adjustedSize, colorStr, opacity * pressure, random, tilt);
         
         // Update last position
         lastX = point.x;
@@ -543,51 +1668,554 @@ class BlekkProPMUBrushes {
     // For microblade natural, use tapered strokes
     if (points.length < 2) return;
     
-    // Draw tapered path
-    ctx.beginPath();
-    ctx.strokeStyle = colorStr;
-    ctx.lineCap = 'round';
-    ctx.lineJoin = 'round';
-    ctx.globalAlpha = opacity;
-    
     // Calculate path length for tapering
-    let totalLength = 0;
+    const distances = [0];
     for (let i = 1; i < points.length; i++) {
       const dx = points[i].x - points[i-1].x;
       const dy = points[i].y - points[i-1].y;
-      totalLength += Math.sqrt(dx * dx + dy * dy);
+      distances.push(distances[i - 1] + Math.sqrt(dx * dx + dy * dy));
     }
     
-    // Draw with varying width
-    let currentLength = 0;
-    ctx.moveTo(points[0].x, points[0].y);
+    const totalLength = distances[distances.length - 1];
+    if (totalLength === 0) return;
     
-    for (let i = 1; i < points.length; i++) {
-      const point = points[i];
-      const prevPoint = points[i-1];
+    const widths = points.map((point, i) => {
       const pressure = point.pressure || 1;
       
-      // Calculate segment length
+      // Calculate taper factor (pointed at both ends, fullest in the middle)
+      const progress = distances[i] / totalLength;
+      const taperFactor = 4 * progress * (1 - progress); // Parabolic function peaking at 0.5
+      
+      // Apply pressure sensitivity and tapering
+      return size * taperFactor * (1 + (pressure - 0.5) * pressureSensitivity);
+    });
+    
+    this._fillVariableWidthStroke(ctx, points, widths, colorStr, opacity);
+  }
+
+  /**
+   * Apply needle brush stroke, stamping the needle deposit pattern along the path
+   * @private
+   */
+  _applyNeedleBrush(ctx, points, colorStr, brush, random) {
+    const { opacity, spacing, scatter, pressureSensitivity, needle, tiltSensitivity } = brush;
+    const pattern = this.needles.getDepositPattern(needle, this.pixelsPerMm);
+    if (pattern.length === 0) return;
+    
+    // Step by the needle diameter so deposits overlap like a real pass
+    const step = Math.max(0.5, needle.diameter * this.pixelsPerMm * Math.max(spacing, 0.05) * 4);
+    
+    // Pen twist turns the grouping in the hand; tilt spreads it the way the pen leans
+    const stamp = (x, y, angle, pressure, point) => {
+      const rotation = angle + ((point.twist || 0) * Math.PI) / 180;
+      const cos = Math.cos(rotation);
+      const sin = Math.sin(rotation);
+      const pressureScale = 1 + (pressure - 0.5) * pressureSensitivity;
+      const tilt = this._getTiltShape(point, tiltSensitivity);
+      
+      pattern.forEach(deposit => {
+        const scatterX = (random() - 0.5) * scatter * deposit.radius * 2;
+        const scatterY = (random() - 0.5) * scatter * deposit.radius * 2;
+        const offset = this._stretchOffset(deposit.x * cos - deposit.y * sin, deposit.x * sin + deposit.y * cos, tilt);
+        
+        this._drawDot(ctx, x + offset.x + scatterX, y + offset.y + scatterY, deposit.radius * 2 * pressureScale, colorStr, opacity * pressure, tilt);
+      });
+    };
+    
+    if (points.length === 1) {
+      stamp(points[0].x, points[0].y, 0, points[0].pressure || 1, points[0]);
+      return;
+    }
+    
+    let carry = 0;
+    
+    for (let i = 1; i < points.length; i++) {
+      const prevPoint = points[i - 1];
+      const point = points[i];
       const dx = point.x - prevPoint.x;
       const dy = point.y - prevPoint.y;
       const segmentLength = Math.sqrt(dx * dx + dy * dy);
+      if (segmentLength === 0) continue;
       
-      // Update current length
-      currentLength += segmentLength;
+      const angle = Math.atan2(dy, dx);
       
-      // Calculate taper factor (thinner at ends, thicker in middle)
-      const progress = currentLength / totalLength;
-      const taperFactor = 4 * progress * (1 - progress); // Parabolic function peaking at 0.5
+      // Walk the segment at a fixed step, carrying leftover distance over
+      let distance = carry;
+      while (distance <= segmentLength) {
+        const t = distance / segmentLength;
+        const prevPressure = prevPoint.pressure || 1;
+        const pressure = prevPressure + ((point.pressure || 1) - prevPressure) * t;
+        
+        stamp(prevPoint.x + dx * t, prevPoint.y + dy * t, angle, pressure, t < 0.5 ? prevPoint : point);
+        distance += step;
+      }
       
-      // Apply pressure sensitivity and tapering
-      const adjustedSize = size * taperFactor * (1 + (pressure - 0.5) * pressureSensitivity);
-      ctx.lineWidth = adjustedSize;
+      carry = distance - segmentLength;
+    }
+  }
+
+  /**
+   * Area of a context's canvas in the context's own units, for clipping
+   * scratch layers; unbounded for contexts that can't report their transform,
+   * such as BlekkProSVGContext
+   * @private
+   */
+  _getVisibleBounds(ctx) {
+    if (!ctx.canvas || typeof ctx.getTransform !== 'function') {
+      return { left: -Infinity, top: -Infinity, right: Infinity, bottom: Infinity };
+    }
+
+    // Map the canvas corners back through the transform (device pixels to drawing units)
+    const inverse = ctx.getTransform().inverse();
+    const corners = [[0, 0], [ctx.canvas.width, 0], [0, ctx.canvas.height], [ctx.canvas.width, ctx.canvas.height]]
+      .map(([x, y]) => ({ x: inverse.a * x + inverse.c * y + inverse.e, y: inverse.b * x + inverse.d * y + inverse.f }));
+
+    return {
+      left: Math.floor(Math.min(...corners.map(corner => corner.x))),
+      top: Math.floor(Math.min(...corners.map(corner => corner.y))),
+      right: Math.ceil(Math.max(...corners.map(corner => corner.x))),
+      bottom: Math.ceil(Math.max(...corners.map(corner => corner.y)))
+    };
+  }
+
+  /**
+   * Apply stamp brush stroke: dabs of a tip image, textured by a grain
+   * Dabs build up on a scratch layer at the brush flow. The grain is applied in
+   * canvas space so it stays put like skin texture, then the layer is tinted and
+   * laid down at the brush opacity. Tapered stamp brushes fade out like a whip stroke.
+   * @private
+   */
+  _applyStampBrush(ctx, points, colorStr, brush, random) {
+    const { size, opacity, spacing, scatter, pressureSensitivity, tiltSensitivity } = brush;
+    const flow = brush.flow !== undefined ? brush.flow : 1;
+    const sizeJitter = brush.sizeJitter || 0;
+    const rotationJitter = brush.rotationJitter || 0;
+    const tip = this.tips.getCanvas(this.tips.resolveTip(brush.tip));
+    
+    // Scratch layer covering the stroke and its largest possible dab
+    const reach = (size * (1 + pressureSensitivity / 2) * (1 + (tiltSensitivity || 0) * 1.5)) / 2 + scatter * size + 2;
+    const xs = points.map(point => point.x);
+    const ys = points.map(point => point.y);
+    const visible = this._getVisibleBounds(ctx);
+    const left = Math.max(visible.left, Math.floor(Math.min(...xs) - reach));
+    const top = Math.max(visible.top, Math.floor(Math.min(...ys) - reach));
+    const right = Math.min(visible.right, Math.ceil(Math.max(...xs) + reach));
+    const bottom = Math.min(visible.bottom, Math.ceil(Math.max(...ys) + reach));
+    const layer = tip && right > left && bottom > top ? this.tips.createCanvas(right - left, bottom - top) : null;
+    
+    // Without canvas support (e.g. server rendering) fall back to plain dots
+    if (!layer) {
+      this._applyShaderBrush(ctx, points, colorStr, size, opacity * flow, spacing, scatter, pressureSensitivity, random, tiltSensitivity);
+      return;
+    }
+    
+    const layerCtx = layer.getContext('2d');
+    layerCtx.translate(-left, -top);
+    
+    // Non-square tips keep their aspect ratio
+    const tipScale = 1 / Math.max(tip.width, tip.height);
+    
+    const stamp = (x, y, angle, pressure, point, progress) => {
+      const pressureScale = 1 + (pressure - 0.5) * pressureSensitivity;
+      const fade = brush.tapered ? this._smoothstep(0.2, 1, progress) : 0;
+      const dabSize = size * pressureScale * (1 - sizeJitter * random()) * (1 - fade * 0.3);
+      const rotation = angle + ((point.twist || 0) * Math.PI) / 180 + (random() - 0.5) * Math.PI * 2 * rotationJitter;
+      const scatterX = (random() - 0.5) * scatter * size * 2;
+      const scatterY = (random() - 0.5) * scatter * size * 2;
+      const tilt = this._getTiltShape(point, tiltSensitivity);
       
-      // Draw line segment
-      ctx.lineTo(point.x, point.y);
+      layerCtx.save();
+      layerCtx.globalAlpha = Math.min(1, flow * pressure * (1 - fade * 0.9) * (tilt ? tilt.alphaScale : 1));
+      layerCtx.translate(x + scatterX, y + scatterY);
+      
+      // Pen tilt stretches the dab the way the pen leans
+      if (tilt) {
+        layerCtx.rotate(tilt.angle);
+        layerCtx.scale(tilt.stretch, 1);
+        layerCtx.rotate(-tilt.angle);
+      }
+      
+      layerCtx.rotate(rotation);
+      
+      const width = tip.width * tipScale * dabSize;
+      const height = tip.height * tipScale * dabSize;
+      layerCtx.drawImage(tip, -width / 2, -height / 2, width, height);
+      layerCtx.restore();
+    };
+    
+    if (points.length === 1) {
+      stamp(points[0].x, points[0].y, 0, points[0].pressure || 1, points[0], 0);
+    } else {
+      const step = Math.max(0.5, size * spacing);
+      let totalLength = 0;
+      for (let i = 1; i < points.length; i++) {
+        totalLength += Math.sqrt(Math.pow(points[i].x - points[i - 1].x, 2) + Math.pow(points[i].y - points[i - 1].y, 2));
+      }
+      
+      let travelled = 0;
+      let carry = 0;
+      
+      for (let i = 1; i < points.length; i++) {
+        const prevPoint = points[i - 1];
+        const point = points[i];
+        const dx = point.x - prevPoint.x;
+        const dy = point.y - prevPoint.y;
+        const segmentLength = Math.sqrt(dx * dx + dy * dy);
+        if (segmentLength === 0) continue;
+        
+        const angle = Math.atan2(dy, dx);
+        
+        // Walk the segment at a fixed step, carrying leftover distance over
+        let distance = carry;
+        while (distance <= segmentLength) {
+          const t = distance / segmentLength;
+          const prevPressure = prevPoint.pressure || 1;
+          const pressure = prevPressure + ((point.pressure || 1) - prevPressure) * t;
+          const progress = totalLength > 0 ? (travelled + distance) / totalLength : 0;
+          
+          stamp(prevPoint.x + dx * t, prevPoint.y + dy * t, angle, pressure, t < 0.5 ? prevPoint : point, progress);
+          distance += step;
+        }
+        
+        carry = distance - segmentLength;
+        travelled += segmentLength;
+      }
     }
     
-    ctx.stroke();
+    // The grain is anchored to the canvas, so neighbouring strokes share the same texture
+    const grain = brush.grain && this.tips.hasMask(brush.grain, 'grain') ? this.tips.getCanvas(brush.grain, true) : null;
+    if (grain && brush.grainStrength > 0) {
+      layerCtx.globalCompositeOperation = 'destination-out';
+      layerCtx.globalAlpha = Math.min(1, brush.grainStrength);
+      layerCtx.fillStyle = layerCtx.createPattern(grain, 'repeat');
+      layerCtx.fillRect(left, top, right - left, bottom - top);
+    }
+    
+    // Tint the dabs with the pigment colour
+    layerCtx.globalCompositeOperation = 'source-in';
+    layerCtx.globalAlpha = 1;
+    layerCtx.fillStyle = colorStr;
+    layerCtx.fillRect(left, top, right - left, bottom - top);
+    
+    ctx.globalAlpha = opacity;
+    ctx.drawImage(layer, left, top);
+  }
+
+  /**
+   * Apply soft eraser stroke: stacked dots give a feathered edge
+   * @private
+   */
+  _applySoftEraser(ctx, points, colorStr, size, opacity, spacing, pressureSensitivity) {
+    const rings = 4;
+    const minDistance = Math.max(0.5, size * spacing);
+    
+    const stamp = (point) => {
+      const pressure = point.pressure || 1;
+      const adjustedSize = size * (1 + (pressure - 0.5) * pressureSensitivity);
+      
+      for (let ring = 1; ring <= rings; ring++) {
+        this._drawDot(ctx, point.x, point.y, adjustedSize * (ring / rings), colorStr, (opacity * pressure) / rings);
+      }
+    };
+    
+    let last = points[0];
+    stamp(last);
+    
+    for (let i = 1; i < points.length; i++) {
+      const point = points[i];
+      const distance = Math.sqrt(Math.pow(point.x - last.x, 2) + Math.pow(point.y - last.y, 2));
+      
+      if (distance >= minDistance) {
+        stamp(point);
+        last = point;
+      }
+    }
+  }
+
+  /**
+   * Apply lift stroke: patchy partial removal, like saline or laser lifting
+   * @private
+   */
+  _applyLiftBrush(ctx, points, colorStr, brush, random) {
+    const { size, opacity, spacing, scatter, pressureSensitivity } = brush;
+    const minDistance = Math.max(0.5, size * spacing);
+    const dotsPerStamp = 6;
+    
+    const stamp = (point) => {
+      const pressure = point.pressure || 1;
+      const radius = (size / 2) * (1 + (pressure - 0.5) * pressureSensitivity);
+      
+      for (let i = 0; i < dotsPerStamp; i++) {
+        const angle = random() * Math.PI * 2;
+        const distance = Math.sqrt(random()) * radius * scatter;
+        const strength = 0.5 + random() * 0.5;
+        
+        this._drawDot(
+          ctx,
+          point.x + Math.cos(angle) * distance,
+          point.y + Math.sin(angle) * distance,
+          radius * (1 - scatter * 0.5) * 2,
+          colorStr,
+          opacity * pressure * strength
+        );
+      }
+    };
+    
+    let last = points[0];
+    stamp(last);
+    
+    for (let i = 1; i < points.length; i++) {
+      const point = points[i];
+      const distance = Math.sqrt(Math.pow(point.x - last.x, 2) + Math.pow(point.y - last.y, 2));
+      
+      if (distance >= minDistance) {
+        stamp(point);
+        last = point;
+      }
+    }
+  }
+
+  /**
+   * Apply stipple brush: one needle touch at every point, darker where pressure is higher
+   * @private
+   */
+  _applyStippleBrush(ctx, points, colorStr, brush, random) {
+    const pattern = brush.needle
+      ? this.needles.getDepositPattern(brush.needle, this.pixelsPerMm)
+      : [{ x: 0, y: 0, radius: brush.size / 2 }];
+    
+    points.forEach(point => {
+      const pressure = point.pressure !== undefined ? point.pressure : 1;
+      const angle = random() * Math.PI * 2;
+      const alpha = brush.opacity * (0.4 + 0.6 * pressure) * (0.8 + random() * 0.2);
+      const cos = Math.cos(angle);
+      const sin = Math.sin(angle);
+      
+      pattern.forEach(deposit => {
+        const x = point.x + deposit.x * cos - deposit.y * sin;
+        const y = point.y + deposit.x * sin + deposit.y * cos;
+        this._drawDot(ctx, x, y, deposit.radius * 2, colorStr, alpha);
+      });
+    });
+  }
+
+  /**
+   * Width of one stipple dot: the needle footprint, or the brush size without a needle
+   * @private
+   */
+  _getStippleDotSize(brush) {
+    if (brush.needle) {
+      return this.needles.getFootprintWidth(brush.needle, this.pixelsPerMm);
+    }
+    
+    return brush.size;
+  }
+
+  /**
+   * Validate gradient stops and sort them by position
+   * @private
+   */
+  _normalizeGradientStops(stops) {
+    if (!Array.isArray(stops) || stops.length === 0) {
+      return null;
+    }
+    
+    const inRange = (value) => typeof value === 'number' && value >= 0 && value <= 1;
+    if (!stops.every(stop => stop && inRange(stop.position) && inRange(stop.density))) {
+      return null;
+    }
+    
+    return stops
+      .map(({ position, density }) => ({ position, density }))
+      .sort((a, b) => a.position - b.position);
+  }
+
+  /**
+   * Density at a position along the gradient
+   * @private
+   */
+  _interpolateGradient(stops, position) {
+    if (position <= stops[0].position) {
+      return stops[0].density;
+    }
+    
+    for (let i = 1; i < stops.length; i++) {
+      const from = stops[i - 1];
+      const to = stops[i];
+      
+      if (position <= to.position) {
+        const span = to.position - from.position;
+        const t = span > 0 ? (position - from.position) / span : 1;
+        return from.density + (to.density - from.density) * t;
+      }
+    }
+    
+    return stops[stops.length - 1].density;
+  }
+
+  /**
+   * Find the long axis of a region, oriented so the head is nearest the first outline point
+   * @private
+   */
+  _findRegionAxis(polygon) {
+    let head = polygon[0];
+    let tail = polygon[1];
+    let longest = -1;
+    
+    for (let i = 0; i < polygon.length; i++) {
+      for (let j = i + 1; j < polygon.length; j++) {
+        const distance = Math.pow(polygon[j].x - polygon[i].x, 2) + Math.pow(polygon[j].y - polygon[i].y, 2);
+        if (distance > longest) {
+          longest = distance;
+          head = polygon[i];
+          tail = polygon[j];
+        }
+      }
+    }
+    
+    const first = polygon[0];
+    const headDistance = Math.pow(head.x - first.x, 2) + Math.pow(head.y - first.y, 2);
+    const tailDistance = Math.pow(tail.x - first.x, 2) + Math.pow(tail.y - first.y, 2);
+    
+    return headDistance <= tailDistance ? { head, tail } : { head: tail, tail: head };
+  }
+
+  /**
+   * Even-odd point in polygon test
+   * @private
+   */
+  _isPointInPolygon(point, polygon) {
+    let inside = false;
+    
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+      const a = polygon[i];
+      const b = polygon[j];
+      
+      if ((a.y > point.y) !== (b.y > point.y) &&
+          point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+        inside = !inside;
+      }
+    }
+    
+    return inside;
+  }
+
+  /**
+   * Closest point on a polygon's outline and its distance
+   * @private
+   */
+  _closestPointOnPolygon(point, polygon) {
+    let closest = { x: polygon[0].x, y: polygon[0].y, distance: Infinity };
+    
+    for (let i = 0; i < polygon.length; i++) {
+      const a = polygon[i];
+      const b = polygon[(i + 1) % polygon.length];
+      const dx = b.x - a.x;
+      const dy = b.y - a.y;
+      const lengthSq = dx * dx + dy * dy;
+      const t = lengthSq > 0
+        ? Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSq))
+        : 0;
+      const x = a.x + dx * t;
+      const y = a.y + dy * t;
+      const distance = Math.sqrt(Math.pow(point.x - x, 2) + Math.pow(point.y - y, 2));
+      
+      if (distance < closest.distance) {
+        closest = { x, y, distance };
+      }
+    }
+    
+    return closest;
+  }
+
+  /**
+   * Signed polygon area
+   * @private
+   */
+  _polygonArea(polygon) {
+    let area = 0;
+    for (let i = 0; i < polygon.length; i++) {
+      const a = polygon[i];
+      const b = polygon[(i + 1) % polygon.length];
+      area += a.x * b.y - b.x * a.y;
+    }
+    return area / 2;
+  }
+
+  /**
+   * Smooth 0..1 ramp between two edges
+   * @private
+   */
+  _smoothstep(edge0, edge1, value) {
+    const t = Math.max(0, Math.min(1, (value - edge0) / (edge1 - edge0)));
+    return t * t * (3 - 2 * t);
+  }
+
+  /**
+   * Fill a stroke whose width changes from point to point
+   * Each segment becomes a quad between the two point widths, with round joins
+   * and caps. Everything goes into one path and is filled once, so overlaps
+   * don't build up extra opacity.
+   * @private
+   */
+  _fillVariableWidthStroke(ctx, points, widths, colorStr, opacity) {
+    ctx.beginPath();
+    ctx.fillStyle = colorStr;
+    ctx.globalAlpha = opacity;
+    
+    // Round caps and joins
+    points.forEach((point, i) => {
+      const radius = Math.max(0, widths[i] / 2);
+      if (radius > 0) {
+        ctx.moveTo(point.x + radius, point.y);
+        ctx.arc(point.x, point.y, radius, 0, Math.PI * 2);
+      }
+    });
+    
+    for (let i = 1; i < points.length; i++) {
+      const quad = this._buildSegmentQuad(points[i - 1], points[i], widths[i - 1] / 2, widths[i] / 2);
+      if (!quad) continue;
+      
+      ctx.moveTo(quad[0].x, quad[0].y);
+      for (let j = 1; j < quad.length; j++) {
+        ctx.lineTo(quad[j].x, quad[j].y);
+      }
+      ctx.closePath();
+    }
+    
+    ctx.fill();
+  }
+
+  /**
+   * Build the outline quad for one stroke segment
+   * Quads are wound the same way as ctx.arc so the non-zero fill never leaves holes.
+   * @private
+   */
+  _buildSegmentQuad(from, to, fromRadius, toRadius) {
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const length = Math.sqrt(dx * dx + dy * dy);
+    if (length === 0) return null;
+    
+    const nx = -dy / length;
+    const ny = dx / length;
+    
+    const quad = [
+      { x: from.x + nx * fromRadius, y: from.y + ny * fromRadius },
+      { x: to.x + nx * toRadius, y: to.y + ny * toRadius },
+      { x: to.x - nx * toRadius, y: to.y - ny * toRadius },
+      { x: from.x - nx * fromRadius, y: from.y - ny * fromRadius }
+    ];
+    
+    // Signed area; arcs drawn clockwise on screen have positive area
+    let area = 0;
+    for (let i = 0; i < quad.length; i++) {
+      const a = quad[i];
+      const b = quad[(i + 1) % quad.length];
+      area += a.x * b.y - b.x * a.y;
+    }
+    
+    return area < 0 ? quad.reverse() : quad;
   }
 
   /**
@@ -617,33 +2245,84 @@ class BlekkProPMUBrushes {
    * Draw a single dot
    * @private
    */
-  _drawDot(ctx, x, y, size, color, alpha) {
+  _drawDot(ctx, x, y, size, color, alpha, tilt = null) {
     ctx.beginPath();
-    ctx.globalAlpha = alpha;
     ctx.fillStyle = color;
-    ctx.arc(x, y, size / 2, 0, Math.PI * 2);
+    
+    if (tilt) {
+      ctx.globalAlpha = alpha * tilt.alphaScale;
+      ctx.ellipse(x, y, (size / 2) * tilt.stretch, size / 2, tilt.angle, 0, Math.PI * 2);
+    } else {
+      ctx.globalAlpha = alpha;
+      ctx.arc(x, y, size / 2, 0, Math.PI * 2);
+    }
+    
     ctx.fill();
   }
 
+  /**
+   * Work out how pen tilt shapes a stamp
+   * A tilted needle lays pigment down in an oval stretched the way the pen leans,
+   * spreading it wider and lighter, like shading with a needle held at an angle.
+   * @private
+   */
+  _getTiltShape(point, tiltSensitivity) {
+    if (!tiltSensitivity || (!point.tiltX && !point.tiltY)) {
+      return null;
+    }
+    
+    const toSlope = (degrees) => Math.tan(Math.max(-MAX_PEN_TILT, Math.min(MAX_PEN_TILT, degrees || 0)) * Math.PI / 180);
+    const slopeX = toSlope(point.tiltX);
+    const slopeY = toSlope(point.tiltY);
+    
+    // 0 with the pen upright, approaching 1 as it lies flat
+    const amount = Math.atan(Math.sqrt(slopeX * slopeX + slopeY * slopeY)) / (Math.PI / 2);
+    const effect = amount * tiltSensitivity;
+    
+    return {
+      stretch: 1 + effect * 1.5,
+      angle: Math.atan2(slopeY, slopeX),
+      alphaScale: 1 - effect * 0.3
+    };
+  }
+
+  /**
+   * Stretch a stamp offset along the tilt direction
+   * @private
+   */
+  _stretchOffset(dx, dy, tilt) {
+    if (!tilt) {
+      return { x: dx, y: dy };
+    }
+    
+    const cos = Math.cos(tilt.angle);
+    const sin = Math.sin(tilt.angle);
+    const along = (dx * cos + dy * sin) * tilt.stretch;
+    const across = -dx * sin + dy * cos;
+    
+    return {
+      x: along * cos - across * sin,
+      y: along * sin + across * cos
+    };
+  }
+
   /**
    * Draw a triple dot (for 3RS shader)
    * @private
    */
-  _drawTripleDot(ctx, x, y, size, color, alpha) {
+  _drawTripleDot(ctx, x, y, size, color, alpha, random, tilt = null) {
     // Draw center dot
-    this._drawDot(ctx, x, y, size, color, alpha);
+    this._drawDot(ctx, x, y, size, color, alpha, tilt);
     
     // Draw two satellite dots
     const offset = size * 0.6;
-    const angle = Math.random() * Math.PI * 2; // Random angle
+    const angle = random() * Math.PI * 2; // Random angle
     
-    const x1 = x + Math.cos(angle) * offset;
-    const y1 = y + Math.sin(angle) * offset;
-    this._drawDot(ctx, x1, y1, size * 0.8, color, alpha * 0.9);
+    const offset1 = this._stretchOffset(Math.cos(angle) * offset, Math.sin(angle) * offset, tilt);
+    this._drawDot(ctx, x + offset1.x, y + offset1.y, size * 0.8, color, alpha * 0.9, tilt);
     
-    const x2 = x + Math.cos(angle + Math.PI * 2/3) * offset;
-    const y2 = y + Math.sin(angle + Math.PI * 2/3) * offset;
-    this._drawDot(ctx, x2, y2, size * 0.8, color, alpha * 0.9);
+    const offset2 = this._stretchOffset(Math.cos(angle + Math.PI * 2/3) * offset, Math.sin(angle + Math.PI * 2/3) * offset, tilt);
+    this._drawDot(ctx, x + offset2.x, y + offset2.y, size * 0.8, color, alpha * 0.9, tilt);
   }
 }
 
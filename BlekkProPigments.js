@@ -0,0 +1,291 @@
+// BlekkPro Pigment Library Module
+// Named PMU pigments and a Kubelka-Munk mixing model, so brushes can preview
+// the actual formula in the cup instead of a raw RGB value
+
+class BlekkProPigments {
+  constructor() {
+    // House pigment line; studios can register their own pigments at runtime
+    this.pigments = {
+      blonde: { name: 'Blonde', manufacturer: 'BlekkPro', kind: 'base', area: 'brow', undertone: 'warm', rgb: [176, 133, 92] },
+      lightBrown: { name: 'Light Brown', manufacturer: 'BlekkPro', kind: 'base', area: 'brow', undertone: 'warm', rgb: [146, 106, 74] },
+      mediumBrown: { name: 'Medium Brown', manufacturer: 'BlekkPro', kind: 'base', area: 'brow', undertone: 'neutral', rgb: [121, 85, 61] },
+      darkBrown: { name: 'Dark Brown', manufacturer: 'BlekkPro', kind: 'base', area: 'brow', undertone: 'neutral', rgb: [78, 55, 42] },
+      ashBrown: { name: 'Ash Brown', manufacturer: 'BlekkPro', kind: 'base', area: 'brow', undertone: 'cool', rgb: [104, 92, 82] },
+      taupe: { name: 'Taupe', manufacturer: 'BlekkPro', kind: 'base', area: 'brow', undertone: 'cool', rgb: [122, 108, 96] },
+      softBlack: { name: 'Soft Black', manufacturer: 'BlekkPro', kind: 'base', area: 'brow', undertone: 'cool', rgb: [48, 44, 44] },
+      nudeRose: { name: 'Nude Rose', manufacturer: 'BlekkPro', kind: 'base', area: 'lip', undertone: 'cool', rgb: [196, 128, 128] },
+      coral: { name: 'Coral', manufacturer: 'BlekkPro', kind: 'base', area: 'lip', undertone: 'warm', rgb: [226, 112, 92] },
+      berry: { name: 'Berry', manufacturer: 'BlekkPro', kind: 'base', area: 'lip', undertone: 'cool', rgb: [150, 52, 82] },
+      classicRed: { name: 'Classic Red', manufacturer: 'BlekkPro', kind: 'base', area: 'lip', undertone: 'warm', rgb: [178, 36, 44] },
+      warmModifier: { name: 'Warm Modifier', manufacturer: 'BlekkPro', kind: 'modifier', area: 'any', undertone: 'warm', rgb: [214, 118, 42], strength: 1.4 },
+      coolModifier: { name: 'Cool Modifier', manufacturer: 'BlekkPro', kind: 'modifier', area: 'any', undertone: 'cool', rgb: [86, 116, 84], strength: 1.4 },
+      yellowModifier: { name: 'Yellow Modifier', manufacturer: 'BlekkPro', kind: 'modifier', area: 'any', undertone: 'warm', rgb: [222, 184, 64], strength: 1.2 },
+      white: { name: 'Lightening White', manufacturer: 'BlekkPro', kind: 'modifier', area: 'any', undertone: 'neutral', rgb: [240, 236, 230], strength: 0.8 }
+    };
+
+    this.kinds = ['base', 'modifier', 'corrector'];
+    this.undertones = ['warm', 'cool', 'neutral'];
+  }
+
+  /**
+   * Get pigments, optionally filtered
+   * @param {Object} [filter] - Fields to match, e.g. {kind: 'modifier'} or {area: 'lip'}
+   * @returns {Object} - Pigments keyed by id
+   */
+  getPigments(filter = {}) {
+    const result = {};
+
+    Object.entries(this.pigments).forEach(([id, pigment]) => {
+      const matches = Object.entries(filter).every(([key, value]) => pigment[key] === value);
+      if (matches) {
+        result[id] = { ...pigment, id };
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Get a single pigment
+   * @param {String} pigmentId - Pigment identifier
+   * @returns {Object|null} - Pigment or null
+   */
+  getPigment(pigmentId) {
+    const pigment = this.pigments[pigmentId];
+    return pigment ? { ...pigment, id: pigmentId } : null;
+  }
+
+  /**
+   * Add a pigment to the library
+   * @param {String} pigmentId - Pigment identifier
+   * @param {Object} pigment - {name, manufacturer, kind, undertone, rgb, strength}
+   * @returns {Object} - Result with success status and pigment or error
+   */
+  registerPigment(pigmentId, pigment) {
+    if (!pigmentId || !pigment || typeof pigment.name !== 'string' || pigment.name === '') {
+      return {
+        success: false,
+        reason: 'invalid_pigment',
+        message: `Invalid pigment: ${pigmentId}`
+      };
+    }
+
+    if (!this._isValidRgb(pigment.rgb)) {
+      return {
+        success: false,
+        reason: 'invalid_pigment',
+        message: `Pigment ${pigmentId} needs an RGB colour [r, g, b] with values 0-255`
+      };
+    }
+
+    if (pigment.kind && !this.kinds.includes(pigment.kind)) {
+      return {
+        success: false,
+        reason: 'invalid_pigment',
+        message: `Unknown pigment kind: ${pigment.kind}`
+      };
+    }
+
+    this.pigments[pigmentId] = {
+      manufacturer: 'Custom',
+      kind: 'base',
+      area: 'any',
+      undertone: 'neutral',
+      strength: 1,
+      ...pigment
+    };
+
+    return {
+      success: true,
+      pigment: this.getPigment(pigmentId)
+    };
+  }
+
+  /**
+   * Find a pigment by id or display name (case-insensitive)
+   * @param {String} nameOrId - Pigment id or name
+   * @returns {Object|null} - Pigment or null
+   */
+  findPigment(nameOrId) {
+    if (this.pigments[nameOrId]) {
+      return this.getPigment(nameOrId);
+    }
+
+    const wanted = String(nameOrId).trim().toLowerCase();
+    const match = Object.keys(this.pigments).find(id => this.pigments[id].name.toLowerCase() === wanted);
+
+    return match ? this.getPigment(match) : null;
+  }
+
+  /**
+   * Mix pigments with the Kubelka-Munk model
+   * Each channel's reflectance is converted to an absorption/scattering ratio
+   * (K/S), the ratios are averaged by concentration and converted back. This
+   * darkens and shifts hue the way real pigment does, unlike RGB averaging.
+   * @param {Array} parts - Array of {pigmentId, drops}
+   * @returns {Object} - Result with success status and mix or error
+   */
+  mixPigments(parts) {
+    if (!Array.isArray(parts) || parts.length === 0) {
+      return {
+        success: false,
+        reason: 'invalid_mix',
+        message: 'A mix needs at least one pigment'
+      };
+    }
+
+    const resolved = [];
+    for (const part of parts) {
+      const pigment = this.findPigment(part.pigmentId);
+
+      if (!pigment) {
+        return {
+          success: false,
+          reason: 'unknown_pigment',
+          message: `Unknown pigment: ${part.pigmentId}`
+        };
+      }
+
+      if (typeof part.drops !== 'number' || part.drops <= 0) {
+        return {
+          success: false,
+          reason: 'invalid_mix',
+          message: `Drops for ${pigment.name} must be a positive number`
+        };
+      }
+
+      resolved.push({ pigment, drops: part.drops });
+    }
+
+    // Concentration is drops weighted by tinting strength
+    const weights = resolved.map(({ pigment, drops }) => drops * (pigment.strength || 1));
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+    const rgb = [0, 1, 2].map(channel => {
+      const ks = resolved.reduce((sum, { pigment }, i) => {
+        return sum + this._toKS(pigment.rgb[channel]) * (weights[i] / totalWeight);
+      }, 0);
+
+      return this._fromKS(ks);
+    });
+
+    return {
+      success: true,
+      mix: {
+        name: resolved.map(({ pigment, drops }) => `${drops} ${drops === 1 ? 'drop' : 'drops'} ${pigment.name}`).join(' + '),
+        parts: resolved.map(({ pigment, drops }) => ({ pigmentId: pigment.id, drops })),
+        rgb
+      }
+    };
+  }
+
+  /**
+   * Parse and mix a written formula, e.g. "2 drops Medium Brown + 1 drop Warm Modifier"
+   * @param {String} formula - Pigment formula
+   * @returns {Object} - Result with success status and mix or error
+   */
+  mixFormula(formula) {
+    if (typeof formula !== 'string' || formula.trim() === '') {
+      return {
+        success: false,
+        reason: 'invalid_mix',
+        message: 'Formula is empty'
+      };
+    }
+
+    const parts = [];
+    for (const term of formula.split('+')) {
+      const match = term.trim().match(/^(\d+(?:\.\d+)?)\s*(?:drops?|parts?)?\s+(.+)$/i);
+
+      if (!match) {
+        return {
+          success: false,
+          reason: 'invalid_mix',
+          message: `Could not read "${term.trim()}"; use e.g. "2 drops Medium Brown"`
+        };
+      }
+
+      parts.push({ pigmentId: match[2].trim(), drops: parseFloat(match[1]) });
+    }
+
+    return this.mixPigments(parts);
+  }
+
+  /**
+   * Resolve a brush colour source to RGB
+   * @param {Array|String|Object} source - RGB array, pigment id/name, pigment, mix, or array of mix parts
+   * @returns {Array|null} - RGB array or null if it can't be resolved
+   */
+  resolveColor(source) {
+    if (this._isValidRgb(source)) {
+      return source;
+    }
+
+    if (typeof source === 'string') {
+      const pigment = this.findPigment(source);
+      return pigment ? pigment.rgb : null;
+    }
+
+    if (Array.isArray(source)) {
+      const result = this.mixPigments(source);
+      return result.success ? result.mix.rgb : null;
+    }
+
+    if (source && this._isValidRgb(source.rgb)) {
+      return source.rgb;
+    }
+
+    if (source && Array.isArray(source.parts)) {
+      const result = this.mixPigments(source.parts);
+      return result.success ? result.mix.rgb : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Convert an 8-bit sRGB channel to a K/S ratio
+   * @private
+   */
+  _toKS(value) {
+    const reflectance = Math.min(0.999, Math.max(0.001, this._srgbToLinear(value / 255)));
+    return Math.pow(1 - reflectance, 2) / (2 * reflectance);
+  }
+
+  /**
+   * Convert a K/S ratio back to an 8-bit sRGB channel
+   * @private
+   */
+  _fromKS(ks) {
+    const reflectance = 1 + ks - Math.sqrt(ks * ks + 2 * ks);
+    return Math.round(this._linearToSrgb(reflectance) * 255);
+  }
+
+  /**
+   * Convert a 0-1 sRGB value to linear light
+   * @private
+   */
+  _srgbToLinear(value) {
+    return value <= 0.04045 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+  }
+
+  /**
+   * Convert a 0-1 linear value to sRGB
+   * @private
+   */
+  _linearToSrgb(value) {
+    return value <= 0.0031308 ? value * 12.92 : 1.055 * Math.pow(value, 1 / 2.4) - 0.055;
+  }
+
+  /**
+   * Check for an [r, g, b] array with 0-255 values
+   * @private
+   */
+  _isValidRgb(rgb) {
+    return Array.isArray(rgb) &&
+      rgb.length === 3 &&
+      rgb.every(value => typeof value === 'number' && value >= 0 && value <= 255);
+  }
+}
+
+export default BlekkProPigments;
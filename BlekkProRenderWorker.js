@@ -0,0 +1,56 @@
+// BlekkPro Render Worker
+// Rasterises the live stroke layer off the main thread. Started by
+// BlekkProStrokeRenderer, whose calls arrive here as messages.
+
+import BlekkProPMUBrushes from './BlekkProPMUBrushes';
+import BlekkProStrokeRenderer from './BlekkProStrokeRenderer';
+
+const renderer = new BlekkProStrokeRenderer(new BlekkProPMUBrushes());
+
+self.onmessage = (event) => {
+  const message = event.data;
+
+  switch (message.type) {
+    case 'attach':
+      renderer.attach(message.canvas, { useWorker: false });
+      break;
+
+    case 'resize':
+      renderer.resize(message.width, message.height);
+      break;
+
+    case 'begin':
+      // Strokes arrive with resolved RGB, so custom pigments work here too
+      renderer.brushes.setPixelsPerMm(message.stroke.pixelsPerMm);
+      Object.entries(message.stroke.tips || {}).forEach(([id, mask]) => {
+        renderer.brushes.tips.registerMask(id, mask);
+      });
+      renderer.beginStroke({
+        brush: message.stroke.brush,
+        color: message.stroke.rgb,
+        seed: message.stroke.seed
+      });
+      break;
+
+    case 'points':
+      renderer.addPoints(message.points);
+      break;
+
+    case 'end':
+      renderer.endStroke();
+      break;
+
+    case 'clear':
+      // Answer once the cleared layer has been drawn, so the page can show it again
+      renderer.clear();
+      if (typeof requestAnimationFrame === 'function') {
+        requestAnimationFrame(() => self.postMessage({ type: 'cleared' }));
+      } else {
+        self.postMessage({ type: 'cleared' });
+      }
+      break;
+
+    default:
+      console.error('Unknown render worker message:', message.type);
+  }
+};
@@ -0,0 +1,476 @@
+// BlekkPro SVG Context Module
+// A drawing context with the parts of the CanvasRenderingContext2D API the
+// brush engine and guides use, that records vector elements instead of pixels.
+// Anything that draws on a canvas context can draw on this one and be exported
+// as a resolution-independent SVG file. Blend modes become mix-blend-mode styles
+// and erasing (destination-out) becomes a mask over what was drawn before.
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+class BlekkProSVGContext {
+  /**
+   * @param {Number} width - Document width in pixels
+   * @param {Number} height - Document height in pixels
+   */
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+
+    // Stand-in canvas for code that reads ctx.canvas or calls canvas.getContext('2d')
+    this.canvas = {
+      width,
+      height,
+      getContext: () => this
+    };
+
+    this.root = { attributes: {}, children: [] };
+    this.groupStack = [this.root];
+    this.stateStack = [];
+    this.subpaths = [];
+    this.currentSubpath = null;
+    this.activeMask = null;
+    this.maskCount = 0;
+
+    this.fillStyle = '#000000';
+    this.strokeStyle = '#000000';
+    this.globalAlpha = 1;
+    this.globalCompositeOperation = 'source-over';
+    this.lineWidth = 1;
+    this.lineCap = 'butt';
+    this.lineJoin = 'miter';
+    this.lineDash = [];
+  }
+
+  /**
+   * Start a group; later elements go inside it until endGroup
+   * @param {Object} [attributes] - Group attributes, e.g. {id: 'guides'}
+   */
+  beginGroup(attributes = {}) {
+    const group = { attributes, children: [] };
+    this._currentGroup().children.push(group);
+    this.groupStack.push(group);
+  }
+
+  /**
+   * Close the current group
+   */
+  endGroup() {
+    if (this.groupStack.length > 1) {
+      this.groupStack.pop();
+    }
+  }
+
+  /**
+   * Save the drawing state, as CanvasRenderingContext2D.save
+   */
+  save() {
+    this.stateStack.push({
+      fillStyle: this.fillStyle,
+      strokeStyle: this.strokeStyle,
+      globalAlpha: this.globalAlpha,
+      globalCompositeOperation: this.globalCompositeOperation,
+      lineWidth: this.lineWidth,
+      lineCap: this.lineCap,
+      lineJoin: this.lineJoin,
+      lineDash: this.lineDash.slice()
+    });
+  }
+
+  /**
+   * Restore the last saved drawing state
+   */
+  restore() {
+    const state = this.stateStack.pop();
+    if (state) {
+      Object.assign(this, state);
+    }
+  }
+
+  /**
+   * Set the dash pattern for strokes
+   */
+  setLineDash(segments) {
+    this.lineDash = Array.isArray(segments) ? segments.slice() : [];
+  }
+
+  /**
+   * Get the dash pattern for strokes
+   */
+  getLineDash() {
+    return this.lineDash.slice();
+  }
+
+  /**
+   * Clear elements from the current group
+   * Only the current group is cleared, so a layer that clears before drawing
+   * (like drawSymmetryGuide) doesn't wipe the groups around it.
+   */
+  clearRect() {
+    this._currentGroup().children = [];
+    this.activeMask = null;
+  }
+
+  /**
+   * Start a new path
+   */
+  beginPath() {
+    this.subpaths = [];
+    this.currentSubpath = null;
+  }
+
+  /**
+   * Start a subpath at a point
+   */
+  moveTo(x, y) {
+    this.currentSubpath = { commands: [`M${this._num(x)} ${this._num(y)}`], shape: null, start: { x, y }, current: { x, y } };
+    this.subpaths.push(this.currentSubpath);
+  }
+
+  /**
+   * Add a straight line to the path
+   */
+  lineTo(x, y) {
+    if (!this.currentSubpath) {
+      this.moveTo(x, y);
+      return;
+    }
+
+    // A line to the current point draws nothing
+    const { current } = this.currentSubpath;
+    if (this._num(current.x) === this._num(x) && this._num(current.y) === this._num(y)) return;
+
+    this.currentSubpath.commands.push(`L${this._num(x)} ${this._num(y)}`);
+    this.currentSubpath.current = { x, y };
+    this.currentSubpath.shape = null;
+  }
+
+  /**
+   * Close the current subpath
+   */
+  closePath() {
+    if (!this.currentSubpath) return;
+
+    this.currentSubpath.commands.push('Z');
+    const { x, y } = this.currentSubpath.start;
+    this.moveTo(x, y);
+  }
+
+  /**
+   * Add a circular arc to the path, with canvas angle conventions
+   */
+  arc(x, y, radius, startAngle, endAngle, anticlockwise = false) {
+    this.ellipse(x, y, radius, radius, 0, startAngle, endAngle, anticlockwise);
+  }
+
+  /**
+   * Add an elliptical arc to the path, with canvas angle conventions
+   */
+  ellipse(x, y, radiusX, radiusY, rotation, startAngle, endAngle, anticlockwise = false) {
+    const cos = Math.cos(rotation);
+    const sin = Math.sin(rotation);
+    const pointAt = (angle) => ({
+      x: x + radiusX * Math.cos(angle) * cos - radiusY * Math.sin(angle) * sin,
+      y: y + radiusX * Math.cos(angle) * sin + radiusY * Math.sin(angle) * cos
+    });
+
+    const start = pointAt(startAngle);
+    const fullCircle = Math.abs(endAngle - startAngle) >= Math.PI * 2;
+
+    // Like canvas, an arc joins the current point with a line, or starts a new subpath
+    const isNewSubpath = !this.currentSubpath || this.currentSubpath.commands.length === 1;
+    if (this.currentSubpath) {
+      this.lineTo(start.x, start.y);
+    } else {
+      this.moveTo(start.x, start.y);
+    }
+
+    const subpath = this.currentSubpath;
+    const radii = `${this._num(radiusX)} ${this._num(radiusY)} ${this._num((rotation * 180) / Math.PI)}`;
+    const sweep = anticlockwise ? 0 : 1;
+
+    if (fullCircle) {
+      // SVG can't draw a full ellipse with one arc command, so use two halves
+      const middle = pointAt(startAngle + Math.PI);
+      subpath.commands.push(
+        `A${radii} 1 ${sweep} ${this._num(middle.x)} ${this._num(middle.y)}`,
+        `A${radii} 1 ${sweep} ${this._num(start.x)} ${this._num(start.y)}`
+      );
+      subpath.shape = isNewSubpath ? { cx: x, cy: y, rx: radiusX, ry: radiusY, rotation } : null;
+      subpath.current = start;
+      return;
+    }
+
+    let delta = anticlockwise ? startAngle - endAngle : endAngle - startAngle;
+    delta = ((delta % (Math.PI * 2)) + Math.PI * 2) % (Math.PI * 2);
+    const end = pointAt(endAngle);
+
+    subpath.commands.push(`A${radii} ${delta > Math.PI ? 1 : 0} ${sweep} ${this._num(end.x)} ${this._num(end.y)}`);
+    subpath.current = end;
+    subpath.shape = null;
+  }
+
+  /**
+   * Fill the current path as an SVG element
+   */
+  fill() {
+    if (this.subpaths.length === 0) return;
+
+    const paint = this._parseColor(this.fillStyle);
+    const attributes = {
+      fill: paint.color,
+      'fill-opacity': this._opacity(paint.alpha)
+    };
+
+    // A lone circle or ellipse (a stipple dot) is written as a shape element to keep files small
+    const drawn = this._drawnSubpaths();
+    if (drawn.length === 1 && drawn[0].shape) {
+      const [tag, shape] = this._shapeElement(drawn[0].shape);
+      this._addElement(tag, { ...shape, ...attributes });
+      return;
+    }
+
+    this._addElement('path', { d: this._pathData(drawn), ...attributes });
+  }
+
+  /**
+   * Stroke the current path as an SVG element
+   */
+  stroke() {
+    const drawn = this._drawnSubpaths();
+    if (drawn.length === 0) return;
+
+    const paint = this._parseColor(this.strokeStyle);
+    const attributes = {
+      d: this._pathData(drawn),
+      fill: 'none',
+      stroke: paint.color,
+      'stroke-opacity': this._opacity(paint.alpha),
+      'stroke-width': this._num(this.lineWidth),
+      'stroke-linecap': this.lineCap,
+      'stroke-linejoin': this.lineJoin
+    };
+
+    if (this.lineDash.length > 0) {
+      attributes['stroke-dasharray'] = this.lineDash.map(value => this._num(value)).join(' ');
+    }
+
+    this._addElement('path', attributes);
+  }
+
+  /**
+   * Draw a canvas as an embedded PNG <image>, as CanvasRenderingContext2D.drawImage
+   * Textured stamp strokes are raster by nature, so they are embedded rather than traced.
+   * Only canvases that can be serialized (with toDataURL) are drawn.
+   * @param {HTMLCanvasElement} image - Canvas to embed
+   * @param {Number} dx - Left edge
+   * @param {Number} dy - Top edge
+   * @param {Number} [dWidth] - Drawn width (defaults to the canvas width)
+   * @param {Number} [dHeight] - Drawn height (defaults to the canvas height)
+   */
+  drawImage(image, dx, dy, dWidth = image.width, dHeight = image.height) {
+    if (!image || typeof image.toDataURL !== 'function') return;
+
+    this._addElement('image', {
+      x: this._num(dx),
+      y: this._num(dy),
+      width: this._num(dWidth),
+      height: this._num(dHeight),
+      preserveAspectRatio: 'none',
+      opacity: this._opacity(1),
+      href: image.toDataURL('image/png')
+    });
+  }
+
+  /**
+   * Serialize the recorded drawing
+   * @returns {String} - SVG document
+   */
+  toSVG() {
+    const content = this.root.children.map(node => this._serialize(node, '  ')).join('\n');
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<svg xmlns="${SVG_NAMESPACE}" width="${this.width}" height="${this.height}" viewBox="0 0 ${this.width} ${this.height}">`,
+      content,
+      '</svg>'
+    ].filter(line => line !== '').join('\n');
+  }
+
+  /**
+   * Serialize the drawing as a downloadable blob
+   * @returns {Blob} - SVG blob
+   */
+  toBlob() {
+    return new Blob([this.toSVG()], { type: 'image/svg+xml' });
+  }
+
+  /**
+   * Get the group new elements go into
+   * @private
+   */
+  _currentGroup() {
+    return this.groupStack[this.groupStack.length - 1];
+  }
+
+  /**
+   * Subpaths that draw something (more than a bare moveTo)
+   * @private
+   */
+  _drawnSubpaths() {
+    return this.subpaths.filter(subpath => subpath.commands.length > 1);
+  }
+
+  /**
+   * Build a <circle> or <ellipse> for a lone closed shape
+   * @private
+   */
+  _shapeElement({ cx, cy, rx, ry, rotation }) {
+    const center = { cx: this._num(cx), cy: this._num(cy) };
+
+    if (rx === ry) {
+      return ['circle', { ...center, r: this._num(rx) }];
+    }
+
+    const attributes = { ...center, rx: this._num(rx), ry: this._num(ry) };
+    if (rotation) {
+      attributes.transform = `rotate(${this._num((rotation * 180) / Math.PI)} ${center.cx} ${center.cy})`;
+    }
+
+    return ['ellipse', attributes];
+  }
+
+  /**
+   * Join subpaths into SVG path data
+   * @private
+   */
+  _pathData(subpaths) {
+    return subpaths.map(subpath => subpath.commands.join('')).join('');
+  }
+
+  /**
+   * Add an element to the current group
+   * @private
+   */
+  _addElement(tag, attributes) {
+    const operation = this.globalCompositeOperation;
+
+    if (operation === 'destination-out') {
+      this._addEraseElement(tag, attributes);
+      return;
+    }
+
+    const element = { tag, attributes };
+    if (operation && operation !== 'source-over') {
+      element.attributes = { ...attributes, style: `mix-blend-mode:${operation}` };
+    }
+
+    this._currentGroup().children.push(element);
+    this.activeMask = null;
+  }
+
+  /**
+   * Erase with a mask over everything drawn so far in the current group
+   * Black mask shapes at the shape's opacity remove the same share of what is
+   * underneath as destination-out does. Consecutive erases share one mask.
+   * @private
+   */
+  _addEraseElement(tag, attributes) {
+    const group = this._currentGroup();
+
+    if (!this.activeMask || this.activeMask.group !== group) {
+      const id = `erase-${++this.maskCount}`;
+      const bounds = { x: 0, y: 0, width: this.width, height: this.height };
+      const mask = {
+        tag: 'mask',
+        attributes: { id, maskUnits: 'userSpaceOnUse', ...bounds },
+        children: [{ tag: 'rect', attributes: { ...bounds, fill: '#ffffff' } }]
+      };
+
+      group.children = [mask, { attributes: { mask: `url(#${id})` }, children: group.children }];
+      this.activeMask = { group, mask };
+    }
+
+    const black = { ...attributes };
+    ['fill', 'stroke'].forEach(key => {
+      if (black[key] && black[key] !== 'none') {
+        black[key] = '#000000';
+      }
+    });
+
+    this.activeMask.mask.children.push({ tag, attributes: black });
+  }
+
+  /**
+   * Serialize an element or group
+   * @private
+   */
+  _serialize(node, indent) {
+    const attributes = Object.entries(node.attributes)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([key, value]) => ` ${key}="${this._escape(String(value))}"`)
+      .join('');
+
+    if (node.children) {
+      const tag = node.tag || 'g';
+      const children = node.children.map(child => this._serialize(child, `${indent}  `)).join('\n');
+      return children
+        ? `${indent}<${tag}${attributes}>\n${children}\n${indent}</${tag}>`
+        : `${indent}<${tag}${attributes}/>`;
+    }
+
+    return `${indent}<${node.tag}${attributes}/>`;
+  }
+
+  /**
+   * Split a CSS colour into an opaque colour and its alpha
+   * Editors and cutters handle fill-opacity better than rgba() colours.
+   * @private
+   */
+  _parseColor(color) {
+    const match = typeof color === 'string' && color.match(/^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+)\s*)?\)$/);
+
+    if (!match) {
+      return { color: typeof color === 'string' ? color : '#000000', alpha: 1 };
+    }
+
+    const hex = match.slice(1, 4)
+      .map(value => Math.round(Math.min(255, parseFloat(value))).toString(16).padStart(2, '0'))
+      .join('');
+
+    return {
+      color: `#${hex}`,
+      alpha: match[4] !== undefined ? parseFloat(match[4]) : 1
+    };
+  }
+
+  /**
+   * Combine a colour's alpha with the global alpha; omitted when fully opaque
+   * @private
+   */
+  _opacity(alpha) {
+    const opacity = Math.max(0, Math.min(1, alpha * this.globalAlpha));
+    return opacity < 1 ? this._num(opacity) : undefined;
+  }
+
+  /**
+   * Round a number for output
+   * @private
+   */
+  _num(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  /**
+   * Escape an attribute value
+   * @private
+   */
+  _escape(value) {
+    return value
+      .replace(/&/g, '&amp;')
+      .replace(/"/g, '&quot;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+}
+
+export default BlekkProSVGContext;
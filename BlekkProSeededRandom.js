@@ -0,0 +1,21 @@
+// BlekkPro Seeded Random Module
+// Small deterministic PRNG shared by the brush engine and pattern generators
+
+/**
+ * Create a seeded pseudo-random generator (mulberry32)
+ * @param {Number} seed - 32-bit integer seed
+ * @returns {Function} - Function returning numbers in [0, 1)
+ */
+const createSeededRandom = (seed) => {
+  let state = seed >>> 0;
+  
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+export default createSeededRandom;
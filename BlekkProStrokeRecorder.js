@@ -0,0 +1,630 @@
+// BlekkPro Stroke Recorder Module
+// Records every brush stroke as data so a design can be replayed, re-rendered
+// and exported as a time-lapse
+
+// Recording file format
+const RECORDING_FORMAT = 'blekkpro-recording';
+const RECORDING_VERSION = 1;
+
+class BlekkProStrokeRecorder {
+  /**
+   * @param {BlekkProPMUBrushes} brushes - Brush engine used to render strokes
+   */
+  constructor(brushes) {
+    this.brushes = brushes;
+    this.strokes = [];
+    this.activeStroke = null;
+
+    // Pigment sits in the skin, so the design layer multiplies over the photo as in the editor
+    this.layerBlendMode = 'multiply';
+  }
+
+  /**
+   * Start recording a stroke with the current brush
+   * @param {Object} stroke - {color, seed, time}
+   * @returns {Boolean} - Success status
+   */
+  beginStroke({ color, seed, time }) {
+    const brush = this.brushes.getCurrentBrush();
+    const rgb = this.brushes.pigments.resolveColor(color);
+
+    if (!brush || !rgb) {
+      return false;
+    }
+
+    this.activeStroke = {
+      // Deep copy so later brush tweaks don't change the recording
+      brush: JSON.parse(JSON.stringify(brush)),
+      color,
+      rgb,
+      seed,
+      startTime: time !== undefined ? time : Date.now(),
+      points: []
+    };
+
+    return true;
+  }
+
+  /**
+   * Add processed points to the active stroke
+   * @param {Array} points - Points {x, y, pressure, tiltX, tiltY, twist, time}
+   * @returns {Boolean} - Success status
+   */
+  addPoints(points) {
+    if (!this.activeStroke) {
+      return false;
+    }
+
+    const { startTime } = this.activeStroke;
+    points.forEach(point => {
+      this.activeStroke.points.push(this._copyPoint(point, point.time !== undefined ? point.time - startTime : 0));
+    });
+
+    return true;
+  }
+
+  /**
+   * Discard the active stroke without recording it
+   */
+  cancelStroke() {
+    this.activeStroke = null;
+  }
+
+  /**
+   * Finish the active stroke and add it to the recording
+   * @returns {Object|null} - Recorded stroke or null if nothing was drawn
+   */
+  endStroke() {
+    const stroke = this.activeStroke;
+    this.activeStroke = null;
+
+    if (!stroke || stroke.points.length === 0) {
+      return null;
+    }
+
+    this.strokes.push(stroke);
+    return stroke;
+  }
+
+  /**
+   * Add a ready-made stroke, e.g. from a pattern generator
+   * Points without timestamps are spaced evenly so the stroke still plays back.
+   * @param {Object} stroke - {brush, color, seed, points}
+   * @returns {Object|null} - Recorded stroke or null if invalid
+   */
+  addStroke({ brush, color, seed, points }) {
+    const rgb = this.brushes.pigments.resolveColor(color);
+
+    if (!brush || !rgb || !points || points.length === 0) {
+      return null;
+    }
+
+    const previous = this.strokes[this.strokes.length - 1];
+    const startTime = previous
+      ? previous.startTime + previous.points[previous.points.length - 1].time + 100
+      : 0;
+
+    const stroke = {
+      brush: JSON.parse(JSON.stringify(brush)),
+      color,
+      rgb,
+      seed: seed !== undefined ? seed : this.brushes.createStrokeSeed(),
+      startTime,
+      points: points.map((point, i) => this._copyPoint(point, point.time !== undefined ? point.time : i * 16))
+    };
+
+    this.strokes.push(stroke);
+    return stroke;
+  }
+
+  /**
+   * Get recorded strokes
+   * @returns {Array} - Recorded strokes
+   */
+  getStrokes() {
+    return this.strokes.slice();
+  }
+
+  /**
+   * Remove strokes from the recording
+   * @param {Array} strokes - Recorded strokes to remove
+   * @returns {Number} - Number of strokes removed
+   */
+  removeStrokes(strokes) {
+    const count = this.strokes.length;
+    this.strokes = this.strokes.filter(stroke => !strokes.includes(stroke));
+    return count - this.strokes.length;
+  }
+
+  /**
+   * Remove all recorded strokes
+   */
+  clear() {
+    this.strokes = [];
+    this.activeStroke = null;
+  }
+
+  /**
+   * Render one recorded stroke
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {Object} stroke - Recorded stroke
+   * @param {Number} [pointCount] - Only draw the first pointCount points
+   * @returns {Boolean} - Success status
+   */
+  renderStroke(ctx, stroke, pointCount = stroke.points.length) {
+    const points = stroke.points.slice(0, pointCount);
+    if (points.length === 0) {
+      return false;
+    }
+
+    return this.brushes.applyBrushStrokeWith(stroke.brush, ctx, points, stroke.rgb, { seed: stroke.seed });
+  }
+
+  /**
+   * Render every recorded stroke
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {Object} [options] - {clear: clear the canvas first (default true)}
+   * @returns {Boolean} - Success status
+   */
+  renderAll(ctx, options = {}) {
+    if (options.clear !== false) {
+      ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+    }
+
+    return this.strokes.every(stroke => this.renderStroke(ctx, stroke));
+  }
+
+  /**
+   * Render every recorded stroke into an SVG context, one group per pigment stroke
+   * @param {BlekkProSVGContext} svg - SVG context
+   * @returns {Boolean} - Success status
+   */
+  renderSVG(svg) {
+    svg.beginGroup({ id: 'strokes' });
+
+    const success = this.strokes.every((stroke, i) => {
+      // Erasing strokes mask the strokes before them, so they go straight into the layer
+      if (this.brushes.isErasingBrush(stroke.brush)) {
+        return this.renderStroke(svg, stroke);
+      }
+
+      svg.beginGroup({ id: `stroke-${i + 1}`, 'data-brush': stroke.brush.name });
+      const rendered = this.renderStroke(svg, stroke);
+      svg.endGroup();
+      return rendered;
+    });
+
+    svg.endGroup();
+    return success;
+  }
+
+  /**
+   * Get the playback duration
+   * @param {Object} [options] - {maxGap: longest pause between strokes in ms}
+   * @returns {Number} - Duration in ms at normal speed
+   */
+  getDuration(options = {}) {
+    const timeline = this._buildTimeline(options.maxGap);
+    return timeline.length > 0 ? timeline[timeline.length - 1].end : 0;
+  }
+
+  /**
+   * Render the design as it was at a point in the playback
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {Number} time - Playback time in ms
+   * @param {Object} [options] - {maxGap, clear}
+   */
+  renderAt(ctx, time, options = {}) {
+    if (options.clear !== false) {
+      ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+    }
+
+    this._buildTimeline(options.maxGap).forEach(entry => {
+      if (entry.start > time) return;
+
+      const count = entry.end <= time
+        ? entry.stroke.points.length
+        : this._countPointsAt(entry, time);
+
+      this.renderStroke(ctx, entry.stroke, count);
+    });
+  }
+
+  /**
+   * Play the recording back onto a canvas
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {Object} [options] - {speed, maxGap, onProgress(time, duration), onComplete}
+   * @returns {Object} - Playback controller {stop()}
+   */
+  play(ctx, options = {}) {
+    const speed = options.speed || 1;
+    const timeline = this._buildTimeline(options.maxGap);
+    const duration = timeline.length > 0 ? timeline[timeline.length - 1].end : 0;
+    const { width, height } = ctx.canvas;
+
+    // Finished strokes are drawn once onto a cache; only the stroke in progress is redrawn
+    const committed = this._createCanvas(width, height);
+    const committedCtx = committed.getContext('2d');
+    let committedCount = 0;
+    let startTimestamp = null;
+    let frameId = null;
+    let stopped = false;
+
+    const frame = (timestamp) => {
+      if (stopped) return;
+
+      if (startTimestamp === null) {
+        startTimestamp = timestamp;
+      }
+
+      const time = Math.min(duration, (timestamp - startTimestamp) * speed);
+
+      while (committedCount < timeline.length && timeline[committedCount].end <= time) {
+        this.renderStroke(committedCtx, timeline[committedCount].stroke);
+        committedCount++;
+      }
+
+      ctx.clearRect(0, 0, width, height);
+      ctx.drawImage(committed, 0, 0);
+
+      const current = timeline[committedCount];
+      if (current && current.start <= time) {
+        this.renderStroke(ctx, current.stroke, this._countPointsAt(current, time));
+      }
+
+      if (options.onProgress) {
+        options.onProgress(time, duration);
+      }
+
+      if (time >= duration) {
+        if (options.onComplete) {
+          options.onComplete();
+        }
+        return;
+      }
+
+      frameId = requestAnimationFrame(frame);
+    };
+
+    frameId = requestAnimationFrame(frame);
+
+    return {
+      stop: () => {
+        stopped = true;
+        if (frameId !== null) {
+          cancelAnimationFrame(frameId);
+        }
+      }
+    };
+  }
+
+  /**
+   * Export the recording as a WebM time-lapse using MediaRecorder
+   * @param {Object} options - {width, height, background (image/canvas), speed, maxGap, fps, mimeType}
+   * @returns {Promise<Object>} - Result with video blob or error
+   */
+  async exportVideo(options) {
+    if (typeof MediaRecorder === 'undefined' || typeof document === 'undefined') {
+      return {
+        success: false,
+        reason: 'unsupported',
+        message: 'Video export is not supported in this browser; export a frame sequence instead'
+      };
+    }
+
+    if (this.strokes.length === 0) {
+      return {
+        success: false,
+        reason: 'empty_recording',
+        message: 'Nothing has been recorded yet'
+      };
+    }
+
+    const { width, height, background } = options;
+    const fps = options.fps || 30;
+    const mimeType = options.mimeType || 'video/webm';
+
+    if (!MediaRecorder.isTypeSupported(mimeType)) {
+      return {
+        success: false,
+        reason: 'unsupported',
+        message: `Video format not supported: ${mimeType}`
+      };
+    }
+
+    const canvas = this._createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    const layer = this._createCanvas(width, height);
+    const layerCtx = layer.getContext('2d');
+    const chunks = [];
+    let stream = null;
+    let playback = null;
+
+    try {
+      stream = canvas.captureStream(fps);
+      const recorder = new MediaRecorder(stream, { mimeType });
+
+      recorder.ondataavailable = (event) => {
+        if (event.data && event.data.size > 0) {
+          chunks.push(event.data);
+        }
+      };
+
+      const finished = new Promise((resolve, reject) => {
+        recorder.onstop = resolve;
+        recorder.onerror = (event) => reject(event.error || new Error('Recording failed'));
+      });
+
+      // A recorder error ends the export straight away instead of after playback
+      finished.catch(() => {});
+
+      recorder.start();
+
+      // Composite the photo and the design layer on every playback frame
+      await Promise.race([
+        new Promise(resolve => {
+          playback = this.play(layerCtx, {
+            speed: options.speed,
+            maxGap: options.maxGap,
+            onProgress: () => {
+              this._composeFrame(ctx, background, layer);
+            },
+            onComplete: resolve
+          });
+        }),
+        finished
+      ]);
+
+      // Hold the finished design briefly at the end
+      await Promise.race([new Promise(resolve => setTimeout(resolve, 1000)), finished]);
+
+      recorder.stop();
+      await finished;
+
+      return {
+        success: true,
+        blob: new Blob(chunks, { type: mimeType })
+      };
+    } catch (error) {
+      console.error('Error exporting time-lapse:', error);
+      return {
+        success: false,
+        reason: 'export_failed',
+        message: error && error.message ? error.message : 'Could not export the time-lapse'
+      };
+    } finally {
+      if (playback) {
+        playback.stop();
+      }
+      if (stream) {
+        stream.getTracks().forEach(track => track.stop());
+      }
+    }
+  }
+
+  /**
+   * Export the recording as a sequence of PNG frames (for GIF tools or editors)
+   * @param {Object} options - {width, height, background, speed, maxGap, fps}
+   * @returns {Object} - Result with frame data URLs or error
+   */
+  exportFrames(options) {
+    if (this.strokes.length === 0) {
+      return {
+        success: false,
+        reason: 'empty_recording',
+        message: 'Nothing has been recorded yet'
+      };
+    }
+
+    const { width, height, background } = options;
+    const fps = options.fps || 12;
+    const speed = options.speed || 1;
+    const duration = this.getDuration(options);
+    const frameCount = Math.max(1, Math.ceil((duration / speed) / 1000 * fps));
+
+    const canvas = this._createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    const layer = this._createCanvas(width, height);
+    const layerCtx = layer.getContext('2d');
+    const frames = [];
+
+    for (let i = 0; i <= frameCount; i++) {
+      const time = Math.min(duration, (i / fps) * 1000 * speed);
+
+      this.renderAt(layerCtx, time, options);
+
+      this._composeFrame(ctx, background, layer);
+
+      frames.push(canvas.toDataURL('image/png'));
+    }
+
+    return {
+      success: true,
+      frames,
+      fps
+    };
+  }
+
+  /**
+   * Serialize the recording
+   * @returns {String} - Recording JSON
+   */
+  exportRecording() {
+    return JSON.stringify({
+      format: RECORDING_FORMAT,
+      version: RECORDING_VERSION,
+      strokes: this.strokes
+    });
+  }
+
+  /**
+   * Load a serialized recording, replacing the current one
+   * Every stroke needs at least one timed point, and its brush must be one
+   * the user could select live.
+   * @param {String|Object} recording - Recording JSON or parsed object
+   * @returns {Object} - Result with stroke count or error (with upgradePrompt for locked brushes)
+   */
+  importRecording(recording) {
+    let data = recording;
+
+    if (typeof recording === 'string') {
+      try {
+        data = JSON.parse(recording);
+      } catch (error) {
+        return {
+          success: false,
+          reason: 'invalid_json',
+          message: `Recording is not valid JSON: ${error.message}`
+        };
+      }
+    }
+
+    if (!data || data.format !== RECORDING_FORMAT || !Array.isArray(data.strokes)) {
+      return {
+        success: false,
+        reason: 'invalid_format',
+        message: 'File is not a BlekkPro recording'
+      };
+    }
+
+    if (data.version > RECORDING_VERSION) {
+      return {
+        success: false,
+        reason: 'unsupported_version',
+        message: `Unsupported recording version: ${data.version}`
+      };
+    }
+
+    const valid = data.strokes.every(stroke => this._isValidStroke(stroke));
+    if (!valid) {
+      return {
+        success: false,
+        reason: 'invalid_format',
+        message: 'Recording contains invalid strokes'
+      };
+    }
+
+    for (const stroke of data.strokes) {
+      const access = this.brushes.checkBrush(stroke.brush);
+      if (!access.success) {
+        return access;
+      }
+    }
+
+    this.strokes = data.strokes;
+    this.activeStroke = null;
+
+    return {
+      success: true,
+      strokeCount: this.strokes.length
+    };
+  }
+
+  /**
+   * Check a stroke from a recording file can be replayed
+   * @private
+   */
+  _isValidStroke(stroke) {
+    const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+    return Boolean(stroke) &&
+      Boolean(stroke.brush) && typeof stroke.brush === 'object' &&
+      isNumber(stroke.startTime) &&
+      Array.isArray(stroke.rgb) && stroke.rgb.length === 3 && stroke.rgb.every(isNumber) &&
+      Array.isArray(stroke.points) && stroke.points.length > 0 &&
+      stroke.points.every(point => point && isNumber(point.x) && isNumber(point.y) && isNumber(point.time));
+  }
+
+  /**
+   * Draw the photo with the design layer blended over it
+   * @private
+   */
+  _composeFrame(ctx, background, layer) {
+    const { width, height } = ctx.canvas;
+    ctx.clearRect(0, 0, width, height);
+
+    if (background) {
+      ctx.drawImage(background, 0, 0, width, height);
+    }
+
+    ctx.save();
+    ctx.globalCompositeOperation = background ? this.layerBlendMode : 'source-over';
+    ctx.drawImage(layer, 0, 0);
+    ctx.restore();
+  }
+
+  /**
+   * Copy the fields of a point worth recording; pen tilt and twist only when present
+   * @private
+   */
+  _copyPoint(point, time) {
+    const copy = {
+      x: point.x,
+      y: point.y,
+      pressure: point.pressure !== undefined ? point.pressure : 1,
+      time
+    };
+
+    ['tiltX', 'tiltY', 'twist'].forEach(key => {
+      if (point[key]) {
+        copy[key] = point[key];
+      }
+    });
+
+    return copy;
+  }
+
+  /**
+   * Lay strokes out on a playback timeline, shortening long pauses
+   * @private
+   */
+  _buildTimeline(maxGap = 500) {
+    const timeline = [];
+    let cursor = 0;
+    let previousEnd = null;
+
+    this.strokes.forEach(stroke => {
+      const duration = stroke.points[stroke.points.length - 1].time;
+
+      if (previousEnd !== null) {
+        const gap = stroke.startTime - previousEnd;
+        cursor += Math.max(0, Math.min(maxGap, gap));
+      }
+
+      timeline.push({ stroke, start: cursor, end: cursor + duration });
+      cursor += duration;
+      previousEnd = stroke.startTime + duration;
+    });
+
+    return timeline;
+  }
+
+  /**
+   * Count how many points of a stroke have been drawn by a playback time
+   * @private
+   */
+  _countPointsAt(entry, time) {
+    const elapsed = time - entry.start;
+    const { points } = entry.stroke;
+    let count = 0;
+
+    while (count < points.length && points[count].time <= elapsed) {
+      count++;
+    }
+
+    return count;
+  }
+
+  /**
+   * Create a scratch canvas
+   * @private
+   */
+  _createCanvas(width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+  }
+}
+
+export default BlekkProStrokeRecorder;
@@ -0,0 +1,313 @@
+// BlekkPro Stroke Renderer Module
+// Draws the stroke in progress on a live layer above the design. Where
+// OffscreenCanvas is available the layer is handed to a Web Worker so brush
+// rasterisation never blocks pointer input; elsewhere strokes are drawn on the
+// main thread. Either way, points are batched and drawn once per animation frame.
+// A worker's layer is hidden from clear() until the worker has cleared it, so a
+// stroke committed to the layer below never shows on both at once.
+
+class BlekkProStrokeRenderer {
+  /**
+   * @param {BlekkProPMUBrushes} brushes - Brush engine used to draw strokes
+   */
+  constructor(brushes) {
+    this.brushes = brushes;
+    this.worker = null;
+    this.canvas = null;
+    this.clearsPending = 0;
+    this.ctx = null;
+    this.stroke = null;
+    this.pendingPoints = [];
+    this.frameId = null;
+  }
+
+  /**
+   * Check if strokes can be rendered in a worker
+   * @returns {Boolean} - Whether Worker and OffscreenCanvas are available
+   */
+  static isOffscreenSupported() {
+    return typeof Worker !== 'undefined' &&
+      typeof OffscreenCanvas !== 'undefined' &&
+      typeof HTMLCanvasElement !== 'undefined' &&
+      typeof HTMLCanvasElement.prototype.transferControlToOffscreen === 'function';
+  }
+
+  /**
+   * Attach the renderer to the live layer canvas
+   * Once handed to a worker the canvas can't be drawn on or resized directly;
+   * use resize() instead.
+   * Renderers registered at runtime only exist on the main thread, so in a worker
+   * their strokes preview with the built-in renderer for the brush type.
+   * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Live layer canvas
+   * @param {Object} [options] - {useWorker: set false to draw on the calling thread}
+   * @returns {Boolean} - True if rendering moved to a worker
+   */
+  attach(canvas, options = {}) {
+    this.dispose();
+
+    if (options.useWorker !== false && BlekkProStrokeRenderer.isOffscreenSupported()) {
+      try {
+        // Start the worker first; a transferred canvas can't fall back to the main thread
+        const worker = new Worker(new URL('./BlekkProRenderWorker.js', import.meta.url), { type: 'module' });
+        const offscreen = canvas.transferControlToOffscreen();
+
+        worker.postMessage({ type: 'attach', canvas: offscreen }, [offscreen]);
+        worker.onerror = (event) => console.error('Render worker error:', event.message);
+        worker.onmessage = (event) => {
+          if (event.data.type === 'cleared') {
+            this._onCleared();
+          }
+        };
+
+        this.worker = worker;
+        this.canvas = canvas;
+        return true;
+      } catch (error) {
+        console.error('Error starting render worker, drawing on the main thread:', error);
+      }
+    }
+
+    this.ctx = canvas.getContext('2d');
+    return false;
+  }
+
+  /**
+   * Check if strokes are rendered in a worker
+   * @returns {Boolean} - Worker status
+   */
+  isUsingWorker() {
+    return this.worker !== null;
+  }
+
+  /**
+   * Resize the live layer
+   * @param {Number} width - Width in pixels
+   * @param {Number} height - Height in pixels
+   */
+  resize(width, height) {
+    this._cancelFrame();
+    this.pendingPoints = [];
+
+    if (this.worker) {
+      this.worker.postMessage({ type: 'resize', width, height });
+      return;
+    }
+
+    if (this.ctx) {
+      this.ctx.canvas.width = width;
+      this.ctx.canvas.height = height;
+    }
+  }
+
+  /**
+   * Start drawing a stroke
+   * @param {Object} stroke - {brush, color, seed}
+   * @returns {Boolean} - Success status
+   */
+  beginStroke({ brush, color, seed }) {
+    const rgb = this.brushes.pigments.resolveColor(color);
+    if (!brush || !rgb) {
+      return false;
+    }
+
+    this._cancelFrame();
+    this.pendingPoints = [];
+
+    // Deep copy so later brush tweaks don't change the stroke mid-draw
+    const stroke = {
+      brush: JSON.parse(JSON.stringify(brush)),
+      rgb,
+      seed: seed !== undefined ? seed : this.brushes.createStrokeSeed(),
+      pixelsPerMm: this.brushes.pixelsPerMm
+    };
+
+    if (this.worker) {
+      // Imported stamp tips only exist on this thread, so they travel with the stroke
+      stroke.tips = this.brushes.tips.exportMasks([brush.tip, brush.grain].filter(Boolean));
+      this.worker.postMessage({ type: 'begin', stroke });
+    } else {
+      this.stroke = {
+        ...stroke,
+        points: [],
+        lastPoint: null,
+        segmentCount: 0,
+        whole: this.brushes.isWholeStrokeBrush(brush),
+        snapshot: null
+      };
+
+      // Strokes redrawn whole put back what was under them first, so they can draw over a layer's pigment
+      if (this.stroke.whole && this.ctx) {
+        this.stroke.snapshot = this.ctx.getImageData(0, 0, this.ctx.canvas.width, this.ctx.canvas.height);
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Queue points for the next animation frame
+   * @param {Array} points - Processed points {x, y, pressure, time}
+   */
+  addPoints(points) {
+    if (!points || points.length === 0) return;
+
+    this.pendingPoints.push(...points);
+
+    if (this.frameId === null) {
+      this.frameId = this._requestFrame(() => {
+        this.frameId = null;
+        this._flush();
+      });
+    }
+  }
+
+  /**
+   * Draw any queued points and finish the stroke
+   * The stroke stays on the live layer until clear() is called.
+   */
+  endStroke() {
+    this._cancelFrame();
+    this._flush();
+
+    if (this.worker) {
+      this.worker.postMessage({ type: 'end' });
+    } else {
+      this.stroke = null;
+    }
+  }
+
+  /**
+   * Clear the live layer
+   */
+  clear() {
+    this._cancelFrame();
+    this.pendingPoints = [];
+
+    if (this.worker) {
+      this.clearsPending++;
+      this._setLayerVisible(false);
+      this.worker.postMessage({ type: 'clear' });
+      return;
+    }
+
+    if (this.ctx) {
+      this.ctx.clearRect(0, 0, this.ctx.canvas.width, this.ctx.canvas.height);
+    }
+  }
+
+  /**
+   * Stop the worker and release the canvas
+   */
+  dispose() {
+    this._cancelFrame();
+    this.pendingPoints = [];
+    this.stroke = null;
+    this.ctx = null;
+
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+
+    this.clearsPending = 0;
+    this._setLayerVisible(true);
+    this.canvas = null;
+  }
+
+  /**
+   * Show the worker's layer again once every clear() sent has been drawn
+   * @private
+   */
+  _onCleared() {
+    this.clearsPending = Math.max(0, this.clearsPending - 1);
+    if (this.clearsPending === 0) {
+      this._setLayerVisible(true);
+    }
+  }
+
+  /**
+   * Hide or show the canvas handed to the worker; the page's own visibility still applies
+   * @private
+   */
+  _setLayerVisible(visible) {
+    if (this.canvas && this.canvas.style) {
+      this.canvas.style.visibility = visible ? '' : 'hidden';
+    }
+  }
+
+  /**
+   * Send or draw all queued points
+   * @private
+   */
+  _flush() {
+    const points = this.pendingPoints;
+    this.pendingPoints = [];
+
+    if (points.length === 0) return;
+
+    if (this.worker) {
+      this.worker.postMessage({ type: 'points', points });
+    } else {
+      this._drawPoints(points);
+    }
+  }
+
+  /**
+   * Draw new points of the current stroke, continuing from the last point drawn
+   * @private
+   */
+  _drawPoints(points) {
+    const stroke = this.stroke;
+    if (!stroke || !this.ctx) return;
+
+    stroke.points.push(...points);
+
+    // Tapered and outline strokes are redrawn from the start (see isWholeStrokeBrush)
+    if (stroke.whole) {
+      if (stroke.snapshot) {
+        this.ctx.putImageData(stroke.snapshot, 0, 0);
+      } else {
+        this.ctx.clearRect(0, 0, this.ctx.canvas.width, this.ctx.canvas.height);
+      }
+      this.brushes.applyBrushStrokeWith(stroke.brush, this.ctx, stroke.points, stroke.rgb, { seed: stroke.seed });
+      return;
+    }
+
+    const segment = stroke.lastPoint ? [stroke.lastPoint, ...points] : points;
+    const segmentSeed = (stroke.seed + stroke.segmentCount) >>> 0;
+    stroke.lastPoint = points[points.length - 1];
+    stroke.segmentCount++;
+
+    this.brushes.applyBrushStrokeWith(stroke.brush, this.ctx, segment, stroke.rgb, { seed: segmentSeed });
+  }
+
+  /**
+   * Schedule work for the next frame, in a window or a worker
+   * @private
+   */
+  _requestFrame(callback) {
+    if (typeof requestAnimationFrame === 'function') {
+      return { raf: requestAnimationFrame(callback) };
+    }
+
+    return { timeout: setTimeout(callback, 16) };
+  }
+
+  /**
+   * Cancel a scheduled frame
+   * @private
+   */
+  _cancelFrame() {
+    if (this.frameId === null) return;
+
+    if (this.frameId.raf !== undefined) {
+      cancelAnimationFrame(this.frameId.raf);
+    } else {
+      clearTimeout(this.frameId.timeout);
+    }
+
+    this.frameId = null;
+  }
+}
+
+export default BlekkProStrokeRenderer;
@@ -0,0 +1,365 @@
+// BlekkPro Stroke Stabilizer Module
+// Input-processing pipeline that sits between pointer events and the brush engine:
+// lazy-brush rope stabilizer -> velocity thinning -> Catmull-Rom interpolation -> resampling
+
+class BlekkProStrokeStabilizer {
+  /**
+   * @param {Object} [settings] - Stabilizer settings (see configure)
+   */
+  constructor(settings = {}) {
+    this.settings = {
+      lazyRadius: 0,            // Rope length in pixels; 0 disables the lazy brush
+      catchUp: true,            // Pull the brush to the pointer when the stroke ends
+      velocityThinning: 0,      // 0..1, how much fast movement thins the stroke
+      maxVelocity: 3,           // Pointer speed (px/ms) that gives full thinning
+      interpolation: 'catmullRom', // 'catmullRom' or 'none'
+      curveStep: 2,             // Approximate pixels between interpolated points
+      resampleSpacing: 0        // Output point spacing in pixels; 0 disables resampling
+    };
+
+    this.configure(settings);
+    this._reset();
+  }
+
+  /**
+   * Update stabilizer settings
+   * @param {Object} settings - Settings to change
+   * @returns {Object} - Current settings
+   */
+  configure(settings) {
+    Object.entries(settings || {}).forEach(([key, value]) => {
+      if (key in this.settings && value !== undefined) {
+        this.settings[key] = value;
+      }
+    });
+
+    return { ...this.settings };
+  }
+
+  /**
+   * Start a new stroke
+   * @param {Object} point - Pointer point {x, y, pressure, tiltX, tiltY, twist, time}
+   * @returns {Array} - Processed points ready to render
+   */
+  beginStroke(point) {
+    this._reset();
+
+    const start = this._normalizePoint(point);
+    this.brushPoint = { ...start };
+    this.lastRawPoint = start;
+    this.isActive = true;
+
+    return this._pushStabilizedPoint(start);
+  }
+
+  /**
+   * Add a pointer point to the current stroke
+   * @param {Object} point - Pointer point {x, y, pressure, tiltX, tiltY, twist, time}
+   * @returns {Array} - Newly processed points ready to render (may be empty)
+   */
+  addPoint(point) {
+    if (!this.isActive) {
+      return this.beginStroke(point);
+    }
+
+    const raw = this._normalizePoint(point);
+    const pressure = this._applyVelocityThinning(raw);
+    this.lastRawPoint = raw;
+
+    // Lazy brush: the brush only moves once the pointer pulls the rope tight
+    const dx = raw.x - this.brushPoint.x;
+    const dy = raw.y - this.brushPoint.y;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+    const { lazyRadius } = this.settings;
+
+    if (distance <= lazyRadius || distance === 0) {
+      return [];
+    }
+
+    const move = (distance - lazyRadius) / distance;
+    this.brushPoint = {
+      ...raw,
+      x: this.brushPoint.x + dx * move,
+      y: this.brushPoint.y + dy * move,
+      pressure
+    };
+
+    return this._pushStabilizedPoint({ ...this.brushPoint });
+  }
+
+  /**
+   * Finish the current stroke
+   * @returns {Array} - Remaining processed points ready to render
+   */
+  endStroke() {
+    if (!this.isActive) {
+      return [];
+    }
+
+    const result = [];
+
+    // Let the brush catch up with where the pointer was released
+    if (this.settings.catchUp && this.lastRawPoint) {
+      const dx = this.lastRawPoint.x - this.brushPoint.x;
+      const dy = this.lastRawPoint.y - this.brushPoint.y;
+
+      if (dx !== 0 || dy !== 0) {
+        this.brushPoint = { ...this.lastRawPoint, pressure: this.brushPoint.pressure };
+        result.push(...this._pushStabilizedPoint({ ...this.brushPoint }));
+      }
+    }
+
+    result.push(...this._flushCurve());
+    result.push(...this._flushResample());
+
+    this.isActive = false;
+    return result;
+  }
+
+  /**
+   * Process a complete stroke in one go
+   * @param {Array} points - Pointer points {x, y, pressure, time}
+   * @returns {Array} - Processed points
+   */
+  processStroke(points) {
+    if (!points || points.length === 0) {
+      return [];
+    }
+
+    const result = this.beginStroke(points[0]);
+    for (let i = 1; i < points.length; i++) {
+      result.push(...this.addPoint(points[i]));
+    }
+    result.push(...this.endStroke());
+
+    return result;
+  }
+
+  /**
+   * Reset per-stroke state
+   * @private
+   */
+  _reset() {
+    this.isActive = false;
+    this.brushPoint = null;
+    this.lastRawPoint = null;
+    this.velocity = 0;
+    this.controlPoints = [];
+    this.lastResampledPoint = null;
+    this.lastInputPoint = null;
+    this.resampleCarry = 0;
+  }
+
+  /**
+   * Fill in missing point fields
+   * @private
+   */
+  _normalizePoint(point) {
+    return {
+      x: point.x,
+      y: point.y,
+      pressure: point.pressure !== undefined ? point.pressure : 1,
+      tiltX: point.tiltX || 0,
+      tiltY: point.tiltY || 0,
+      twist: point.twist || 0,
+      time: point.time
+    };
+  }
+
+  /**
+   * Scale pressure down as the pointer speeds up
+   * @private
+   */
+  _applyVelocityThinning(point) {
+    const { velocityThinning, maxVelocity } = this.settings;
+    const previous = this.lastRawPoint;
+
+    if (!velocityThinning || !previous || point.time === undefined || previous.time === undefined) {
+      return point.pressure;
+    }
+
+    const dt = point.time - previous.time;
+    if (dt <= 0) {
+      return point.pressure * (1 - velocityThinning * Math.min(1, this.velocity / maxVelocity));
+    }
+
+    const dx = point.x - previous.x;
+    const dy = point.y - previous.y;
+    const speed = Math.sqrt(dx * dx + dy * dy) / dt;
+
+    // Smooth the speed so a single fast event doesn't pinch the stroke
+    this.velocity = this.velocity * 0.7 + speed * 0.3;
+
+    return point.pressure * (1 - velocityThinning * Math.min(1, this.velocity / maxVelocity));
+  }
+
+  /**
+   * Feed a stabilized point through interpolation and resampling
+   * @private
+   */
+  _pushStabilizedPoint(point) {
+    if (this.settings.interpolation !== 'catmullRom') {
+      return this._resample([point]);
+    }
+
+    const controls = this.controlPoints;
+    controls.push(point);
+
+    // The first point starts the stroke straight away
+    if (controls.length === 1) {
+      return this._resample([point]);
+    }
+
+    // A segment can be drawn once the point after it is known
+    if (controls.length < 3) {
+      return [];
+    }
+
+    const n = controls.length;
+    const p0 = controls[n - 4] || controls[n - 3];
+    const curve = this._catmullRomSegment(p0, controls[n - 3], controls[n - 2], controls[n - 1]);
+
+    // Only the last four control points are ever needed
+    if (controls.length > 4) {
+      controls.shift();
+    }
+
+    return this._resample(curve);
+  }
+
+  /**
+   * Draw the final curve segment
+   * @private
+   */
+  _flushCurve() {
+    const controls = this.controlPoints;
+    if (this.settings.interpolation !== 'catmullRom' || controls.length < 2) {
+      return [];
+    }
+
+    const n = controls.length;
+    const p0 = controls[n - 3] || controls[n - 2];
+    const curve = this._catmullRomSegment(p0, controls[n - 2], controls[n - 1], controls[n - 1]);
+
+    return this._resample(curve);
+  }
+
+  /**
+   * Interpolate between p1 and p2 (excluding p1)
+   * @private
+   */
+  _catmullRomSegment(p0, p1, p2, p3) {
+    const dx = p2.x - p1.x;
+    const dy = p2.y - p1.y;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+    const steps = Math.max(1, Math.ceil(distance / Math.max(0.5, this.settings.curveStep)));
+    const result = [];
+
+    for (let i = 1; i <= steps; i++) {
+      const t = i / steps;
+      const t2 = t * t;
+      const t3 = t2 * t;
+
+      const interpolate = (a, b, c, d) => 0.5 * (
+        2 * b +
+        (-a + c) * t +
+        (2 * a - 5 * b + 4 * c - d) * t2 +
+        (-a + 3 * b - 3 * c + d) * t3
+      );
+
+      result.push({
+        ...this._interpolateDynamics(p1, p2, t),
+        x: interpolate(p0.x, p1.x, p2.x, p3.x),
+        y: interpolate(p0.y, p1.y, p2.y, p3.y),
+        time: p2.time
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Interpolate pen pressure, tilt and twist between two points
+   * @private
+   */
+  _interpolateDynamics(from, to, t) {
+    const lerp = (key) => from[key] + (to[key] - from[key]) * t;
+
+    // Twist wraps at 360 degrees, so take the short way round
+    let twistDelta = to.twist - from.twist;
+    if (twistDelta > 180) twistDelta -= 360;
+    if (twistDelta < -180) twistDelta += 360;
+
+    return {
+      pressure: lerp('pressure'),
+      tiltX: lerp('tiltX'),
+      tiltY: lerp('tiltY'),
+      twist: (from.twist + twistDelta * t + 360) % 360
+    };
+  }
+
+  /**
+   * Emit points at a fixed spacing along the path
+   * @private
+   */
+  _resample(points) {
+    const spacing = this.settings.resampleSpacing;
+    const result = [];
+
+    points.forEach(point => {
+      const previous = this.lastInputPoint;
+      this.lastInputPoint = point;
+
+      if (!spacing || !previous) {
+        this.lastResampledPoint = point;
+        result.push(point);
+        return;
+      }
+
+      const dx = point.x - previous.x;
+      const dy = point.y - previous.y;
+      const segmentLength = Math.sqrt(dx * dx + dy * dy);
+      let distance = spacing - this.resampleCarry;
+
+      while (distance <= segmentLength) {
+        const t = distance / segmentLength;
+        const resampled = {
+          ...this._interpolateDynamics(previous, point, t),
+          x: previous.x + dx * t,
+          y: previous.y + dy * t,
+          time: point.time
+        };
+
+        this.lastResampledPoint = resampled;
+        result.push(resampled);
+        distance += spacing;
+      }
+
+      this.resampleCarry = segmentLength - (distance - spacing);
+    });
+
+    return result;
+  }
+
+  /**
+   * Make sure the stroke ends exactly on its last point
+   * @private
+   */
+  _flushResample() {
+    const last = this.lastInputPoint;
+    const emitted = this.lastResampledPoint;
+
+    if (!this.settings.resampleSpacing || !last || !emitted) {
+      return [];
+    }
+
+    if (last.x === emitted.x && last.y === emitted.y) {
+      return [];
+    }
+
+    this.lastResampledPoint = last;
+    return [last];
+  }
+}
+
+export default BlekkProStrokeStabilizer;
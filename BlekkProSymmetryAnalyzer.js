@@ -0,0 +1,304 @@
+// BlekkPro Symmetry Analyzer Module
+// Measures facial symmetry feature by feature from the landmarks found by
+// BlekkProFacialRecognition: brow height and length, eye-level tilt,
+// lip-corner tilt and nose deviation. Each metric carries a confidence,
+// lowered when the head is turned or the scale or midline had to be
+// estimated, and metrics that can't be measured are listed with the reason
+// instead of being guessed. Signed values are positive when the client's
+// left side is higher, longer or further out.
+
+class BlekkProSymmetryAnalyzer {
+  constructor() {
+    this.defaultOptions = {
+      eyeWidthMm: 30,   // Average eye width, which sets the millimetre scale
+      mouthWidthMm: 50, // Average mouth width, the scale when eyes aren't found
+      maxYaw: 0.25      // Face half-width imbalance at which a turned head leaves no confidence
+    };
+
+    // Metrics, with the difference at which a metric scores 0
+    this.metrics = {
+      browHeight: { name: 'Brow height', unit: 'mm', limit: 4 },
+      browLength: { name: 'Brow length', unit: 'mm', limit: 8 },
+      eyeTilt: { name: 'Eye level tilt', unit: '°', limit: 5 },
+      lipCornerTilt: { name: 'Lip corner tilt', unit: '°', limit: 5 },
+      noseDeviation: { name: 'Nose deviation', unit: 'mm', limit: 4 }
+    };
+  }
+
+  /**
+   * Measure symmetry feature by feature
+   * @param {Object} landmarks - Landmarks from BlekkProFacialRecognition.extractPMULandmarks
+   * @param {Object} [options] - Analyzer options (see defaultOptions)
+   * @returns {Object} - Report {score, confidence, metrics, unavailable, pose, scale}, or error
+   */
+  analyze(landmarks, options = {}) {
+    const settings = { ...this.defaultOptions, ...options };
+
+    if (!landmarks) {
+      return {
+        success: false,
+        reason: 'missing_landmarks',
+        message: 'Detect a face before analysing symmetry'
+      };
+    }
+
+    const refs = landmarks.symmetryReferences || {};
+    const mapping = landmarks.mappingReferences || {};
+    const frame = this._getFaceFrame(landmarks);
+    const scale = this._getScale(landmarks, settings);
+    const pose = this._getPose(refs, frame, settings);
+
+    const eyes = {
+      left: mapping.eyeInnerLeft && mapping.eyeOuterLeft ? this._midpoint(mapping.eyeInnerLeft, mapping.eyeOuterLeft) : null,
+      right: mapping.eyeInnerRight && mapping.eyeOuterRight ? this._midpoint(mapping.eyeInnerRight, mapping.eyeOuterRight) : null
+    };
+    const brows = {
+      left: this._getBrowCenterLine(landmarks.browLeft),
+      right: this._getBrowCenterLine(landmarks.browRight)
+    };
+
+    const metrics = {};
+    const unavailable = [];
+
+    // Confidence shared by every metric: how sure the face axes and pose are
+    const frameConfidence = frame.fromMidline ? 1 : 0.6;
+    const distanceConfidence = frameConfidence * pose.confidence * (scale.from === 'eye_width' ? 1 : 0.8);
+    const tiltConfidence = frameConfidence * (1 - (1 - pose.confidence) * 0.5);
+
+    const skip = (id, reason, message) => {
+      unavailable.push({ id, name: this.metrics[id].name, reason, message });
+    };
+
+    const add = (id, values, confidence) => {
+      const metric = this.metrics[id];
+      metrics[id] = {
+        id,
+        name: metric.name,
+        unit: metric.unit === 'mm' && !scale.mmPerPixel ? 'px' : metric.unit,
+        ...values,
+        score: Math.round(100 * (1 - Math.min(1, Math.abs(values.value) / metric.limit))),
+        confidence: Math.round(confidence * 100) / 100
+      };
+    };
+
+    // Brow height above the centre of each eye
+    if (!brows.left || !brows.right) {
+      skip('browHeight', 'missing_landmarks', 'Brow landmarks were not found on both sides');
+    } else if (!eyes.left || !eyes.right) {
+      skip('browHeight', 'missing_landmarks', 'Eye corner landmarks were not found on both sides');
+    } else {
+      const height = side => scale.toMm(frame.height(this._centroid(brows[side])) - frame.height(eyes[side]));
+      const left = height('left');
+      const right = height('right');
+      add('browHeight', { left, right, value: left - right }, distanceConfidence);
+    }
+
+    // Brow length along its centre line
+    if (!brows.left || !brows.right) {
+      skip('browLength', 'missing_landmarks', 'Brow landmarks were not found on both sides');
+    } else {
+      const left = scale.toMm(this._length(brows.left));
+      const right = scale.toMm(this._length(brows.right));
+      add('browLength', { left, right, value: left - right }, distanceConfidence);
+    }
+
+    // Tilt of the line through both eye centres
+    if (!eyes.left || !eyes.right) {
+      skip('eyeTilt', 'missing_landmarks', 'Eye corner landmarks were not found on both sides');
+    } else {
+      add('eyeTilt', { value: this._tilt(frame, eyes.right, eyes.left) }, tiltConfidence);
+    }
+
+    // Tilt of the line through the mouth corners
+    const lips = landmarks.lipOuter;
+    if (!lips || lips.length < 20) {
+      skip('lipCornerTilt', 'missing_landmarks', 'Lip landmarks were not found');
+    } else {
+      add('lipCornerTilt', { value: this._tilt(frame, lips[0], lips[10]) }, tiltConfidence);
+    }
+
+    // Nose tip off the forehead-chin midline
+    if (!frame.fromMidline) {
+      skip('noseDeviation', 'missing_midline', 'Forehead and chin landmarks are needed for the midline');
+    } else if (!refs.noseTip) {
+      skip('noseDeviation', 'missing_landmarks', 'The nose tip was not found');
+    } else {
+      add('noseDeviation', { value: scale.toMm(frame.side(frame.offset(refs.noseTip))) }, distanceConfidence);
+    }
+
+    // Overall score weights each metric by how far it can be trusted
+    const measured = Object.values(metrics);
+    const weight = measured.reduce((sum, metric) => sum + metric.confidence, 0);
+
+    return {
+      success: true,
+      score: weight > 0
+        ? Math.round(measured.reduce((sum, metric) => sum + metric.score * metric.confidence, 0) / weight)
+        : null,
+      confidence: measured.length > 0
+        ? Math.round(weight / Object.keys(this.metrics).length * 100) / 100
+        : 0,
+      metrics,
+      unavailable,
+      pose: { yaw: pose.yaw, known: pose.known, turned: pose.confidence < 0.5 },
+      scale: { mmPerPixel: scale.mmPerPixel, from: scale.from },
+      midline: frame.fromMidline ? 'landmarks' : 'image_vertical'
+    };
+  }
+
+  /**
+   * Face axes from the forehead-chin midline, or the image axes without it
+   * offset() is positive toward the image's right, side() turns that into
+   * positive toward the client's left.
+   * @private
+   */
+  _getFaceFrame(landmarks) {
+    const refs = landmarks.symmetryReferences || {};
+    const mapping = landmarks.mappingReferences || {};
+    let up = { x: 0, y: -1 };
+    let origin = { x: 0, y: 0 };
+    let fromMidline = false;
+
+    if (refs.midForehead && refs.midChin) {
+      const length = Math.hypot(refs.midForehead.x - refs.midChin.x, refs.midForehead.y - refs.midChin.y);
+      if (length > 0) {
+        up = { x: (refs.midForehead.x - refs.midChin.x) / length, y: (refs.midForehead.y - refs.midChin.y) / length };
+        origin = refs.midForehead;
+        fromMidline = true;
+      }
+    }
+
+    const across = { x: -up.y, y: up.x };
+    const offset = point => (point.x - origin.x) * across.x + (point.y - origin.y) * across.y;
+    const height = point => (point.x - origin.x) * up.x + (point.y - origin.y) * up.y;
+
+    // Which way the client's left lies; an unmirrored photo puts it on the image's right
+    let leftSign = 1;
+    if (mapping.eyeOuterLeft && mapping.eyeOuterRight) {
+      leftSign = offset(mapping.eyeOuterLeft) >= offset(mapping.eyeOuterRight) ? 1 : -1;
+    } else if (landmarks.browLeft && landmarks.browLeft.length && landmarks.browRight && landmarks.browRight.length) {
+      leftSign = offset(this._centroid(landmarks.browLeft)) >= offset(this._centroid(landmarks.browRight)) ? 1 : -1;
+    }
+
+    return {
+      up,
+      across,
+      offset,
+      height,
+      side: value => value * leftSign,
+      fromMidline
+    };
+  }
+
+  /**
+   * How far the head is turned, from how evenly the midline splits the face
+   * @private
+   */
+  _getPose(refs, frame, settings) {
+    if (!frame.fromMidline || !refs.faceEdgeLeft || !refs.faceEdgeRight) {
+      return { yaw: null, known: false, confidence: 0.7 };
+    }
+
+    const left = Math.abs(frame.offset(refs.faceEdgeLeft));
+    const right = Math.abs(frame.offset(refs.faceEdgeRight));
+    const yaw = left + right > 0 ? (left - right) / (left + right) : 0;
+
+    return {
+      yaw: Math.round(yaw * 1000) / 1000,
+      known: true,
+      confidence: Math.max(0, 1 - Math.abs(yaw) / settings.maxYaw)
+    };
+  }
+
+  /**
+   * Millimetres per pixel, from the eye width or failing that the mouth width
+   * @private
+   */
+  _getScale(landmarks, settings) {
+    const mapping = landmarks.mappingReferences || {};
+    let mmPerPixel = null;
+    let from = null;
+
+    if (mapping.eyeInnerLeft && mapping.eyeOuterLeft && mapping.eyeInnerRight && mapping.eyeOuterRight) {
+      const eyeWidth = (this._distance(mapping.eyeInnerLeft, mapping.eyeOuterLeft) +
+        this._distance(mapping.eyeInnerRight, mapping.eyeOuterRight)) / 2;
+      if (eyeWidth > 0) {
+        mmPerPixel = settings.eyeWidthMm / eyeWidth;
+        from = 'eye_width';
+      }
+    }
+
+    const lips = landmarks.lipOuter;
+    if (!mmPerPixel && lips && lips.length >= 20) {
+      const mouthWidth = this._distance(lips[0], lips[10]);
+      if (mouthWidth > 0) {
+        mmPerPixel = settings.mouthWidthMm / mouthWidth;
+        from = 'mouth_width';
+      }
+    }
+
+    // Without either, values stay in pixels
+    return {
+      mmPerPixel,
+      from: from || 'pixels',
+      toMm: value => Math.round(value * (mmPerPixel || 1) * 100) / 100
+    };
+  }
+
+  /**
+   * Signed angle in degrees of the line from the right-side point to the left-side
+   * point, against the face's horizontal; positive when the left side is higher
+   * @private
+   */
+  _tilt(frame, rightPoint, leftPoint) {
+    const rise = frame.height(leftPoint) - frame.height(rightPoint);
+    const run = Math.abs(frame.offset(leftPoint) - frame.offset(rightPoint));
+    return Math.round(Math.atan2(rise, run) * 180 / Math.PI * 100) / 100;
+  }
+
+  /**
+   * Midpoints of a 10-point brow group's upper and lower edges, head to tail
+   * @private
+   */
+  _getBrowCenterLine(points) {
+    if (!points || points.length < 10) {
+      return null;
+    }
+
+    const upper = points.slice(0, 5);
+    const lower = points.slice(5, 10).reverse();
+    return upper.map((point, index) => this._midpoint(point, lower[index]));
+  }
+
+  /**
+   * Length of a polyline
+   * @private
+   */
+  _length(points) {
+    let length = 0;
+    for (let i = 1; i < points.length; i++) {
+      length += this._distance(points[i - 1], points[i]);
+    }
+    return length;
+  }
+
+  /** @private */
+  _centroid(points) {
+    return {
+      x: points.reduce((sum, point) => sum + point.x, 0) / points.length,
+      y: points.reduce((sum, point) => sum + point.y, 0) / points.length
+    };
+  }
+
+  /** @private */
+  _midpoint(a, b) {
+    return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+  }
+
+  /** @private */
+  _distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+  }
+}
+
+export default BlekkProSymmetryAnalyzer;
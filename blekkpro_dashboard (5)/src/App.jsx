@@ -1,15 +1,22 @@
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
 import Sidebar from './components/Sidebar';
 import Dashboard from './components/Dashboard';
+import BlekkProEntitlements from '../../BlekkProEntitlements';
+
+const entitlementsService = new BlekkProEntitlements();
 
 function App() {
   const [selectedTool, setSelectedTool] = useState("home");
+  const [entitlements, setEntitlements] = useState(() => entitlementsService.getState());
+
+  // Plan changes made anywhere (upgrades, trials, quota use) show up here
+  useEffect(() => entitlementsService.subscribe(setEntitlements), []);
 
   return (
     <div className="flex min-h-screen bg-gray-50">
-      <Sidebar selectedTool={selectedTool} setSelectedTool={setSelectedTool} />
+      <Sidebar selectedTool={selectedTool} setSelectedTool={setSelectedTool} entitlements={entitlements} />
       <div className="flex-1 p-6">
-        {selectedTool === "home" && <Dashboard />}
+        {selectedTool === "home" && <Dashboard entitlements={entitlements} />}
         {/* More components to come */}
       </div>
     </div>
@@ -1,12 +1,22 @@
-export default function Dashboard() {
+export default function Dashboard({ entitlements }) {
+  const analyses = entitlements && entitlements.features.ai_analysis;
+  const lipsLocked = entitlements && !entitlements.features.ombre_lip.allowed;
+
   return (
     <div>
       <h1 className="text-3xl font-bold mb-4">Welcome to BlekkPro</h1>
       <p className="text-gray-700">Begin your PMU consultation process.</p>
+      {entitlements && (
+        <p className="mt-2 text-sm text-gray-500">
+          {entitlements.tierName} plan
+          {entitlements.trial && ` · trial ends in ${entitlements.trial.daysLeft} days`}
+          {analyses.remaining !== null && ` · ${analyses.remaining} AI analyses left this month`}
+        </p>
+      )}
       <div className="mt-6 grid grid-cols-1 md:grid-cols-3 gap-4">
         <div className="p-4 bg-white border rounded">New Client</div>
-        <div className="p-4 bg-white border rounded">Lip Consultation</div>
-        <div className="p-4 bg-white border rounded">AI Analysis</div>
+        <div className="p-4 bg-white border rounded">Lip Consultation{lipsLocked && ' 🔒'}</div>
+        <div className="p-4 bg-white border rounded">AI Analysis{analyses && !analyses.allowed && ' 🔒'}</div>
       </div>
     </div>
   );
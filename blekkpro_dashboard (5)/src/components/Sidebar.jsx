@@ -1,5 +1,13 @@
-export default function Sidebar({ selectedTool, setSelectedTool }) {
+// Tools behind a gated feature
+const toolFeatures = { lips: "ombre_lip", ai: "ai_analysis" };
+
+export default function Sidebar({ selectedTool, setSelectedTool, entitlements }) {
   const tools = ["home", "symmetry", "lips", "ai", "layers"];
+  const isLocked = (tool) => {
+    const feature = entitlements && entitlements.features[toolFeatures[tool]];
+    return !!feature && !feature.allowed;
+  };
+
   return (
     <div className="w-64 bg-white border-r p-4 space-y-4">
       <h2 className="text-xl font-bold mb-4">BlekkPro</h2>
@@ -11,6 +19,7 @@ export default function Sidebar({ selectedTool, setSelectedTool }) {
               onClick={() => setSelectedTool(tool)}
             >
               {tool.charAt(0).toUpperCase() + tool.slice(1)}
+              {isLocked(tool) && ' 🔒'}
             </button>
           </li>
         ))}
@@ -1,57 +1,224 @@
 import React, { useEffect, useRef, useState } from 'react';
 import BlekkProFacialRecognition from './BlekkProFacialRecognition';
 import BlekkProPMUBrushes from './BlekkProPMUBrushes';
+import BlekkProHealingPrediction from './BlekkProHealingPrediction';
+import BlekkProStrokeRecorder from './BlekkProStrokeRecorder';
+import BlekkProBrowPatternGenerator from './BlekkProBrowPatternGenerator';
+import BlekkProStrokeRenderer from './BlekkProStrokeRenderer';
+import BlekkProSVGContext from './BlekkProSVGContext';
+import BlekkProEntitlementClient from './BlekkProEntitlementClient';
+import BlekkProAnalytics from './BlekkProAnalytics';
+import BlekkProBrushPanel from './blekkprobrushpanel';
+import BlekkProPigmentPanel from './blekkpropigmentpanel';
+import BlekkProBrowMapPanel from './blekkprobrowmappanel';
+import BlekkProBrowPatternPanel from './blekkprobrowpatternpanel';
+import BlekkProLipMapPanel from './blekkprolipmappanel';
+import BlekkProRegionFillPanel from './blekkproregionfillpanel';
+import BlekkProHealingPanel from './blekkprohealingpanel';
+import BlekkProRecordingPanel from './blekkprorecordingpanel';
+import BlekkProExportPanel from './blekkproexportpanel';
+import BlekkProCloudPanel from './blekkprocloudpanel';
+import BlekkProSymmetryReport from './blekkprosymmetryreport';
+import BlekkProUpgradePrompt from './blekkproupgradeprompt';
+
+// Palm rejection: ignore touch for this long after the pen was last seen
+const PEN_TOUCH_LOCKOUT_MS = 1500;
+
+// Touch contacts wider than this (in CSS pixels) are treated as a resting palm
+const PALM_CONTACT_SIZE = 40;
+
+// Keep a download's object URL this long after the click; revoking it at once can cancel the download
+const DOWNLOAD_URL_LIFETIME_MS = 60 * 1000;
+
+// Save a blob as a file through a temporary link
+const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), DOWNLOAD_URL_LIFETIME_MS);
+};
 
 const BlekkProApp = () => {
   // References
   const videoRef = useRef(null);
   const canvasRef = useRef(null);
+  const designCanvasRef = useRef(null);
+  const liveLayerRef = useRef(null);
   const overlayCanvasRef = useRef(null);
+  const mirrorCanvasRef = useRef(null);
+  const healingCanvasRef = useRef(null);
+  const entitlementClientRef = useRef(null);
+  const entitlementsRef = useRef(null);
+  const analyticsRef = useRef(null);
   const facialRecognitionRef = useRef(null);
   const pmuBrushesRef = useRef(null);
+  const healingPredictionRef = useRef(null);
+  const recorderRef = useRef(null);
+  const playbackRef = useRef(null);
+  const browGeneratorRef = useRef(null);
+  const generatedStrokesRef = useRef([]);
+  const strokeRendererRef = useRef(null);
+  const designRendererRef = useRef(null);
+  const eraseSnapshotRef = useRef(null);
+  const strokeSeedRef = useRef(0);
+  const stabilizerRef = useRef(null);
+  const activePointerRef = useRef(null);
+  const lastPenTimeRef = useRef(-Infinity);
+  const lipDragRef = useRef(null);
 
   // State
   const [isModelLoaded, setIsModelLoaded] = useState(false);
+  const [modelRuntime, setModelRuntime] = useState(null);
+  const [modelProgress, setModelProgress] = useState(null);
   const [isProcessing, setIsProcessing] = useState(false);
+  const [isLiveTracking, setIsLiveTracking] = useState(false);
+  const [liveStatus, setLiveStatus] = useState(null);
+  const [liveMessage, setLiveMessage] = useState(null);
   const [faceDetected, setFaceDetected] = useState(false);
   const [symmetryScore, setSymmetryScore] = useState(0);
+  const [symmetryReport, setSymmetryReport] = useState(null);
+  const [mirroredHalves, setMirroredHalves] = useState(null);
+  const [mirroredHalvesMessage, setMirroredHalvesMessage] = useState(null);
   const [landmarks, setLandmarks] = useState(null);
   const [currentBrush, setCurrentBrush] = useState(null);
   const [availableBrushes, setAvailableBrushes] = useState(null);
-  const [subscription, setSubscription] = useState('free');
+  const [entitlements, setEntitlements] = useState(null);
+  const [subscription, setSubscription] = useState(null);
+  const [checkoutMessage, setCheckoutMessage] = useState(null);
   const [showUpgradePrompt, setShowUpgradePrompt] = useState(false);
   const [upgradePrompt, setUpgradePrompt] = useState(null);
-  const [isDrawing, setIsDrawing] = useState(false);
-  const [currentStroke, setCurrentStroke] = useState([]);
+  const [presetMessage, setPresetMessage] = useState(null);
+  const [strokeColor, setStrokeColor] = useState('mediumBrown');
+  const [pigmentFormula, setPigmentFormula] = useState('');
+  const [pigmentMessage, setPigmentMessage] = useState(null);
+  const [skin, setSkin] = useState({ fitzpatrick: 3, undertone: 'neutral', skinType: 'normal' });
+  const [healingStages, setHealingStages] = useState(null);
+  const [healingStageIndex, setHealingStageIndex] = useState(0);
+  const [playbackSpeed, setPlaybackSpeed] = useState(4);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [recordingMessage, setRecordingMessage] = useState(null);
+  const [browPatternOptions, setBrowPatternOptions] = useState({ density: 0.6, length: 0.7, curvature: 0.25, layers: 2, mirror: true });
+  const [browPatternMessage, setBrowPatternMessage] = useState(null);
+  const [browMapOptions, setBrowMapOptions] = useState({ show: false, method: 'nose_line' });
+  const [browMap, setBrowMap] = useState(null);
+  const [showLipMap, setShowLipMap] = useState(false);
+  const [lipMap, setLipMap] = useState(null);
+  const [isEditingLipLine, setIsEditingLipLine] = useState(false);
+  const [regionFillOptions, setRegionFillOptions] = useState({
+    stops: [
+      { position: 0, density: 0.1 },
+      { position: 0.4, density: 0.5 },
+      { position: 1, density: 1 }
+    ],
+    lowerEdgeCrispness: 0.7,
+    passes: 2
+  });
+  const [isDrawingRegion, setIsDrawingRegion] = useState(false);
+  const [regionPoints, setRegionPoints] = useState([]);
+  const [regionFillMessage, setRegionFillMessage] = useState(null);
+  const [includeGuidesInSVG, setIncludeGuidesInSVG] = useState(true);
+  const [exportMessage, setExportMessage] = useState(null);
+  const [cloudProjects, setCloudProjects] = useState([]);
+  const [cloudProjectId, setCloudProjectId] = useState(null);
+  const [cloudMessage, setCloudMessage] = useState(null);
 
   // Initialize modules
   useEffect(() => {
-    // Create instances if they don't exist
+    // Create instances if they don't exist; every module shares one set of
+    // entitlements, whose plan comes only from the server's signed tokens
+    if (!entitlementClientRef.current) {
+      entitlementClientRef.current = new BlekkProEntitlementClient();
+      entitlementsRef.current = entitlementClientRef.current.entitlements;
+    }
+
+    // Paywall events are kept on this device and sent to the analytics API
+    if (!analyticsRef.current) {
+      analyticsRef.current = new BlekkProAnalytics({
+        sinks: process.env.NODE_ENV === 'production' ? ['localStorage', 'api'] : ['localStorage', 'api', 'console'],
+        context: () => ({ tier: entitlementsRef.current.getTier() })
+      });
+    }
+
     if (!facialRecognitionRef.current) {
-      facialRecognitionRef.current = new BlekkProFacialRecognition();
+      facialRecognitionRef.current = new BlekkProFacialRecognition(entitlementsRef.current);
     }
 
     if (!pmuBrushesRef.current) {
-      pmuBrushesRef.current = new BlekkProPMUBrushes();
-      pmuBrushesRef.current.setUserSubscription(subscription);
+      pmuBrushesRef.current = new BlekkProPMUBrushes(entitlementsRef.current);
+    }
+
+    if (!recorderRef.current) {
+      recorderRef.current = new BlekkProStrokeRecorder(pmuBrushesRef.current);
+    }
+
+    if (!browGeneratorRef.current) {
+      browGeneratorRef.current = new BlekkProBrowPatternGenerator();
+    }
+
+    if (!healingPredictionRef.current) {
+      healingPredictionRef.current = new BlekkProHealingPrediction(pmuBrushesRef.current.pigments);
     }
 
     // Initialize facial recognition
     const initFacialRecognition = async () => {
       setIsModelLoaded(false);
-      const initialized = await facialRecognitionRef.current.initialize();
-      setIsModelLoaded(initialized);
-
-      if (initialized) {
+      const initialized = await facialRecognitionRef.current.initialize({
+        onProgress: (progress) => setModelProgress(progress)
+      });
+      setIsModelLoaded(initialized.success);
+      setModelProgress(null);
+
+      if (initialized.success) {
+        setModelRuntime(`${initialized.runtime} (${initialized.backend})`);
         console.log('Facial recognition initialized successfully');
       } else {
-        console.error('Failed to initialize facial recognition');
+        console.error('Failed to initialize facial recognition:', initialized.error);
       }
     };
 
-    // Get available brushes
+    // Get available brushes, and refresh them whenever entitlements change
     const brushes = pmuBrushesRef.current.getAvailableBrushes();
     setAvailableBrushes(brushes);
+    setEntitlements(entitlementsRef.current.getState());
+
+    const unsubscribe = entitlementsRef.current.subscribe((state) => {
+      setEntitlements(state);
+      setAvailableBrushes(pmuBrushesRef.current.getAvailableBrushes());
+    });
+
+    const unsubscribeClient = entitlementClientRef.current.subscribe((state) => {
+      setSubscription(state.subscription);
+    });
+
+    // Fetch the plan, first handling a return from checkout if this is one
+    const loadEntitlements = async () => {
+      const checkoutResult = await entitlementClientRef.current.handleReturn(window.location.search);
+      if (!checkoutResult) {
+        await entitlementClientRef.current.refresh();
+        return;
+      }
+
+      if (!checkoutResult.success) {
+        setCheckoutMessage(checkoutResult.message);
+      } else if (checkoutResult.status === 'pending') {
+        setCheckoutMessage('Payment received. Your plan will update in a moment.');
+      } else {
+        setCheckoutMessage('Thank you! Your subscription is active.');
+      }
+
+      window.history.replaceState(null, '', window.location.pathname);
+    };
+
+    const loadCloudProjects = async () => {
+      await loadEntitlements();
+
+      const projectsResult = await entitlementClientRef.current.listProjects();
+      if (projectsResult.success) {
+        setCloudProjects(projectsResult.projects);
+      }
+    };
 
     // Set default brush
     const result = pmuBrushesRef.current.selectBrush('basic', 'standardShader');
@@ -61,25 +228,65 @@ const BlekkProApp = () => {
 
     // Initialize
     initFacialRecognition();
+    loadCloudProjects();
 
     // Cleanup on unmount
     return () => {
+      unsubscribe();
+      unsubscribeClient();
+      if (entitlementClientRef.current) {
+        entitlementClientRef.current.dispose();
+      }
       if (facialRecognitionRef.current) {
         facialRecognitionRef.current.dispose();
       }
     };
-  }, [subscription]);
+  }, []);
 
-  // Handle subscription change
+  // Follow the face in the live mirror; kept apart from the photo's landmarks
   useEffect(() => {
-    if (pmuBrushesRef.current) {
-      pmuBrushesRef.current.setUserSubscription(subscription);
+    if (!facialRecognitionRef.current) return;
 
-      // Update available brushes
-      const brushes = pmuBrushesRef.current.getAvailableBrushes();
-      setAvailableBrushes(brushes);
-    }
-  }, [subscription]);
+    return facialRecognitionRef.current.subscribe((frame) => {
+      setLiveStatus({ faceDetected: frame.faceDetected, symmetryScore: frame.symmetryScore });
+    });
+  }, []);
+
+  // Stroke renderers, stopped on unmount
+  useEffect(() => {
+    const layer = liveLayerRef.current;
+    const designCanvas = designCanvasRef.current;
+    if (!layer || !designCanvas || !pmuBrushesRef.current) return;
+
+    // A canvas handed to a worker can't be handed over again, so each mount gets a fresh live layer
+    const liveCanvas = document.createElement('canvas');
+    liveCanvas.width = designCanvas.width;
+    liveCanvas.height = designCanvas.height;
+    liveCanvas.style.display = 'block';
+    liveCanvas.style.width = '100%';
+    liveCanvas.style.height = '100%';
+    layer.style.width = `${designCanvas.width}px`;
+    layer.style.height = `${designCanvas.height}px`;
+    layer.appendChild(liveCanvas);
+
+    // Live strokes render in a worker where OffscreenCanvas is supported
+    const strokeRenderer = new BlekkProStrokeRenderer(pmuBrushesRef.current);
+    strokeRenderer.attach(liveCanvas);
+    strokeRendererRef.current = strokeRenderer;
+
+    // Erasing needs the pigment underneath, so those strokes draw straight onto the design layer
+    const designRenderer = new BlekkProStrokeRenderer(pmuBrushesRef.current);
+    designRenderer.attach(designCanvas, { useWorker: false });
+    designRendererRef.current = designRenderer;
+
+    return () => {
+      strokeRenderer.dispose();
+      designRenderer.dispose();
+      strokeRendererRef.current = null;
+      designRendererRef.current = null;
+      liveCanvas.remove();
+    };
+  }, []);
 
   // Handle image upload
   const handleImageUpload = (event) => {
@@ -92,15 +299,37 @@ const BlekkProApp = () => {
       img.onload = () => {
         // Set canvas dimensions
         const canvas = canvasRef.current;
+        const designCanvas = designCanvasRef.current;
         const overlayCanvas = overlayCanvasRef.current;
+        const healingCanvas = healingCanvasRef.current;
 
-        if (!canvas || !overlayCanvas) return;
+        if (!canvas || !designCanvas || !overlayCanvas || !healingCanvas) return;
 
         // Set canvas size to match image
         canvas.width = img.width;
         canvas.height = img.height;
+        designCanvas.width = img.width;
+        designCanvas.height = img.height;
         overlayCanvas.width = img.width;
         overlayCanvas.height = img.height;
+        healingCanvas.width = img.width;
+        healingCanvas.height = img.height;
+
+        // The live layer may belong to the render worker, so resize it through the renderer
+        if (strokeRendererRef.current) {
+          strokeRendererRef.current.resize(img.width, img.height);
+        }
+        if (liveLayerRef.current) {
+          liveLayerRef.current.style.width = `${img.width}px`;
+          liveLayerRef.current.style.height = `${img.height}px`;
+        }
+        setHealingStages(null);
+
+        // A new photo starts a new design
+        if (recorderRef.current) {
+          recorderRef.current.clear();
+        }
+        generatedStrokesRef.current = [];
 
         // Draw image to canvas
         const ctx = canvas.getContext('2d');
@@ -115,6 +344,62 @@ const BlekkProApp = () => {
     reader.readAsDataURL(file);
   };
 
+  // Start or stop the live mirror, with guides that move with the client's face
+  const handleToggleLiveTracking = async () => {
+    if (!facialRecognitionRef.current) return;
+
+    if (isLiveTracking) {
+      facialRecognitionRef.current.stopLiveTracking();
+      setIsLiveTracking(false);
+      setLiveStatus(null);
+      setLiveMessage(null);
+      return;
+    }
+
+    // The mirror shows while the camera starts, so Stop can cancel the start
+    setLiveMessage('Starting camera…');
+    setIsLiveTracking(true);
+
+    const result = await facialRecognitionRef.current.startLiveTracking(videoRef.current, {
+      canvas: mirrorCanvasRef.current,
+      browMap: browMapOptions.show ? { method: browMapOptions.method } : null
+    });
+
+    // Stopped, or started again, while waiting: that toggle owns the state now
+    if (result.reason === 'cancelled') return;
+
+    if (!result.success) {
+      setIsLiveTracking(false);
+      setLiveMessage(result.message);
+      return;
+    }
+
+    setLiveMessage(null);
+  };
+
+  // A score is only shown when something could be measured
+  const formatSymmetryScore = (score) => (score === null || score === undefined ? 'n/a' : `${score}%`);
+
+  // Show or hide the client's face with each half mirrored
+  const handleToggleMirroredHalves = () => {
+    if (mirroredHalves) {
+      setMirroredHalves(null);
+      return;
+    }
+
+    const result = facialRecognitionRef.current.createMirroredHalves(canvasRef.current, landmarks);
+    if (!result.success) {
+      setMirroredHalvesMessage(result.message);
+      return;
+    }
+
+    setMirroredHalvesMessage(null);
+    setMirroredHalves({
+      leftLeft: result.leftLeft.toDataURL('image/png'),
+      rightRight: result.rightRight.toDataURL('image/png')
+    });
+  };
+
   // Process image for facial recognition
   const processImage = async (imageElement) => {
     if (!facialRecognitionRef.current || !isModelLoaded) {
@@ -124,9 +409,13 @@ const BlekkProApp = () => {
 
     setIsProcessing(true);
 
+    // A new photo ends any lip line editing; its lip map may not exist
+    setIsEditingLipLine(false);
+    lipDragRef.current = null;
+
     try {
-      // Detect face
-      const result = await facialRecognitionRef.current.detectFace(imageElement);
+      // Analyse the face; counts against the monthly AI analysis quota
+      const result = await facialRecognitionRef.current.analyzeFace(imageElement);
 
       if (result.success) {
         setFaceDetected(result.faceDetected);
@@ -134,12 +423,22 @@ const BlekkProApp = () => {
         if (result.faceDetected) {
           setLandmarks(result.landmarks);
           setSymmetryScore(result.symmetryScore);
+          setSymmetryReport(result.symmetry.success ? result.symmetry : null);
+          setMirroredHalves(null);
+          setMirroredHalvesMessage(null);
+          updateBrowMap(result.landmarks, browMapOptions);
+
+          const lipResult = facialRecognitionRef.current.computeLipMap(result.landmarks);
+          const nextLipMap = lipResult.success ? lipResult : null;
+          setLipMap(nextLipMap);
 
           // Draw symmetry guide
           if (overlayCanvasRef.current) {
-            facialRecognitionRef.current.drawSymmetryGuide(result.landmarks, overlayCanvasRef.current);
+            drawGuides(result.landmarks, overlayCanvasRef.current, getOverlays({ lipMap: showLipMap ? nextLipMap : null }));
           }
         }
+      } else if (result.upgradePrompt) {
+        showUpgrade(result.upgradePrompt, 'face_analysis');
       } else {
         console.error('Error detecting face:', result.error);
       }
@@ -159,159 +458,944 @@ const BlekkProApp = () => {
     if (result.success) {
       setCurrentBrush(result.brush);
     } else if (result.reason === 'subscription_required') {
-      setUpgradePrompt(result.upgradePrompt);
-      setShowUpgradePrompt(true);
+      showUpgrade(result.upgradePrompt, 'brush_select', brushId);
+    }
+  };
+
+  // Handle needle selection
+  const handleNeedleSelect = (code) => {
+    if (!pmuBrushesRef.current) return;
+
+    if (!code) {
+      pmuBrushesRef.current.clearNeedleConfiguration();
+      setCurrentBrush({ ...pmuBrushesRef.current.getCurrentBrush() });
+      return;
+    }
+
+    const result = pmuBrushesRef.current.setNeedleConfiguration(code);
+
+    if (result.success) {
+      setCurrentBrush({ ...pmuBrushesRef.current.getCurrentBrush() });
+    } else if (result.reason === 'subscription_required') {
+      showUpgrade(result.upgradePrompt, 'needle_config');
+    }
+  };
+
+  // Choose a pigment from the list
+  const handlePigmentSelect = (id) => {
+    setStrokeColor(id);
+    setPigmentMessage(null);
+  };
+
+  // Mix a written pigment formula, e.g. "2 drops Medium Brown + 1 drop Warm Modifier"
+  const handleMixFormula = () => {
+    if (!pmuBrushesRef.current) return;
+
+    const result = pmuBrushesRef.current.pigments.mixFormula(pigmentFormula);
+
+    if (result.success) {
+      setStrokeColor(result.mix);
+      setPigmentMessage(result.mix.name);
+    } else {
+      setPigmentMessage(result.message);
+    }
+  };
+
+  // Save current brush as a custom preset
+  const handleSavePreset = () => {
+    if (!pmuBrushesRef.current || !currentBrush) return;
+
+    const name = window.prompt('Preset name', `${currentBrush.name} (Custom)`);
+    if (name === null) return;
+
+    const result = pmuBrushesRef.current.saveCurrentBrushAsPreset(name);
+
+    if (result.success) {
+      setAvailableBrushes(pmuBrushesRef.current.getAvailableBrushes());
+      setPresetMessage(`Saved "${result.brush.name}"`);
+    } else {
+      setPresetMessage(result.message);
+    }
+  };
+
+  // Export custom presets as a .blekkbrush file
+  const handleExportPresets = () => {
+    if (!pmuBrushesRef.current) return;
+
+    const blob = new Blob([pmuBrushesRef.current.exportBrushPack()], { type: 'application/json' });
+    downloadBlob(blob, 'blekkpro-brushes.blekkbrush');
+  };
+
+  // Import a .blekkbrush file
+  const handleImportPresets = (event) => {
+    const file = event.target.files[0];
+    if (!file || !pmuBrushesRef.current) return;
+
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      const result = pmuBrushesRef.current.importBrushPack(e.target.result);
+
+      if (result.success) {
+        const renamed = Object.keys(result.renamedTips).length;
+        setAvailableBrushes(pmuBrushesRef.current.getAvailableBrushes());
+        setPresetMessage(`Imported ${result.imported.length} brush preset(s)` +
+          (renamed > 0 ? `; ${renamed} tip(s) renamed to keep your existing tips` : ''));
+      } else if (result.reason === 'subscription_required') {
+        showUpgrade(result.upgradePrompt, 'brush_tip_import');
+      } else {
+        setPresetMessage(result.message);
+      }
+    };
+    reader.readAsText(file);
+
+    // Allow importing the same file again
+    event.target.value = '';
+  };
+
+  // Convert a pointer event to a canvas point with pen pressure, tilt and twist
+  const getCanvasPoint = (event) => {
+    const rect = overlayCanvasRef.current.getBoundingClientRect();
+
+    // Mice report a flat 0.5 while pressed, so they draw at full pressure as before
+    const pressure = event.pointerType === 'mouse' || !event.pressure ? 1 : event.pressure;
+
+    return {
+      x: event.clientX - rect.left,
+      y: event.clientY - rect.top,
+      pressure,
+      tiltX: event.tiltX || 0,
+      tiltY: event.tiltY || 0,
+      twist: event.twist || 0,
+      time: event.timeStamp
+    };
+  };
+
+  // Palm rejection: pens win over touch, and touch is ignored while a pen is in use
+  const isRejectedTouch = (event) => {
+    if (event.pointerType !== 'touch') return false;
+
+    const penRecentlyUsed = event.timeStamp - lastPenTimeRef.current < PEN_TOUCH_LOCKOUT_MS;
+    const isPalmSized = Math.max(event.width || 0, event.height || 0) > PALM_CONTACT_SIZE;
+
+    return penRecentlyUsed || isPalmSized;
+  };
+
+  // Renderer for the stroke in progress: the design layer itself while erasing
+  const getActiveRenderer = () => {
+    return eraseSnapshotRef.current ? designRendererRef.current : strokeRendererRef.current;
+  };
+
+  // Put back the design layer as it was before an erasing stroke
+  const restoreEraseSnapshot = () => {
+    const snapshot = eraseSnapshotRef.current;
+    const canvas = designCanvasRef.current;
+    eraseSnapshotRef.current = null;
+
+    if (snapshot && canvas) {
+      canvas.getContext('2d').putImageData(snapshot, 0, 0);
+    }
+  };
+
+  // Drop the stroke in progress without recording it
+  const cancelActiveStroke = () => {
+    recorderRef.current.cancelStroke();
+    if (eraseSnapshotRef.current) {
+      designRendererRef.current.endStroke();
+      restoreEraseSnapshot();
+    } else {
+      strokeRendererRef.current.clear();
     }
+    stabilizerRef.current = null;
+    activePointerRef.current = null;
   };
 
-  // Handle canvas mouse events for drawing
-  const handleCanvasMouseDown = (e) => {
-    if (!currentBrush) return;
+  // Handle canvas pointer events for drawing
+  const handleCanvasPointerDown = (e) => {
+    // While editing the lip line, pointers drag its points instead of drawing
+    if (isEditingLipLine && lipMap && overlayCanvasRef.current) {
+      const index = facialRecognitionRef.current.findLipLinePoint(lipMap, getCanvasPoint(e), 12);
+      if (index >= 0) {
+        lipDragRef.current = { id: e.pointerId, index, lipMap };
+        overlayCanvasRef.current.setPointerCapture(e.pointerId);
+      }
+      return;
+    }
+
+    if (!currentBrush || isPlaying) return;
 
     const canvas = overlayCanvasRef.current;
     if (!canvas) return;
 
-    // Get canvas position
-    const rect = canvas.getBoundingClientRect();
-    const x = e.clientX - rect.left;
-    const y = e.clientY - rect.top;
+    if (e.pointerType === 'pen') {
+      lastPenTimeRef.current = e.timeStamp;
+    }
+
+    if (isRejectedTouch(e)) return;
+
+    // A pen landing mid-stroke means the touch stroke was a resting palm
+    const active = activePointerRef.current;
+    if (active) {
+      if (active.type !== 'touch' || e.pointerType !== 'pen') return;
+      cancelActiveStroke();
+    }
+
+    const point = getCanvasPoint(e);
+
+    // While outlining a fill region, clicks add outline points instead of drawing
+    if (isDrawingRegion) {
+      const points = [...regionPoints, { x: point.x, y: point.y }];
+      setRegionPoints(points);
+      drawRegionOutline(points);
+      return;
+    }
+
+    // Keep receiving this pointer's events if it leaves the canvas mid-stroke
+    activePointerRef.current = { id: e.pointerId, type: e.pointerType };
+    canvas.setPointerCapture(e.pointerId);
+
+    // Start drawing with a fresh seed so the stroke can be re-rendered identically
+    strokeSeedRef.current = pmuBrushesRef.current.createStrokeSeed();
+    recorderRef.current.beginStroke({ color: strokeColor, seed: strokeSeedRef.current, time: e.timeStamp });
+
+    // The live layer is empty, so erasers preview on the design layer and are undone on cancel
+    const designCanvas = designCanvasRef.current;
+    if (pmuBrushesRef.current.isErasingBrush(currentBrush) && designRendererRef.current && designCanvas) {
+      eraseSnapshotRef.current = designCanvas.getContext('2d').getImageData(0, 0, designCanvas.width, designCanvas.height);
+    }
+    getActiveRenderer().beginStroke({ brush: currentBrush, color: strokeColor, seed: strokeSeedRef.current });
+
+    // Any healing prediction is out of date once the design changes
+    setHealingStages(null);
+
+    // Smooth raw input before it reaches the brush
+    stabilizerRef.current = pmuBrushesRef.current.createStabilizer();
+    renderStabilizedPoints(stabilizerRef.current.beginStroke(point));
+  };
+
+  const handleCanvasPointerMove = (e) => {
+    const lipDrag = lipDragRef.current;
+    if (lipDrag && lipDrag.id === e.pointerId) {
+      const result = facialRecognitionRef.current.moveLipLinePoint(lipDrag.lipMap, lipDrag.index, getCanvasPoint(e));
+      if (result.success) {
+        lipDrag.lipMap = result.lipMap;
+        setLipMap(result.lipMap);
+        drawGuides(landmarks, overlayCanvasRef.current, getOverlays({ lipMap: result.lipMap }));
+      }
+      return;
+    }
+
+    if (e.pointerType === 'pen') {
+      lastPenTimeRef.current = e.timeStamp;
+    }
+
+    const active = activePointerRef.current;
+    if (!active || active.id !== e.pointerId || !stabilizerRef.current) return;
+
+    // Coalesced events carry every sample since the last event, not just the latest
+    const events = e.nativeEvent.getCoalescedEvents ? e.nativeEvent.getCoalescedEvents() : [];
+    const samples = events.length > 0 ? events : [e.nativeEvent];
+
+    const points = [];
+    samples.forEach(sample => {
+      points.push(...stabilizerRef.current.addPoint(getCanvasPoint(sample)));
+    });
+
+    renderStabilizedPoints(points);
+  };
+
+  const handleCanvasPointerUp = (e) => {
+    if (lipDragRef.current && lipDragRef.current.id === e.pointerId) {
+      lipDragRef.current = null;
+      return;
+    }
+
+    const active = activePointerRef.current;
+    if (!active || active.id !== e.pointerId) return;
+
+    if (stabilizerRef.current) {
+      renderStabilizedPoints(stabilizerRef.current.endStroke());
+      getActiveRenderer().endStroke();
+
+      // Drop the erase preview; the recorded stroke below redraws it
+      const erasing = eraseSnapshotRef.current !== null;
+      if (erasing) {
+        restoreEraseSnapshot();
+      }
+
+      // Commit the stroke from its recording so replays match exactly, then clear the live layer
+      const stroke = recorderRef.current.endStroke();
+      const canvas = designCanvasRef.current;
+      if (stroke && canvas) {
+        recorderRef.current.renderStroke(canvas.getContext('2d'), stroke);
+      }
+      if (!erasing) {
+        strokeRendererRef.current.clear();
+      }
+    }
+
+    stabilizerRef.current = null;
+    activePointerRef.current = null;
+  };
+
+  // The browser took the pointer back (e.g. for a gesture), so drop the stroke
+  const handleCanvasPointerCancel = (e) => {
+    if (lipDragRef.current && lipDragRef.current.id === e.pointerId) {
+      lipDragRef.current = null;
+      return;
+    }
+
+    const active = activePointerRef.current;
+    if (active && active.id === e.pointerId) {
+      cancelActiveStroke();
+    }
+  };
+
+  // Record stabilized points and queue them for the live layer
+  const renderStabilizedPoints = (points) => {
+    if (!strokeRendererRef.current || points.length === 0) return;
+
+    recorderRef.current.addPoints(points);
+    getActiveRenderer().addPoints(points);
+  };
+
+  // Fill both brows with a generated hair-stroke pattern
+  const handleGenerateBrowPattern = () => {
+    if (!browGeneratorRef.current || !recorderRef.current || !designCanvasRef.current) return;
+
+    const brushResult = pmuBrushesRef.current.getBrush('advanced', 'microbladeNatural');
+    if (!brushResult.success) {
+      if (brushResult.reason === 'subscription_required') {
+        showUpgrade(brushResult.upgradePrompt, 'brow_pattern', 'microbladeNatural');
+      }
+      return;
+    }
+
+    const result = browGeneratorRef.current.generate(landmarks, {
+      ...browPatternOptions,
+      seed: pmuBrushesRef.current.createStrokeSeed()
+    });
+
+    if (!result.success) {
+      setBrowPatternMessage(result.message);
+      return;
+    }
+
+    // Regenerating replaces the previous pattern but keeps hand-drawn strokes
+    recorderRef.current.removeStrokes(generatedStrokesRef.current);
+    generatedStrokesRef.current = result.strokes
+      .map(stroke => recorderRef.current.addStroke({
+        brush: brushResult.brush,
+        color: strokeColor,
+        seed: stroke.seed,
+        points: stroke.points
+      }))
+      .filter(stroke => stroke !== null);
+
+    recorderRef.current.renderAll(designCanvasRef.current.getContext('2d'));
+    setHealingStages(null);
+    setBrowPatternMessage(`Generated ${generatedStrokesRef.current.length} hair strokes`);
+  };
+
+  // Remove the generated pattern
+  const handleClearBrowPattern = () => {
+    if (!recorderRef.current || !designCanvasRef.current) return;
+
+    recorderRef.current.removeStrokes(generatedStrokesRef.current);
+    generatedStrokesRef.current = [];
+    recorderRef.current.renderAll(designCanvasRef.current.getContext('2d'));
+    setBrowPatternMessage(null);
+  };
+
+  // Overlays shown on top of the symmetry guide, with any changes not yet in state
+  const getOverlays = (changes = {}) => ({
+    browMap: browMapOptions,
+    lipMap: showLipMap ? lipMap : null,
+    ...changes
+  });
+
+  // Draw the symmetry guide, with the brow and lip maps on top when they are shown
+  const drawGuides = (faceLandmarks, canvas, overlays) => {
+    if (!facialRecognitionRef.current.drawSymmetryGuide(faceLandmarks, canvas)) {
+      return false;
+    }
+
+    if (overlays.browMap.show) {
+      facialRecognitionRef.current.drawBrowMap(faceLandmarks, canvas, { method: overlays.browMap.method });
+    }
+    if (overlays.lipMap) {
+      facialRecognitionRef.current.drawLipMap(overlays.lipMap, canvas);
+    }
+    return true;
+  };
+
+  // Map the brows for the current face
+  const updateBrowMap = (faceLandmarks, mapOptions) => {
+    const result = facialRecognitionRef.current.computeBrowMap(faceLandmarks, { method: mapOptions.method });
+    setBrowMap(result.success ? result : null);
+  };
+
+  // Change brow map options and redraw the guides
+  const handleBrowMapOptionChange = (key, value) => {
+    const nextOptions = { ...browMapOptions, [key]: value };
+    setBrowMapOptions(nextOptions);
+
+    if (!landmarks) return;
+
+    updateBrowMap(landmarks, nextOptions);
+    if (overlayCanvasRef.current) {
+      drawGuides(landmarks, overlayCanvasRef.current, getOverlays({ browMap: nextOptions }));
+    }
+  };
+
+  // Show or hide the lip map
+  const handleToggleLipMap = (show) => {
+    setShowLipMap(show);
+    if (!show) {
+      setIsEditingLipLine(false);
+    }
 
-    // Start drawing
-    setIsDrawing(true);
-    setCurrentStroke([{ x, y, pressure: 1 }]);
+    if (landmarks && overlayCanvasRef.current) {
+      drawGuides(landmarks, overlayCanvasRef.current, getOverlays({ lipMap: show ? lipMap : null }));
+    }
   };
 
-  const handleCanvasMouseMove = (e) => {
-    if (!isDrawing || !currentBrush) return;
+  // Go back to the suggested lip line
+  const handleResetLipLine = () => {
+    if (!landmarks) return;
 
+    const result = facialRecognitionRef.current.computeLipMap(landmarks);
+    if (!result.success) return;
+
+    setLipMap(result);
+    if (overlayCanvasRef.current) {
+      drawGuides(landmarks, overlayCanvasRef.current, getOverlays({ lipMap: showLipMap ? result : null }));
+    }
+  };
+
+  // Redraw the guides with the region outline on top
+  const drawRegionOutline = (points) => {
     const canvas = overlayCanvasRef.current;
     if (!canvas) return;
 
-    // Get canvas position
-    const rect = canvas.getBoundingClientRect();
-    const x = e.clientX - rect.left;
-    const y = e.clientY - rect.top;
+    const ctx = canvas.getContext('2d');
+    if (!landmarks || !drawGuides(landmarks, canvas, getOverlays())) {
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+    }
+
+    if (points.length === 0) return;
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.moveTo(points[0].x, points[0].y);
+    points.slice(1).forEach(point => ctx.lineTo(point.x, point.y));
+    ctx.closePath();
+    ctx.strokeStyle = 'rgba(232, 62, 140, 0.8)';
+    ctx.setLineDash([4, 4]);
+    ctx.stroke();
+    ctx.restore();
+  };
+
+  // Stipple a region with the current brush and record it as a stroke
+  const fillRegion = (polygon, axis = {}) => {
+    const result = pmuBrushesRef.current.createRegionFill(polygon, {
+      ...regionFillOptions,
+      ...axis
+    });
+
+    if (!result.success) {
+      if (result.reason === 'subscription_required') {
+        showUpgrade(result.upgradePrompt, 'region_fill');
+      } else {
+        setRegionFillMessage(result.message);
+      }
+      return false;
+    }
+
+    const stroke = recorderRef.current.addStroke({
+      brush: result.brush,
+      color: strokeColor,
+      seed: result.seed,
+      points: result.points
+    });
+
+    if (stroke) {
+      recorderRef.current.renderStroke(designCanvasRef.current.getContext('2d'), stroke);
+    }
+
+    return true;
+  };
+
+  // Fill both brows from the detected landmarks
+  const handleFillBrows = () => {
+    if (!browGeneratorRef.current || !recorderRef.current || !designCanvasRef.current) return;
+
+    const regions = ['left', 'right'].map(side => browGeneratorRef.current.getBrowRegion(landmarks, side));
+    if (regions.some(region => !region)) {
+      setRegionFillMessage('Brow landmarks are needed to fill the brows');
+      return;
+    }
+
+    if (regions.every(({ polygon, head, tail }) => fillRegion(polygon, { head, tail }))) {
+      setHealingStages(null);
+      setRegionFillMessage('Filled both brows');
+    }
+  };
+
+  // Start or finish outlining a custom region
+  const handleToggleRegionDrawing = () => {
+    if (!isDrawingRegion) {
+      setRegionPoints([]);
+      setIsDrawingRegion(true);
+      setRegionFillMessage('Click around the region, starting at the brow head');
+      return;
+    }
+
+    if (regionPoints.length >= 3 && recorderRef.current && designCanvasRef.current && fillRegion(regionPoints)) {
+      setHealingStages(null);
+      setRegionFillMessage('Region filled');
+    }
+
+    setIsDrawingRegion(false);
+    setRegionPoints([]);
+    drawRegionOutline([]);
+  };
+
+  // Replay the recorded design
+  const handlePlayRecording = () => {
+    const canvas = designCanvasRef.current;
+    if (!canvas || !recorderRef.current) return;
+
+    if (playbackRef.current) {
+      playbackRef.current.stop();
+    }
+
+    setIsPlaying(true);
+    setHealingStages(null);
+    playbackRef.current = recorderRef.current.play(canvas.getContext('2d'), {
+      speed: playbackSpeed,
+      onComplete: () => {
+        playbackRef.current = null;
+        setIsPlaying(false);
+      }
+    });
+  };
+
+  // Stop playback and show the finished design
+  const handleStopRecording = () => {
+    if (playbackRef.current) {
+      playbackRef.current.stop();
+      playbackRef.current = null;
+    }
+
+    recorderRef.current.renderAll(designCanvasRef.current.getContext('2d'));
+    setIsPlaying(false);
+  };
+
+  // Export the recording as a time-lapse video over the photo
+  const handleExportTimeLapse = async () => {
+    const canvas = designCanvasRef.current;
+    if (!canvas || !recorderRef.current) return;
+
+    setRecordingMessage('Exporting time-lapse...');
+
+    const result = await recorderRef.current.exportVideo({
+      width: canvas.width,
+      height: canvas.height,
+      background: canvasRef.current,
+      speed: playbackSpeed
+    });
+
+    if (!result.success) {
+      setRecordingMessage(result.message);
+      return;
+    }
+
+    downloadBlob(result.blob, 'blekkpro-timelapse.webm');
+    setRecordingMessage(null);
+  };
+
+  // Export the design as an SVG for stencils, cutters and vector editors
+  const handleExportSVG = async () => {
+    const canvas = designCanvasRef.current;
+    if (!canvas || !recorderRef.current) return;
+
+    // Vector files print at any size, so they are a high-resolution export.
+    // The file is built here, but only once the server has granted the plan
+    const access = entitlementsRef.current.check('export_high_res');
+    if (!access.allowed) {
+      showUpgrade(access.upgradePrompt, 'export');
+      return;
+    }
+
+    setExportMessage('Checking your plan...');
+    const grant = await entitlementClientRef.current.requestGrant('export_high_res');
+    if (!grant.success) {
+      setExportMessage(null);
+      if (grant.upgradePrompt) {
+        showUpgrade(grant.upgradePrompt, 'export');
+      } else {
+        setExportMessage(grant.message);
+      }
+      return;
+    }
+
+    const svg = new BlekkProSVGContext(canvas.width, canvas.height);
+
+    if (!recorderRef.current.renderSVG(svg)) {
+      setExportMessage('Some strokes could not be exported');
+      return;
+    }
+
+    if (includeGuidesInSVG && landmarks) {
+      facialRecognitionRef.current.drawSymmetryGuideSVG(landmarks, svg);
+      if (browMapOptions.show) {
+        facialRecognitionRef.current.drawBrowMapSVG(landmarks, svg, { method: browMapOptions.method });
+      }
+      if (showLipMap && lipMap) {
+        facialRecognitionRef.current.drawLipMapSVG(lipMap, svg);
+      }
+    }
+
+    downloadBlob(new Blob([svg.toSVG()], { type: 'image/svg+xml' }), 'blekkpro-design.svg');
+    setExportMessage(null);
+  };
+
+  // Save every stroke of the design to the cloud, over the open project if there is one
+  const handleSaveCloudProject = async () => {
+    if (!recorderRef.current) return;
+
+    const access = entitlementsRef.current.check('cloud_projects');
+    if (!access.allowed) {
+      showUpgrade(access.upgradePrompt, 'cloud_save');
+      return;
+    }
+
+    const openProject = cloudProjects.find(project => project.id === cloudProjectId);
+    const name = window.prompt('Project name', openProject ? openProject.name : 'Untitled design');
+    if (name === null) return;
+
+    const id = openProject && openProject.name === name ? openProject.id : undefined;
+    const result = await entitlementClientRef.current.saveProject(name, recorderRef.current.exportRecording(), id);
+
+    if (!result.success) {
+      if (result.upgradePrompt) {
+        showUpgrade(result.upgradePrompt, 'cloud_save');
+      } else {
+        setCloudMessage(result.message);
+      }
+      return;
+    }
+
+    setCloudProjectId(result.project.id);
+    setCloudMessage(`Saved "${result.project.name}"`);
+
+    const projectsResult = await entitlementClientRef.current.listProjects();
+    if (projectsResult.success) {
+      setCloudProjects(projectsResult.projects);
+    }
+  };
+
+  // Open a cloud project, replacing the current design
+  const handleOpenCloudProject = async (projectId) => {
+    if (!projectId || !recorderRef.current || !designCanvasRef.current) return;
+
+    const result = await entitlementClientRef.current.loadProject(projectId);
+    if (!result.success) {
+      setCloudMessage(result.message);
+      return;
+    }
 
-    // Add point to stroke
-    setCurrentStroke(prev => [...prev, { x, y, pressure: 1 }]);
+    const imported = recorderRef.current.importRecording(result.project.data);
+    if (!imported.success) {
+      setCloudMessage(imported.message);
+      if (imported.reason === 'subscription_required') {
+        showUpgrade(imported.upgradePrompt, 'cloud_project');
+      }
+      return;
+    }
+
+    generatedStrokesRef.current = [];
+    recorderRef.current.renderAll(designCanvasRef.current.getContext('2d'));
+    setHealingStages(null);
+    setCloudProjectId(projectId);
+    setCloudMessage(`Opened "${result.project.name}" (${imported.strokeCount} strokes)`);
+  };
+
+  // Predict the healed result of the current design
+  const handlePredictHealing = () => {
+    if (!healingPredictionRef.current || !designCanvasRef.current) return;
+
+    const result = healingPredictionRef.current.predictHealing(designCanvasRef.current, strokeColor, skin);
 
-    // Apply brush stroke
-    if (pmuBrushesRef.current && currentStroke.length > 0) {
-      const ctx = canvas.getContext('2d');
-      pmuBrushesRef.current.applyBrushStroke(ctx, [currentStroke[currentStroke.length - 1], { x, y, pressure: 1 }], [121, 85, 61]);
+    if (result.success) {
+      setHealingStages(result.stages);
+      setHealingStageIndex(0);
+    } else {
+      console.error('Error predicting healing:', result.message);
     }
   };
 
-  const handleCanvasMouseUp = () => {
-    setIsDrawing(false);
+  // Show the selected healing stage over the photo
+  useEffect(() => {
+    const canvas = healingCanvasRef.current;
+    if (!canvas || !healingStages) return;
+
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(healingStages[healingStageIndex].canvas, 0, 0);
+  }, [healingStages, healingStageIndex]);
+
+  // Check whether a feature is locked for the user
+  const isLocked = (featureId) => {
+    const feature = entitlements && entitlements.features[featureId];
+    return !feature || !feature.allowed;
+  };
+
+  // Show an upgrade prompt, recording what raised it
+  const showUpgrade = (prompt, source, brushId) => {
+    const sourcedPrompt = { ...prompt, source, brushId: brushId || null };
+    setUpgradePrompt(sourcedPrompt);
+    setShowUpgradePrompt(true);
+    analyticsRef.current.trackPromptShown(sourcedPrompt, source);
   };
 
-  // Handle subscription upgrade
-  const handleUpgrade = () => {
-    setSubscription('pro');
+  const handleDismissUpgrade = () => {
+    analyticsRef.current.trackPromptDismissed(upgradePrompt, upgradePrompt.source);
     setShowUpgradePrompt(false);
   };
 
-  // Render upgrade prompt
-  const renderUpgradePrompt = () => {
-    if (!showUpgradePrompt || !upgradePrompt) return null;
-
-    return (
-      <div className="upgrade-prompt">
-        <h3>{upgradePrompt.title}</h3>
-        <p>{upgradePrompt.message}</p>
-        <ul>
-          {upgradePrompt.benefits.map((benefit, index) => (
-            <li key={index}>{benefit}</li>
-          ))}
-        </ul>
-        <div className="upgrade-actions">
-          <button onClick={handleUpgrade}>Upgrade Now</button>
-          <button onClick={() => setShowUpgradePrompt(false)}>Maybe Later</button>
-        </div>
-      </div>
-    );
-  };
-
-  // Render brush selector
-  const renderBrushSelector = () => {
-    if (!availableBrushes) return null;
-
-    return (
-      <div className="brush-selector">
-        <h3>Basic Brushes</h3>
-        <div className="brush-list">
-          {Object.entries(availableBrushes.basic).map(([id, brush]) => (
-            <div
-              key={id}
-              className={`brush-item ${currentBrush && currentBrush.name === brush.name ? 'active' : ''}`}
-              onClick={() => handleBrushSelect('basic', id)}
-            >
-              {brush.name}
-            </div>
-          ))}
-        </div>
+  // Send the user to checkout for the tier the prompt asks for
+  const handleUpgrade = async () => {
+    const fromPrompt = showUpgradePrompt && upgradePrompt;
+    const tier = (fromPrompt && upgradePrompt.requiredTier) || 'pro';
+    analyticsRef.current.trackPromptAccepted(fromPrompt ? upgradePrompt : null, fromPrompt ? upgradePrompt.source : 'status_bar');
+    setShowUpgradePrompt(false);
+    setCheckoutMessage(null);
 
-        {availableBrushes.advanced && (
-          <>
-            <h3>Advanced Brushes</h3>
-            <div className="brush-list">
-              {Object.entries(availableBrushes.advanced).map(([id, brush]) => (
-                <div
-                  key={id}
-                  className={`brush-item ${currentBrush && currentBrush.name === brush.name ? 'active' : ''}`}
-                  onClick={() => handleBrushSelect('advanced', id)}
-                >
-                  {brush.name}
-                </div>
-              ))}
-            </div>
-          </>
-        )}
+    const result = await entitlementClientRef.current.startCheckout(tier);
+    if (!result.success) {
+      setCheckoutMessage(result.message);
+      return;
+    }
 
-        {availableBrushes.locked && (
-          <>
-            <h3>Pro Brushes (Locked)</h3>
-            <div className="brush-list locked">
-              {Object.entries(availableBrushes.locked).map(([id, brush]) => (
-                <div
-                  key={id}
-                  className="brush-item locked"
-                  onClick={() => handleBrushSelect('advanced', id)}
-                >
-                  {brush.name} 🔒
-                </div>
-              ))}
-            </div>
-          </>
-        )}
-      </div>
-    );
+    window.location.assign(result.url);
+  };
+
+  const handleCancelSubscription = async () => {
+    if (!window.confirm('Cancel your subscription? Your plan will return to Free.')) return;
+
+    const result = await entitlementClientRef.current.cancelSubscription();
+    setCheckoutMessage(result.success ? 'Your subscription has been cancelled.' : result.message);
+  };
+
+  const handleStartTrial = async () => {
+    setCheckoutMessage(null);
+    const result = await entitlementClientRef.current.startTrial('pro');
+    if (!result.success) {
+      setCheckoutMessage(result.message);
+    }
+  };
+
+  // Change a setting of the current brush
+  const handleBrushSettingsChange = (settings) => {
+    if (!pmuBrushesRef.current) return;
+
+    if (pmuBrushesRef.current.updateCurrentBrushSettings(settings)) {
+      setCurrentBrush({ ...pmuBrushesRef.current.getCurrentBrush() });
+    }
+  };
+
+  // Import a needle or blade footprint (or a grain texture) for stamp brushes
+  const handleImportBrushTip = async (event, kind) => {
+    const file = event.target.files[0];
+
+    // Allow importing the same file again
+    event.target.value = '';
+    if (!file || !pmuBrushesRef.current) return;
+
+    let image;
+    try {
+      image = await createImageBitmap(file);
+    } catch (error) {
+      setPresetMessage(`Could not read ${file.name} as an image`);
+      return;
+    }
+
+    const name = file.name.replace(/\.[^.]+$/, '');
+    const result = pmuBrushesRef.current.importBrushTip(name, image, kind);
+    image.close();
+
+    if (result.success) {
+      handleBrushSettingsChange({ [kind]: result.tipId });
+      setPresetMessage(`Imported ${kind} "${name}"`);
+    } else if (result.reason === 'subscription_required') {
+      showUpgrade(result.upgradePrompt, 'brush_tip_import');
+    } else {
+      setPresetMessage(result.message);
+    }
   };
 
   return (
     <div className="blekkpro-app">
       <h1>BlekkPro PMU Tools</h1>
 
-      <div className="subscription-status">
-        Current Plan: {subscription === 'pro' ? 'Pro' : 'Free'}
-        {subscription !== 'pro' && (
-          <button onClick={handleUpgrade}>Upgrade to Pro</button>
-        )}
-      </div>
+      {entitlements && (
+        <div className="subscription-status">
+          Current Plan: {entitlements.tierName}
+          {entitlements.trial && ` (trial, ${entitlements.trial.daysLeft} days left)`}
+          {entitlements.features.ai_analysis.remaining !== null && (
+            <span className="quota-status">
+              AI analyses left this month: {entitlements.features.ai_analysis.remaining}
+            </span>
+          )}
+          {entitlements.paidTier === 'free' && !entitlements.trial && (
+            <button onClick={handleStartTrial}>Try Pro Free for 14 Days</button>
+          )}
+          {entitlements.paidTier === 'free' && (
+            <button onClick={handleUpgrade}>Upgrade to Pro</button>
+          )}
+          {subscription && subscription.status !== 'cancelled' && (
+            <button onClick={handleCancelSubscription}>Cancel Subscription</button>
+          )}
+        </div>
+      )}
+
+      {subscription && subscription.status === 'past_due' && (
+        <div className="checkout-message warning">
+          Your last payment failed. Update your payment details to keep your {entitlements && entitlements.tierName} plan.
+        </div>
+      )}
+      {checkoutMessage && <div className="checkout-message">{checkoutMessage}</div>}
 
       <div className="upload-section">
         <input type="file" accept="image/*" onChange={handleImageUpload} />
       </div>
 
       <div className="status-section">
-        <div>Model Loaded: {isModelLoaded ? 'Yes' : 'No'}</div>
+        <div>Model Loaded: {isModelLoaded ? `Yes, ${modelRuntime}` : 'No'}</div>
+        {modelProgress && (
+          <div>Loading {modelProgress.runtime} model: {modelProgress.loaded}/{modelProgress.total} files</div>
+        )}
         <div>Face Detected: {faceDetected ? 'Yes' : 'No'}</div>
-        {faceDetected && <div>Symmetry Score: {symmetryScore}%</div>}
+        {faceDetected && <div>Symmetry Score: {formatSymmetryScore(symmetryScore)}</div>}
+        <button onClick={handleToggleLiveTracking} disabled={!isModelLoaded}>
+          {isLiveTracking ? 'Stop Live Mirror' : 'Live Mirror'}
+        </button>
+        {liveMessage && <div className="live-message">{liveMessage}</div>}
+      </div>
+
+      {faceDetected && symmetryReport && (
+        <BlekkProSymmetryReport
+          report={symmetryReport}
+          mirroredHalves={mirroredHalves}
+          mirroredHalvesMessage={mirroredHalvesMessage}
+          canMirror={!!landmarks}
+          onToggleMirroredHalves={handleToggleMirroredHalves}
+        />
+      )}
+
+      <div className="live-mirror" style={{ display: isLiveTracking ? 'block' : 'none' }}>
+        <video ref={videoRef} muted playsInline />
+        <canvas ref={mirrorCanvasRef} />
+        {liveStatus && (
+          <div className="live-status">
+            {liveStatus.faceDetected ? `Symmetry ${formatSymmetryScore(liveStatus.symmetryScore)}` : 'Looking for a face…'}
+          </div>
+        )}
       </div>
 
       <div className="editor-container">
-        {renderBrushSelector()}
+        <div className="tool-panel">
+          {pmuBrushesRef.current && availableBrushes && (
+            <BlekkProBrushPanel
+              brushes={pmuBrushesRef.current}
+              availableBrushes={availableBrushes}
+              currentBrush={currentBrush}
+              isLocked={isLocked}
+              message={presetMessage}
+              onSelect={handleBrushSelect}
+              onNeedleSelect={handleNeedleSelect}
+              onSettingsChange={handleBrushSettingsChange}
+              onImportTip={handleImportBrushTip}
+              onSavePreset={handleSavePreset}
+              onExportPresets={handleExportPresets}
+              onImportPresets={handleImportPresets}
+            />
+          )}
+          {pmuBrushesRef.current && (
+            <BlekkProPigmentPanel
+              pigments={pmuBrushesRef.current.pigments}
+              color={strokeColor}
+              formula={pigmentFormula}
+              message={pigmentMessage}
+              onColorChange={handlePigmentSelect}
+              onFormulaChange={setPigmentFormula}
+              onMix={handleMixFormula}
+            />
+          )}
+          <BlekkProBrowMapPanel options={browMapOptions} browMap={browMap} onOptionChange={handleBrowMapOptionChange} />
+          <BlekkProBrowPatternPanel
+            options={browPatternOptions}
+            onOptionsChange={setBrowPatternOptions}
+            canGenerate={!!landmarks}
+            disabled={isPlaying}
+            message={browPatternMessage}
+            onGenerate={handleGenerateBrowPattern}
+            onClear={handleClearBrowPattern}
+          />
+          <BlekkProLipMapPanel
+            lipMap={lipMap}
+            show={showLipMap}
+            isEditing={isEditingLipLine}
+            onToggleShow={handleToggleLipMap}
+            onToggleEditing={() => setIsEditingLipLine(!isEditingLipLine)}
+            onReset={handleResetLipLine}
+          />
+          <BlekkProRegionFillPanel
+            options={regionFillOptions}
+            onOptionsChange={setRegionFillOptions}
+            isDrawingRegion={isDrawingRegion}
+            canFillBrows={!!landmarks}
+            disabled={isPlaying}
+            message={regionFillMessage}
+            onFillBrows={handleFillBrows}
+            onToggleRegionDrawing={handleToggleRegionDrawing}
+          />
+          <BlekkProHealingPanel
+            skin={skin}
+            onSkinChange={setSkin}
+            stages={healingStages}
+            stageIndex={healingStageIndex}
+            onStageChange={setHealingStageIndex}
+            onPredict={handlePredictHealing}
+            onClose={() => setHealingStages(null)}
+          />
+          <BlekkProRecordingPanel
+            speed={playbackSpeed}
+            onSpeedChange={setPlaybackSpeed}
+            isPlaying={isPlaying}
+            message={recordingMessage}
+            onPlay={handlePlayRecording}
+            onStop={handleStopRecording}
+            onExport={handleExportTimeLapse}
+          />
+          <BlekkProExportPanel
+            includeGuides={includeGuidesInSVG}
+            onIncludeGuidesChange={setIncludeGuidesInSVG}
+            disabled={isPlaying}
+            message={exportMessage}
+            onExport={handleExportSVG}
+          />
+          <BlekkProCloudPanel
+            projects={cloudProjects}
+            projectId={cloudProjectId}
+            locked={isLocked('cloud_projects')}
+            disabled={isPlaying}
+            message={cloudMessage}
+            onSave={handleSaveCloudProject}
+            onOpen={handleOpenCloudProject}
+          />
+        </div>
 
         <div className="canvas-container">
           <canvas
@@ -320,20 +1404,41 @@ const BlekkProApp = () => {
             height="600"
             className="main-canvas"
           />
+          <canvas
+            ref={designCanvasRef}
+            width="800"
+            height="600"
+            className="design-canvas"
+            style={{ visibility: healingStages ? 'hidden' : 'visible' }}
+          />
+          <canvas
+            ref={healingCanvasRef}
+            width="800"
+            height="600"
+            className="healing-canvas"
+            style={{ visibility: healingStages ? 'visible' : 'hidden' }}
+          />
+          <div
+            ref={liveLayerRef}
+            className="live-canvas"
+            style={{ visibility: healingStages ? 'hidden' : 'visible' }}
+          />
           <canvas
             ref={overlayCanvasRef}
             width="800"
             height="600"
             className="overlay-canvas"
-            onMouseDown={handleCanvasMouseDown}
-            onMouseMove={handleCanvasMouseMove}
-            onMouseUp={handleCanvasMouseUp}
-            onMouseLeave={handleCanvasMouseUp}
+            onPointerDown={handleCanvasPointerDown}
+            onPointerMove={handleCanvasPointerMove}
+            onPointerUp={handleCanvasPointerUp}
+            onPointerCancel={handleCanvasPointerCancel}
           />
         </div>
       </div>
 
-      {renderUpgradePrompt()}
+      {showUpgradePrompt && upgradePrompt && (
+        <BlekkProUpgradePrompt prompt={upgradePrompt} onUpgrade={handleUpgrade} onDismiss={handleDismissUpgrade} />
+      )}
 
       <style jsx>{`
         .blekkpro-app {
@@ -350,6 +1455,12 @@ const BlekkProApp = () => {
           margin-bottom: 20px;
         }
 
+        .subscription-status .quota-status {
+          margin-left: 10px;
+          font-size: 12px;
+          color: #666;
+        }
+
         .subscription-status button {
           margin-left: 10px;
           background-color: #e83e8c;
@@ -360,6 +1471,16 @@ const BlekkProApp = () => {
           cursor: pointer;
         }
 
+        .checkout-message {
+          margin: -10px 0 20px;
+          font-size: 14px;
+          color: #666;
+        }
+
+        .checkout-message.warning {
+          color: #b8860b;
+        }
+
         .upload-section {
           margin-bottom: 20px;
         }
@@ -370,37 +1491,53 @@ const BlekkProApp = () => {
           gap: 20px;
         }
 
-        .editor-container {
-          display: flex;
-          gap: 20px;
+        .live-message {
+          font-size: 12px;
+          color: #666;
         }
 
-        .brush-selector {
-          width: 200px;
+        .live-mirror {
+          position: relative;
+          width: 800px;
+          margin-bottom: 20px;
+          /* Show the client a mirror image, as they'd expect */
+          transform: scaleX(-1);
         }
 
-        .brush-list {
-          display: flex;
-          flex-direction: column;
-          gap: 5px;
-          margin-bottom: 20px;
+        .live-mirror video {
+          display: block;
+          width: 100%;
         }
 
-        .brush-item {
-          padding: 8px 12px;
-          background-color: #f5f5f5;
-          border-radius: 4px;
-          cursor: pointer;
+        .live-mirror canvas {
+          position: absolute;
+          top: 0;
+          left: 0;
+          width: 100%;
+          height: 100%;
+          pointer-events: none;
         }
 
-        .brush-item.active {
-          background-color: #e83e8c;
+        .live-mirror .live-status {
+          position: absolute;
+          top: 10px;
+          right: 10px;
+          /* Undo the mirror so the text reads normally */
+          transform: scaleX(-1);
+          background-color: rgba(0, 0, 0, 0.6);
           color: white;
+          font-size: 12px;
+          padding: 4px 8px;
+          border-radius: 4px;
         }
 
-        .brush-item.locked {
-          opacity: 0.7;
-          background-color: #eee;
+        .editor-container {
+          display: flex;
+          gap: 20px;
+        }
+
+        .tool-panel {
+          width: 200px;
         }
 
         .canvas-container {
@@ -417,54 +1554,23 @@ const BlekkProApp = () => {
           background-color: white;
         }
 
-        .overlay-canvas {
+        .design-canvas,
+        .live-canvas,
+        .healing-canvas {
           position: absolute;
           top: 0;
           left: 0;
-          pointer-events: all;
-        }
-
-        .upgrade-prompt {
-          position: fixed;
-          top: 50%;
-          left: 50%;
-          transform: translate(-50%, -50%);
-          background-color: white;
-          padding: 20px;
-          border-radius: 8px;
-          box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
-          max-width: 400px;
-          width: 100%;
-          z-index: 1000;
-        }
-
-        .upgrade-prompt h3 {
-          color: #e83e8c;
-          margin-top: 0;
-        }
-
-        .upgrade-actions {
-          display: flex;
-          justify-content: flex-end;
-          gap: 10px;
-          margin-top: 20px;
-        }
-
-        .upgrade-actions button:first-child {
-          background-color: #e83e8c;
-          color: white;
-          border: none;
-          padding: 8px 16px;
-          border-radius: 4px;
-          cursor: pointer;
+          pointer-events: none;
+          /* Pigment darkens the skin under it rather than covering it */
+          mix-blend-mode: multiply;
         }
 
-        .upgrade-actions button:last-child {
-          background-color: transparent;
-          border: 1px solid #ddd;
-          padding: 8px 16px;
-          border-radius: 4px;
-          cursor: pointer;
+        .overlay-canvas {
+          position: absolute;
+          top: 0;
+          left: 0;
+          pointer-events: all;
+          touch-action: none;
         }
       `}</style>
     </div>
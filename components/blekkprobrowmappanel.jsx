@@ -0,0 +1,36 @@
+import React from 'react';
+import BlekkProPanel from './blekkpropanel';
+
+// Brow mapping options, with how the client's brows compare to the map
+const BlekkProBrowMapPanel = ({ options, browMap, onOptionChange }) => (
+  <BlekkProPanel title="Brow Mapping">
+    <label>
+      Show brow map
+      <input
+        type="checkbox"
+        checked={options.show}
+        onChange={(e) => onOptionChange('show', e.target.checked)}
+      />
+    </label>
+    <label>
+      Method
+      <select value={options.method} onChange={(e) => onOptionChange('method', e.target.value)}>
+        <option value="nose_line">Nose line</option>
+        <option value="golden_ratio">Golden ratio</option>
+      </select>
+    </label>
+    {browMap && [['left', 'Left brow'], ['right', 'Right brow']].map(([side, label]) => browMap[side] && (
+      <div key={side} className="panel-note">
+        <strong>{label}</strong>
+        {browMap[side].comparison.matches
+          ? <div>Matches the map</div>
+          : browMap[side].comparison.notes.map(note => <div key={note.id}>{note.message}</div>)}
+      </div>
+    ))}
+    {browMap && ((browMap.left && browMap.left.irisEstimated) || (browMap.right && browMap.right.irisEstimated)) && (
+      <div className="panel-note">Arch line estimated from the eye centre; iris landmarks were not detected</div>
+    )}
+  </BlekkProPanel>
+);
+
+export default BlekkProBrowMapPanel;
@@ -0,0 +1,45 @@
+import React from 'react';
+import BlekkProPanel from './blekkpropanel';
+
+// Hair-stroke pattern options and generation
+const BlekkProBrowPatternPanel = ({ options, onOptionsChange, canGenerate, disabled, message, onGenerate, onClear }) => {
+  const updateOption = (key, value) => onOptionsChange({ ...options, [key]: value });
+
+  return (
+    <BlekkProPanel title="Hair-stroke Pattern" message={message}>
+      {[['density', 'Density'], ['length', 'Length'], ['curvature', 'Curvature']].map(([key, label]) => (
+        <label key={key}>
+          {label}
+          <input
+            type="range"
+            min="0"
+            max={key === 'length' ? '1.5' : '1'}
+            step="0.05"
+            value={options[key]}
+            onChange={(e) => updateOption(key, parseFloat(e.target.value))}
+          />
+        </label>
+      ))}
+      <label>
+        Layers
+        <select value={options.layers} onChange={(e) => updateOption('layers', parseInt(e.target.value, 10))}>
+          {[1, 2, 3].map(layers => (
+            <option key={layers} value={layers}>{layers}</option>
+          ))}
+        </select>
+      </label>
+      <label>
+        Mirror across midline
+        <input
+          type="checkbox"
+          checked={options.mirror}
+          onChange={(e) => updateOption('mirror', e.target.checked)}
+        />
+      </label>
+      <button onClick={onGenerate} disabled={!canGenerate || disabled}>Generate Brow Pattern</button>
+      <button onClick={onClear} disabled={disabled}>Clear Pattern</button>
+    </BlekkProPanel>
+  );
+};
+
+export default BlekkProBrowPatternPanel;
@@ -0,0 +1,247 @@
+import React from 'react';
+
+// Brush, needle and blend mode choice, stamp tip settings and preset files
+const BlekkProBrushPanel = ({
+  brushes,
+  availableBrushes,
+  currentBrush,
+  isLocked,
+  message,
+  onSelect,
+  onNeedleSelect,
+  onSettingsChange,
+  onImportTip,
+  onSavePreset,
+  onExportPresets,
+  onImportPresets
+}) => {
+  const renderBrushItems = (category, list) => Object.entries(list).map(([id, brush]) => (
+    <div
+      key={id}
+      className={`brush-item ${currentBrush && currentBrush.name === brush.name ? 'active' : ''}`}
+      onClick={() => onSelect(category, id)}
+    >
+      {brush.name}
+    </div>
+  ));
+
+  const renderStampControls = () => {
+    if (!currentBrush || currentBrush.type !== 'stamp') return null;
+
+    const tips = brushes.getBrushTips('tip');
+    const grains = brushes.getBrushTips('grain');
+
+    return (
+      <div className="stamp-controls">
+        <h3>Tip &amp; Grain</h3>
+        <label>
+          Tip
+          <select value={currentBrush.tip} onChange={(e) => onSettingsChange({ tip: e.target.value })}>
+            {Object.entries(tips).map(([id, tip]) => (
+              <option key={id} value={id}>{tip.name}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Grain
+          <select
+            value={currentBrush.grain || ''}
+            onChange={(e) => onSettingsChange({ grain: e.target.value || null })}
+          >
+            <option value="">None</option>
+            {Object.entries(grains).map(([id, grain]) => (
+              <option key={id} value={id}>{grain.name}</option>
+            ))}
+          </select>
+        </label>
+        {[['flow', 'Flow'], ['grainStrength', 'Grain strength'], ['sizeJitter', 'Size jitter'], ['rotationJitter', 'Rotation jitter']].map(([key, label]) => (
+          <label key={key}>
+            {label}
+            <input
+              type="range"
+              min="0"
+              max="1"
+              step="0.05"
+              value={currentBrush[key] || 0}
+              onChange={(e) => onSettingsChange({ [key]: parseFloat(e.target.value) })}
+            />
+          </label>
+        ))}
+        <label>
+          Import Tip{isLocked('custom_brush_tips') ? ' 🔒' : ''}
+          <input type="file" accept="image/*" onChange={(e) => onImportTip(e, 'tip')} />
+        </label>
+        <label>
+          Import Grain{isLocked('custom_brush_tips') ? ' 🔒' : ''}
+          <input type="file" accept="image/*" onChange={(e) => onImportTip(e, 'grain')} />
+        </label>
+      </div>
+    );
+  };
+
+  return (
+    <div className="brush-selector">
+      <h3>Basic Brushes</h3>
+      <div className="brush-list">
+        {renderBrushItems('basic', availableBrushes.basic)}
+      </div>
+
+      {availableBrushes.advanced && (
+        <>
+          <h3>Advanced Brushes</h3>
+          <div className="brush-list">
+            {renderBrushItems('advanced', availableBrushes.advanced)}
+          </div>
+        </>
+      )}
+
+      {Object.entries(availableBrushes)
+        .filter(([category]) => !['basic', 'advanced', 'locked'].includes(category))
+        .map(([category, list]) => (
+          <React.Fragment key={category}>
+            <h3>{category.charAt(0).toUpperCase() + category.slice(1)} Brushes</h3>
+            <div className="brush-list">
+              {renderBrushItems(category, list)}
+            </div>
+          </React.Fragment>
+        ))}
+
+      {availableBrushes.locked && (
+        <>
+          <h3>Locked Brushes</h3>
+          <div className="brush-list locked">
+            {Object.entries(availableBrushes.locked).map(([id, brush]) => (
+              <div
+                key={id}
+                className="brush-item locked"
+                onClick={() => onSelect(brush.category, id)}
+              >
+                {brush.name} 🔒
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+
+      <div className="needle-selector">
+        <h3>Needle</h3>
+        <select
+          value={currentBrush && currentBrush.needle ? currentBrush.needle.code : ''}
+          onChange={(e) => onNeedleSelect(e.target.value)}
+          disabled={!currentBrush}
+        >
+          <option value="">Brush default</option>
+          {Object.keys(brushes.getNeedlePresets()).map(code => (
+            <option key={code} value={code}>
+              {code}{isLocked('needle_configuration') ? ' 🔒' : ''}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {currentBrush && !brushes.isErasingBrush(currentBrush) && (
+        <div className="blend-mode-selector">
+          <h3>Blend Mode</h3>
+          <select
+            value={brushes.getCompositeOperation(currentBrush)}
+            onChange={(e) => onSettingsChange({ blendMode: e.target.value })}
+          >
+            {brushes.getBlendModes().map(mode => (
+              <option key={mode} value={mode}>{mode}</option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {renderStampControls()}
+
+      <div className="preset-actions">
+        <button onClick={onSavePreset} disabled={!currentBrush}>Save as Preset</button>
+        <button onClick={onExportPresets}>Export Presets</button>
+        <label>
+          Import Presets
+          <input type="file" accept=".blekkbrush,application/json" onChange={onImportPresets} />
+        </label>
+        {message && <div className="preset-message">{message}</div>}
+      </div>
+
+      <style jsx>{`
+        .brush-selector {
+          width: 200px;
+        }
+
+        .brush-list {
+          display: flex;
+          flex-direction: column;
+          gap: 5px;
+          margin-bottom: 20px;
+        }
+
+        .brush-item {
+          padding: 8px 12px;
+          background-color: #f5f5f5;
+          border-radius: 4px;
+          cursor: pointer;
+        }
+
+        .brush-item.active {
+          background-color: #e83e8c;
+          color: white;
+        }
+
+        .brush-item.locked {
+          opacity: 0.7;
+          background-color: #eee;
+        }
+
+        .needle-selector,
+        .blend-mode-selector {
+          margin-bottom: 20px;
+        }
+
+        .needle-selector select,
+        .blend-mode-selector select {
+          width: 100%;
+          padding: 6px;
+        }
+
+        .stamp-controls {
+          display: flex;
+          flex-direction: column;
+          gap: 5px;
+          margin-bottom: 20px;
+        }
+
+        .stamp-controls label {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          font-size: 12px;
+        }
+
+        .preset-actions {
+          display: flex;
+          flex-direction: column;
+          gap: 5px;
+        }
+
+        .preset-actions label {
+          font-size: 12px;
+          cursor: pointer;
+        }
+
+        .preset-actions input[type='file'] {
+          display: block;
+          margin-top: 4px;
+        }
+
+        .preset-message {
+          font-size: 12px;
+          color: #666;
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default BlekkProBrushPanel;
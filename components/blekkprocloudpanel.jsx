@@ -0,0 +1,23 @@
+import React from 'react';
+import BlekkProPanel from './blekkpropanel';
+
+// Saving the design to the cloud and opening saved projects
+const BlekkProCloudPanel = ({ projects, projectId, locked, disabled, message, onSave, onOpen }) => (
+  <BlekkProPanel title={`Cloud Projects${locked ? ' 🔒' : ''}`} message={message}>
+    <button onClick={onSave} disabled={disabled}>Save to Cloud</button>
+    {projects.length > 0 && (
+      <select
+        value={projectId || ''}
+        onChange={(e) => onOpen(e.target.value)}
+        disabled={disabled}
+      >
+        <option value="" disabled>Open a project…</option>
+        {projects.map(project => (
+          <option key={project.id} value={project.id}>{project.name}</option>
+        ))}
+      </select>
+    )}
+  </BlekkProPanel>
+);
+
+export default BlekkProCloudPanel;
@@ -0,0 +1,19 @@
+import React from 'react';
+import BlekkProPanel from './blekkpropanel';
+
+// Vector export of the design
+const BlekkProExportPanel = ({ includeGuides, onIncludeGuidesChange, disabled, message, onExport }) => (
+  <BlekkProPanel title="Vector Export" message={message}>
+    <label>
+      Include guides
+      <input
+        type="checkbox"
+        checked={includeGuides}
+        onChange={(e) => onIncludeGuidesChange(e.target.checked)}
+      />
+    </label>
+    <button onClick={onExport} disabled={disabled}>Export SVG</button>
+  </BlekkProPanel>
+);
+
+export default BlekkProExportPanel;
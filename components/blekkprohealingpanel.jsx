@@ -0,0 +1,60 @@
+import React from 'react';
+import BlekkProPanel from './blekkpropanel';
+
+// Skin settings for the healing prediction, and the stage timeline once predicted
+const BlekkProHealingPanel = ({ skin, onSkinChange, stages, stageIndex, onStageChange, onPredict, onClose }) => (
+  <BlekkProPanel title="Healing Prediction">
+    <label>
+      Fitzpatrick type
+      <select
+        value={skin.fitzpatrick}
+        onChange={(e) => onSkinChange({ ...skin, fitzpatrick: parseInt(e.target.value, 10) })}
+      >
+        {[1, 2, 3, 4, 5, 6].map(type => (
+          <option key={type} value={type}>{type}</option>
+        ))}
+      </select>
+    </label>
+    <label>
+      Undertone
+      <select value={skin.undertone} onChange={(e) => onSkinChange({ ...skin, undertone: e.target.value })}>
+        <option value="warm">Warm</option>
+        <option value="neutral">Neutral</option>
+        <option value="cool">Cool</option>
+      </select>
+    </label>
+    <label>
+      Skin type
+      <select value={skin.skinType} onChange={(e) => onSkinChange({ ...skin, skinType: e.target.value })}>
+        <option value="dry">Dry</option>
+        <option value="normal">Normal</option>
+        <option value="combination">Combination</option>
+        <option value="oily">Oily</option>
+      </select>
+    </label>
+    <button onClick={onPredict}>Predict Healing</button>
+
+    {stages && (
+      <div className="healing-timeline">
+        <input
+          type="range"
+          min="0"
+          max={stages.length - 1}
+          value={stageIndex}
+          onChange={(e) => onStageChange(parseInt(e.target.value, 10))}
+        />
+        <div className="healing-stage-label">{stages[stageIndex].label}</div>
+        <button onClick={onClose}>Back to Design</button>
+      </div>
+    )}
+
+    <style jsx>{`
+      .healing-stage-label {
+        text-align: center;
+        font-weight: bold;
+      }
+    `}</style>
+  </BlekkProPanel>
+);
+
+export default BlekkProHealingPanel;
@@ -0,0 +1,38 @@
+import React from 'react';
+import BlekkProPanel from './blekkpropanel';
+
+const formatMm = (value) => `${value.toFixed(1)} mm`;
+
+// Lip mapping options, line editing and measurements
+const BlekkProLipMapPanel = ({ lipMap, show, isEditing, onToggleShow, onToggleEditing, onReset }) => (
+  <BlekkProPanel title="Lip Mapping">
+    <label>
+      Show lip map
+      <input
+        type="checkbox"
+        checked={show}
+        onChange={(e) => onToggleShow(e.target.checked)}
+      />
+    </label>
+    <button onClick={onToggleEditing} disabled={!lipMap || !show}>
+      {isEditing ? 'Done Editing' : 'Edit Lip Line'}
+    </button>
+    <button onClick={onReset} disabled={!lipMap || !lipMap.correctedLine.edited}>Reset Lip Line</button>
+    {isEditing && lipMap && (
+      <div className="panel-note">Drag the orange points; they stay within {lipMap.maxOverlineMm} mm of the natural border</div>
+    )}
+    {lipMap && (
+      <div className="panel-note">
+        <div>Cupid's bow peaks: left {formatMm(lipMap.cupidsBow.left.heightMm)}, right {formatMm(lipMap.cupidsBow.right.heightMm)}</div>
+        <div>Philtrum: {formatMm(Math.abs(lipMap.philtrum.offsetMm))} off the midline</div>
+        {lipMap.volume.ratio !== null && (
+          <div>Upper to lower lip: 1 : {(1 / lipMap.volume.ratio).toFixed(2)} (ideal 1 : {(1 / lipMap.volume.idealRatio).toFixed(1)})</div>
+        )}
+        <div>Mouth corners: {formatMm(Math.abs(lipMap.corners.differenceMm))} apart in height</div>
+        {lipMap.notes.map(note => <div key={note.id}>{note.message}</div>)}
+      </div>
+    )}
+  </BlekkProPanel>
+);
+
+export default BlekkProLipMapPanel;
@@ -0,0 +1,35 @@
+import React from 'react';
+
+// A tool panel: heading, controls, then any message. Holds the layout every
+// panel shares, so panels only style what is their own
+const BlekkProPanel = ({ title, message, children }) => (
+  <div className="panel">
+    <h3>{title}</h3>
+    {children}
+    {message && <div className="panel-message">{message}</div>}
+
+    <style jsx>{`
+      .panel {
+        display: flex;
+        flex-direction: column;
+        gap: 5px;
+        margin-top: 20px;
+      }
+
+      .panel :global(label) {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        font-size: 12px;
+      }
+
+      .panel-message,
+      .panel :global(.panel-note) {
+        font-size: 12px;
+        color: #666;
+      }
+    `}</style>
+  </div>
+);
+
+export default BlekkProPanel;
@@ -0,0 +1,49 @@
+import React from 'react';
+import BlekkProPanel from './blekkpropanel';
+
+// Pigment choice, or a mix from a written formula
+const BlekkProPigmentPanel = ({ pigments, color, formula, message, onColorChange, onFormulaChange, onMix }) => {
+  const rgb = pigments.resolveColor(color);
+
+  return (
+    <BlekkProPanel title="Pigment" message={message}>
+      <div className="pigment-current">
+        {rgb && <span className="pigment-swatch" style={{ backgroundColor: `rgb(${rgb.join(', ')})` }} />}
+        <select value={typeof color === 'string' ? color : ''} onChange={(e) => onColorChange(e.target.value)}>
+          {typeof color !== 'string' && <option value="">Custom mix</option>}
+          {Object.entries(pigments.getPigments()).map(([id, pigment]) => (
+            <option key={id} value={id}>
+              {pigment.name} ({pigment.manufacturer})
+            </option>
+          ))}
+        </select>
+      </div>
+      <input
+        type="text"
+        placeholder="2 drops Medium Brown + 1 drop Warm Modifier"
+        value={formula}
+        onChange={(e) => onFormulaChange(e.target.value)}
+      />
+      <button onClick={onMix}>Mix</button>
+
+      <style jsx>{`
+        .pigment-current {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+        }
+
+        .pigment-swatch {
+          display: inline-block;
+          width: 20px;
+          height: 20px;
+          border-radius: 50%;
+          border: 1px solid #ddd;
+          flex-shrink: 0;
+        }
+      `}</style>
+    </BlekkProPanel>
+  );
+};
+
+export default BlekkProPigmentPanel;
@@ -0,0 +1,22 @@
+import React from 'react';
+import BlekkProPanel from './blekkpropanel';
+
+// Replay of the recorded design and its time-lapse export
+const BlekkProRecordingPanel = ({ speed, onSpeedChange, isPlaying, message, onPlay, onStop, onExport }) => (
+  <BlekkProPanel title="Time-lapse" message={message}>
+    <label>
+      Speed
+      <select value={speed} onChange={(e) => onSpeedChange(parseFloat(e.target.value))}>
+        {[1, 2, 4, 8, 16].map(value => (
+          <option key={value} value={value}>{value}x</option>
+        ))}
+      </select>
+    </label>
+    {isPlaying
+      ? <button onClick={onStop}>Stop</button>
+      : <button onClick={onPlay}>Replay</button>}
+    <button onClick={onExport} disabled={isPlaying}>Export Time-lapse</button>
+  </BlekkProPanel>
+);
+
+export default BlekkProRecordingPanel;
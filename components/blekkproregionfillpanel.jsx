@@ -0,0 +1,77 @@
+import React from 'react';
+import BlekkProPanel from './blekkpropanel';
+
+// Ombré region fill options, for the brows or a region outlined by hand
+const BlekkProRegionFillPanel = ({
+  options,
+  onOptionsChange,
+  isDrawingRegion,
+  canFillBrows,
+  disabled,
+  message,
+  onFillBrows,
+  onToggleRegionDrawing
+}) => {
+  const { stops } = options;
+  const updateStop = (index, key, value) => {
+    const nextStops = stops.map((stop, i) => (i === index ? { ...stop, [key]: value } : stop));
+    onOptionsChange({ ...options, stops: nextStops });
+  };
+
+  return (
+    <BlekkProPanel title="Ombré Fill" message={message}>
+      {[[0, 'Head density'], [1, 'Middle density'], [2, 'Tail density']].map(([index, label]) => (
+        <label key={label}>
+          {label}
+          <input
+            type="range"
+            min="0"
+            max="1"
+            step="0.05"
+            value={stops[index].density}
+            onChange={(e) => updateStop(index, 'density', parseFloat(e.target.value))}
+          />
+        </label>
+      ))}
+      <label>
+        Middle position
+        <input
+          type="range"
+          min="0.1"
+          max="0.9"
+          step="0.05"
+          value={stops[1].position}
+          onChange={(e) => updateStop(1, 'position', parseFloat(e.target.value))}
+        />
+      </label>
+      <label>
+        Lower edge crispness
+        <input
+          type="range"
+          min="0"
+          max="1"
+          step="0.05"
+          value={options.lowerEdgeCrispness}
+          onChange={(e) => onOptionsChange({ ...options, lowerEdgeCrispness: parseFloat(e.target.value) })}
+        />
+      </label>
+      <label>
+        Passes
+        <select
+          value={options.passes}
+          onChange={(e) => onOptionsChange({ ...options, passes: parseInt(e.target.value, 10) })}
+        >
+          {[1, 2, 3, 4].map(passes => (
+            <option key={passes} value={passes}>{passes}</option>
+          ))}
+        </select>
+      </label>
+      <button onClick={onFillBrows} disabled={!canFillBrows || disabled || isDrawingRegion}>Fill Brows</button>
+      <button onClick={onToggleRegionDrawing} disabled={disabled}>
+        {isDrawingRegion ? 'Fill Region' : 'Draw Region'}
+      </button>
+    </BlekkProPanel>
+  );
+};
+
+export default BlekkProRegionFillPanel;
@@ -0,0 +1,95 @@
+import React from 'react';
+
+const formatValue = (metric) => `${metric.value > 0 ? '+' : ''}${metric.value.toFixed(1)} ${metric.unit}`;
+
+// Symmetry measured feature by feature, including what couldn't be measured,
+// with the face's mirrored halves on request
+const BlekkProSymmetryReport = ({ report, mirroredHalves, mirroredHalvesMessage, canMirror, onToggleMirroredHalves }) => (
+  <div className="symmetry-report">
+    <table>
+      <thead>
+        <tr>
+          <th>Feature</th>
+          <th>Left − right</th>
+          <th>Score</th>
+          <th>Confidence</th>
+        </tr>
+      </thead>
+      <tbody>
+        {Object.values(report.metrics).map(metric => (
+          <tr key={metric.id}>
+            <td>{metric.name}</td>
+            <td>{formatValue(metric)}</td>
+            <td>{metric.score}%</td>
+            <td>{Math.round(metric.confidence * 100)}%</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+    {report.unavailable.map(metric => (
+      <div key={metric.id} className="symmetry-note">Not measured: {metric.name} ({metric.message})</div>
+    ))}
+    {report.pose.turned && (
+      <div className="symmetry-note">The head is turned, so left and right measurements are less reliable</div>
+    )}
+    {report.scale.from !== 'eye_width' && (
+      <div className="symmetry-note">Millimetres are estimated from the mouth width</div>
+    )}
+    <button onClick={onToggleMirroredHalves} disabled={!canMirror}>
+      {mirroredHalves ? 'Hide Mirrored Halves' : 'Mirrored Halves'}
+    </button>
+    {mirroredHalvesMessage && <div className="symmetry-note">{mirroredHalvesMessage}</div>}
+    {mirroredHalves && (
+      <div className="mirrored-halves">
+        <figure>
+          <img src={mirroredHalves.leftLeft} alt="Left side mirrored" />
+          <figcaption>Left + left</figcaption>
+        </figure>
+        <figure>
+          <img src={mirroredHalves.rightRight} alt="Right side mirrored" />
+          <figcaption>Right + right</figcaption>
+        </figure>
+      </div>
+    )}
+
+    <style jsx>{`
+      .symmetry-report {
+        margin-bottom: 20px;
+        font-size: 12px;
+      }
+
+      .symmetry-report table {
+        border-collapse: collapse;
+        margin-bottom: 5px;
+      }
+
+      .symmetry-report th,
+      .symmetry-report td {
+        padding: 2px 10px 2px 0;
+        text-align: left;
+      }
+
+      .symmetry-note {
+        color: #666;
+      }
+
+      .mirrored-halves {
+        display: flex;
+        gap: 10px;
+        margin-top: 10px;
+      }
+
+      .mirrored-halves figure {
+        margin: 0;
+        flex: 1;
+        text-align: center;
+      }
+
+      .mirrored-halves img {
+        width: 100%;
+      }
+    `}</style>
+  </div>
+);
+
+export default BlekkProSymmetryReport;
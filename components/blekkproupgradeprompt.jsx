@@ -0,0 +1,65 @@
+import React from 'react';
+
+// Upgrade prompt for a locked feature, from BlekkProEntitlements
+const BlekkProUpgradePrompt = ({ prompt, onUpgrade, onDismiss }) => (
+  <div className="upgrade-prompt">
+    <h3>{prompt.title}</h3>
+    <p>{prompt.message}</p>
+    <ul>
+      {prompt.benefits.map((benefit, index) => (
+        <li key={index}>{benefit}</li>
+      ))}
+    </ul>
+    <div className="upgrade-actions">
+      <button onClick={onUpgrade}>Upgrade Now</button>
+      <button onClick={onDismiss}>Maybe Later</button>
+    </div>
+
+    <style jsx>{`
+      .upgrade-prompt {
+        position: fixed;
+        top: 50%;
+        left: 50%;
+        transform: translate(-50%, -50%);
+        background-color: white;
+        padding: 20px;
+        border-radius: 8px;
+        box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
+        max-width: 400px;
+        width: 100%;
+        z-index: 1000;
+      }
+
+      .upgrade-prompt h3 {
+        color: #e83e8c;
+        margin-top: 0;
+      }
+
+      .upgrade-actions {
+        display: flex;
+        justify-content: flex-end;
+        gap: 10px;
+        margin-top: 20px;
+      }
+
+      .upgrade-actions button:first-child {
+        background-color: #e83e8c;
+        color: white;
+        border: none;
+        padding: 8px 16px;
+        border-radius: 4px;
+        cursor: pointer;
+      }
+
+      .upgrade-actions button:last-child {
+        background-color: transparent;
+        border: 1px solid #ddd;
+        padding: 8px 16px;
+        border-radius: 4px;
+        cursor: pointer;
+      }
+    `}</style>
+  </div>
+);
+
+export default BlekkProUpgradePrompt;
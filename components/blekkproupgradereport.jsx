@@ -0,0 +1,200 @@
+import React, { useEffect, useState } from 'react';
+
+// Report periods, in days (null for everything kept)
+const PERIODS = [7, 30, 90, null];
+
+// Session storage key for the admin key, so it stays out of URLs and history
+const ADMIN_KEY_STORAGE_KEY = 'blekkpro.adminKey';
+
+const formatRate = (rate) => (rate === null ? '–' : `${(rate * 100).toFixed(1)}%`);
+
+// Conversion per locked feature and brush, from the analytics API
+const BlekkProUpgradeReport = () => {
+  const [days, setDays] = useState(30);
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+  const [adminKey, setAdminKey] = useState(null);
+  const [keyInput, setKeyInput] = useState('');
+  const [needsKey, setNeedsKey] = useState(false);
+
+  useEffect(() => {
+    setAdminKey(window.sessionStorage.getItem(ADMIN_KEY_STORAGE_KEY) || '');
+  }, []);
+
+  useEffect(() => {
+    if (adminKey === null) return;
+
+    let cancelled = false;
+
+    const loadReport = async () => {
+      const params = new URLSearchParams();
+      if (days !== null) {
+        params.set('since', new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString());
+      }
+
+      try {
+        const response = await fetch(`/api/analytics/report?${params}`, {
+          credentials: 'same-origin',
+          headers: adminKey ? { Authorization: `Bearer ${adminKey}` } : {}
+        });
+        const result = await response.json();
+        if (cancelled) return;
+
+        if (result.success) {
+          setReport(result);
+          setError(null);
+          setNeedsKey(false);
+        } else {
+          setReport(null);
+          setError(result.message);
+          setNeedsKey(result.reason === 'unauthorized');
+        }
+      } catch (fetchError) {
+        if (!cancelled) {
+          setError('Could not load the report');
+        }
+      }
+    };
+
+    loadReport();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [days, adminKey]);
+
+  const handleSubmitKey = (event) => {
+    event.preventDefault();
+    window.sessionStorage.setItem(ADMIN_KEY_STORAGE_KEY, keyInput);
+    setAdminKey(keyInput);
+    setKeyInput('');
+  };
+
+  return (
+    <div className="upgrade-report">
+      <h1>Upgrade Prompts</h1>
+
+      <label>
+        Period
+        <select value={days === null ? '' : days} onChange={(e) => setDays(e.target.value ? parseInt(e.target.value, 10) : null)}>
+          {PERIODS.map(period => (
+            <option key={period || 'all'} value={period || ''}>
+              {period ? `Last ${period} days` : 'All time'}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      {error && <div className="report-error">{error}</div>}
+
+      {needsKey && (
+        <form onSubmit={handleSubmitKey}>
+          <label>
+            Admin key
+            <input type="password" value={keyInput} onChange={(e) => setKeyInput(e.target.value)} autoComplete="off" />
+          </label>
+          <button type="submit" disabled={!keyInput}>Show report</button>
+        </form>
+      )}
+
+      {report && (
+        <table>
+          <thead>
+            <tr>
+              <th>Feature</th>
+              <th>Brush</th>
+              <th>Shown</th>
+              <th>Maybe later</th>
+              <th>Upgrade clicked</th>
+              <th>Upgraded</th>
+              <th>Conversion</th>
+            </tr>
+          </thead>
+          <tbody>
+            {report.report.rows.map(row => (
+              <tr key={`${row.featureId}:${row.brushId}`}>
+                <td>{row.name}</td>
+                <td>{row.brushId || '–'}</td>
+                <td>{row.shown}</td>
+                <td>{row.dismissed}</td>
+                <td>{row.accepted}</td>
+                <td>{row.converted}</td>
+                <td>{formatRate(row.conversionRate)}</td>
+              </tr>
+            ))}
+          </tbody>
+          <tfoot>
+            <tr>
+              <td colSpan="2">All prompts</td>
+              <td>{report.report.totals.shown}</td>
+              <td>{report.report.totals.dismissed}</td>
+              <td>{report.report.totals.accepted}</td>
+              <td>{report.report.totals.converted}</td>
+              <td>{formatRate(report.report.totals.conversionRate)}</td>
+            </tr>
+          </tfoot>
+        </table>
+      )}
+
+      {report && report.report.rows.length === 0 && <p>No upgrade prompts in this period.</p>}
+
+      <style jsx>{`
+        .upgrade-report {
+          font-family: 'Arial', sans-serif;
+          max-width: 1000px;
+          margin: 0 auto;
+          padding: 20px;
+          color: #333;
+        }
+
+        label {
+          display: flex;
+          gap: 10px;
+          align-items: center;
+          margin-bottom: 20px;
+          font-size: 14px;
+        }
+
+        table {
+          width: 100%;
+          border-collapse: collapse;
+          font-size: 14px;
+        }
+
+        th,
+        td {
+          padding: 8px;
+          border-bottom: 1px solid #ddd;
+          text-align: right;
+        }
+
+        th:nth-child(-n+2),
+        td:nth-child(-n+2) {
+          text-align: left;
+        }
+
+        tfoot td {
+          font-weight: bold;
+        }
+
+        .report-error {
+          color: #dc3545;
+          margin-bottom: 20px;
+        }
+
+        form {
+          display: flex;
+          gap: 10px;
+          align-items: center;
+          margin-bottom: 20px;
+        }
+
+        form label {
+          margin-bottom: 0;
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default BlekkProUpgradeReport;
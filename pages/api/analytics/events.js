@@ -0,0 +1,19 @@
+import BlekkProAnalyticsStore from '../../../BlekkProAnalyticsStore';
+import BlekkProEntitlementServer from '../../../BlekkProEntitlementServer';
+
+// Paywall events from the analytics api sink: {events}
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ success: false, reason: 'method_not_allowed', message: 'Use POST' });
+  }
+
+  const server = BlekkProEntitlementServer.getInstance();
+  const customerId = server.identify(req, res);
+
+  server.respond(res, BlekkProAnalyticsStore.getInstance().record(
+    req.body && req.body.events,
+    customerId,
+    req.socket && req.socket.remoteAddress
+  ));
+}
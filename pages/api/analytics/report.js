@@ -0,0 +1,31 @@
+import { createHash, timingSafeEqual } from 'crypto';
+import BlekkProAnalyticsStore from '../../../BlekkProAnalyticsStore';
+
+// Compare keys in constant time; hashing first gives both the same length
+const keysMatch = (given, expected) => timingSafeEqual(
+  createHash('sha256').update(given).digest(),
+  createHash('sha256').update(expected).digest()
+);
+
+// Conversion per feature and brush; ?since=<ISO date>. Needs "Authorization: Bearer <BLEKKPRO_ADMIN_KEY>",
+// and without the key set the report is only served in development
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ success: false, reason: 'method_not_allowed', message: 'Use GET' });
+  }
+
+  const adminKey = process.env.BLEKKPRO_ADMIN_KEY;
+  if (!adminKey && process.env.NODE_ENV === 'production') {
+    return res.status(503).json({ success: false, reason: 'not_configured', message: 'Set BLEKKPRO_ADMIN_KEY to see the report' });
+  }
+
+  if (adminKey) {
+    const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+    if (!match || !keysMatch(match[1], adminKey)) {
+      return res.status(401).json({ success: false, reason: 'unauthorized', message: 'Admin key required' });
+    }
+  }
+
+  res.status(200).json(BlekkProAnalyticsStore.getInstance().getReport({ since: req.query.since }));
+}
@@ -0,0 +1,19 @@
+import BlekkProEntitlementServer from '../../../BlekkProEntitlementServer';
+
+// Cancel the customer's subscription; the plan changes when the provider confirms by webhook
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ success: false, reason: 'method_not_allowed', message: 'Use POST' });
+  }
+
+  const server = BlekkProEntitlementServer.getInstance();
+  const customerId = server.identify(req, res);
+
+  try {
+    server.respond(res, await server.cancelSubscription(customerId));
+  } catch (error) {
+    console.error('Error cancelling subscription:', error);
+    server.respond(res, { success: false, reason: 'server_error', message: 'Could not cancel the subscription' });
+  }
+}
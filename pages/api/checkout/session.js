@@ -0,0 +1,41 @@
+import BlekkProEntitlementServer from '../../../BlekkProEntitlementServer';
+
+// POST {tier, returnPath} starts checkout; GET ?checkout=&session_id= reports on the return from it
+export default async function handler(req, res) {
+  const server = BlekkProEntitlementServer.getInstance();
+  const customerId = server.identify(req, res);
+
+  try {
+    if (req.method === 'POST') {
+      const body = req.body || {};
+
+      // Only send customers back to this site
+      const returnPath = typeof body.returnPath === 'string' && /^\/(?!\/)/.test(body.returnPath) ? body.returnPath : '/';
+      const origin = process.env.BLEKKPRO_APP_URL ||
+        `${req.headers['x-forwarded-proto'] || 'http'}://${req.headers.host}`;
+      const base = new URL(returnPath, origin);
+
+      base.searchParams.set('checkout', 'success');
+      const successUrl = base.toString();
+      base.searchParams.set('checkout', 'cancel');
+      const cancelUrl = base.toString();
+
+      return server.respond(res, await server.startCheckout(customerId, body.tier, { successUrl, cancelUrl }));
+    }
+
+    if (req.method === 'GET') {
+      const result = await server.handleCheckoutReturn(customerId, {
+        checkout: req.query.checkout,
+        session_id: req.query.session_id
+      });
+
+      return server.respond(res, result || { success: false, reason: 'not_a_checkout_return', message: 'No checkout outcome given' });
+    }
+
+    res.setHeader('Allow', 'GET, POST');
+    res.status(405).json({ success: false, reason: 'method_not_allowed', message: 'Use GET or POST' });
+  } catch (error) {
+    console.error('Error handling checkout:', error);
+    server.respond(res, { success: false, reason: 'server_error', message: 'Checkout failed' });
+  }
+}
@@ -0,0 +1,38 @@
+import BlekkProEntitlementServer from '../../../BlekkProEntitlementServer';
+
+// The signature covers the exact bytes sent, so read the body raw
+export const config = {
+  api: {
+    bodyParser: false
+  }
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+  req.on('error', reject);
+});
+
+// Payment provider webhook; subscription events signed in the Blekkpro-Signature header
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ success: false, reason: 'method_not_allowed', message: 'Use POST' });
+  }
+
+  const server = BlekkProEntitlementServer.getInstance();
+
+  // Mock events grant plans without payment, so they are never taken in production
+  if (server.provider.id === 'mock' && process.env.NODE_ENV === 'production') {
+    return res.status(404).json({ success: false, reason: 'not_found', message: 'Webhooks are not accepted' });
+  }
+
+  try {
+    const payload = await readBody(req);
+    server.respond(res, await server.handleWebhook(payload, req.headers['blekkpro-signature']));
+  } catch (error) {
+    console.error('Error handling webhook:', error);
+    server.respond(res, { success: false, reason: 'server_error', message: 'Could not process webhook' });
+  }
+}
@@ -0,0 +1,20 @@
+import BlekkProEntitlementServer from '../../../BlekkProEntitlementServer';
+
+// Record use of a metered feature, such as an AI analysis: {featureId, amount}
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ success: false, reason: 'method_not_allowed', message: 'Use POST' });
+  }
+
+  const server = BlekkProEntitlementServer.getInstance();
+  const customerId = server.identify(req, res);
+  const body = req.body || {};
+
+  try {
+    server.respond(res, await server.consume(customerId, body.featureId, body.amount === undefined ? 1 : body.amount));
+  } catch (error) {
+    console.error('Error recording usage:', error);
+    server.respond(res, { success: false, reason: 'server_error', message: 'Could not record usage' });
+  }
+}
@@ -0,0 +1,20 @@
+import BlekkProEntitlementServer from '../../../BlekkProEntitlementServer';
+
+// Grant use of a feature the browser carries out itself, such as a vector export: {featureId}
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ success: false, reason: 'method_not_allowed', message: 'Use POST' });
+  }
+
+  const server = BlekkProEntitlementServer.getInstance();
+  const customerId = server.identify(req, res);
+  const body = req.body || {};
+
+  try {
+    server.respond(res, await server.grant(customerId, body.featureId));
+  } catch (error) {
+    console.error('Error granting feature:', error);
+    server.respond(res, { success: false, reason: 'server_error', message: 'Could not check your plan' });
+  }
+}
@@ -0,0 +1,19 @@
+import BlekkProEntitlementServer from '../../../BlekkProEntitlementServer';
+
+// Public key the browser checks entitlement tokens with
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ success: false, reason: 'method_not_allowed', message: 'Use GET' });
+  }
+
+  const server = BlekkProEntitlementServer.getInstance();
+
+  try {
+    res.setHeader('Cache-Control', 'public, max-age=3600');
+    server.respond(res, { success: true, key: await server.getPublicKey() });
+  } catch (error) {
+    console.error('Error reading entitlement public key:', error);
+    server.respond(res, { success: false, reason: 'server_error', message: 'Entitlement keys are not configured' });
+  }
+}
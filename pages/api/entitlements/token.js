@@ -0,0 +1,19 @@
+import BlekkProEntitlementServer from '../../../BlekkProEntitlementServer';
+
+// Sign a fresh entitlement token for the customer
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ success: false, reason: 'method_not_allowed', message: 'Use POST' });
+  }
+
+  const server = BlekkProEntitlementServer.getInstance();
+  const customerId = server.identify(req, res);
+
+  try {
+    server.respond(res, await server.issueToken(customerId));
+  } catch (error) {
+    console.error('Error issuing entitlement token:', error);
+    server.respond(res, { success: false, reason: 'server_error', message: 'Could not issue entitlement token' });
+  }
+}
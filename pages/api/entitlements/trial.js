@@ -0,0 +1,19 @@
+import BlekkProEntitlementServer from '../../../BlekkProEntitlementServer';
+
+// Start the customer's trial of a tier: {tier}
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ success: false, reason: 'method_not_allowed', message: 'Use POST' });
+  }
+
+  const server = BlekkProEntitlementServer.getInstance();
+  const customerId = server.identify(req, res);
+
+  try {
+    server.respond(res, await server.startTrial(customerId, req.body && req.body.tier));
+  } catch (error) {
+    console.error('Error starting trial:', error);
+    server.respond(res, { success: false, reason: 'server_error', message: 'Could not start the trial' });
+  }
+}
@@ -0,0 +1,14 @@
+import BlekkProEntitlementServer from '../../../BlekkProEntitlementServer';
+
+// Open one of the customer's cloud projects
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ success: false, reason: 'method_not_allowed', message: 'Use GET' });
+  }
+
+  const server = BlekkProEntitlementServer.getInstance();
+  const customerId = server.identify(req, res);
+
+  server.respond(res, await server.getProject(customerId, req.query.id));
+}
@@ -0,0 +1,27 @@
+import BlekkProEntitlementServer from '../../../BlekkProEntitlementServer';
+
+// Recordings carry every stroke point
+export const config = {
+  api: {
+    bodyParser: {
+      sizeLimit: '10mb'
+    }
+  }
+};
+
+// GET lists the customer's cloud projects; POST {id, name, data} saves one (Pro)
+export default async function handler(req, res) {
+  const server = BlekkProEntitlementServer.getInstance();
+  const customerId = server.identify(req, res);
+
+  if (req.method === 'GET') {
+    return server.respond(res, server.listProjects(customerId));
+  }
+
+  if (req.method === 'POST') {
+    return server.respond(res, await server.saveProject(customerId, req.body));
+  }
+
+  res.setHeader('Allow', 'GET, POST');
+  res.status(405).json({ success: false, reason: 'method_not_allowed', message: 'Use GET or POST' });
+}
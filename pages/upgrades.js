@@ -0,0 +1,9 @@
+import BlekkProUpgradeReport from '../components/blekkproupgradereport';
+
+export default function Upgrades() {
+  return (
+    <main>
+      <BlekkProUpgradeReport />
+    </main>
+  );
+}
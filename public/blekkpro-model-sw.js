@@ -0,0 +1,47 @@
+// BlekkPro model service worker
+// Answers requests for face-mesh model files from the Cache API, so the
+// MediaPipe runtime (which fetches its own files) also works offline.
+// Registered by BlekkProFacialRecognition with ?base=<model path>&cache=<cache name>.
+
+const params = new URL(self.location.href).searchParams;
+const MODEL_BASE_PATH = params.get('base') || '/models';
+const MODEL_CACHE_NAME = params.get('cache') || 'blekkpro-models-v1';
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  // Drop model caches from earlier versions
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names
+        .filter(name => name.startsWith('blekkpro-models-') && name !== MODEL_CACHE_NAME)
+        .map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const url = new URL(event.request.url);
+
+  if (event.request.method !== 'GET' || url.origin !== self.location.origin ||
+      !url.pathname.startsWith(`${MODEL_BASE_PATH}/`)) {
+    return;
+  }
+
+  event.respondWith(
+    caches.open(MODEL_CACHE_NAME).then(async (cache) => {
+      const cached = await cache.match(event.request);
+      if (cached) {
+        return cached;
+      }
+
+      const response = await fetch(event.request);
+      if (response.ok) {
+        cache.put(event.request, response.clone());
+      }
+      return response;
+    })
+  );
+});
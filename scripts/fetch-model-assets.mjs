@@ -0,0 +1,96 @@
+// Copies the face-mesh model files into public/models so the app serves them
+// itself instead of loading them from a CDN at runtime. Files already present
+// are kept, so nothing is downloaded once they are all there. Run with
+// `npm run models`. Before `npm run build` it runs with --optional, which
+// warns instead of failing when the files can't be fetched (e.g. offline).
+//
+//   public/models/face_mesh/   MediaPipe solution (mediapipe runtime)
+//   public/models/tfjs/        TensorFlow.js graph models (tfjs runtime)
+
+import fs from 'fs';
+import path from 'path';
+
+const MODELS_DIR = path.join(process.cwd(), 'public', 'models');
+
+// The file list the app loads, and the package version used when
+// @mediapipe/face_mesh isn't installed
+const MODEL_FILES = JSON.parse(fs.readFileSync(new URL('../BlekkProModelFiles.json', import.meta.url), 'utf8'));
+const MEDIAPIPE_FACE_MESH_VERSION = MODEL_FILES.mediapipeFaceMesh.version;
+const MEDIAPIPE_FACE_MESH_FILES = MODEL_FILES.mediapipeFaceMesh.files;
+
+// Give up on a download after this long rather than hang the build
+const DOWNLOAD_TIMEOUT_MS = 60 * 1000;
+
+const optional = process.argv.includes('--optional');
+
+// Graph models the tfjs runtime loads, by the directory they go in
+const TFJS_MODELS = {
+  face_detection_short: 'https://tfhub.dev/mediapipe/tfjs-model/face_detection/short/1',
+  face_mesh: 'https://tfhub.dev/mediapipe/tfjs-model/face_landmarks_detection/face_mesh/1',
+  attention_mesh: 'https://tfhub.dev/mediapipe/tfjs-model/face_landmarks_detection/attention_mesh/1'
+};
+
+async function download(url, target) {
+  const response = await fetch(url, { redirect: 'follow', signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS) });
+  if (!response.ok) {
+    throw new Error(`${url} returned ${response.status}`);
+  }
+
+  const data = Buffer.from(await response.arrayBuffer());
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.writeFileSync(target, data);
+  return data;
+}
+
+async function fetchMediaPipe() {
+  const directory = path.join(MODELS_DIR, 'face_mesh');
+  const packageDir = path.join(process.cwd(), 'node_modules', '@mediapipe', 'face_mesh');
+
+  for (const file of MEDIAPIPE_FACE_MESH_FILES) {
+    const target = path.join(directory, file);
+    if (fs.existsSync(target)) continue;
+
+    if (fs.existsSync(path.join(packageDir, file))) {
+      fs.mkdirSync(directory, { recursive: true });
+      fs.copyFileSync(path.join(packageDir, file), target);
+      console.log(`Copied face_mesh/${file}`);
+    } else {
+      await download(`https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh@${MEDIAPIPE_FACE_MESH_VERSION}/${file}`, target);
+      console.log(`Downloaded face_mesh/${file}`);
+    }
+  }
+}
+
+async function fetchTfjs() {
+  for (const [name, url] of Object.entries(TFJS_MODELS)) {
+    const directory = path.join(MODELS_DIR, 'tfjs', name);
+    const modelFile = path.join(directory, 'model.json');
+
+    const manifest = fs.existsSync(modelFile)
+      ? JSON.parse(fs.readFileSync(modelFile, 'utf8'))
+      : JSON.parse(await download(`${url}/model.json?tfjs-format=file`, modelFile));
+
+    for (const group of manifest.weightsManifest || []) {
+      for (const shard of group.paths) {
+        const target = path.join(directory, shard);
+        if (fs.existsSync(target)) continue;
+
+        await download(`${url}/${shard}?tfjs-format=file`, target);
+        console.log(`Downloaded tfjs/${name}/${shard}`);
+      }
+    }
+  }
+}
+
+try {
+  await fetchMediaPipe();
+  await fetchTfjs();
+  console.log(`Model files ready in ${path.relative(process.cwd(), MODELS_DIR)}`);
+} catch (error) {
+  if (optional) {
+    console.warn(`Skipped fetching model files (${error.message}); run \`npm run models\` before deploying`);
+  } else {
+    console.error('Could not fetch model files:', error.message);
+    process.exit(1);
+  }
+}